@@ -89,19 +89,78 @@ class BotController {
       if (process.env.ENABLE_REMINDER_SCHEDULER !== "false") {
         const ReminderScheduler = require("../utils/schedulers/ReminderScheduler");
 
-        // 👇 "reminder" 대신 "todo" 서비스를 가져옵니다.
-        const todoServiceForScheduler =
-          await this.serviceBuilder.getOrCreate("todo");
+        // 할일 리마인더와 일반 리마인더는 같은 Reminder 컬렉션을 사용하므로
+        // ReminderService 하나로 발송/완료/반복 처리를 모두 담당
+        const reminderService =
+          await this.serviceBuilder.getOrCreate("reminder");
 
         this.reminderScheduler = new ReminderScheduler({
           bot: this.bot,
-          // 👇 주입되는 서비스 이름을 reminderService로 유지하되, 실제로는 TodoService 인스턴스를 전달합니다.
-          //    (ReminderScheduler 내부 코드 수정을 최소화하기 위함)
-          reminderService: todoServiceForScheduler
+          reminderService
         });
 
         await this.reminderScheduler.start();
-        logger.success("✅ ReminderScheduler 시작됨 (TodoService와 연동)");
+        logger.success("✅ ReminderScheduler 시작됨");
+      }
+
+      // TodoDigestScheduler 초기화 (요약을 켠 사용자에게만 발송)
+      if (process.env.ENABLE_TODO_DIGEST !== "false") {
+        const TodoDigestScheduler = require("../utils/schedulers/TodoDigestScheduler");
+
+        this.todoDigestScheduler = new TodoDigestScheduler({
+          bot: this.bot,
+          todoService: await this.serviceBuilder.getOrCreate("todo")
+        });
+
+        await this.todoDigestScheduler.start();
+      }
+
+      // WorktimeComplianceScheduler 초기화 (근무 중 주 52시간 경고)
+      if (process.env.ENABLE_WORKTIME_COMPLIANCE !== "false") {
+        const WorktimeComplianceScheduler = require("../utils/schedulers/WorktimeComplianceScheduler");
+
+        this.worktimeComplianceScheduler = new WorktimeComplianceScheduler({
+          bot: this.bot,
+          worktimeService: await this.serviceBuilder.getOrCreate("worktime")
+        });
+
+        await this.worktimeComplianceScheduler.start();
+      }
+
+      // WorktimeSweepScheduler 초기화 (퇴근 누락 야간 점검)
+      if (process.env.ENABLE_WORKTIME_SWEEP !== "false") {
+        const WorktimeSweepScheduler = require("../utils/schedulers/WorktimeSweepScheduler");
+
+        this.worktimeSweepScheduler = new WorktimeSweepScheduler({
+          bot: this.bot,
+          worktimeService: await this.serviceBuilder.getOrCreate("worktime")
+        });
+
+        await this.worktimeSweepScheduler.start();
+      }
+
+      // LeaveExpiryScheduler 초기화 (연차 소멸 알림 + 기간 마감 이월)
+      if (process.env.ENABLE_LEAVE_EXPIRY !== "false") {
+        const LeaveExpiryScheduler = require("../utils/schedulers/LeaveExpiryScheduler");
+
+        this.leaveExpiryScheduler = new LeaveExpiryScheduler({
+          bot: this.bot,
+          leaveService: await this.serviceBuilder.getOrCreate("leave")
+        });
+
+        await this.leaveExpiryScheduler.start();
+      }
+
+      // TimerGoalScheduler 초기화 (저녁 집중 목표 알림)
+      if (process.env.ENABLE_TIMER_GOAL_NOTICE !== "false") {
+        const TimerGoalScheduler = require("../utils/schedulers/TimerGoalScheduler");
+
+        this.timerGoalScheduler = new TimerGoalScheduler({
+          bot: this.bot,
+          timerService: await this.serviceBuilder.getOrCreate("timer")
+        });
+
+        await this.timerGoalScheduler.start();
       }
 
       this.isInitialized = true;
@@ -112,6 +171,51 @@ class BotController {
     }
   }
 
+  /**
+   * 📤 근무기록 JSON 내보내기
+   * GET /api/worktime/export?month=YYYY-MM
+   * 헤더: Authorization: Bearer <토큰>
+   */
+  async handleWorktimeExport(req, res) {
+    try {
+      const authorization = req.get("Authorization") || "";
+      const token = authorization.startsWith("Bearer ")
+        ? authorization.slice(7).trim()
+        : null;
+
+      if (!token) {
+        return res.status(401).json({ error: "Token required" });
+      }
+
+      if (!this.serviceBuilder) {
+        return res.status(503).json({ error: "Service unavailable" });
+      }
+
+      const worktimeService = await this.serviceBuilder.getOrCreate("worktime");
+      const userId = await worktimeService.findUserIdByExportToken(token);
+
+      if (!userId) {
+        return res.status(401).json({ error: "Invalid token" });
+      }
+
+      const exportData = await worktimeService.getMonthExport(
+        userId,
+        req.query.month || null
+      );
+
+      if (!exportData) {
+        return res
+          .status(400)
+          .json({ error: "Invalid month (expected YYYY-MM)" });
+      }
+
+      res.json(exportData);
+    } catch (error) {
+      logger.error("근무기록 내보내기 API 실패:", error);
+      res.status(500).json({ error: "Internal Server Error" });
+    }
+  }
+
   /**
    * 🌐 Express 서버 초기화 - Railway 502 해결 버전
    */
@@ -129,7 +233,10 @@ class BotController {
       this.app.use((req, res, next) => {
         res.header("Access-Control-Allow-Origin", "*");
         res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-        res.header("Access-Control-Allow-Headers", "Content-Type");
+        res.header(
+          "Access-Control-Allow-Headers",
+          "Content-Type, Authorization"
+        );
         next();
       });
 
@@ -201,6 +308,11 @@ class BotController {
         }
       });
 
+      // 📤 근무기록 내보내기 API (사용자별 토큰, 봇에서 발급)
+      this.app.get("/api/worktime/export", (req, res) =>
+        this.handleWorktimeExport(req, res)
+      );
+
       // ✨ 여기에 웹훅 핸들러 등록 코드를 추가합니다! (404 핸들러보다 앞에)
       if (process.env.RAILWAY_PUBLIC_DOMAIN) {
         const secretPath = `/telegraf/${this.bot.secretPathComponent()}`;
@@ -390,7 +502,8 @@ class BotController {
       // 9. CommandHandler 초기화
       this.commandHandler = new CommandHandler({
         moduleManager: this.moduleManager,
-        navigationHandler: this.navigationHandler
+        navigationHandler: this.navigationHandler,
+        serviceBuilder: this.serviceBuilder
       });
       logger.success("✅ CommandHandler 초기화 완료");
     } catch (error) {
@@ -712,11 +825,14 @@ class BotController {
           chat: ctx.chat
         };
         
+        // "/todo 검색 보고서" → ["검색", "보고서"]
+        const args = (ctx.message?.text || "").trim().split(/\s+/).slice(1);
+
         const handled = await this.commandHandler.handleCommand(
           this.bot, 
           msg, 
           moduleName, 
-          []
+          args
         );
         
         if (!handled) {
@@ -918,6 +1034,31 @@ class BotController {
         logger.info("🛑 ReminderScheduler 중지됨");
       }
 
+      // TodoDigestScheduler 정리
+      if (this.todoDigestScheduler) {
+        await this.todoDigestScheduler.stop();
+      }
+
+      // WorktimeComplianceScheduler 정리
+      if (this.worktimeComplianceScheduler) {
+        await this.worktimeComplianceScheduler.stop();
+      }
+
+      // WorktimeSweepScheduler 정리
+      if (this.worktimeSweepScheduler) {
+        await this.worktimeSweepScheduler.stop();
+      }
+
+      // LeaveExpiryScheduler 정리
+      if (this.leaveExpiryScheduler) {
+        await this.leaveExpiryScheduler.stop();
+      }
+
+      // TimerGoalScheduler 정리
+      if (this.timerGoalScheduler) {
+        await this.timerGoalScheduler.stop();
+      }
+
       // ModuleManager 정리 (EventBus 정리 포함)
       if (this.moduleManager) {
         try {
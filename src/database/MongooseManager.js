@@ -107,6 +107,7 @@ class MongooseManager {
         Worktime: require("./models/Worktime"),
         Leave: require("./models/Leave"),
         UserLeaveSetting: require("./models/UserLeaveSetting"),
+        LeaveTeam: require("./models/LeaveTeam"),
         Reminder: require("./models/Reminder"),
         UserSetting: require("./models/UserSetting"),
         TTSHistory: require("./models/TTSHistory"),
@@ -1,16 +1,23 @@
 // src/database/models/Leave.js - 개인용 연차 관리 모델
 const mongoose = require("mongoose");
+const moment = require("moment-timezone");
 const logger = require("../../utils/core/Logger");
 
+// annual: 연차, sick: 병가, special: 경조사, comp: 대체휴가, official: 공가
+const LEAVE_CATEGORIES = ["annual", "sick", "special", "comp", "official"];
+
 /**
  * 🏖️ Leave - 개인용 연차 사용 기록 모델
  *
  * 🎯 핵심 필드:
  * - userId: 사용자 ID
  * - year: 연도 (2025)
- * - date: 사용 날짜 (2025-07-15)
- * - amount: 사용량 (0.25 ~ 10일, 0.25 단위)
- * - type: 타입 (반반차, 반차, 연차, 연차 X일)
+ * - date: 사용 날짜 (2025-07-15, 기간 사용이면 시작일)
+ * - endDate: 기간 사용의 마지막 날 (하루 사용이면 null)
+ * - workDays: 기간 중 실제 연차가 차감된 근무일 목록 (주말/공휴일 제외)
+ * - amount: 사용량 (0.25 ~ 25일, 0.25 단위)
+ * - category: 휴가 종류 (연차/병가/경조사/대체휴가/공가, 종류별 잔여 따로 관리)
+ * - type: 타입 (반반차, 반차, 연차, 연차 X일, 병가 반차 등 표시용)
  * - reason: 사유 (선택)
  */
 const leaveSchema = new mongoose.Schema(
@@ -39,12 +46,24 @@ const leaveSchema = new mongoose.Schema(
       default: Date.now
     },
 
+    // 📅 기간 사용 마지막 날
+    endDate: {
+      type: Date,
+      default: null
+    },
+
+    // 🗓️ 차감된 근무일 (YYYY-MM-DD)
+    workDays: {
+      type: [String],
+      default: undefined
+    },
+
     // 📊 사용량 - 유연하게 변경
     amount: {
       type: Number,
       required: [true, "사용량은 필수입니다"],
       min: [0.25, "최소 0.25일입니다"],
-      max: [10, "최대 10일까지 가능합니다"],
+      max: [25, "최대 25일까지 가능합니다"],
       validate: {
         validator: function (v) {
           // 0.25 단위로만 허용
@@ -54,6 +73,13 @@ const leaveSchema = new mongoose.Schema(
       }
     },
 
+    // 🗂️ 휴가 종류 (없으면 연차로 취급)
+    category: {
+      type: String,
+      enum: LEAVE_CATEGORIES,
+      default: "annual"
+    },
+
     // 🏷️ 연차 타입 - 유연하게 변경
     type: {
       type: String,
@@ -87,6 +113,7 @@ const leaveSchema = new mongoose.Schema(
 leaveSchema.index({ userId: 1, year: -1 }); // 사용자별, 연도별 조회
 leaveSchema.index({ userId: 1, date: -1 }); // 사용자별, 날짜별 조회
 leaveSchema.index({ userId: 1, year: 1, isActive: 1 }); // 활성 데이터 조회
+leaveSchema.index({ userId: 1, workDays: 1 }); // 달력 조회 (기간 사용)
 
 // ===== 🎯 가상 속성 =====
 leaveSchema.virtual("month").get(function () {
@@ -97,6 +124,10 @@ leaveSchema.virtual("formattedDate").get(function () {
   return this.date ? this.date.toISOString().split("T")[0] : null;
 });
 
+leaveSchema.virtual("isRange").get(function () {
+  return Array.isArray(this.workDays) && this.workDays.length > 0;
+});
+
 // ===== 🎯 Hooks =====
 leaveSchema.pre("save", function (next) {
   // 날짜에서 연도 자동 추출
@@ -130,6 +161,14 @@ leaveSchema.statics.getYearlyUsage = async function (userId, year) {
   }
 
   leaves.forEach((leave) => {
+    // 기간 사용은 근무일마다 1일씩 해당 월에 배분
+    if (leave.isRange) {
+      leave.workDays.forEach((day) => {
+        monthlyUsage[parseInt(day.slice(5, 7))] += 1;
+      });
+      return;
+    }
+
     const month = leave.date.getMonth() + 1;
     monthlyUsage[month] += leave.amount;
   });
@@ -159,20 +198,38 @@ leaveSchema.statics.getMonthlyUsage = async function (userId, year = null) {
         }
       },
       {
-        // 2. 월별 그룹을 만들면서, 'amount' 필드를 합산합니다.
+        // 2. 기간 사용은 근무일별로 펼칩니다. (하루 사용은 null 하나)
+        $unwind: {
+          path: "$workDays",
+          preserveNullAndEmptyArrays: true
+        }
+      },
+      {
+        // 3. 월별 그룹을 만들면서, 'amount' 필드를 합산합니다.
         $group: {
-          _id: { $month: "$date" }, // 👈 'usedDate' -> 'date'로 수정
-          totalDays: { $sum: "$amount" }, // 👈 '$days' -> '$amount'로 수정
-          count: { $sum: 1 }
+          _id: {
+            $cond: [
+              { $ifNull: ["$workDays", false] },
+              { $toInt: { $substrBytes: ["$workDays", 5, 2] } },
+              { $month: "$date" }
+            ]
+          },
+          totalDays: {
+            $sum: { $cond: [{ $ifNull: ["$workDays", false] }, 1, "$amount"] }
+          },
+          leaveIds: { $addToSet: "$_id" }
         }
       },
       {
-        // 3. 월(1-12) 기준으로 오름차순 정렬합니다.
+        $project: { totalDays: 1, count: { $size: "$leaveIds" } }
+      },
+      {
+        // 4. 월(1-12) 기준으로 오름차순 정렬합니다.
         $sort: { _id: 1 }
       }
     ]);
 
-    // 4. 최종 결과를 1월부터 12월까지의 배열 형식으로 가공합니다.
+    // 5. 최종 결과를 1월부터 12월까지의 배열 형식으로 가공합니다.
     const result = Array.from({ length: 12 }, (_, index) => ({
       month: index + 1,
       days: 0,
@@ -205,7 +262,8 @@ leaveSchema.statics.addUsage = async function (
   amount,
   date,
   reason,
-  type
+  type,
+  options = {}
 ) {
   const useDate = date ? new Date(date) : new Date();
 
@@ -225,7 +283,11 @@ leaveSchema.statics.addUsage = async function (
 
   const leave = new this({
     userId: String(userId),
+    year: useDate.getFullYear(),
     date: useDate,
+    endDate: options.endDate ? new Date(options.endDate) : null,
+    workDays: options.workDays,
+    category: options.category || "annual",
     amount: amount,
     type: leaveType,
     reason: reason
@@ -234,12 +296,130 @@ leaveSchema.statics.addUsage = async function (
   return await leave.save();
 };
 
+/**
+ * 📅 특정 기간에 걸친 연차 기록 조회 (달력용)
+ * @param {string} fromDay - YYYY-MM-DD
+ * @param {string} toDay - YYYY-MM-DD
+ * @param {string|null} category - 휴가 종류 (null이면 전체)
+ */
+leaveSchema.statics.findInPeriod = async function (
+  userId,
+  fromDay,
+  toDay,
+  category = null
+) {
+  return await this.find({
+    userId: String(userId),
+    isActive: true,
+    // category가 없는 예전 기록은 연차
+    ...(category && {
+      category: category === "annual" ? { $in: ["annual", null] } : category
+    }),
+    $or: [
+      {
+        date: {
+          $gte: new Date(`${fromDay}T00:00:00+09:00`),
+          $lte: new Date(`${toDay}T23:59:59+09:00`)
+        }
+      },
+      { workDays: { $elemMatch: { $gte: fromDay, $lte: toDay } } }
+    ]
+  }).sort({ date: 1 });
+};
+
+/**
+ * 👥 여러 사용자의 기간 내 연차 기록 (팀 달력용)
+ * @param {string[]} userIds
+ * @param {string} fromDay - YYYY-MM-DD
+ * @param {string} toDay - YYYY-MM-DD
+ * @param {string} timezone - 날짜 경계 기준 타임존
+ */
+leaveSchema.statics.findTeamInPeriod = async function (
+  userIds,
+  fromDay,
+  toDay,
+  timezone = "Asia/Seoul"
+) {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  return await this.find({
+    userId: { $in: userIds.map(String) },
+    isActive: true,
+    $or: [
+      {
+        date: {
+          $gte: moment.tz(fromDay, timezone).startOf("day").toDate(),
+          $lte: moment.tz(toDay, timezone).endOf("day").toDate()
+        }
+      },
+      { workDays: { $elemMatch: { $gte: fromDay, $lte: toDay } } }
+    ]
+  }).sort({ date: 1 });
+};
+
+/**
+ * 📋 사용 내역 (최근 날짜순, 다음 페이지 확인용으로 limit + 1개 조회)
+ */
+leaveSchema.statics.findHistory = async function (
+  userId,
+  { limit = 5, skip = 0 } = {}
+) {
+  return await this.find({ userId: String(userId), isActive: true })
+    .sort({ date: -1, createdAt: -1 })
+    .skip(skip)
+    .limit(limit + 1);
+};
+
+/**
+ * 🔍 사용 기록 하나 조회 (본인 기록만)
+ */
+leaveSchema.statics.findUsage = async function (userId, leaveId) {
+  if (!mongoose.isValidObjectId(leaveId)) {
+    return null;
+  }
+
+  return await this.findOne({
+    _id: leaveId,
+    userId: String(userId),
+    isActive: true
+  });
+};
+
+/**
+ * ✏️ 연차 사용 기록 수정 (날짜/기간, 사용량, 사유)
+ * @param {object} updates - { date, endDate, workDays, amount, type, reason }
+ */
+leaveSchema.statics.updateUsage = async function (userId, leaveId, updates) {
+  const leave = await this.findUsage(userId, leaveId);
+  if (!leave) {
+    return null;
+  }
+
+  if (updates.date) {
+    leave.date = new Date(updates.date);
+    leave.year = leave.date.getFullYear();
+    leave.endDate = updates.endDate ? new Date(updates.endDate) : null;
+    leave.workDays = updates.workDays;
+  }
+  if (updates.amount !== undefined) leave.amount = updates.amount;
+  if (updates.type) leave.type = updates.type;
+  if (updates.reason !== undefined) leave.reason = updates.reason;
+
+  return await leave.save();
+};
+
 /**
  * 🗑️ 연차 사용 기록 삭제 (소프트 삭제)
  */
 leaveSchema.statics.removeUsage = async function (userId, leaveId) {
+  if (!mongoose.isValidObjectId(leaveId)) {
+    return null;
+  }
+
   return await this.findOneAndUpdate(
-    { _id: leaveId, userId: String(userId) },
+    { _id: leaveId, userId: String(userId), isActive: true },
     { isActive: false },
     { new: true }
   );
@@ -0,0 +1,170 @@
+// src/database/models/LeaveTeam.js - 팀(그룹 채팅) 연차 공유 모델
+const mongoose = require("mongoose");
+
+/**
+ * 👥 LeaveTeam - 그룹 채팅별 연차 공유 멤버
+ *
+ * 🎯 핵심 필드:
+ * - chatId: 그룹 채팅 ID
+ * - title: 그룹 이름
+ * - members: 연차 공유에 참여한 사용자 (직접 참여한 사람만)
+ * - maxOffPerDay: 하루에 이 인원보다 많이 쉬면 달력에 표시
+ *
+ * 개인 연차 기록(Leave)은 그대로 두고, 참여한 그룹에서만 보여줌
+ */
+const leaveTeamSchema = new mongoose.Schema(
+  {
+    // 💬 그룹 채팅 ID
+    chatId: {
+      type: String,
+      required: [true, "채팅 ID는 필수입니다"],
+      trim: true
+    },
+
+    // 🏷️ 그룹 이름
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, "그룹 이름은 100자 이하여야 합니다"],
+      default: ""
+    },
+
+    // 🙋 참여 멤버
+    members: [
+      {
+        userId: { type: String, required: true },
+        userName: { type: String, default: "" },
+        joinedAt: { type: Date, default: Date.now }
+      }
+    ],
+
+    // ⚠️ 동시 휴가 기준 인원
+    maxOffPerDay: {
+      type: Number,
+      min: [1, "기준 인원은 1명 이상이어야 합니다"],
+      max: [50, "기준 인원은 50명 이하여야 합니다"],
+      default: () => parseInt(process.env.LEAVE_TEAM_MAX_OFF_PER_DAY) || 2
+    },
+
+    // 🔄 활성 상태
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    collection: "leave_teams"
+  }
+);
+
+// ===== 🎯 인덱스 설정 =====
+leaveTeamSchema.index({ chatId: 1 }, { unique: true }); // 그룹당 하나
+leaveTeamSchema.index({ "members.userId": 1 }); // 사용자가 참여한 그룹 조회
+
+// ===== 🎯 가상 속성 =====
+leaveTeamSchema.virtual("memberIds").get(function () {
+  return this.members.map((member) => member.userId);
+});
+
+// ===== 🎯 정적 메서드 =====
+
+/**
+ * 👥 그룹 조회 또는 생성
+ */
+leaveTeamSchema.statics.getOrCreate = async function (chatId, title = "") {
+  let team = await this.findOne({ chatId: String(chatId) });
+
+  if (!team) {
+    team = new this({ chatId: String(chatId), title });
+    await team.save();
+  } else if (!team.isActive || (title && team.title !== title)) {
+    team.isActive = true;
+    if (title) team.title = title;
+    await team.save();
+  }
+
+  return team;
+};
+
+/**
+ * 🔍 그룹 조회 (없으면 null)
+ */
+leaveTeamSchema.statics.findByChat = async function (chatId) {
+  return await this.findOne({ chatId: String(chatId), isActive: true });
+};
+
+/**
+ * 🙋 참여 (이미 참여했으면 이름만 갱신)
+ * @returns {Promise<{team, joined: boolean}>}
+ */
+leaveTeamSchema.statics.addMember = async function (
+  chatId,
+  title,
+  userId,
+  userName = ""
+) {
+  const team = await this.getOrCreate(chatId, title);
+  const member = team.members.find((item) => item.userId === String(userId));
+
+  if (member) {
+    if (userName && member.userName !== userName) {
+      member.userName = userName;
+      await team.save();
+    }
+    return { team, joined: false };
+  }
+
+  team.members.push({ userId: String(userId), userName });
+  return { team: await team.save(), joined: true };
+};
+
+/**
+ * 👋 참여 취소
+ * @returns {Promise<{team, removed: boolean}>}
+ */
+leaveTeamSchema.statics.removeMember = async function (chatId, userId) {
+  const team = await this.findByChat(chatId);
+  if (!team) {
+    return { team: null, removed: false };
+  }
+
+  const before = team.members.length;
+  team.members = team.members.filter(
+    (member) => member.userId !== String(userId)
+  );
+
+  if (team.members.length === before) {
+    return { team, removed: false };
+  }
+
+  return { team: await team.save(), removed: true };
+};
+
+/**
+ * ⚠️ 동시 휴가 기준 인원 설정
+ */
+leaveTeamSchema.statics.setMaxOffPerDay = async function (
+  chatId,
+  title,
+  maxOffPerDay
+) {
+  const team = await this.getOrCreate(chatId, title);
+  team.maxOffPerDay = maxOffPerDay;
+  return await team.save();
+};
+
+// ===== 🎯 JSON 변환 설정 =====
+leaveTeamSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const LeaveTeam = mongoose.model("LeaveTeam", leaveTeamSchema);
+module.exports = LeaveTeam;
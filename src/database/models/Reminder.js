@@ -173,6 +173,11 @@ const reminderSchema = new mongoose.Schema(
       type: Date,
       default: null
     },
+    // 발송 실패 후 다음 재시도 시각 (이전까지는 발송 대상에서 제외)
+    nextRetryAt: {
+      type: Date,
+      default: null
+    },
     failedAt: {
       type: Date,
       default: null
@@ -358,30 +363,34 @@ reminderSchema.methods.deactivate = function (reason = "user_request") {
 
 /**
  * 🔄 다음 반복 리마인드 생성
+ * @param {Date} after - 이 시각 이후의 첫 회차를 생성 (놓친 회차는 건너뜀)
  */
-reminderSchema.methods.createNextRecurrence = function () {
+reminderSchema.methods.createNextRecurrence = function (after = new Date()) {
   if (!this.isRecurring) {
     throw new Error("반복 리마인드가 아닙니다.");
   }
 
+  const interval = this.recurringInterval || 1;
   let nextTime = new Date(this.reminderTime);
 
-  switch (this.recurringPattern) {
-    case "daily":
-      nextTime.setDate(nextTime.getDate() + this.recurringInterval);
-      break;
-    case "weekly":
-      nextTime.setDate(nextTime.getDate() + 7 * this.recurringInterval);
-      break;
-    case "monthly":
-      nextTime.setMonth(nextTime.getMonth() + this.recurringInterval);
-      break;
-    case "yearly":
-      nextTime.setFullYear(nextTime.getFullYear() + this.recurringInterval);
-      break;
-    default:
-      throw new Error("지원하지 않는 반복 패턴입니다.");
-  }
+  do {
+    switch (this.recurringPattern) {
+      case "daily":
+        nextTime.setDate(nextTime.getDate() + interval);
+        break;
+      case "weekly":
+        nextTime.setDate(nextTime.getDate() + 7 * interval);
+        break;
+      case "monthly":
+        nextTime.setMonth(nextTime.getMonth() + interval);
+        break;
+      case "yearly":
+        nextTime.setFullYear(nextTime.getFullYear() + interval);
+        break;
+      default:
+        throw new Error("지원하지 않는 반복 패턴입니다.");
+    }
+  } while (nextTime <= after);
 
   // 종료 날짜 체크
   if (this.recurringEndDate && nextTime > this.recurringEndDate) {
@@ -1,6 +1,7 @@
 // src/database/models/Timer.js - 🍅 완전 리팩토링 v2.0
 
 const mongoose = require("mongoose");
+const moment = require("moment-timezone");
 // const Utils = require("../../utils"); // unused
 const logger = require("../../utils/core/Logger");
 
@@ -34,6 +35,11 @@ const timerSchema = new mongoose.Schema(
       required: true,
       trim: true
     },
+    // 알림을 보낼 채팅 (재시작 후 세션 복구 시 사용)
+    chatId: {
+      type: String,
+      default: null
+    },
 
     // 🍅 타이머 설정 (여기로 통합 및 수정)
     type: {
@@ -134,6 +140,42 @@ const timerSchema = new mongoose.Schema(
       default: 1,
       min: [1, "사이클 번호는 1 이상이어야 합니다"]
     },
+
+    // 🍅 뽀모도로 세트 정보 (세션 복구 시 다음 단계 계산용)
+    pomodoroSet: {
+      setId: { type: String, default: null },
+      preset: { type: String, default: null },
+      name: { type: String, default: null }, // 저장한 프리셋 이름
+      currentCycle: { type: Number, default: 1 },
+      totalCycles: { type: Number, default: 1 },
+      currentPhase: {
+        type: String,
+        enum: ["focus", "shortBreak", "longBreak"],
+        default: "focus"
+      },
+      focusDuration: { type: Number, default: null },
+      shortBreak: { type: Number, default: null },
+      longBreak: { type: Number, default: null }
+    },
+
+    // 📝 연결된 할일 (집중 세션을 이 할일에 기록)
+    todoId: {
+      type: String,
+      default: null
+    },
+
+    // ⏸️ 자동 시작을 끈 뽀모도로에서 시작 버튼을 기다리는 다음 단계
+    // (끝난 단계의 세션에 남겨 재시작 후에도 이어감)
+    pendingNextPhase: {
+      phase: {
+        type: String,
+        enum: ["focus", "shortBreak", "longBreak"],
+        default: null
+      },
+      duration: { type: Number, default: null },
+      cycle: { type: Number, default: null }
+    },
+
     tags: [
       {
         type: String,
@@ -162,6 +204,10 @@ const timerSchema = new mongoose.Schema(
     lastLiveUpdateAt: {
       type: Date,
       default: null
+    },
+    liveMessageId: {
+      type: Number,
+      default: null
     }
   },
   {
@@ -417,10 +463,14 @@ timerSchema.methods.updateProgress = async function (remainingTime) {
 
 /**
  * 🔄 실시간 업데이트 토글
+ * @param {number} [messageId] - 실시간으로 수정할 타이머 메시지
  */
-timerSchema.methods.toggleLiveUpdate = async function () {
+timerSchema.methods.toggleLiveUpdate = async function (messageId = null) {
   this.liveUpdateEnabled = !this.liveUpdateEnabled;
   this.lastLiveUpdateAt = this.liveUpdateEnabled ? new Date() : null;
+  this.liveMessageId = this.liveUpdateEnabled
+    ? messageId || this.liveMessageId
+    : null;
 
   return await this.save();
 };
@@ -519,25 +569,39 @@ timerSchema.statics.findByUser = function (userId, options = {}) {
   return query;
 };
 
+// 끝난 세션의 진행 시간 (완료 처리 경로에 따라 actualDuration이 비어 있으면 계획 시간)
+const FINISHED_MINUTES = {
+  $cond: [
+    {
+      $and: [
+        { $eq: ["$status", "completed"] },
+        { $eq: [{ $ifNull: ["$actualDuration", 0] }, 0] }
+      ]
+    },
+    "$duration",
+    { $ifNull: ["$actualDuration", 0] }
+  ]
+};
+
 /**
  * 🏆 사용자 최고 기록 조회
+ * - 끝난 세션은 isActive가 false라서 상태로만 거름
  */
 timerSchema.statics.getUserBestRecords = async function (userId) {
   const pipeline = [
     {
       $match: {
         userId: userId.toString(),
-        status: "completed",
-        isActive: true
+        status: "completed"
       }
     },
     {
       $group: {
         _id: "$type",
         totalCompleted: { $sum: 1 },
-        totalMinutes: { $sum: "$actualDuration" },
-        longestSession: { $max: "$actualDuration" },
-        averageDuration: { $avg: "$actualDuration" },
+        totalMinutes: { $sum: FINISHED_MINUTES },
+        longestSession: { $max: FINISHED_MINUTES },
+        averageDuration: { $avg: FINISHED_MINUTES },
         bestCompletionRate: { $max: "$completionRate" }
       }
     }
@@ -548,49 +612,93 @@ timerSchema.statics.getUserBestRecords = async function (userId) {
 
 /**
  * 📊 월별 통계 집계
+ * @returns {Promise<{summary: Object|null, heatmap: Array}>}
+ *   heatmap: 완료한 집중 세션의 시작 시각 기준 요일(1=일 ~ 7=토) x 시간대별 분
  */
-timerSchema.statics.getMonthlyStats = async function (userId, year, month) {
-  const startDate = new Date(year, month - 1, 1);
-  const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+timerSchema.statics.getMonthlyStats = async function (
+  userId,
+  year,
+  month,
+  timezone = "Asia/Seoul"
+) {
+  const monthStart = moment.tz(
+    `${year}-${String(month).padStart(2, "0")}-01`,
+    "YYYY-MM-DD",
+    timezone
+  );
+  const startDate = monthStart.toDate();
+  const endDate = monthStart.clone().endOf("month").toDate();
 
   const pipeline = [
     {
       $match: {
         userId: userId.toString(),
-        startedAt: { $gte: startDate, $lte: endDate },
-        isActive: true
-      }
-    },
-    {
-      $group: {
-        _id: {
-          type: "$type",
-          status: "$status"
-        },
-        count: { $sum: 1 },
-        totalMinutes: { $sum: "$actualDuration" },
-        avgCompletionRate: { $avg: "$completionRate" }
+        startedAt: { $gte: startDate, $lte: endDate }
       }
     },
     {
-      $group: {
-        _id: null,
-        stats: {
-          $push: {
-            type: "$_id.type",
-            status: "$_id.status",
-            count: "$count",
-            totalMinutes: "$totalMinutes",
-            avgCompletionRate: "$avgCompletionRate"
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: {
+                type: "$type",
+                status: "$status"
+              },
+              count: { $sum: 1 },
+              totalMinutes: { $sum: FINISHED_MINUTES },
+              avgCompletionRate: { $avg: "$completionRate" }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              stats: {
+                $push: {
+                  type: "$_id.type",
+                  status: "$_id.status",
+                  count: "$count",
+                  totalMinutes: "$totalMinutes",
+                  avgCompletionRate: "$avgCompletionRate"
+                }
+              },
+              totalSessions: { $sum: "$count" },
+              totalMinutes: { $sum: "$totalMinutes" }
+            }
           }
-        },
-        totalSessions: { $sum: "$count" },
-        totalMinutes: { $sum: "$totalMinutes" }
+        ],
+        heatmap: [
+          { $match: { type: "focus", status: "completed" } },
+          {
+            $group: {
+              _id: {
+                weekday: { $dayOfWeek: { date: "$startedAt", timezone } },
+                hour: { $hour: { date: "$startedAt", timezone } }
+              },
+              minutes: { $sum: FINISHED_MINUTES },
+              count: { $sum: 1 }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              weekday: "$_id.weekday",
+              hour: "$_id.hour",
+              minutes: 1,
+              count: 1
+            }
+          }
+        ]
       }
     }
   ];
 
-  return this.aggregate(pipeline);
+  const [result] = await this.aggregate(pipeline);
+
+  return {
+    summary: result?.summary[0] || null,
+    heatmap: result?.heatmap || []
+  };
 };
 
 /**
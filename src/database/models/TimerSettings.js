@@ -4,8 +4,8 @@ const mongoose = require("mongoose");
 // TimerSettings 스키마 생성
 const timerSettingsSchema = new mongoose.Schema(
   {
-    // 사용자 식별자
-    // userId: { type: String, required: true, unique: true },
+    // 사용자 식별자 (unique는 아래 인덱스에서)
+    userId: { type: String, required: true },
 
     // 시간 설정 (분 단위)
     focusDuration: { type: Number, default: 25, min: 1, max: 120 },
@@ -16,8 +16,10 @@ const timerSettingsSchema = new mongoose.Schema(
     // 기능 설정
     enableNotifications: { type: Boolean, default: true },
     enableStats: { type: Boolean, default: true },
-    autoStartBreak: { type: Boolean, default: false },
-    autoStartFocus: { type: Boolean, default: false },
+    autoStartBreak: { type: Boolean, default: true },
+    autoStartFocus: { type: Boolean, default: true },
+    // 자동 시작을 직접 바꾼 적 있는지 (없으면 저장값과 관계없이 계속 진행)
+    autoStartCustomized: { type: Boolean, default: false },
 
     // 목표 설정
     dailyGoal: { type: Number, default: 8, min: 1, max: 50 },
@@ -35,6 +37,18 @@ const timerSettingsSchema = new mongoose.Schema(
     },
     notificationVolume: { type: Number, default: 0.7, min: 0, max: 1 },
 
+    // 💾 저장한 뽀모도로 프리셋 (저장 시점의 시간 설정)
+    presets: [
+      {
+        key: { type: String, required: true },
+        name: { type: String, required: true, trim: true, maxlength: 20 },
+        focusDuration: { type: Number, min: 1, max: 120 },
+        shortBreakDuration: { type: Number, min: 1, max: 30 },
+        longBreakDuration: { type: Number, min: 5, max: 60 },
+        sessionsBeforeLongBreak: { type: Number, min: 2, max: 10 }
+      }
+    ],
+
     // 활성 상태
     isActive: { type: Boolean, default: true }
   },
@@ -67,13 +81,53 @@ timerSettingsSchema.methods.resetToDefaults = async function () {
   this.sessionsBeforeLongBreak = 4;
   this.enableNotifications = true;
   this.enableStats = true;
-  this.autoStartBreak = false;
-  this.autoStartFocus = false;
+  this.autoStartBreak = true;
+  this.autoStartFocus = true;
+  this.autoStartCustomized = false;
   this.dailyGoal = 8;
   this.weeklyGoal = 40;
   return await this.save();
 };
 
+/**
+ * 💾 현재 시간 설정을 프리셋으로 저장 (같은 이름이면 덮어씀)
+ */
+timerSettingsSchema.methods.savePreset = async function (name) {
+  const values = {
+    name,
+    focusDuration: this.focusDuration,
+    shortBreakDuration: this.shortBreakDuration,
+    longBreakDuration: this.longBreakDuration,
+    sessionsBeforeLongBreak: this.sessionsBeforeLongBreak
+  };
+
+  const existing = this.presets.find((preset) => preset.name === name);
+  if (existing) {
+    Object.assign(existing, values);
+  } else {
+    // 콜백 데이터에 들어가므로 짧은 키 사용
+    this.presets.push({ key: Date.now().toString(36), ...values });
+  }
+
+  return await this.save();
+};
+
+/**
+ * 🗑️ 프리셋 삭제
+ * @returns {Promise<boolean>} 삭제 여부
+ */
+timerSettingsSchema.methods.removePreset = async function (key) {
+  const before = this.presets.length;
+  this.presets = this.presets.filter((preset) => preset.key !== key);
+
+  if (this.presets.length === before) {
+    return false;
+  }
+
+  await this.save();
+  return true;
+};
+
 // ===== 정적 메서드 =====
 
 /**
@@ -30,6 +30,11 @@ const timerStatsSchema = new mongoose.Schema(
     totalCompleted: { type: Number, default: 0 },
     totalStopped: { type: Number, default: 0 },
     totalMinutes: { type: Number, default: 0 },
+    focusMinutes: { type: Number, default: 0 },
+
+    // 🎯 그날의 하루 목표 (나중에 목표를 바꿔도 지난 달성 여부 유지)
+    dailyGoal: { type: Number, default: null },
+    goalNotifiedAt: { type: Date, default: null },
 
     // 추가 메트릭
     longestFocusStreak: { type: Number, default: 0 },
@@ -53,14 +58,42 @@ timerStatsSchema.index({ date: -1 });
 /**
  * 일일 통계 업데이트 또는 생성
  */
-timerStatsSchema.statics.updateDaily = async function (userId, date, updates) {
+timerStatsSchema.statics.updateDaily = async function (
+  userId,
+  date,
+  updates,
+  snapshot = {}
+) {
   return this.findOneAndUpdate(
     { userId: String(userId), date },
-    { $inc: updates },
+    { $inc: updates, ...(Object.keys(snapshot).length && { $set: snapshot }) },
     { upsert: true, new: true }
   );
 };
 
+/**
+ * 🌙 저녁 목표 알림 발송 기록 (하루 한 번)
+ * @returns {Promise<boolean>} 이번에 처음 기록했으면 true
+ */
+timerStatsSchema.statics.claimGoalNotice = async function (
+  userId,
+  date,
+  now = new Date()
+) {
+  try {
+    const result = await this.findOneAndUpdate(
+      { userId: String(userId), date, goalNotifiedAt: null },
+      { $set: { goalNotifiedAt: now } },
+      { upsert: true, new: true }
+    );
+    return !!result;
+  } catch (error) {
+    // 이미 보낸 날은 조건이 안 맞아 upsert가 유니크 인덱스에 걸림
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
 /**
  * 기간별 통계 조회
  */
@@ -1,6 +1,16 @@
 // src/database/models/Todo.js - 인덱스 중복 경고 해결
 const mongoose = require("mongoose");
 
+// ☑️ 세부 항목 (체크리스트)
+const subtaskSchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true, trim: true, maxlength: 200 },
+    completed: { type: Boolean, default: false },
+    completedAt: { type: Date, default: null }
+  },
+  { timestamps: false, versionKey: false }
+);
+
 // Todo 스키마 생성 (독립적인 스키마)
 const todoSchema = new mongoose.Schema(
   {
@@ -10,13 +20,36 @@ const todoSchema = new mongoose.Schema(
       // ✅ 수정: index: true 제거 (아래 schema.index()와 중복되므로)
     },
     text: { type: String, required: true, trim: true, maxlength: 500 },
+    description: { type: String, trim: true, maxlength: 1000, default: null },
     completed: { type: Boolean, default: false },
     completedAt: { type: Date, default: null },
     priority: { type: Number, default: 3, min: 1, max: 5 },
     category: { type: String, default: "일반" },
     tags: [String],
+    subtasks: { type: [subtaskSchema], default: [] },
     dueDate: Date,
-    isActive: { type: Boolean, default: true }
+    isActive: { type: Boolean, default: true },
+    archived: { type: Boolean, default: false },
+    archivedAt: { type: Date, default: null },
+
+    // 🔄 반복 설정 (완료하면 다음 회차 생성)
+    isRecurring: { type: Boolean, default: false },
+    recurringPattern: {
+      type: String,
+      enum: ["daily", "weekly", "monthly", null],
+      default: null
+    },
+    recurringInterval: { type: Number, min: 1, default: 1 },
+    // 같은 반복 시리즈의 첫 할일 ID
+    recurringSeriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Todo",
+      default: null
+    },
+
+    // 🍅 이 할일에 연결해 끝낸 집중 세션 (횟수 / 분)
+    focusCount: { type: Number, min: 0, default: 0 },
+    focusMinutes: { type: Number, min: 0, default: 0 }
   },
   {
     timestamps: true,
@@ -31,6 +64,7 @@ todoSchema.index({ userId: 1, completed: 1 }); // 복합 인덱스 (userId 포
 todoSchema.index({ text: "text", description: "text" }); // 텍스트 검색
 todoSchema.index({ userId: 1, dueDate: 1 }, { sparse: true });
 todoSchema.index({ tags: 1 });
+todoSchema.index({ userId: 1, recurringSeriesId: 1 }, { sparse: true });
 
 // ===== 가상 속성 =====
 
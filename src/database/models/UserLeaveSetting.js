@@ -1,5 +1,6 @@
 // src/database/models/UserLeaveSetting.js - 개인 연차 설정 모델
 const mongoose = require("mongoose");
+const LeaveAccrual = require("../../utils/LeaveAccrual");
 
 /**
  * 👤 UserLeaveSetting - 개인 연차 설정 모델
@@ -7,8 +8,10 @@ const mongoose = require("mongoose");
  * 🎯 핵심 필드:
  * - userId: 사용자 ID
  * - totalLeave: 총 연차 일수 (기본 15일 + 보너스)
- * - joinDate: 입사일 (근속 보너스 계산용)
+ * - joinDate: 입사일 (법정 연차 발생 계산용)
+ * - accrualMode: 연차 부여 기준 (회계연도 / 입사일)
  * - customLeave: 수동 추가/삭제된 연차
+ * - carryOver: 지난 기간에서 이월된 연차 (적용 기간 시작일 기준)
  * - year: 해당 연도
  */
 const userLeaveSettingSchema = new mongoose.Schema(
@@ -42,6 +45,16 @@ const userLeaveSettingSchema = new mongoose.Schema(
       default: null
     },
 
+    // 📐 연차 부여 기준
+    accrualMode: {
+      type: String,
+      enum: Object.values(LeaveAccrual.MODES),
+      default: () =>
+        process.env.LEAVE_ACCRUAL_MODE === LeaveAccrual.MODES.HIRE_DATE
+          ? LeaveAccrual.MODES.HIRE_DATE
+          : LeaveAccrual.MODES.FISCAL
+    },
+
     // 🎁 수동 조정 연차 (관리자나 사용자가 추가/삭제)
     customLeave: {
       type: Number,
@@ -50,13 +63,40 @@ const userLeaveSettingSchema = new mongoose.Schema(
       max: [20, "최대 20일까지 추가 가능합니다"]
     },
 
+    // 📦 이월 연차 (periodStart 기간에만 더해짐)
+    carryOver: {
+      amount: { type: Number, default: 0 },
+      periodStart: { type: String, default: null }, // YYYY-MM-DD
+      fromPeriodEnd: { type: String, default: null }
+    },
+
+    // ⏳ 발송한 소멸 알림 ("기간 종료일:남은 일수")
+    expiryRemindersSent: {
+      type: [String],
+      default: []
+    },
+
     // 📝 설정 변경 이력
     changeHistory: [
       {
         date: { type: Date, default: Date.now },
-        action: { type: String, enum: ["add", "remove", "reset", "join_date"] },
+        action: {
+          type: String,
+          enum: [
+            "add",
+            "remove",
+            "reset",
+            "join_date",
+            "accrual_mode",
+            "carry_over",
+            "leave_edit",
+            "leave_cancel"
+          ]
+        },
         amount: { type: Number, default: 0 },
         reason: { type: String, default: "" },
+        // 사용 기록 수정/취소 대상 (Leave _id)
+        leaveId: { type: String },
         oldValue: { type: Number },
         newValue: { type: Number }
       }
@@ -78,6 +118,7 @@ const userLeaveSettingSchema = new mongoose.Schema(
 // ===== 🎯 인덱스 설정 =====
 userLeaveSettingSchema.index({ userId: 1, year: 1 }, { unique: true }); // 사용자당 연도별 고유
 userLeaveSettingSchema.index({ userId: 1 }); // 사용자별 조회
+userLeaveSettingSchema.index({ userId: 1, "carryOver.periodStart": 1 }); // 이월 조회
 
 // ===== 🎯 가상 속성 =====
 userLeaveSettingSchema.virtual("workYears").get(function () {
@@ -109,7 +150,7 @@ userLeaveSettingSchema.virtual("yearlyBonus").get(function () {
 });
 
 userLeaveSettingSchema.virtual("finalTotalLeave").get(function () {
-  return 15 + this.yearlyBonus + this.customLeave;
+  return this.calculateTotalLeave();
 });
 
 // ===== 🎯 정적 메서드 =====
@@ -130,10 +171,19 @@ userLeaveSettingSchema.statics.getOrCreate = async function (
   });
 
   if (!setting) {
+    // 입사일과 부여 기준은 이전 연도 설정에서 이어받기
+    const previous = await this.findOne({
+      userId: String(userId),
+      year: { $lt: targetYear },
+      isActive: true
+    }).sort({ year: -1 });
+
     setting = new this({
       userId: String(userId),
       year: targetYear,
-      totalLeave: 15
+      totalLeave: 15,
+      joinDate: previous?.joinDate || null,
+      ...(previous?.accrualMode && { accrualMode: previous.accrualMode })
     });
     await setting.save();
   }
@@ -220,12 +270,110 @@ userLeaveSettingSchema.statics.setJoinDate = async function (userId, joinDate) {
 };
 
 /**
- * 🔄 연차 초기화 (신년)
+ * 📐 연차 부여 기준 설정
+ */
+userLeaveSettingSchema.statics.setAccrualMode = async function (userId, mode) {
+  const currentYear = new Date().getFullYear();
+  const setting = await this.getOrCreate(userId, currentYear);
+
+  const oldMode = setting.accrualMode;
+  setting.accrualMode = mode;
+
+  setting.changeHistory.push({
+    action: "accrual_mode",
+    reason: `부여 기준 변경: ${oldMode} → ${mode}`
+  });
+
+  return await setting.save();
+};
+
+/**
+ * 📦 이월 연차 기록 (같은 기간에는 한 번만)
+ * @returns {Promise<{setting, applied: boolean}>}
+ */
+userLeaveSettingSchema.statics.applyCarryOver = async function (
+  userId,
+  periodStart,
+  amount,
+  fromPeriodEnd
+) {
+  const setting = await this.getOrCreate(
+    userId,
+    parseInt(periodStart.slice(0, 4))
+  );
+
+  if (setting.carryOver?.periodStart === periodStart) {
+    return { setting, applied: false };
+  }
+
+  setting.carryOver = { amount, periodStart, fromPeriodEnd };
+  setting.changeHistory.push({
+    action: "carry_over",
+    amount,
+    reason: `${fromPeriodEnd}까지 남은 연차 이월`,
+    oldValue: 0,
+    newValue: amount
+  });
+
+  return { setting: await setting.save(), applied: true };
+};
+
+/**
+ * 📦 기간 시작일에 적용되는 이월 연차
+ */
+userLeaveSettingSchema.statics.findCarryOver = async function (
+  userId,
+  periodStart
+) {
+  const setting = await this.findOne({
+    userId: String(userId),
+    "carryOver.periodStart": periodStart,
+    isActive: true
+  }).lean();
+
+  return setting?.carryOver?.amount || 0;
+};
+
+/**
+ * 📝 사용 기록 수정/취소 이력 (사용 날짜가 속한 연도 설정에 기록)
+ * @param {object} change - { action, leaveId, amount, oldValue, newValue, reason }
+ */
+userLeaveSettingSchema.statics.recordLeaveChange = async function (
+  userId,
+  year,
+  change
+) {
+  const setting = await this.getOrCreate(userId, year);
+
+  setting.changeHistory.push({
+    action: change.action,
+    leaveId: String(change.leaveId),
+    amount: change.amount || 0,
+    reason: change.reason || "",
+    oldValue: change.oldValue,
+    newValue: change.newValue
+  });
+
+  return await setting.save();
+};
+
+/**
+ * 🔄 연차 초기화 (신년) - 이미 있으면 그대로 반환
  */
 userLeaveSettingSchema.statics.resetForNewYear = async function (
   userId,
   newYear
 ) {
+  const existing = await this.findOne({
+    userId: String(userId),
+    year: newYear,
+    isActive: true
+  });
+
+  if (existing) {
+    return existing;
+  }
+
   // 기존 설정에서 입사일만 가져오기
   const lastYearSetting = await this.findOne({
     userId: String(userId),
@@ -238,6 +386,9 @@ userLeaveSettingSchema.statics.resetForNewYear = async function (
     year: newYear,
     totalLeave: 15,
     joinDate: lastYearSetting ? lastYearSetting.joinDate : null,
+    ...(lastYearSetting?.accrualMode && {
+      accrualMode: lastYearSetting.accrualMode
+    }),
     customLeave: 0, // 신년에는 수동 조정 초기화
     changeHistory: [
       {
@@ -255,14 +406,22 @@ userLeaveSettingSchema.statics.resetForNewYear = async function (
 // ===== 🎯 인스턴스 메서드 =====
 
 /**
- * 📊 현재 총 연차 계산
+ * 📐 근로기준법 기준 발생 현황 (기준일 시점)
  */
-userLeaveSettingSchema.methods.calculateTotalLeave = function () {
-  const baseLeave = 15;
-  const bonus = this.yearlyBonus;
-  const custom = this.customLeave;
+userLeaveSettingSchema.methods.getAccrual = function (asOf = new Date()) {
+  return LeaveAccrual.calculate(this.joinDate, {
+    mode: this.accrualMode,
+    asOf
+  });
+};
 
-  return baseLeave + bonus + custom;
+/**
+ * 📊 현재 총 연차 계산 (발생 연차 + 수동 조정)
+ */
+userLeaveSettingSchema.methods.calculateTotalLeave = function (
+  asOf = new Date()
+) {
+  return this.getAccrual(asOf).accrued + this.customLeave;
 };
 
 /**
@@ -273,7 +432,8 @@ userLeaveSettingSchema.methods.getChangesSummary = function () {
     date: change.date.toISOString().split("T")[0],
     action: change.action,
     amount: change.amount,
-    reason: change.reason
+    reason: change.reason,
+    ...(change.leaveId && { leaveId: change.leaveId })
   }));
 };
 
@@ -1,6 +1,16 @@
 // src/database/models/UserSetting.js - 더미 모델
 const mongoose = require("mongoose");
 
+// 🔄 교대근무 근무조 (주 단위로 순환)
+const shiftSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, maxlength: 20 }, // "주간", "야간" 등
+    startTime: { type: String, required: true }, // HH:mm
+    endTime: { type: String, required: true } // HH:mm (시작보다 이르면 다음날)
+  },
+  { _id: false }
+);
+
 const userSettingSchema = new mongoose.Schema(
   {
     userId: { type: String, required: true, unique: true },
@@ -8,7 +18,31 @@ const userSettingSchema = new mongoose.Schema(
     timezone: { type: String, default: "Asia/Seoul" },
     language: { type: String, default: "ko" },
     workStartTime: { type: String, default: "09:00" },
-    workEndTime: { type: String, default: "18:00" }
+    workEndTime: { type: String, default: "18:00" },
+
+    // 🗓️ 근무 형태: 고정 / 선택적 근로시간제 / 교대근무
+    worktimeScheduleType: {
+      type: String,
+      enum: ["fixed", "flexible", "shift"],
+      default: "fixed"
+    },
+    worktimeCoreStartTime: { type: String, default: "10:00" }, // 선택근무 코어타임
+    worktimeCoreEndTime: { type: String, default: "16:00" },
+    worktimeDailyHours: { type: Number, default: 8, min: 1, max: 24 }, // 선택근무 하루 기준
+    worktimeShiftRotation: { type: [shiftSchema], default: [] },
+    worktimeShiftAnchorDate: { type: String, default: null }, // 첫 근무조가 적용되는 주 월요일 YYYY-MM-DD
+
+    // 📋 할일 아침 요약 (opt-in)
+    todoDigestEnabled: { type: Boolean, default: false },
+    todoDigestHour: { type: Number, default: 8, min: 0, max: 23 },
+    todoDigestLastSentDate: { type: String, default: null }, // YYYY-MM-DD (사용자 타임존)
+
+    // 📤 근무기록 내보내기 API 토큰 (SHA-256 해시만 저장)
+    worktimeExportTokenHash: { type: String, default: null, index: true },
+
+    // ⚖️ 주 52시간 경고 발송 기록 (주가 바뀌면 초기화)
+    worktimeAlertWeek: { type: String, default: null }, // 해당 주 월요일 YYYY-MM-DD
+    worktimeAlertsSent: { type: [String], default: [] } // "40", "48", "52", "projected"
   },
   {
     timestamps: true,
@@ -2,6 +2,42 @@
 
 const mongoose = require("mongoose");
 
+// ☕ 휴식/점심 구간 (종료 전이면 endTime: null)
+const breakSchema = new mongoose.Schema(
+  {
+    breakType: {
+      type: String,
+      enum: ["short", "long", "lunch"],
+      default: "short"
+    },
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, default: null },
+    autoClosed: { type: Boolean, default: false } // 퇴근 시 자동 종료됨
+  },
+  { _id: false }
+);
+
+// ✏️ 출퇴근 시각 수정 이력 (감사 기록)
+const editSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      enum: ["checkInTime", "checkOutTime"],
+      required: true
+    },
+    before: { type: Date, default: null },
+    after: { type: Date, default: null },
+    reason: { type: String, maxlength: 100, default: "" },
+    source: {
+      type: String,
+      enum: ["user", "auto"], // auto: 퇴근 미기록 자동 마감
+      default: "user"
+    },
+    editedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const WorktimeSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -25,10 +61,25 @@ const WorktimeSchema = new mongoose.Schema({
   },
 
   workDuration: {
-    type: Number, // 분 단위
+    type: Number, // 분 단위 (휴식 제외 실근무)
+    default: 0
+  },
+
+  grossDuration: {
+    type: Number, // 분 단위 (출근~퇴근 전체)
     default: 0
   },
 
+  breakDuration: {
+    type: Number, // 분 단위 (휴식+점심 합계)
+    default: 0
+  },
+
+  breaks: {
+    type: [breakSchema],
+    default: []
+  },
+
   regularHours: {
     type: Number, // 정규 근무 시간
     default: 0
@@ -39,6 +90,43 @@ const WorktimeSchema = new mongoose.Schema({
     default: 0
   },
 
+  // 🧮 근무 유형별 분 단위 분류 (퇴근 시 계산)
+  regularMinutes: {
+    type: Number, // 설정한 근무시간대 안의 평일 근무
+    default: 0
+  },
+
+  overtimeMinutes: {
+    type: Number, // 근무시간대 밖의 평일 근무
+    default: 0
+  },
+
+  nightMinutes: {
+    type: Number, // 22:00~06:00 근무 (다른 분류와 중복 집계)
+    default: 0
+  },
+
+  holidayMinutes: {
+    type: Number, // 주말·공휴일 근무
+    default: 0
+  },
+
+  holidayName: {
+    type: String, // "토요일", "추석" 등
+    default: null
+  },
+
+  // 🗓️ 근무 형태 기준 지각/조퇴 (출퇴근 시 계산)
+  lateMinutes: {
+    type: Number, // 시업(선택근무는 코어타임 시작)보다 늦은 분
+    default: 0
+  },
+
+  earlyLeaveMinutes: {
+    type: Number, // 종업(선택근무는 코어타임 종료)보다 이른 분
+    default: 0
+  },
+
   workType: {
     type: String,
     enum: ["normal", "overtime", "holiday", "night"], // ✅ "night" 추가!
@@ -51,6 +139,17 @@ const WorktimeSchema = new mongoose.Schema({
     default: "working"
   },
 
+  // 퇴근 미기록으로 자동 마감됨 → 사용자가 실제 퇴근 시각을 확인해야 함
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+
+  editHistory: {
+    type: [editSchema],
+    default: []
+  },
+
   createdAt: {
     type: Date,
     default: Date.now
@@ -1,7 +1,12 @@
 // src/handlers/CommandHandler.js - 🎯 개선된 명령어 핸들러
 
 const logger = require("../utils/core/Logger");
-const { getUserName, getUserId } = require("../utils/core/UserHelper");
+const {
+  getUserName,
+  getUserId,
+  getChatInfo
+} = require("../utils/core/UserHelper");
+const KoreanTimeParser = require("../utils/KoreanTimeParser");
 
 /**
  * ⌨️ CommandHandler - 자연어 명령어 지원 및 불필요한 명령어 정리
@@ -10,6 +15,7 @@ const { getUserName, getUserId } = require("../utils/core/UserHelper");
  * - "두목", "두목님", "두목아", "두목씨" → 시작메뉴
  * - 불필요한 명령어 제거
  * - 자연어 명령어 우선 처리
+ * - 자연어 리마인더 등록 ("내일 오후 3시에 회의 알려줘")
  *
  * ✅ SoC 준수: 순수 라우팅 로직만 담당
  */
@@ -17,6 +23,8 @@ class CommandHandler {
   constructor(options = {}) {
     this.moduleManager = options.moduleManager;
     this.navigationHandler = options.navigationHandler;
+    this.serviceBuilder =
+      options.serviceBuilder || options.moduleManager?.serviceBuilder || null;
 
     // 📊 명령어 처리 통계
     this.stats = {
@@ -27,6 +35,7 @@ class CommandHandler {
       moduleCommands: 0,
       naturalCommands: 0, // 🆕 추가: 자연어 명령어 통계
       doomockCalls: 0, // 🆕 추가: 두목 호출 통계
+      naturalReminders: 0, // 자연어 리마인더 등록 통계
       unknownCommands: 0,
       responseTimeMs: [],
       errorCount: 0,
@@ -334,7 +343,22 @@ class CommandHandler {
         return handled;
       }
 
-      // 🎯 2단계: 모듈 자연어 별칭 체크
+      // 🎯 2단계: 자연어 리마인더 ("30분 뒤 물 마시기 알려줘")
+      // - 그룹 채팅, 모듈이 입력을 기다리는 중(할일 제목, 연차 사유 등)이면 건너뜀
+      if (
+        KoreanTimeParser.hasReminderIntent(messageText) &&
+        !getChatInfo(msg)?.isGroup &&
+        !this.hasPendingModuleInput(userId)
+      ) {
+        const handled = await this.handleNaturalReminder(bot, msg);
+        if (handled) {
+          this.stats.naturalCommands++;
+          this.stats.naturalReminders++;
+          return true;
+        }
+      }
+
+      // 🎯 3단계: 모듈 자연어 별칭 체크
       const moduleMatch = this.findModuleByNaturalAlias(messageText);
       if (moduleMatch) {
         logger.debug(
@@ -351,7 +375,7 @@ class CommandHandler {
         return handled;
       }
 
-      // 🎯 3단계: 기존 명령어 체계로 폴백
+      // 🎯 4단계: 기존 명령어 체계로 폴백
       return false;
     } catch (error) {
       this.stats.errorCount++;
@@ -370,6 +394,118 @@ class CommandHandler {
     }
   }
 
+  /**
+   * ⌨️ 이 사용자의 입력을 기다리는 모듈이 있는지
+   * (모듈마다 userStates / userInputStates에 숫자 또는 문자열 ID로 보관)
+   */
+  hasPendingModuleInput(userId) {
+    const modules = this.moduleManager?.modules;
+    if (!modules) return false;
+
+    return [...modules.values()].some((module) =>
+      [module.userInputStates, module.userStates].some(
+        (states) =>
+          states instanceof Map &&
+          (states.has(userId) || states.has(String(userId)))
+      )
+    );
+  }
+
+  /**
+   * 🔔 자연어 리마인더 등록
+   * @returns {boolean} 시간 표현이 없으면 false (다음 단계로 넘김)
+   */
+  async handleNaturalReminder(bot, msg) {
+    const userId = getUserId(msg.from);
+    const chatId = msg.chat.id;
+    const messageText = msg.text.trim();
+
+    const reminderService =
+      await this.serviceBuilder?.getOrCreate?.("reminder");
+    if (!reminderService) {
+      logger.debug("⚠️ ReminderService를 사용할 수 없어 리마인더 파싱 건너뜀");
+      return false;
+    }
+
+    const timezone = await reminderService.getUserTimezone(userId);
+    const parsed = KoreanTimeParser.parse(messageText, { timezone });
+
+    if (!parsed) {
+      return false;
+    }
+
+    if (parsed.isPast) {
+      await bot.telegram.sendMessage(
+        chatId,
+        `⚠️ ${KoreanTimeParser.formatReminderTime(parsed.reminderTime, timezone)}은(는) 이미 지난 시간이에요.\n다른 시간으로 다시 말씀해주세요.`
+      );
+      return true;
+    }
+
+    const result = await reminderService.createReminder(userId, {
+      text: parsed.text,
+      reminderTime: parsed.reminderTime,
+      timezone: parsed.timezone,
+      isRecurring: parsed.isRecurring,
+      recurringPattern: parsed.recurringPattern,
+      creationMethod: "smart",
+      originalInput: messageText,
+      parsedTimeInfo: parsed.info
+    });
+
+    if (!result.success) {
+      await bot.telegram.sendMessage(chatId, `❌ ${result.message}`);
+      return true;
+    }
+
+    logger.info(
+      `🔔 자연어 리마인더 등록: ${userId} - ${parsed.info.localTime} (${timezone})`
+    );
+
+    await bot.telegram.sendMessage(
+      chatId,
+      this.formatReminderConfirmation(parsed),
+      {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: "⏰ 리마인더 목록", callback_data: "todo:remind_list" },
+              { text: "🏠 메인 메뉴", callback_data: "system:menu" }
+            ]
+          ]
+        }
+      }
+    );
+
+    return true;
+  }
+
+  /**
+   * 📝 리마인더 등록 확인 메시지
+   */
+  formatReminderConfirmation(parsed) {
+    const escape = (text) => String(text).replace(/[_*`[]/g, "\\$&");
+    const lines = [
+      "✅ *리마인더가 등록되었습니다*",
+      "",
+      `📝 ${escape(parsed.text)}`,
+      `⏰ ${KoreanTimeParser.formatReminderTime(parsed.reminderTime, parsed.timezone)}`
+    ];
+
+    if (parsed.isRecurring) {
+      lines.push(
+        `🔄 ${KoreanTimeParser.formatRecurrence(parsed.reminderTime, parsed.recurringPattern, parsed.timezone)} 반복`
+      );
+    }
+
+    if (parsed.timezone !== "Asia/Seoul") {
+      lines.push(`🌐 ${parsed.timezone} 기준`);
+    }
+
+    return lines.join("\n");
+  }
+
   /**
    * 🔍 두목 호출 여부 판단
    */
@@ -638,6 +774,17 @@ class CommandHandler {
         };
 
         const result = await moduleInstance.onHandleMessage(bot, enhancedMsg);
+
+        // 렌더링 결과 객체면 해당 모듈 렌더러로 표시
+        if (result && typeof result === "object") {
+          return await this.renderModuleResult(
+            bot,
+            msg,
+            result.module || moduleInstance.moduleName,
+            result
+          );
+        }
+
         return result !== false;
       }
 
@@ -648,6 +795,27 @@ class CommandHandler {
     }
   }
 
+  /**
+   * 🎨 모듈 결과를 NavigationHandler의 렌더러로 표시
+   */
+  async renderModuleResult(bot, msg, moduleName, result) {
+    const renderer = this.navigationHandler?.renderers?.get(moduleName);
+    if (!renderer) {
+      logger.warn(`⚠️ 렌더러를 찾을 수 없음: ${moduleName}`);
+      return false;
+    }
+
+    const ctx = {
+      message: msg,
+      from: msg.from,
+      chat: msg.chat,
+      reply: (text, extra) => bot.telegram.sendMessage(msg.chat.id, text, extra)
+    };
+
+    await renderer.render(result, ctx);
+    return true;
+  }
+
   findModuleForCommand(command) {
     if (!this.moduleManager) return null;
 
@@ -767,6 +935,7 @@ class CommandHandler {
         module: this.stats.moduleCommands,
         natural: this.stats.naturalCommands, // 🆕
         doomockCalls: this.stats.doomockCalls, // 🆕
+        naturalReminders: this.stats.naturalReminders,
         unknown: this.stats.unknownCommands,
         successRate:
           this.stats.commandsProcessed > 0
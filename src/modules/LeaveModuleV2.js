@@ -3,8 +3,14 @@
  * 완전한 이벤트 기반 아키텍처로 구현된 연차 관리 모듈
  */
 
+const moment = require("moment-timezone");
 const { EVENTS } = require("../events/index");
 const logger = require("../utils/core/Logger");
+const {
+  getUserName,
+  getChatInfo,
+  isAdmin
+} = require("../utils/core/UserHelper");
 const Utils = require("../utils");
 
 class LeaveModuleV2 {
@@ -51,12 +57,26 @@ class LeaveModuleV2 {
       },
       INPUT_STATES: {
         WAITING_CUSTOM_AMOUNT: "waiting_custom_amount",
+        WAITING_RANGE_INPUT: "waiting_range_input",
+        WAITING_EDIT_INPUT: "waiting_edit_input",
         WAITING_JOIN_DATE_INPUT: "waiting_join_date_input"
       },
+      CALENDAR_COMMANDS: ["calendar", "달력"],
+      EDIT_FIELDS: ["date", "amount", "reason"],
+      // 👥 그룹 채팅 명령 ("/leave 팀 달력", "/leave 참여", "/leave 기준 3")
+      TEAM_COMMANDS: {
+        OVERVIEW: ["팀", "team"],
+        CALENDAR: ["달력", "calendar"],
+        JOIN: ["참여", "join"],
+        QUIT: ["나가기", "quit"],
+        LIMIT: ["기준", "limit"]
+      },
+      HISTORY_PAGE_SIZE: 5,
       SETTINGS_ACTIONS: {
         ADD: "add",
         REMOVE: "remove",
-        JOIN_DATE: "joindate"
+        JOIN_DATE: "joindate",
+        ACCRUAL_MODE: "mode"
       }
     };
 
@@ -243,23 +263,59 @@ class LeaveModuleV2 {
 
     // 레거시 콜백을 처리하는 맵
     const actionMap = {
-      menu: () => this.showMenu(userId, chatId),
-      monthly: () => this.publishMonthlyRequest(userId, chatId, params[0]),
-      use: () => this.publishUseFormRequest(userId, chatId),
-      add: () => this.publishUseRequest(userId, chatId, params[0], params[1]),
-      custom: () => this.publishCustomInputStart(userId, chatId),
-      settings: () => this.publishSettingsRequest(userId, chatId),
+      menu: () => {
+        this.clearUserInputState(userId);
+        return this.showMenu(userId, chatId);
+      },
+      monthly: () => this.showMonthly(userId),
+      // "use", "use:sick|special|comp|official"
+      use: () => {
+        this.clearUserInputState(userId); // 직접/기간 입력 취소 포함
+        return this.showUseForm(userId, this.resolveCategory(params));
+      },
+      // "add:quarter|half|full", "add:half:sick"
+      add: () => {
+        const [amountKey, category] = (params || "").split(":");
+        return this.useLeaveAmount(
+          userId,
+          this.constants.LEAVE_AMOUNTS[amountKey],
+          this.resolveCategory(category)
+        );
+      },
+      custom: () =>
+        this.startCustomInput(userId, chatId, this.resolveCategory(params)),
+      range: () =>
+        this.startRangeInput(userId, chatId, this.resolveCategory(params)),
+      // 🗓️ 달력: "calendar", "calendar:YYYY-MM", "calendar:YYYY-MM:DD"
+      calendar: () => this.showCalendar(userId, params),
+      // ⚙️ 설정: "settings", "settings:add:1", "settings:remove:1",
+      // "settings:joindate", "settings:mode:fiscal|hire_date"
+      settings: () => this.handleSettings(userId, chatId, params),
       joindate: () => this.handleJoinDateStart(userId, chatId),
-      config: () => this.publishSettingsRequest(userId, chatId),
+      config: () => this.showSettings(userId),
       balance: () => this.publishBalanceRequest(userId, chatId),
-      history: () => this.publishHistoryRequest(userId, chatId)
+      // 📋 사용 내역: "history[:page]", "entry:<id>", "edit:<field>:<id>",
+      // "cancel:<id>" (확인), "cancel:<id>:yes"
+      history: () => {
+        this.clearUserInputState(userId);
+        return this.showHistory(userId, params);
+      },
+      entry: () => {
+        this.clearUserInputState(userId);
+        return this.showEntry(userId, params);
+      },
+      edit: () => this.startEditInput(userId, chatId, params),
+      cancel: () => this.handleCancel(userId, params),
+      // 👥 팀 연차 (그룹 채팅): "team", "team:cal[:YYYY-MM[:DD]]",
+      // "team:join", "team:quit"
+      team: () => this.handleTeamCallback(callbackQuery, params)
     };
 
     const handler = actionMap[subAction];
     if (handler) {
       const result = await handler();
-      // menu 액션은 렌더러용 결과를 반환
-      if (subAction === "menu" && result) {
+      // 렌더러용 결과(type 포함)는 그대로 반환
+      if (result?.type) {
         return result;
       }
       return {
@@ -287,16 +343,96 @@ class LeaveModuleV2 {
       startTime: Date.now()
     });
 
-    await this.eventBus.publish(EVENTS.RENDER.MESSAGE_REQUEST, {
-      chatId,
-      text: "📅 입사일을 입력하세요 (형식: YYYY-MM-DD)\n예: 2023-01-15",
-      options: {
-        reply_markup: this.createCancelKeyboard(),
-        parse_mode: "Markdown"
+    return {
+      type: "joindate_prompt",
+      module: "leave",
+      success: true,
+      data: {
+        message:
+          "입사일을 입력하세요 (형식: YYYY-MM-DD)\n예: 2023-01-15\n\n입사일로 근로기준법에 따른 연차 발생을 계산합니다."
       }
-    });
+    };
+  }
 
-    return { success: true };
+  /**
+   * ⚙️ 설정 화면 / 설정 변경
+   */
+  async handleSettings(userId, chatId, params = "") {
+    const [action, value] = (params || "").split(":");
+    const { ADD, REMOVE, JOIN_DATE, ACCRUAL_MODE } =
+      this.constants.SETTINGS_ACTIONS;
+
+    this.clearUserInputState(userId); // 입사일 입력 취소 포함
+
+    if (action === JOIN_DATE) {
+      return this.handleJoinDateStart(userId, chatId);
+    }
+
+    let result;
+    if (action === ADD || action === REMOVE) {
+      const amount = parseFloat(value) || 1;
+      result =
+        action === ADD
+          ? await this.leaveService.addLeave(userId, amount)
+          : await this.leaveService.removeLeave(userId, amount);
+    } else if (action === ACCRUAL_MODE) {
+      result = await this.leaveService.setAccrualMode(userId, value);
+    } else {
+      return this.showSettings(userId);
+    }
+
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "settings_success",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
+  }
+
+  async showSettings(userId) {
+    const result = await this.leaveService.getUserSettings(userId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "settings",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
+  }
+
+  /**
+   * 💼 입사일 입력 처리
+   */
+  async handleJoinDateInput(userId, text) {
+    const joinDate = moment.tz(text, "YYYY-MM-DD", true, "Asia/Seoul");
+
+    if (!joinDate.isValid() || joinDate.isAfter(moment.tz("Asia/Seoul"))) {
+      return this.createInputError(
+        userId,
+        "올바른 입사일이 아닙니다. YYYY-MM-DD 형식의 오늘 이전 날짜를 입력하세요."
+      );
+    }
+
+    this.clearUserInputState(userId);
+
+    const result = await this.leaveService.setJoinDate(userId, text);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "settings_success",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
   }
 
   /**
@@ -322,46 +458,723 @@ class LeaveModuleV2 {
     return { success: true };
   }
 
-  async showMenu(userId, chatId) {
+  async showMenu(userId) {
     try {
-      const currentYear = new Date().getFullYear();
-      const totalLeave = 15; // 기본 연차
-      const usedLeave = 0; // 사용한 연차 (실제로는 DB에서 조회)
-      const remainingLeave = totalLeave - usedLeave;
-      const workYears = 1; // 근무 년수 (실제로는 입사일 기준 계산)
+      const statusResult = await this.leaveService.getLeaveStatus(userId);
+      if (!statusResult.success) {
+        return this.createErrorResult(statusResult.message);
+      }
+
+      const balancesResult =
+        await this.leaveService.getCategoryBalances(userId);
 
-      // 렌더러에게 전달할 데이터 구성
       return {
         type: "menu",
         module: "leave",
         success: true,
         data: {
-          title: "🏖️ *휴가 관리*",
-          totalLeave: totalLeave,
-          usedLeave: usedLeave,
-          remainingLeave: remainingLeave,
-          currentYear: currentYear,
-          joinDate: null, // 입사일 정보 (실제로는 DB에서 조회)
-          workYears: workYears,
-          // 호환성을 위해 기존 필드들도 유지
-          totalDays: totalLeave,
-          usedDays: usedLeave,
-          remainingDays: remainingLeave,
-          userId: userId
+          ...statusResult.data,
+          categories: balancesResult.success
+            ? balancesResult.data.categories
+            : []
         }
       };
     } catch (error) {
       logger.error("🏖️ LeaveModuleV2.showMenu 실패:", error);
+      return this.createErrorResult(
+        "휴가 메뉴를 불러오는 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * 📈 월별 현황
+   */
+  async showMonthly(userId) {
+    const result = await this.leaveService.getMonthlyUsage(userId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "monthly",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
+  }
+
+  /**
+   * ➕ 연차 사용 폼 (휴가 종류 선택 포함)
+   */
+  async showUseForm(userId, category = "annual") {
+    try {
+      const balance = await this.leaveService.getCategoryBalance(
+        userId,
+        category
+      );
+
       return {
-        type: "error",
+        type: "use_form",
         module: "leave",
-        success: false,
+        success: true,
         data: {
-          message: "휴가 메뉴를 불러오는 중 오류가 발생했습니다.",
-          canRetry: true
+          ...this.describeCategory(category, balance),
+          categories: Object.entries(this.leaveService.config.categories).map(
+            ([key, rule]) => ({ key, label: rule.label, icon: rule.icon })
+          ),
+          maxContinuousDays: this.config.maxContinuousDays
         }
       };
+    } catch (error) {
+      logger.error("🏖️ LeaveModuleV2.showUseForm 실패:", error);
+      return this.createErrorResult(
+        "연차 사용 화면을 불러오는 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * ✅ 오늘 날짜로 연차 사용 (반반차/반차/연차/직접 입력)
+   */
+  async useLeaveAmount(userId, amount, category = "annual") {
+    if (!amount) {
+      return this.createErrorResult("유효하지 않은 연차량입니다.");
+    }
+
+    const result = await this.leaveService.useLeave(
+      userId,
+      amount,
+      "",
+      null,
+      category
+    );
+    if (!result.success) {
+      return {
+        type: "use_error",
+        module: "leave",
+        success: true,
+        data: { message: result.message }
+      };
+    }
+
+    return {
+      type: "use_success",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
+  }
+
+  /**
+   * ✏️ 직접 입력 시작
+   */
+  async startCustomInput(userId, chatId, category = "annual") {
+    this.setUserInputState(userId, {
+      state: this.constants.INPUT_STATES.WAITING_CUSTOM_AMOUNT,
+      category,
+      chatId,
+      startTime: Date.now()
+    });
+
+    return {
+      type: "custom_input_prompt",
+      module: "leave",
+      success: true,
+      data: {
+        ...(await this.loadCategoryInfo(userId, category)),
+        maxDays: this.config.maxContinuousDays
+      }
+    };
+  }
+
+  /**
+   * 📅 기간 입력 시작
+   */
+  async startRangeInput(userId, chatId, category = "annual") {
+    this.setUserInputState(userId, {
+      state: this.constants.INPUT_STATES.WAITING_RANGE_INPUT,
+      category,
+      chatId,
+      startTime: Date.now()
+    });
+
+    return {
+      type: "range_input_prompt",
+      module: "leave",
+      success: true,
+      data: {
+        ...(await this.loadCategoryInfo(userId, category)),
+        maxDays: this.config.maxContinuousDays
+      }
+    };
+  }
+
+  /**
+   * 📅 기간 연차 사용
+   */
+  async useLeaveRange(userId, range, reason = "", category = "annual") {
+    const result = await this.leaveService.useLeaveRange(
+      userId,
+      range.startDate,
+      range.endDate,
+      reason,
+      category
+    );
+
+    if (!result.success) {
+      return {
+        type: "use_error",
+        module: "leave",
+        success: true,
+        data: { message: result.message }
+      };
+    }
+
+    return {
+      type: "use_success",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
+  }
+
+  /**
+   * 📋 사용 내역
+   */
+  async showHistory(userId, page = 1) {
+    const result = await this.leaveService.getHistory(
+      userId,
+      this.constants.HISTORY_PAGE_SIZE,
+      page
+    );
+    if (!result.success) {
+      return this.createErrorResult(result.message);
     }
+
+    return {
+      type: "history",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
+  }
+
+  /**
+   * 🔍 사용 기록 상세 (수정/취소 버튼)
+   */
+  async showEntry(userId, leaveId) {
+    const result = await this.leaveService.getLeaveEntry(userId, leaveId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "entry_detail",
+      module: "leave",
+      success: true,
+      data: { entry: result.data }
+    };
+  }
+
+  /**
+   * ✏️ 수정 입력 시작 ("date|amount|reason:<id>")
+   */
+  async startEditInput(userId, chatId, params = "") {
+    const [field, leaveId] = (params || "").split(":");
+    if (!this.constants.EDIT_FIELDS.includes(field)) {
+      return this.createErrorResult("수정할 항목을 알 수 없습니다.");
+    }
+
+    const result = await this.leaveService.getLeaveEntry(userId, leaveId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    this.setUserInputState(userId, {
+      state: this.constants.INPUT_STATES.WAITING_EDIT_INPUT,
+      field,
+      leaveId,
+      category: result.data.category,
+      chatId,
+      startTime: Date.now()
+    });
+
+    return {
+      type: "edit_prompt",
+      module: "leave",
+      success: true,
+      data: { field, entry: result.data }
+    };
+  }
+
+  /**
+   * ✏️ 수정 입력 처리
+   */
+  async handleEditInput(userId, text, inputState) {
+    const { field, leaveId } = inputState;
+    const changes = {};
+
+    if (field === "date") {
+      const range = this.leaveService.parseDateRange(text);
+      if (!range) {
+        return this.createInputError(
+          userId,
+          "날짜 형식을 알 수 없어요. 예: `10/20` 또는 `8/4-8/8`"
+        );
+      }
+      changes.startDate = range.startDate;
+      changes.endDate = range.endDate;
+    } else if (field === "amount") {
+      const amount = parseFloat(text);
+      if (isNaN(amount)) {
+        return this.createInputError(userId, "일수를 숫자로 입력해 주세요.");
+      }
+      changes.amount = amount;
+    } else {
+      // "-"는 사유 지우기
+      changes.reason = text === "-" ? "" : text;
+    }
+
+    const result = await this.leaveService.updateLeave(
+      userId,
+      leaveId,
+      changes
+    );
+    if (!result.success) {
+      return this.createInputError(userId, result.message);
+    }
+
+    this.clearUserInputState(userId);
+    return {
+      type: "entry_updated",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
+  }
+
+  /**
+   * 🗑️ 사용 취소 ("<id>"는 확인 화면, "<id>:yes"는 실제 취소)
+   */
+  async handleCancel(userId, params = "") {
+    const [leaveId, confirm] = (params || "").split(":");
+
+    if (confirm !== "yes") {
+      const result = await this.leaveService.getLeaveEntry(userId, leaveId);
+      if (!result.success) {
+        return this.createErrorResult(result.message);
+      }
+
+      return {
+        type: "cancel_confirm",
+        module: "leave",
+        success: true,
+        data: { entry: result.data }
+      };
+    }
+
+    const result = await this.leaveService.cancelLeave(userId, leaveId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "entry_cancelled",
+      module: "leave",
+      success: true,
+      data: result.data
+    };
+  }
+
+  // ===== 👥 팀 연차 (그룹 채팅) =====
+
+  /**
+   * 👥 그룹 명령 처리 (개인 연차 기능은 1:1 대화에서만)
+   */
+  async handleTeamCommand(bot, message, args = []) {
+    const { TEAM_COMMANDS } = this.constants;
+    const chat = message.chat;
+    const [action, value] = TEAM_COMMANDS.OVERVIEW.includes(args[0])
+      ? args.slice(1)
+      : args;
+
+    if (TEAM_COMMANDS.CALENDAR.includes(action)) {
+      return this.showTeamCalendar(chat.id, value);
+    }
+    if (TEAM_COMMANDS.JOIN.includes(action)) {
+      return this.joinTeam(chat, message.from);
+    }
+    if (TEAM_COMMANDS.QUIT.includes(action)) {
+      return this.quitTeam(chat, message.from?.id);
+    }
+    if (TEAM_COMMANDS.LIMIT.includes(action)) {
+      if (!(await this.canManageTeam(bot, message))) {
+        return this.createErrorResult(
+          "기준 인원은 그룹 관리자만 바꿀 수 있어요."
+        );
+      }
+
+      const result = await this.leaveService.setTeamMaxOff(
+        chat,
+        parseInt(value)
+      );
+      if (!result.success) {
+        return this.createErrorResult(result.message);
+      }
+      return this.showTeamOverview(chat.id, result.message);
+    }
+
+    return this.showTeamOverview(chat.id);
+  }
+
+  /**
+   * 🔑 팀 설정 권한 (봇 관리자 또는 그룹 관리자)
+   */
+  async canManageTeam(bot, message) {
+    if (isAdmin(message)) {
+      return true;
+    }
+
+    try {
+      const admins = await bot.telegram.getChatAdministrators(message.chat.id);
+      return admins.some((admin) => admin.user?.id === message.from?.id);
+    } catch (error) {
+      logger.warn(`👥 그룹 관리자 조회 실패: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 👥 팀 콜백 처리
+   */
+  async handleTeamCallback(callbackQuery, params = "") {
+    const chatInfo = getChatInfo(callbackQuery);
+    if (!chatInfo?.isGroup) {
+      return this.createErrorResult("팀 연차는 그룹 채팅에서 볼 수 있어요.");
+    }
+
+    const [action, ...rest] = (params || "").split(":");
+    const chat = callbackQuery.message.chat;
+
+    switch (action) {
+      case "cal":
+        return this.showTeamCalendar(chat.id, rest.join(":"));
+      case "join":
+        return this.joinTeam(chat, callbackQuery.from);
+      case "quit":
+        return this.quitTeam(chat, callbackQuery.from.id);
+      default:
+        return this.showTeamOverview(chat.id);
+    }
+  }
+
+  /**
+   * 👥 오늘 / 이번 주 팀 현황
+   */
+  async showTeamOverview(chatId, notice = null) {
+    const result = await this.leaveService.getTeamOverview(chatId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "team_overview",
+      module: "leave",
+      success: true,
+      data: { ...result.data, notice }
+    };
+  }
+
+  /**
+   * 🗓️ 팀 월 달력 ("YYYY-MM" 또는 "YYYY-MM:DD", 비우면 이번 달)
+   */
+  async showTeamCalendar(chatId, params = "") {
+    const [monthText, dayText] = (params || "").split(":");
+    const [year, month] = (monthText || "").split("-").map(Number);
+
+    const result = await this.leaveService.getTeamCalendar(
+      chatId,
+      year || null,
+      month || null
+    );
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    const selectedDay = parseInt(dayText);
+    return {
+      type: "team_calendar",
+      module: "leave",
+      success: true,
+      data: {
+        ...result.data,
+        selected:
+          result.data.days.find((day) => day.day === selectedDay) || null
+      }
+    };
+  }
+
+  async joinTeam(chat, from) {
+    const result = await this.leaveService.joinTeam(
+      chat,
+      from.id,
+      getUserName(from)
+    );
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return this.showTeamOverview(chat.id, result.message);
+  }
+
+  async quitTeam(chat, userId) {
+    const result = await this.leaveService.leaveTeam(chat.id, userId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return this.showTeamOverview(chat.id, result.message);
+  }
+
+  /**
+   * 🗓️ 월 달력 ("YYYY-MM" 또는 "YYYY-MM:DD", 비우면 이번 달)
+   */
+  async showCalendar(userId, params = "") {
+    const [monthText, dayText] = (params || "").split(":");
+    const [year, month] = (monthText || "").split("-").map(Number);
+
+    const result = await this.leaveService.getMonthCalendar(
+      userId,
+      year || null,
+      month || null
+    );
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    const selectedDay = parseInt(dayText);
+    return {
+      type: "calendar",
+      module: "leave",
+      success: true,
+      data: {
+        ...result.data,
+        selected:
+          result.data.days.find((day) => day.day === selectedDay) || null
+      }
+    };
+  }
+
+  /**
+   * 💬 텍스트 입력 처리 (직접 입력 / 기간 입력 / "/leave 달력", "/leave 8/4-8/8 사유",
+   * "/leave 병가 8/4-8/5 사유")
+   */
+  async onHandleMessage(bot, message) {
+    const userId = message.from?.id;
+    const text = message.text?.trim();
+
+    // 👥 그룹 채팅에서는 팀 명령만 처리 (입력 대기 상태는 1:1 대화용)
+    if (getChatInfo(message)?.isGroup) {
+      return message.commandInfo
+        ? this.handleTeamCommand(bot, message, message.commandInfo.args || [])
+        : false;
+    }
+
+    if (message.commandInfo) {
+      const args = message.commandInfo.args || [];
+      if (this.constants.CALENDAR_COMMANDS.includes(args[0])) {
+        this.clearUserInputState(userId);
+        return this.showCalendar(userId, args[1]);
+      }
+
+      const category = this.findCategoryByLabel(args[0]);
+      const parsed = this.parseRangeInput(
+        (category ? args.slice(1) : args).join(" ")
+      );
+      if (parsed) {
+        this.clearUserInputState(userId);
+        return this.useLeaveRange(
+          userId,
+          parsed.range,
+          parsed.reason,
+          category || "annual"
+        );
+      }
+      return false;
+    }
+
+    const inputState = this.getUserInputState(userId);
+    if (!text || !inputState) {
+      return false;
+    }
+
+    const {
+      WAITING_CUSTOM_AMOUNT,
+      WAITING_RANGE_INPUT,
+      WAITING_EDIT_INPUT,
+      WAITING_JOIN_DATE_INPUT
+    } = this.constants.INPUT_STATES;
+    if (
+      ![
+        WAITING_CUSTOM_AMOUNT,
+        WAITING_RANGE_INPUT,
+        WAITING_EDIT_INPUT,
+        WAITING_JOIN_DATE_INPUT
+      ].includes(inputState.state)
+    ) {
+      return false;
+    }
+
+    if (text === "취소" || text === "/cancel") {
+      this.clearUserInputState(userId);
+      return {
+        type: "input_cancelled",
+        module: "leave",
+        success: true,
+        data: {}
+      };
+    }
+
+    if (inputState.state === WAITING_JOIN_DATE_INPUT) {
+      return this.handleJoinDateInput(userId, text);
+    }
+
+    if (inputState.state === WAITING_EDIT_INPUT) {
+      return this.handleEditInput(userId, text, inputState);
+    }
+
+    const category = inputState.category || "annual";
+
+    if (inputState.state === WAITING_RANGE_INPUT) {
+      const parsed = this.parseRangeInput(text);
+      if (!parsed) {
+        return this.createInputError(
+          userId,
+          "기간 형식을 알 수 없어요. 예: `8/4-8/8 여름휴가`"
+        );
+      }
+
+      this.clearUserInputState(userId);
+      return this.useLeaveRange(userId, parsed.range, parsed.reason, category);
+    }
+
+    const amount = parseFloat(text);
+    if (
+      isNaN(amount) ||
+      this.leaveService.validateCategoryAmount(category, amount)
+    ) {
+      const { unit } = this.leaveService.config.categories[category];
+      return this.createInputError(
+        userId,
+        `${unit}일 단위로 최대 ${this.config.maxContinuousDays}일까지 입력할 수 있어요.`
+      );
+    }
+
+    this.clearUserInputState(userId);
+    return this.useLeaveAmount(userId, amount, category);
+  }
+
+  /**
+   * 🗂️ 콜백 파라미터 → 휴가 종류 (모르는 값은 연차)
+   */
+  resolveCategory(value) {
+    return value && this.leaveService.config.categories[value]
+      ? value
+      : "annual";
+  }
+
+  /**
+   * 🗂️ "병가", "sick" 같은 명령 인자 → 휴가 종류
+   */
+  findCategoryByLabel(word) {
+    if (!word) return null;
+
+    const entry = Object.entries(this.leaveService.config.categories).find(
+      ([key, rule]) => key === word || rule.label === word
+    );
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * 🗂️ 렌더러용 휴가 종류 정보 + 잔여
+   */
+  describeCategory(category, balance) {
+    const rule = this.leaveService.config.categories[category];
+
+    return {
+      category,
+      categoryLabel: rule.label,
+      categoryIcon: rule.icon,
+      unit: rule.unit,
+      unlimited: !!rule.unlimited,
+      remainingLeave: balance ? balance.remaining : 0
+    };
+  }
+
+  async loadCategoryInfo(userId, category) {
+    try {
+      const balance = await this.leaveService.getCategoryBalance(
+        userId,
+        category
+      );
+      return this.describeCategory(category, balance);
+    } catch (error) {
+      logger.warn(`🗂️ 휴가 잔여 조회 실패: ${userId} - ${error.message}`);
+      return this.describeCategory(category, null);
+    }
+  }
+
+  /**
+   * 📝 "8/4 ~ 8/8 여름휴가" → 기간 + 사유 (기간이 가장 길게 맞는 앞부분 기준)
+   */
+  parseRangeInput(text) {
+    const tokens = (text || "").trim().split(/\s+/).filter(Boolean);
+
+    for (let i = tokens.length; i > 0; i--) {
+      const range = this.leaveService.parseDateRange(
+        tokens.slice(0, i).join(" ")
+      );
+      if (range) {
+        return { range, reason: tokens.slice(i).join(" ").slice(0, 100) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * ⚠️ 입력 오류 (입력 상태 유지, 대기 시간 연장)
+   */
+  async createInputError(userId, message) {
+    const inputState = this.getUserInputState(userId);
+    if (inputState) {
+      this.setUserInputState(userId, { ...inputState, startTime: Date.now() });
+    }
+
+    return {
+      type: "input_error",
+      module: "leave",
+      success: true,
+      data: {
+        message,
+        // 수정 입력 중이면 취소 시 상세 화면으로
+        ...(inputState?.leaveId && { leaveId: inputState.leaveId }),
+        ...(await this.loadCategoryInfo(
+          userId,
+          inputState?.category || "annual"
+        ))
+      }
+    };
+  }
+
+  createErrorResult(message) {
+    return {
+      type: "error",
+      module: "leave",
+      success: false,
+      data: { message, canRetry: true }
+    };
   }
 
   /**
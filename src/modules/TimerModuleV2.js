@@ -11,6 +11,7 @@
 const { EVENTS } = require("../events/EventRegistry");
 const logger = require("../utils/core/Logger");
 const StateCleanupHelper = require("../utils/core/StateCleanupHelper");
+const BaseRenderer = require("../renderers/BaseRenderer");
 
 class TimerModuleV2 {
   constructor(moduleName = "timer", options = {}) {
@@ -29,15 +30,25 @@ class TimerModuleV2 {
     
     // 서비스 인스턴스
     this.timerService = null;
+    this.todoService = null; // 뽀모도로-할일 연결용 (선택)
 
     // 메모리 기반 타이머 상태 관리
     this.activeTimers = new Map(); // userId -> timer state
+    this.pendingPhases = new Map(); // userId -> 자동 시작하지 않고 기다리는 다음 단계 (끝난 세션에도 기록)
     this.userStates = new Map(); // userId -> user interaction state
     this.subscriptions = [];
 
     // 상태 정리 인터벌
     this.cleanupInterval = null;
 
+    // 실시간 업데이트 설정 (텔레그램 수정 제한 때문에 30초 이상 권장)
+    this.config = {
+      liveUpdateInterval:
+        parseInt(process.env.TIMER_LIVE_UPDATE_INTERVAL) || 30000,
+      todoSelectLimit: 6, // 뽀모도로 시작 시 고를 수 있는 할일 수
+      ...options.config
+    };
+
     // 뽀모도로 프리셋 설정
     this.pomodoroPresets = {
       pomodoro1: {
@@ -56,6 +67,35 @@ class TimerModuleV2 {
       }
     };
 
+    // ⚙️ 설정 화면에서 ➖/➕로 바꾸는 항목 (TimerSettings 필드)
+    this.settingFields = {
+      focus: { key: "focusDuration", label: "🍅 집중", unit: "분", step: 5 },
+      short: {
+        key: "shortBreakDuration",
+        label: "☕ 짧은 휴식",
+        unit: "분",
+        step: 1
+      },
+      long: {
+        key: "longBreakDuration",
+        label: "🌴 긴 휴식",
+        unit: "분",
+        step: 5
+      },
+      cycles: {
+        key: "sessionsBeforeLongBreak",
+        label: "🔁 긴 휴식까지",
+        unit: "회",
+        step: 1
+      }
+    };
+
+    // 🎯 집중 목표 (완료한 집중 세션 수)
+    this.goalFields = {
+      daily: { key: "dailyGoal", label: "🎯 하루 목표", unit: "회", step: 1 },
+      weekly: { key: "weeklyGoal", label: "📅 주간 목표", unit: "회", step: 5 }
+    };
+
     // 타이머 타입별 기본 설정
     this.timerDefaults = {
       focus: { duration: 25, display: "집중" },
@@ -82,11 +122,24 @@ class TimerModuleV2 {
             error.message
           );
         }
+
+        try {
+          this.todoService = await this.serviceBuilder?.getOrCreate?.("todo");
+        } catch (error) {
+          logger.warn(
+            "TodoService 로드 실패, 할일 연결 없이 동작:",
+            error.message
+          );
+        }
       }
 
       // EventBus 리스너 설정
       this.setupEventListeners();
 
+      // 재시작 전 실행 중이던 타이머 / 기다리던 다음 단계 복구
+      await this.restoreActiveSessions();
+      await this.restorePendingPhases();
+
       // 자동 상태 정리 설정
       this.cleanupInterval = StateCleanupHelper.setupAutoCleanup(
         this.userStates,
@@ -188,6 +241,17 @@ class TimerModuleV2 {
   async handleCallback(bot, callbackQuery, subAction, params, moduleManager) {
     const userId = callbackQuery.from.id;
     const chatId = callbackQuery.message.chat.id;
+    const messageId = callbackQuery.message.message_id;
+
+    // 실시간 메시지가 다른 화면으로 바뀌면 더 이상 수정하지 않음
+    // (메시지에 있는 일시정지/재개 버튼은 같은 타이머이므로 유지)
+    const liveTimer = this.activeTimers.get(userId);
+    if (
+      liveTimer?.liveMessageId === messageId &&
+      !["refresh", "status", "live", "pause", "resume"].includes(subAction)
+    ) {
+      liveTimer.liveMessageId = null;
+    }
 
     // 레거시 콜백을 처리하는 맵
     const actionMap = {
@@ -197,21 +261,48 @@ class TimerModuleV2 {
       resume: () => this.handleTimerResume(userId, chatId),
       stop: () => this.handleTimerStop(userId, chatId),
       reset: () => this.handleTimerReset(userId, chatId),
-      refresh: () => this.handleTimerRefresh(userId, chatId),
+      refresh: () => this.handleTimerRefresh(userId, messageId),
+      status: () => this.showTimerStatus(userId, messageId),
+      live: () => this.toggleLiveUpdate(userId, messageId),
       pomodoro_start: () => this.handlePomodoroStart(userId, chatId, params),
-      pomodoro1: () => this.handlePomodoroPreset(userId, chatId, "pomodoro1"),
-      pomodoro2: () => this.handlePomodoroPreset(userId, chatId, "pomodoro2"),
-      pomodoro3: () => this.handlePomodoroPreset(userId, chatId, "pomodoro3"),
+      pomodoro1: () =>
+        this.handlePomodoroPreset(userId, chatId, "pomodoro1", params),
+      pomodoro2: () =>
+        this.handlePomodoroPreset(userId, chatId, "pomodoro2", params),
+      pomodoro3: () =>
+        this.handlePomodoroPreset(userId, chatId, "pomodoro3", params),
+      // 내 설정 / 저장한 프리셋: "pomodoro:<presetKey>[:<todoId>]"
+      pomodoro: () => {
+        const [presetKey, ...rest] = String(params || "").split(":");
+        return this.handlePomodoroPreset(
+          userId,
+          chatId,
+          presetKey,
+          rest.join(":")
+        );
+      },
+      next: () => this.startPendingPhase(userId, messageId, params),
+      settings: () => {
+        this.userStates.delete(String(userId)); // 프리셋 이름 입력 취소 포함
+        return this.showSettings(userId);
+      },
+      set: () => this.adjustSetting(userId, params),
+      auto: () => this.toggleAutoStart(userId, params),
+      toggleNotifications: () => this.toggleNotifications(userId),
+      reset_settings: () => this.resetSettings(userId),
+      preset_save: () => this.startPresetSave(userId),
+      preset_del: () => this.deletePreset(userId, params),
       custom_setup: () => this.handleCustomSetup(userId, chatId),
       stats: () => this.showStats(userId, chatId),
+      heatmap: () => this.showHeatmap(userId),
       history: () => this.showHistory(userId, chatId)
     };
 
     const handler = actionMap[subAction];
     if (handler) {
       const result = await handler();
-      // menu, stats, history 액션은 렌더러용 결과를 반환
-      if (["menu", "stats", "history"].includes(subAction) && result) {
+      // 렌더러용 결과(type 있음)는 그대로 반환
+      if (result?.type) {
         return result;
       }
       return {
@@ -308,7 +399,8 @@ class TimerModuleV2 {
           await this.timerService.startSession(userId, {
             type: validatedType,
             duration: finalDuration,
-            userName: event.payload.userName || "사용자" // 기본값 제공
+            userName: event.payload.userName || "사용자", // 기본값 제공
+            chatId
           });
         } catch (error) {
           logger.warn("DB 세션 저장 실패 (계속 진행):", error.message);
@@ -434,6 +526,7 @@ class TimerModuleV2 {
       );
 
       // 타이머 정리
+      this.stopTimerTick(timer);
       this.activeTimers.delete(userId);
 
       // DB 업데이트 (서비스 있을 때만)
@@ -534,14 +627,33 @@ class TimerModuleV2 {
 
   /**
    * 🍅 뽀모도로 프리셋 선택 처리 (레거시 콜백용)
+   * - params 없이 누르면 집중할 할일부터 고르게 함
+   * - "<todoId>"면 그 할일에 연결, "none"이면 할일 없이 시작
    */
-  async handlePomodoroPreset(userId, chatId, presetKey) {
+  async handlePomodoroPreset(userId, chatId, presetKey, params) {
     try {
-      const preset = this.pomodoroPresets[presetKey];
+      const preset = await this.resolvePreset(userId, presetKey);
       if (!preset) {
         throw new Error("잘못된 뽀모도로 프리셋입니다.");
       }
 
+      const todoParam = params ? String(params).split(":")[0] : "";
+      if (!todoParam && this.todoService) {
+        const selection = await this.getTodoSelection(
+          userId,
+          presetKey,
+          preset.name
+        );
+        if (selection) {
+          return selection;
+        }
+      }
+
+      const todo =
+        todoParam && todoParam !== "none"
+          ? await this.findLinkedTodo(userId, todoParam)
+          : null;
+
       // 기존 타이머 정리
       await this.cleanupExistingTimer(userId);
 
@@ -553,22 +665,32 @@ class TimerModuleV2 {
         isPomodoro: true,
         pomodoroData: {
           preset: presetKey,
+          presetData: preset,
           currentCycle: 1,
           totalCycles: preset.cycles,
           currentPhase: "focus"
-        }
+        },
+        todoId: todo?.id,
+        todoText: todo?.text
       });
 
       // DB에 세션 저장
       if (this.timerService) {
         try {
-          await this.timerService.startPomodoroSet(userId, {
+          const result = await this.timerService.startPomodoroSet(userId, {
             preset: presetKey,
+            presetName: preset.name,
             focusDuration: preset.focus,
-            shortBreakDuration: preset.shortBreak,
-            longBreakDuration: preset.longBreak,
-            totalCycles: preset.cycles
+            shortBreak: preset.shortBreak,
+            longBreak: preset.longBreak,
+            cycles: preset.cycles,
+            chatId,
+            todoId: todo?.id
           });
+
+          if (result.success) {
+            timer.pomodoroData.setId = result.data.setId;
+          }
         } catch (error) {
           logger.warn("뽀모도로 세트 DB 저장 실패:", error.message);
         }
@@ -580,9 +702,13 @@ class TimerModuleV2 {
       return {
         type: "pomodoro_started",
         module: "timer",
+        success: true,
         data: {
-          preset: preset.name,
-          timerData: this.getTimerDisplayData(timer)
+          preset: presetKey,
+          presetName: preset.name,
+          presetData: preset,
+          timer: this.getTimerDisplayData(timer),
+          message: `🍅 ${preset.name}를 시작했습니다!`
         }
       };
     } catch (error) {
@@ -590,11 +716,190 @@ class TimerModuleV2 {
       return {
         type: "error",
         module: "timer",
-        error: error.message
+        error: error.message,
+        data: { message: error.message }
       };
     }
   }
 
+  /**
+   * 🍅 프리셋 조회
+   * - pomodoro1/2: 기본 프리셋
+   * - my: 내 타이머 설정 (TimerSettings)
+   * - 그 외: 저장한 프리셋 key
+   */
+  async resolvePreset(userId, presetKey) {
+    if (this.pomodoroPresets[presetKey]) {
+      return this.pomodoroPresets[presetKey];
+    }
+
+    const settings = await this.loadSettings(userId);
+    if (!settings) {
+      return null;
+    }
+
+    const source =
+      presetKey === "my"
+        ? { ...settings, name: "내 설정" }
+        : (settings.presets || []).find((preset) => preset.key === presetKey);
+
+    return source ? this.toPomodoroPreset(source) : null;
+  }
+
+  /**
+   * 🔄 TimerSettings 형식 → 뽀모도로 프리셋 형식
+   */
+  toPomodoroPreset(source) {
+    return {
+      name: source.name,
+      focus: source.focusDuration,
+      shortBreak: source.shortBreakDuration,
+      longBreak: source.longBreakDuration,
+      cycles: source.sessionsBeforeLongBreak
+    };
+  }
+
+  /**
+   * 🍅 진행 중인 뽀모도로의 프리셋 (저장한 프리셋은 시작 시점 값 유지)
+   */
+  getTimerPreset(timer) {
+    const { pomodoroData } = timer;
+    return pomodoroData.presetData || this.pomodoroPresets[pomodoroData.preset];
+  }
+
+  /**
+   * ⚙️ 사용자 타이머 설정 (서비스가 없거나 실패하면 null)
+   */
+  async loadSettings(userId) {
+    if (!this.timerService) {
+      return null;
+    }
+
+    try {
+      const result = await this.timerService.getUserSettings(userId);
+      return result.success ? result.data : null;
+    } catch (error) {
+      logger.warn("타이머 설정 조회 실패:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * ▶️ 다음 단계 자동 시작 여부 (설정을 못 읽으면 바로 시작)
+   */
+  async shouldAutoStart(userId, phase) {
+    const settings = await this.loadSettings(userId);
+    if (!settings) {
+      return true;
+    }
+
+    return phase === "focus"
+      ? !!settings.autoStartFocus
+      : !!settings.autoStartBreak;
+  }
+
+  /**
+   * 📝 집중할 할일 선택 화면 (진행 중인 할일이 없으면 null)
+   */
+  async getTodoSelection(userId, presetKey, presetName) {
+    try {
+      const result = await this.todoService.getTodos(userId, {
+        limit: this.config.todoSelectLimit
+      });
+
+      if (!result.success || result.data.todos.length === 0) {
+        return null;
+      }
+
+      return {
+        type: "todo_select",
+        module: "timer",
+        success: true,
+        data: {
+          preset: presetKey,
+          presetName,
+          todos: result.data.todos.map((todo) => ({
+            id: String(todo._id),
+            text: todo.text,
+            focusCount: todo.focusCount || 0
+          })),
+          totalCount: result.data.totalCount
+        }
+      };
+    } catch (error) {
+      logger.warn("할일 목록 조회 실패, 할일 없이 시작:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 🔍 연결할 할일 조회 (못 찾으면 할일 없이 시작)
+   */
+  async findLinkedTodo(userId, todoId) {
+    if (!this.todoService) {
+      return null;
+    }
+
+    try {
+      const result = await this.todoService.getTodoById(userId, todoId);
+      return result.success
+        ? { id: String(result.data._id), text: result.data.text }
+        : null;
+    } catch (error) {
+      logger.warn("연결할 할일 조회 실패:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 🍅 연결된 할일에 집중 기록 + 완료 여부 묻기
+   */
+  async recordTodoFocus(timer) {
+    if (!this.todoService || !timer.todoId || timer.type !== "focus") {
+      return;
+    }
+
+    try {
+      const result = await this.todoService.recordFocusSession(
+        timer.userId,
+        timer.todoId,
+        timer.duration
+      );
+
+      if (!result.success || result.data.completed || !this.bot?.telegram) {
+        return;
+      }
+
+      const todo = result.data;
+      const todoId = String(todo._id);
+      const text = [
+        "🍅 *집중 완료!*",
+        "",
+        `📝 ${todo.text.replace(/[*_`[]/g, "\\$&")}`,
+        `누적 🍅 x${todo.focusCount} · ${todo.focusMinutes}분`,
+        "",
+        "이 할일도 끝났나요?"
+      ].join("\n");
+
+      await this.bot.telegram.sendMessage(timer.chatId, text, {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "✅ 할일 완료",
+                callback_data: `todo:focus_done:${todoId}`
+              },
+              { text: "📝 할일 보기", callback_data: `todo:detail:${todoId}` }
+            ]
+          ]
+        }
+      });
+    } catch (error) {
+      logger.warn(`할일 집중 기록 실패 (${timer.userId}):`, error.message);
+    }
+  }
+
   /**
    * 🟢 타이머 시작 (레거시 콜백용)
    */
@@ -655,12 +960,8 @@ class TimerModuleV2 {
   /**
    * 🔄 타이머 새로고침 (레거시 콜백용)
    */
-  async handleTimerRefresh(userId, chatId) {
-    this.eventBus.publish(EVENTS.TIMER.REFRESH_REQUEST, {
-      userId,
-      chatId
-    });
-    return { success: true };
+  async handleTimerRefresh(userId, messageId) {
+    return await this.showTimerStatus(userId, messageId, true);
   }
 
   /**
@@ -719,13 +1020,18 @@ class TimerModuleV2 {
       // DB에 뽀모도로 세트 저장 (서비스 있을 때만)
       if (this.timerService) {
         try {
-          await this.timerService.startPomodoroSet(userId, {
+          const result = await this.timerService.startPomodoroSet(userId, {
             preset: presetKey,
             focusDuration: preset.focus,
             shortBreak: preset.shortBreak,
             longBreak: preset.longBreak,
-            cycles: preset.cycles
+            cycles: preset.cycles,
+            chatId
           });
+
+          if (result.success) {
+            timer.pomodoroData.setId = result.data.setId;
+          }
         } catch (error) {
           logger.warn("DB 뽀모도로 세트 저장 실패 (계속 진행):", error.message);
         }
@@ -826,32 +1132,13 @@ class TimerModuleV2 {
     try {
       const { userId, chatId } = event.payload;
 
-      let statsData = {};
-
-      if (this.timerService) {
-        try {
-          // 실제 서비스에서 통계 가져오기
-          const weeklyStats = await this.timerService.getWeeklyStats(userId);
-          const recentSessions = await this.timerService.getRecentSessions(
-            userId,
-            30
-          );
-
-          statsData = {
-            weekly: weeklyStats.success ? weeklyStats.data : {},
-            recent: recentSessions.success ? recentSessions.data : [],
-            totalSessions: recentSessions.success
-              ? recentSessions.data.length
-              : 0
-          };
-        } catch (error) {
-          logger.warn("실제 통계 조회 실패, 더미 데이터 사용:", error.message);
-          statsData = this.getDummyStats();
-        }
-      } else {
-        // 더미 데이터
-        statsData = this.getDummyStats();
+      const result = this.timerService
+        ? await this.timerService.getGoalStats(userId)
+        : null;
+      if (!result?.success) {
+        throw new Error(result?.message || "TimerService 없음");
       }
+      const statsData = result.data;
 
       this.eventBus.publish(EVENTS.TIMER.STATS_READY, {
         userId,
@@ -875,31 +1162,14 @@ class TimerModuleV2 {
     try {
       const { userId, chatId, days = 7 } = event.payload;
 
-      let historyData = {};
-
-      if (this.timerService) {
-        try {
-          // 실제 서비스에서 히스토리 가져오기
-          const response = await this.timerService.getRecentSessions(
-            userId,
-            days
-          );
-          historyData = {
-            sessions: response.success ? response.data : [],
-            days: days,
-            isEmpty: !response.success || response.data.length === 0
-          };
-        } catch (error) {
-          logger.warn(
-            "실제 히스토리 조회 실패, 더미 데이터 사용:",
-            error.message
-          );
-          historyData = this.getDummyHistory(days);
-        }
-      } else {
-        // 더미 데이터
-        historyData = this.getDummyHistory(days);
-      }
+      const response = this.timerService
+        ? await this.timerService.getRecentSessions(userId, days)
+        : null;
+      const historyData = {
+        sessions: response?.success ? response.data : [],
+        days: days,
+        isEmpty: !response?.success || response.data.length === 0
+      };
 
       this.eventBus.publish(EVENTS.TIMER.HISTORY_READY, {
         userId,
@@ -925,11 +1195,16 @@ class TimerModuleV2 {
       type: config.type,
       duration: config.duration, // 분 단위
       chatId: config.chatId,
+      userName: config.userName,
       startedAt: Date.now(),
       status: "running", // running, paused, completed
       isPomodoro: config.isPomodoro || false,
       customLabel: config.customLabel,
-      pomodoroData: config.pomodoroData || null
+      pomodoroData: config.pomodoroData || null,
+      todoId: config.todoId || null,
+      todoText: config.todoText || null,
+      liveUpdateEnabled: config.liveUpdateEnabled || false,
+      liveMessageId: config.liveMessageId || null
     };
 
     this.activeTimers.set(userId, timer);
@@ -959,6 +1234,8 @@ class TimerModuleV2 {
         }
       }
 
+      await this.recordTodoFocus(timer);
+
       if (timer.isPomodoro) {
         await this.handlePomodoroCompletion(userId, timer);
       } else {
@@ -987,7 +1264,7 @@ class TimerModuleV2 {
   async handlePomodoroCompletion(userId, timer) {
     try {
       const { pomodoroData } = timer;
-      const preset = this.pomodoroPresets[pomodoroData.preset];
+      const preset = this.getTimerPreset(timer);
 
       // 현재 사이클 완료 이벤트
       this.eventBus.publish(EVENTS.TIMER.POMODORO_CYCLE_COMPLETE, {
@@ -1027,20 +1304,28 @@ class TimerModuleV2 {
       }
 
       if (nextPhase) {
-        // 다음 세션 시작
-        const nextTimer = this.createTimer(userId, {
-          type: nextPhase,
+        const nextConfig = this.buildNextPhaseConfig(timer, {
+          phase: nextPhase,
           duration: nextDuration,
-          chatId: timer.chatId,
-          isPomodoro: true,
-          pomodoroData: {
-            preset: pomodoroData.preset,
-            currentCycle: nextCycle,
-            totalCycles: pomodoroData.totalCycles,
-            currentPhase: nextPhase
-          }
+          cycle: nextCycle
         });
 
+        // ⏸️ 자동 시작을 끈 단계는 사용자가 누를 때까지 대기
+        // (끝난 세션에도 남겨 봇이 재시작돼도 이어서 시작 가능)
+        if (!(await this.shouldAutoStart(userId, nextPhase))) {
+          this.activeTimers.delete(userId);
+          this.pendingPhases.set(userId, nextConfig);
+          await this.timerService?.savePendingPhase(userId, {
+            phase: nextPhase,
+            duration: nextDuration,
+            cycle: nextCycle
+          });
+          await this.notifyPhaseReady(timer, nextConfig);
+          return;
+        }
+
+        const nextTimer = await this.startNextPhase(userId, nextConfig);
+
         this.eventBus.publish(EVENTS.TIMER.POMODORO_TRANSITION, {
           userId,
           chatId: timer.chatId,
@@ -1074,6 +1359,124 @@ class TimerModuleV2 {
     }
   }
 
+  /**
+   * 🧩 뽀모도로 다음 단계 설정
+   * @param {Object} next - { phase, duration, cycle }
+   */
+  buildNextPhaseConfig(timer, next) {
+    const { pomodoroData } = timer;
+
+    return {
+      type: next.phase,
+      duration: next.duration,
+      chatId: timer.chatId,
+      isPomodoro: true,
+      pomodoroData: {
+        setId: pomodoroData.setId,
+        preset: pomodoroData.preset,
+        presetData: this.getTimerPreset(timer),
+        currentCycle: next.cycle,
+        totalCycles: pomodoroData.totalCycles,
+        currentPhase: next.phase
+      },
+      userName: timer.userName,
+      todoId: timer.todoId,
+      todoText: timer.todoText,
+      liveUpdateEnabled: timer.liveUpdateEnabled,
+      liveMessageId: timer.liveMessageId
+    };
+  }
+
+  /**
+   * ▶️ 뽀모도로 다음 단계 시작 (메모리 타이머 + DB 세션)
+   */
+  async startNextPhase(userId, config) {
+    const { pomodoroData } = config;
+    const preset = pomodoroData.presetData;
+    const nextTimer = this.createTimer(userId, config);
+
+    // 다음 단계도 DB 세션으로 남겨야 재시작 후 복구 가능
+    if (this.timerService) {
+      try {
+        await this.timerService.startSession(userId, {
+          type: config.type,
+          duration: config.duration,
+          userName: config.userName || `User#${userId}`,
+          chatId: config.chatId,
+          pomodoroSet: {
+            setId: pomodoroData.setId || null,
+            preset: pomodoroData.preset,
+            name: preset.name,
+            currentCycle: pomodoroData.currentCycle,
+            totalCycles: pomodoroData.totalCycles,
+            currentPhase: config.type,
+            focusDuration: preset.focus,
+            shortBreak: preset.shortBreak,
+            longBreak: preset.longBreak
+          },
+          liveUpdate: {
+            enabled: nextTimer.liveUpdateEnabled,
+            messageId: nextTimer.liveMessageId
+          },
+          todoId: config.todoId
+        });
+      } catch (error) {
+        logger.warn("DB 뽀모도로 단계 저장 실패 (계속 진행):", error.message);
+      }
+    }
+
+    this.startTimerTick(nextTimer);
+    return nextTimer;
+  }
+
+  /**
+   * 🔔 다음 단계 시작 버튼 발송 (자동 시작을 끈 경우)
+   */
+  async notifyPhaseReady(timer, nextConfig) {
+    if (!this.bot?.telegram) {
+      return;
+    }
+
+    const { currentCycle, totalCycles } = nextConfig.pomodoroData;
+    const nextDisplay = this.getPhaseDisplay(nextConfig.type);
+    const text = [
+      `✅ *${this.getPhaseDisplay(timer.type)} 끝!*`,
+      "",
+      `다음은 *${nextDisplay} ${nextConfig.duration}분*이에요. (${currentCycle}/${totalCycles} 사이클)`,
+      "준비되면 시작해주세요."
+    ].join("\n");
+
+    try {
+      await this.bot.telegram.sendMessage(timer.chatId, text, {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: `▶️ ${nextDisplay} 시작`, callback_data: "timer:next" }],
+            [{ text: "⏹️ 여기서 끝내기", callback_data: "timer:next:cancel" }]
+          ]
+        }
+      });
+    } catch (error) {
+      logger.warn(`다음 단계 안내 전송 실패 (${timer.userId}):`, error.message);
+    }
+  }
+
+  /**
+   * ▶️ 기다리던 다음 단계 시작 ("cancel"이면 세트 종료)
+   */
+  async startPendingPhase(userId, messageId, params) {
+    const pending = this.pendingPhases.get(userId);
+    this.pendingPhases.delete(userId);
+    await this.timerService?.clearPendingPhase(userId);
+
+    if (!pending || params === "cancel" || this.activeTimers.has(userId)) {
+      return await this.showMenu(userId);
+    }
+
+    await this.startNextPhase(userId, pending);
+    return await this.showTimerStatus(userId, messageId);
+  }
+
   /**
    * 📊 타이머 표시용 데이터 생성
    */
@@ -1094,7 +1497,16 @@ class TimerModuleV2 {
       remainingDisplay: this.formatDuration(remaining),
       progress: Math.round((elapsed / totalDuration) * 100),
       isPomodoro: timer.isPomodoro,
-      pomodoroData: timer.pomodoroData
+      pomodoroData: timer.pomodoroData,
+      todoText: timer.todoText || null,
+      // 렌더러 표시용
+      remainingFormatted: this.formatDuration(remaining),
+      elapsedFormatted: this.formatDuration(elapsed),
+      isPaused: timer.status === "paused",
+      currentCycle: timer.pomodoroData?.currentCycle,
+      totalCycles: timer.pomodoroData?.totalCycles,
+      liveUpdateEnabled: !!timer.liveUpdateEnabled,
+      liveUpdateSeconds: Math.round(this.config.liveUpdateInterval / 1000)
     };
   }
 
@@ -1114,8 +1526,10 @@ class TimerModuleV2 {
         clearInterval(timer.tickInterval);
         this.handleTimerCompletion(timer.userId, timer);
       } else {
-        // 진행 상황 업데이트 (필요시)
-        // 여기에 실시간 진행률 업데이트 로직 추가 가능
+        // 진행 상황 업데이트 (실시간 업데이트를 켠 세션만, 간격 제한)
+        this.updateLiveMessage(timer).catch((error) => {
+          logger.debug("실시간 업데이트 실패:", error.message);
+        });
       }
     }, 1000);
 
@@ -1133,6 +1547,135 @@ class TimerModuleV2 {
     }
   }
 
+  /**
+   * 📡 실시간 타이머 메시지 수정
+   * - liveUpdateInterval마다 한 번만 수정 (텔레그램 속도 제한)
+   * - 429 응답이면 retry after 만큼 다음 수정을 미룸
+   */
+  async updateLiveMessage(timer, now = Date.now()) {
+    if (
+      !timer.liveUpdateEnabled ||
+      !timer.liveMessageId ||
+      timer.status !== "running" ||
+      timer.isLiveUpdating ||
+      now < (timer.nextLiveUpdateAt || 0) ||
+      !this.bot?.telegram
+    ) {
+      return false;
+    }
+
+    timer.isLiveUpdating = true;
+    timer.nextLiveUpdateAt = now + this.config.liveUpdateInterval;
+
+    try {
+      const { text, keyboard } = this.buildLiveMessage(timer);
+
+      await this.bot.telegram.editMessageText(
+        timer.chatId,
+        timer.liveMessageId,
+        undefined,
+        text,
+        { parse_mode: "Markdown", reply_markup: keyboard }
+      );
+
+      if (this.timerService) {
+        const remaining =
+          timer.duration * 60 * 1000 - this.calculateElapsed(timer);
+        await this.timerService.updateProgress(
+          timer.userId,
+          Math.floor(Math.max(0, remaining) / 1000)
+        );
+      }
+
+      return true;
+    } catch (error) {
+      const message = error.message || "";
+
+      if (message.includes("message is not modified")) {
+        return false;
+      }
+
+      if (error.code === 429 || message.includes("429")) {
+        const retryAfter = BaseRenderer.extractRetryAfter(message);
+        timer.nextLiveUpdateAt = Math.max(
+          timer.nextLiveUpdateAt,
+          Date.now() + retryAfter * 1000
+        );
+        logger.warn(
+          `⏳ 실시간 업데이트 속도 제한: ${retryAfter}초 후 재개 (${timer.userId})`
+        );
+        return false;
+      }
+
+      // 메시지가 지워졌거나 수정할 수 없으면 더 이상 수정하지 않음
+      if (error.code === 400 || message.includes("400")) {
+        timer.liveMessageId = null;
+      }
+
+      logger.warn(
+        `실시간 업데이트 메시지 수정 실패 (${timer.userId}):`,
+        message
+      );
+      return false;
+    } finally {
+      timer.isLiveUpdating = false;
+    }
+  }
+
+  /**
+   * 📝 실시간 업데이트 메시지 내용
+   */
+  buildLiveMessage(timer) {
+    const data = this.getTimerDisplayData(timer);
+    const filled = Math.min(10, Math.floor(data.progress / 10));
+    const progressBar =
+      "🟩".repeat(filled) + "⬜".repeat(10 - filled) + ` ${data.progress}%`;
+    const label = String(data.typeDisplay).replace(/[*_`[]/g, "\\$&");
+    const updatedAt = new Date().toLocaleTimeString("ko-KR", {
+      timeZone: "Asia/Seoul",
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+
+    const lines = [
+      `▶️ *${label} 타이머 진행 중*`,
+      "",
+      progressBar,
+      "",
+      `⏱️ *남은 시간*: ${data.remainingFormatted}`,
+      `⏳ *경과 시간*: ${data.elapsedFormatted}`
+    ];
+
+    if (data.totalCycles) {
+      lines.push(`🔄 *사이클*: ${data.currentCycle}/${data.totalCycles}`);
+    }
+
+    if (data.todoText) {
+      lines.push(`📝 *할일*: ${data.todoText.replace(/[*_`[]/g, "\\$&")}`);
+    }
+
+    lines.push(
+      "",
+      `📡 ${data.liveUpdateSeconds}초마다 자동 업데이트 (${updatedAt} 기준)`
+    );
+
+    return {
+      text: lines.join("\n"),
+      keyboard: {
+        inline_keyboard: [
+          [
+            { text: "⏸️ 일시정지", callback_data: "timer:pause" },
+            { text: "⏹️ 중지", callback_data: "timer:stop" }
+          ],
+          [
+            { text: "📡 실시간 끄기", callback_data: "timer:live" },
+            { text: "🔙 메뉴", callback_data: "timer:menu" }
+          ]
+        ]
+      }
+    };
+  }
+
   /**
    * ⏰ 경과 시간 계산
    */
@@ -1187,8 +1730,10 @@ class TimerModuleV2 {
    */
   async cleanupExistingTimer(userId) {
     try {
-      // 메모리에서 제거
+      // 메모리에서 제거 (기다리던 다음 단계 포함)
+      this.pendingPhases.delete(userId);
       if (this.activeTimers.has(userId)) {
+        this.stopTimerTick(this.activeTimers.get(userId));
         this.activeTimers.delete(userId);
       }
 
@@ -1196,6 +1741,7 @@ class TimerModuleV2 {
       if (this.timerService) {
         try {
           await this.timerService.stopSession(userId);
+          await this.timerService.clearPendingPhase(userId);
         } catch (error) {
           logger.warn("DB 세션 정리 실패 (계속 진행):", error.message);
         }
@@ -1206,37 +1752,199 @@ class TimerModuleV2 {
   }
 
   /**
-   * 📊 더미 통계 데이터 생성
+   * ♻️ 재시작 전 활성 세션 복구
+   * - 다운타임 중 끝난 타이머는 완료 처리 후 알림
+   * - 나머지는 메모리 타이머로 재구성하고 틱 재개
    */
-  getDummyStats() {
-    return {
-      weekly: {
-        totalSessions: 15,
-        completedSessions: 12,
-        totalMinutes: 350,
-        averageCompletion: 80
-      },
-      recent: [],
-      totalSessions: 0,
-      byType: {
-        focus: { count: 8, minutes: 200, completed: 6 },
-        shortBreak: { count: 4, minutes: 20, completed: 4 },
-        longBreak: { count: 3, minutes: 45, completed: 2 }
-      },
-      isDemo: true
-    };
+  async restoreActiveSessions() {
+    if (!this.timerService) {
+      return;
+    }
+
+    try {
+      const result = await this.timerService.getRestorableSessions();
+      if (!result.success || result.data.length === 0) {
+        return;
+      }
+
+      let resumed = 0;
+      let expired = 0;
+
+      for (const session of result.data) {
+        try {
+          const timer = this.restoreTimerFromSession(session);
+
+          if (timer.status === "running" && this.isTimerCompleted(timer)) {
+            await this.completeExpiredTimer(timer);
+            expired++;
+          } else {
+            this.activeTimers.set(timer.userId, timer);
+            this.startTimerTick(timer);
+            resumed++;
+          }
+        } catch (error) {
+          logger.warn(`세션 복구 실패 (${session._id}):`, error.message);
+        }
+      }
+
+      logger.info(
+        `♻️ 타이머 세션 복구: 재개 ${resumed}개, 다운타임 중 완료 ${expired}개`
+      );
+    } catch (error) {
+      logger.error("타이머 세션 복구 실패:", error);
+    }
   }
 
   /**
-   * 📜 더미 히스토리 데이터 생성
+   * ♻️ 재시작 전 시작 버튼을 기다리던 뽀모도로 다음 단계 복구
    */
-  getDummyHistory(days) {
-    return {
-      sessions: [],
-      days: days,
-      isEmpty: true,
-      isDemo: true
+  async restorePendingPhases() {
+    if (!this.timerService) {
+      return;
+    }
+
+    try {
+      const result = await this.timerService.getPendingPhaseSessions();
+      if (!result.success) {
+        return;
+      }
+
+      let restored = 0;
+      for (const session of result.data) {
+        const timer = this.restoreTimerFromSession(session);
+        if (!timer.isPomodoro || this.activeTimers.has(timer.userId)) {
+          continue;
+        }
+
+        this.pendingPhases.set(
+          timer.userId,
+          this.buildNextPhaseConfig(timer, session.pendingNextPhase)
+        );
+        restored++;
+      }
+
+      if (restored > 0) {
+        logger.info(`♻️ 기다리던 뽀모도로 다음 단계 복구: ${restored}개`);
+      }
+    } catch (error) {
+      logger.error("뽀모도로 다음 단계 복구 실패:", error);
+    }
+  }
+
+  /**
+   * 🏗️ DB 세션으로부터 메모리 타이머 재구성
+   */
+  restoreTimerFromSession(session) {
+    const pomodoroSet = session.pomodoroSet;
+    const isPomodoro = !!pomodoroSet?.setId;
+
+    // 메모리 타이머는 재개 시 startedAt을 미루는 방식이므로 누적 일시정지 시간 반영
+    const timer = {
+      userId: Number(session.userId),
+      type: session.type,
+      duration: session.duration,
+      chatId: session.chatId || session.userId,
+      userName: session.userName,
+      startedAt:
+        new Date(session.startedAt).getTime() +
+        (session.totalPausedDuration || 0),
+      status: session.status === "paused" ? "paused" : "running",
+      isPomodoro,
+      pomodoroData: isPomodoro
+        ? {
+            setId: pomodoroSet.setId,
+            preset: pomodoroSet.preset,
+            // 저장한 프리셋도 이어갈 수 있도록 세션에 남긴 시간 사용
+            presetData: pomodoroSet.focusDuration
+              ? {
+                  name:
+                    pomodoroSet.name ||
+                    this.pomodoroPresets[pomodoroSet.preset]?.name ||
+                    "뽀모도로",
+                  focus: pomodoroSet.focusDuration,
+                  shortBreak: pomodoroSet.shortBreak,
+                  longBreak: pomodoroSet.longBreak,
+                  cycles: pomodoroSet.totalCycles
+                }
+              : null,
+            currentCycle: pomodoroSet.currentCycle,
+            totalCycles: pomodoroSet.totalCycles,
+            currentPhase: pomodoroSet.currentPhase || session.type
+          }
+        : null,
+      todoId: session.todoId || null,
+      liveUpdateEnabled: !!session.liveUpdateEnabled,
+      liveMessageId: session.liveMessageId || null,
+      restored: true
     };
+
+    if (timer.status === "paused") {
+      timer.pausedAt = session.pausedAt
+        ? new Date(session.pausedAt).getTime()
+        : Date.now();
+    }
+
+    return timer;
+  }
+
+  /**
+   * ⌛ 다운타임 중 끝난 타이머 완료 처리 및 알림
+   * - 사용자가 자리에 없었을 수 있으므로 뽀모도로 다음 단계는 자동 시작하지 않음
+   */
+  async completeExpiredTimer(timer) {
+    const completedAt = new Date(timer.startedAt + timer.duration * 60 * 1000);
+
+    try {
+      await this.timerService.completeSession(timer.userId, completedAt);
+    } catch (error) {
+      logger.warn("DB 세션 완료 실패 (계속 진행):", error.message);
+    }
+
+    await this.recordTodoFocus(timer);
+
+    if (!this.bot?.telegram) {
+      return;
+    }
+
+    const label =
+      timer.customLabel || this.timerDefaults[timer.type]?.display || "타이머";
+    const time = completedAt.toLocaleTimeString("ko-KR", {
+      timeZone: "Asia/Seoul",
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+
+    const lines = [
+      "⏰ *타이머 완료 알림*",
+      "",
+      `봇이 재시작되는 동안 ${label} 타이머(${timer.duration}분)가 끝났습니다.`,
+      `완료 시각: ${time}`
+    ];
+
+    if (timer.isPomodoro) {
+      const preset = this.getTimerPreset(timer);
+      lines.push(
+        "",
+        `🍅 ${preset?.name || "뽀모도로"} ${timer.pomodoroData.currentCycle}/${timer.pomodoroData.totalCycles} 사이클`,
+        "이어서 진행하려면 타이머 메뉴에서 다시 시작해주세요."
+      );
+    }
+
+    try {
+      await this.bot.telegram.sendMessage(timer.chatId, lines.join("\n"), {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "⏰ 타이머 메뉴", callback_data: "timer:menu" }]
+          ]
+        }
+      });
+    } catch (error) {
+      logger.warn(
+        `타이머 완료 알림 전송 실패 (${timer.userId}):`,
+        error.message
+      );
+    }
   }
 
   /**
@@ -1259,6 +1967,19 @@ class TimerModuleV2 {
       const activeTimer = this.activeTimers.get(userId);
       const userName = "사용자"; // 기본 사용자명
 
+      // ⚙️ 내 설정 + 저장한 프리셋
+      const settings = await this.loadSettings(userId);
+      const userPresets = settings
+        ? [
+            { key: "my", ...this.toPomodoroPreset(settings), name: "내 설정" },
+            ...(settings.presets || []).map((preset) => ({
+              key: preset.key,
+              ...this.toPomodoroPreset(preset)
+            }))
+          ]
+        : [];
+      const pendingPhase = this.pendingPhases.get(userId);
+
       // 렌더러에게 전달할 데이터 구성
       return {
         type: "menu",
@@ -1273,6 +1994,13 @@ class TimerModuleV2 {
           hasActiveTimer: !!activeTimer,
           recentSessions: [], // 최근 세션 정보 (향후 구현)
           presets: this.pomodoroPresets, // 전체 preset 객체 전달
+          userPresets,
+          pendingPhase: pendingPhase
+            ? {
+                typeDisplay: this.getPhaseDisplay(pendingPhase.type),
+                duration: pendingPhase.duration
+              }
+            : null,
           userId: userId
         }
       };
@@ -1290,21 +2018,222 @@ class TimerModuleV2 {
     }
   }
 
+  /**
+   * 📊 현재 타이머 상태 (V2 렌더러 방식)
+   * - 실시간 업데이트가 켜져 있으면 이 메시지를 이어서 수정
+   */
+  async showTimerStatus(userId, messageId, isRefresh = false) {
+    const timer = this.activeTimers.get(userId);
+    if (!timer) {
+      return await this.showMenu(userId);
+    }
+
+    if (timer.liveUpdateEnabled && messageId) {
+      timer.liveMessageId = messageId;
+      timer.nextLiveUpdateAt = Date.now() + this.config.liveUpdateInterval;
+    }
+
+    return {
+      type: "timer_status",
+      module: "timer",
+      success: true,
+      data: {
+        timer: this.getTimerDisplayData(timer),
+        userName: timer.userName,
+        isRefresh
+      }
+    };
+  }
+
+  /**
+   * 📡 실시간 업데이트 켜기/끄기 (세션별)
+   */
+  async toggleLiveUpdate(userId, messageId) {
+    const timer = this.activeTimers.get(userId);
+    if (!timer) {
+      return await this.showMenu(userId);
+    }
+
+    timer.liveUpdateEnabled = !timer.liveUpdateEnabled;
+    timer.liveMessageId = timer.liveUpdateEnabled ? messageId : null;
+
+    // DB 세션에도 기록해야 재시작 후 복구 시 유지됨
+    if (this.timerService) {
+      try {
+        await this.timerService.toggleLiveUpdate(userId, messageId);
+      } catch (error) {
+        logger.warn("실시간 업데이트 설정 저장 실패:", error.message);
+      }
+    }
+
+    return await this.showTimerStatus(userId, messageId);
+  }
+
+  /**
+   * ⚙️ 타이머 설정 화면 (V2 렌더러 방식)
+   */
+  async showSettings(userId, notice = null) {
+    const settings = await this.loadSettings(userId);
+    if (!settings) {
+      return {
+        type: "error",
+        module: "timer",
+        success: false,
+        data: { message: "타이머 설정을 불러올 수 없습니다." }
+      };
+    }
+
+    return {
+      type: "settings",
+      module: "timer",
+      success: true,
+      data: {
+        settings,
+        presets: settings.presets || [],
+        maxPresets: this.timerService.config.maxPresets,
+        fields: this.settingFields,
+        goalFields: this.goalFields,
+        notice
+      }
+    };
+  }
+
+  /**
+   * ➕➖ 시간/목표 설정 변경 ("focus:5", "short:-1", "daily:1")
+   */
+  async adjustSetting(userId, params) {
+    const [fieldKey, delta] = String(params || "").split(":");
+    const field = this.settingFields[fieldKey] || this.goalFields[fieldKey];
+    if (!field || !parseInt(delta)) {
+      return await this.showSettings(userId);
+    }
+
+    const result = await this.timerService.adjustSetting(
+      userId,
+      field.key,
+      parseInt(delta)
+    );
+    return await this.showSettings(userId, result.success ? null : result);
+  }
+
+  /**
+   * ▶️ 자동 시작 켜기/끄기 ("break" | "focus")
+   */
+  async toggleAutoStart(userId, params) {
+    const key = params === "focus" ? "autoStartFocus" : "autoStartBreak";
+    const settings = await this.loadSettings(userId);
+    if (!settings) {
+      return await this.showSettings(userId);
+    }
+
+    const result = await this.timerService.updateSettings(userId, {
+      [key]: !settings[key]
+    });
+    return await this.showSettings(userId, result.success ? null : result);
+  }
+
+  /**
+   * 🔔 완료 알림 켜기/끄기
+   */
+  async toggleNotifications(userId) {
+    const result = await this.timerService.toggleNotifications(userId);
+    return await this.showSettings(userId, result.success ? null : result);
+  }
+
+  /**
+   * ↩️ 시간/목표/자동 시작 설정 초기화
+   */
+  async resetSettings(userId) {
+    const result = await this.timerService.resetSettings(userId);
+    return await this.showSettings(userId, result);
+  }
+
+  /**
+   * 💾 프리셋 이름 입력 시작
+   */
+  async startPresetSave(userId, error = null) {
+    const settings = await this.loadSettings(userId);
+    if (!settings) {
+      return await this.showSettings(userId);
+    }
+
+    this.userStates.set(String(userId), {
+      state: "waiting_preset_name",
+      timestamp: Date.now()
+    });
+
+    return {
+      type: "preset_name_input",
+      module: "timer",
+      success: true,
+      data: {
+        preset: this.toPomodoroPreset(settings),
+        presetNames: (settings.presets || []).map((preset) => preset.name),
+        maxLength: this.timerService.config.presetNameMaxLength,
+        error
+      }
+    };
+  }
+
+  /**
+   * 🗑️ 프리셋 삭제
+   */
+  async deletePreset(userId, key) {
+    const result = await this.timerService.deletePreset(userId, key);
+    return await this.showSettings(userId, result);
+  }
+
+  /**
+   * 💬 메시지 처리 - 프리셋 이름 입력
+   */
+  async onHandleMessage(bot, message) {
+    const userId = message.from?.id;
+    const text = message.text?.trim();
+    const userState = this.userStates.get(String(userId));
+
+    if (
+      message.commandInfo ||
+      !text ||
+      userState?.state !== "waiting_preset_name"
+    ) {
+      return false;
+    }
+
+    this.userStates.delete(String(userId));
+
+    if (text === "취소") {
+      return await this.showSettings(userId);
+    }
+
+    const result = await this.timerService.savePreset(userId, text);
+    if (!result.success) {
+      return await this.startPresetSave(userId, result.message);
+    }
+
+    return await this.showSettings(userId, result);
+  }
+
   /**
    * 📊 통계 표시 (V2 렌더러 방식)
+   * - TimerStats 일별 기록 기준 오늘/이번 주 목표, 연속 달성, 최근 30일
    */
   async showStats(userId, chatId) {
     try {
-      // 더미 통계 데이터 사용 (향후 실제 데이터로 교체)
-      const stats = this.getDummyStats();
+      if (!this.timerService) {
+        throw new Error("TimerService 없음");
+      }
+
+      const result = await this.timerService.getGoalStats(userId);
+      if (!result.success) {
+        throw new Error(result.message);
+      }
 
       return {
         type: "stats",
         module: "timer",
         success: true,
         data: {
-          title: "📊 *타이머 통계*",
-          stats: stats,
+          stats: result.data,
           userId: userId
         }
       };
@@ -1322,23 +2251,59 @@ class TimerModuleV2 {
     }
   }
 
+  /**
+   * 🗺️ 집중 히트맵 (요일 x 시간대, 렌더러가 PNG로 그려 사진 전송)
+   */
+  async showHeatmap(userId) {
+    const result = this.timerService
+      ? await this.timerService.getFocusHeatmap(userId)
+      : null;
+
+    if (!result?.success) {
+      return {
+        type: "error",
+        module: "timer",
+        success: false,
+        data: {
+          message: result?.message || "집중 히트맵을 불러올 수 없습니다.",
+          canRetry: true
+        }
+      };
+    }
+
+    return {
+      type: "heatmap",
+      module: "timer",
+      success: true,
+      data: result.data
+    };
+  }
+
   /**
    * 📜 히스토리 표시 (V2 렌더러 방식)
    */
   async showHistory(userId, chatId) {
+    const days = 7;
+
     try {
-      // 더미 히스토리 데이터 사용 (향후 실제 데이터로 교체)
-      const history = this.getDummyHistory(7);
+      if (!this.timerService) {
+        throw new Error("TimerService 없음");
+      }
+
+      const [sessions, summary] = await Promise.all([
+        this.timerService.getRecentSessions(userId, 10),
+        this.timerService.getStatsSummary(userId, days)
+      ]);
 
       return {
         type: "history",
         module: "timer",
         success: true,
         data: {
-          title: "📜 *타이머 히스토리*",
-          history: history,
+          sessions: sessions.success ? sessions.data : [],
+          stats: summary.success ? { total: summary.data } : null,
           userId: userId,
-          days: 7
+          days
         }
       };
     } catch (error) {
@@ -1379,7 +2344,10 @@ class TimerModuleV2 {
         this.moduleName
       );
 
-      // 활성 타이머 정리
+      // 활성 타이머 정리 (틱 인터벌 포함)
+      for (const timer of this.activeTimers.values()) {
+        this.stopTimerTick(timer);
+      }
       this.activeTimers.clear();
 
       logger.success("✅ TimerModuleV2 정리 완료");
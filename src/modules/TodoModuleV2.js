@@ -3,8 +3,10 @@
  * 완전한 이벤트 기반 아키텍처로 구현된 할일 관리 모듈
  */
 
+const moment = require("moment-timezone");
 const { EVENTS } = require("../events/index");
 const logger = require("../utils/core/Logger");
+const KoreanTimeParser = require("../utils/KoreanTimeParser");
 // const { getUserId } = require("../utils/core/UserHelper");
 
 class TodoModuleV2 {
@@ -51,13 +53,29 @@ class TodoModuleV2 {
       },
       INPUT_STATES: {
         WAITING_ADD_INPUT: "waiting_add_input",
-        WAITING_EDIT_INPUT: "waiting_edit_input"
-      }
+        WAITING_EDIT_INPUT: "waiting_edit_input",
+        WAITING_DUE_DATE_INPUT: "waiting_due_date_input",
+        WAITING_SEARCH_INPUT: "waiting_search_input",
+        WAITING_SUBTASK_INPUT: "waiting_subtask_input"
+      },
+      SEARCH_COMMANDS: ["검색", "찾기", "search"],
+      // 📅 기한 빠른 선택
+      DUE_PRESETS: ["today", "tomorrow", "friday", "nextweek", "none"],
+      DUE_FILTERS: ["overdue", "today", "week"],
+      // 🔄 반복 주기
+      RECURRENCE_PATTERNS: ["daily", "weekly", "monthly"],
+      // 🏷️ 태그/카테고리 필터 접두어 (콜백: "todo:list:tag:업무:1")
+      GROUP_FILTERS: { tag: "tag", cat: "category" },
+      MAX_TAGS: 5,
+      MAX_TAG_LENGTH: 20
     };
 
     // 사용자 상태 관리
     this.userStates = new Map();
 
+    // 🔍 사용자별 마지막 검색 (페이지 이동/옵션 전환용)
+    this.searchSessions = new Map();
+
     // 이벤트 구독 관리
     this.subscriptions = [];
 
@@ -180,12 +198,29 @@ class TodoModuleV2 {
       menu: () => this.showMenu(userId, chatId),
       list: () => this.showList(userId, chatId, params),
       add: () => this.startAddFlow(userId, chatId),
-      complete: () => this.publishCompleteRequest(userId, chatId, params),
+      complete: () => this.toggleTodo(userId, chatId, params),
+      uncomplete: () => this.toggleTodo(userId, chatId, params),
+      focus_done: () =>
+        this.toggleTodo(userId, chatId, params, { completeOnly: true }),
       delete: () => this.publishDeleteRequest(userId, chatId, params),
       edit: () => this.startEditFlow(userId, chatId, params),
       stats: () => this.showStats(userId, chatId),
       weekly: () => this.showWeekly(userId, chatId),
-      remind_list: () => this.showRemindList(userId, chatId)
+      remind_list: () => this.showRemindList(userId, chatId),
+      due: () => this.showDueDateOptions(userId, chatId, params),
+      set_due: () => this.setDueDate(userId, chatId, params),
+      due_input: () => this.startDueDateInput(userId, chatId, params),
+      digest: () => this.toggleDigest(userId, chatId),
+      search: () => this.startSearchFlow(userId, chatId),
+      search_toggle: () => this.toggleSearchArchived(userId),
+      recur: () => this.showRecurrenceOptions(userId, chatId, params),
+      set_recur: () => this.setRecurrence(userId, chatId, params),
+      recurring: () => this.showRecurringList(userId, chatId),
+      stop_recur: () => this.stopRecurrence(userId, chatId, params),
+      detail: () => this.showTodoDetail(userId, params),
+      sub_add: () => this.startSubtaskInput(userId, chatId, params),
+      sub_check: () => this.toggleSubtask(userId, params),
+      sub_del: () => this.removeSubtask(userId, params)
     };
 
     const handler = actionMap[subAction];
@@ -214,13 +249,35 @@ class TodoModuleV2 {
     try {
       // 할일 통계 가져오기
       const stats = await this.todoService.getTodoStats(userId);
+      const settings = await this.todoService.getUserSettings(userId);
+
+      // 📅 기한 임박 개수
+      const [overdue, dueToday] = await Promise.all(
+        ["overdue", "today"].map((filter) =>
+          this.todoService.getTodos(userId, {
+            filter,
+            limit: 1,
+            timezone: settings.timezone
+          })
+        )
+      );
 
       return {
         type: "menu",
         module: "todo",
         data: {
           userId,
-          stats: stats.data || { total: 0, completed: 0, pending: 0 }
+          title: "📝 *할일 관리*",
+          stats: stats.data || { total: 0, completed: 0, pending: 0 },
+          enableReminders: this.config.enableReminders,
+          dueCounts: {
+            overdue: overdue.data?.totalCount || 0,
+            today: dueToday.data?.totalCount || 0
+          },
+          digest: {
+            enabled: settings.todoDigestEnabled,
+            hour: settings.todoDigestHour
+          }
         }
       };
     } catch (error) {
@@ -258,7 +315,10 @@ class TodoModuleV2 {
         type: "input_request",
         module: "todo",
         data: {
-          message: "새로운 할일을 입력해주세요:",
+          title: "➕ *할일 추가*",
+          message:
+            "새로운 할일을 입력해주세요:\n(#태그, @카테고리를 붙이면 분류됩니다)",
+          suggestions: ["보고서 작성 #회의 @업무", "우유 사기 @개인"],
           placeholder: "예: 프로젝트 문서 작성하기",
           action: "add"
         }
@@ -278,19 +338,48 @@ class TodoModuleV2 {
    */
   async showList(userId, chatId, params) {
     try {
-      const page = params ? parseInt(params) : 1;
-      const result = await this.todoService.getTodos(userId, {
-        page,
-        limit: 10
-      });
+      // params: "페이지", "필터:페이지" (예: "overdue:2"),
+      //         "tag:태그:페이지" 또는 "cat:카테고리:페이지"
+      const parts = params ? String(params).split(":") : [];
+      const options = {};
+
+      // 🔍 검색 결과 페이지 ("search:2")
+      if (parts[0] === "search") {
+        return await this.showSearchResults(userId, parseInt(parts[1]) || 1);
+      }
+
+      if (this.constants.DUE_FILTERS.includes(parts[0])) {
+        options.filter = parts.shift();
+      } else if (this.constants.GROUP_FILTERS[parts[0]] && parts[1]) {
+        options[this.constants.GROUP_FILTERS[parts.shift()]] = parts.shift();
+      }
+      const page = parseInt(parts[0]) || 1;
+
+      const settings = await this.todoService.getUserSettings(userId);
+      const [result, stats] = await Promise.all([
+        this.todoService.getTodos(userId, {
+          ...options,
+          page,
+          limit: 10,
+          timezone: settings.timezone
+        }),
+        this.todoService.getTodoStats(userId)
+      ]);
+
+      if (!result.success) {
+        throw new Error(result.message);
+      }
 
       return {
         type: "list",
         module: "todo",
         data: {
-          todos: result.data?.todos || [],
-          pagination: result.data?.pagination || { page: 1, totalPages: 1 },
-          stats: result.data?.stats || { total: 0, completed: 0, pending: 0 }
+          ...result.data,
+          // 필터 버튼용 태그/카테고리 목록
+          facets: {
+            tags: stats.data?.byTag || [],
+            categories: stats.data?.byCategory || []
+          }
         }
       };
     } catch (error) {
@@ -303,6 +392,45 @@ class TodoModuleV2 {
     }
   }
 
+  /**
+   * ✅ 할일 완료/미완료 전환 후 목록 표시
+   * - completeOnly: 완료 제안 버튼 (집중 완료 안내, 세부 항목 모두 완료) - 이미 완료면 되돌리지 않음
+   */
+  async toggleTodo(userId, chatId, params, options = {}) {
+    try {
+      const todoId = params;
+      if (!todoId) {
+        throw new Error("할일 ID가 필요합니다.");
+      }
+
+      const result = await this.todoService.toggleTodo(userId, todoId, options);
+      if (!result.success) {
+        return {
+          type: "error",
+          module: "todo",
+          data: { message: result.message }
+        };
+      }
+
+      const listResult = await this.showList(userId, chatId, "1");
+
+      // 🔄 반복 할일이면 다음 회차 안내
+      const next = result.data.nextRecurrence;
+      if (next && listResult.type === "list") {
+        listResult.data.notice = { type: "recurrence", todo: next };
+      }
+
+      return listResult;
+    } catch (error) {
+      logger.error("✅ 할일 완료 처리 오류:", error);
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: "할일 완료 처리에 실패했습니다." }
+      };
+    }
+  }
+
   /**
    * ✅ 할일 완료 요청 발행
    */
@@ -376,15 +504,16 @@ class TodoModuleV2 {
       }
 
       // 기존 할일 가져오기
-      const todoResult = await this.todoService.getTodo(userId, todoId);
+      const todoResult = await this.todoService.getTodoById(userId, todoId);
       if (!todoResult.success) {
         throw new Error("할일을 찾을 수 없습니다.");
       }
 
       // 사용자 수정 대기 상태 설정
-      this.userStates.set(userId, {
+      this.userStates.set(String(userId), {
         awaitingInput: true,
         action: "edit",
+        state: this.constants.INPUT_STATES.WAITING_EDIT_INPUT,
         todoId: todoId,
         chatId: chatId,
         timestamp: Date.now()
@@ -394,6 +523,7 @@ class TodoModuleV2 {
         type: "input_request",
         module: "todo",
         data: {
+          title: "✏️ *할일 수정*",
           message: `할일을 수정해주세요:\n\n현재: ${todoResult.data.text}`,
           placeholder: "수정할 내용을 입력하세요",
           action: "edit",
@@ -410,6 +540,447 @@ class TodoModuleV2 {
     }
   }
 
+  /**
+   * 📅 기한 선택 화면
+   */
+  async showDueDateOptions(userId, chatId, params) {
+    try {
+      const todoId = params;
+      if (!todoId) {
+        throw new Error("할일 ID가 필요합니다.");
+      }
+
+      const todoResult = await this.todoService.getTodoById(userId, todoId);
+      if (!todoResult.success) {
+        throw new Error("할일을 찾을 수 없습니다.");
+      }
+
+      const settings = await this.todoService.getUserSettings(userId);
+
+      return {
+        type: "due_date_select",
+        module: "todo",
+        data: {
+          todo: todoResult.data,
+          timezone: settings.timezone
+        }
+      };
+    } catch (error) {
+      logger.error("📅 기한 선택 화면 오류:", error);
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: "기한 설정을 시작할 수 없습니다." }
+      };
+    }
+  }
+
+  /**
+   * 📅 빠른 선택으로 기한 설정 (params: "todoId:preset")
+   */
+  async setDueDate(userId, chatId, params) {
+    try {
+      const [todoId, preset] = String(params || "").split(":");
+      if (!todoId || !this.constants.DUE_PRESETS.includes(preset)) {
+        throw new Error("잘못된 기한 요청입니다.");
+      }
+
+      const settings = await this.todoService.getUserSettings(userId);
+      const dueDate = this.resolveDuePreset(preset, settings.timezone);
+
+      return await this.applyDueDate(userId, todoId, dueDate);
+    } catch (error) {
+      logger.error("📅 기한 설정 오류:", error);
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: "기한 설정에 실패했습니다." }
+      };
+    }
+  }
+
+  /**
+   * ⌨️ 기한 직접 입력 시작
+   */
+  async startDueDateInput(userId, chatId, params) {
+    const todoId = params;
+
+    this.userStates.set(String(userId), {
+      awaitingInput: true,
+      action: "due",
+      state: this.constants.INPUT_STATES.WAITING_DUE_DATE_INPUT,
+      todoId,
+      chatId,
+      timestamp: Date.now()
+    });
+
+    return {
+      type: "input_request",
+      module: "todo",
+      data: {
+        title: "📅 *기한 입력*",
+        message: "기한을 입력해주세요:",
+        suggestions: ["내일", "다음주 금요일", "10월 31일", "3일 후 오후 6시"]
+      }
+    };
+  }
+
+  /**
+   * 💾 기한 저장 후 목록으로
+   */
+  async applyDueDate(userId, todoId, dueDate) {
+    const result = await this.todoService.updateTodo(userId, todoId, {
+      dueDate
+    });
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message || "기한 설정에 실패했습니다." }
+      };
+    }
+
+    logger.info(
+      `📅 할일 기한 ${dueDate ? "설정" : "해제"}: ${userId} - ${todoId}`
+    );
+
+    return await this.showList(userId, null, "1");
+  }
+
+  /**
+   * 📅 빠른 선택 → 사용자 타임존 기준 해당 날짜의 끝 (23:59:59)
+   */
+  resolveDuePreset(preset, timezone, now = new Date()) {
+    const today = moment.tz(now, timezone);
+
+    switch (preset) {
+      case "today":
+        return today.endOf("day").toDate();
+      case "tomorrow":
+        return today.add(1, "day").endOf("day").toDate();
+      case "friday": {
+        // 이번 주 금요일 (이미 지났으면 다음 주 금요일)
+        const friday = today.clone().isoWeekday(5);
+        if (friday.isBefore(today, "day")) friday.add(1, "week");
+        return friday.endOf("day").toDate();
+      }
+      case "nextweek":
+        return today.add(1, "week").isoWeekday(1).endOf("day").toDate();
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * ☑️ 할일 상세 (세부 항목 체크리스트)
+   */
+  async showTodoDetail(userId, todoId, extra = {}) {
+    const [todoResult, settings] = await Promise.all([
+      this.todoService.getTodoById(userId, todoId),
+      this.todoService.getUserSettings(userId)
+    ]);
+
+    if (!todoResult.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: todoResult.message }
+      };
+    }
+
+    return {
+      type: "todo_detail",
+      module: "todo",
+      data: { todo: todoResult.data, timezone: settings.timezone, ...extra }
+    };
+  }
+
+  /**
+   * ☑️ 세부 항목 입력 시작
+   */
+  async startSubtaskInput(userId, chatId, params) {
+    this.userStates.set(String(userId), {
+      awaitingInput: true,
+      action: "sub_add",
+      state: this.constants.INPUT_STATES.WAITING_SUBTASK_INPUT,
+      todoId: params,
+      chatId,
+      timestamp: Date.now()
+    });
+
+    return {
+      type: "input_request",
+      module: "todo",
+      data: {
+        title: "☑️ *세부 항목 추가*",
+        message:
+          "추가할 항목을 입력해주세요:\n(여러 줄로 보내면 한 번에 추가됩니다)",
+        suggestions: ["자료 수집", "초안 작성", "팀 리뷰 요청"]
+      }
+    };
+  }
+
+  /**
+   * ☑️ 세부 항목 토글 (params: "todoId:subtaskId")
+   * - 모두 끝나면 상위 할일 완료를 제안
+   */
+  async toggleSubtask(userId, params) {
+    const [todoId, subtaskId] = String(params || "").split(":");
+    const result = await this.todoService.toggleSubtask(
+      userId,
+      todoId,
+      subtaskId
+    );
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message }
+      };
+    }
+
+    return await this.showTodoDetail(userId, todoId, {
+      offerComplete: result.data.allSubtasksDone
+    });
+  }
+
+  /**
+   * 🗑️ 세부 항목 삭제 (params: "todoId:subtaskId")
+   */
+  async removeSubtask(userId, params) {
+    const [todoId, subtaskId] = String(params || "").split(":");
+    const result = await this.todoService.removeSubtask(
+      userId,
+      todoId,
+      subtaskId
+    );
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message }
+      };
+    }
+
+    return await this.showTodoDetail(userId, todoId);
+  }
+
+  /**
+   * 🔄 반복 주기 선택 화면
+   */
+  async showRecurrenceOptions(userId, chatId, params) {
+    const todoResult = await this.todoService.getTodoById(userId, params);
+
+    if (!todoResult.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: todoResult.message }
+      };
+    }
+
+    return {
+      type: "recurrence_select",
+      module: "todo",
+      data: { todo: todoResult.data }
+    };
+  }
+
+  /**
+   * 🔄 반복 설정 (params: "todoId:pattern", pattern이 none이면 해제)
+   */
+  async setRecurrence(userId, chatId, params) {
+    const [todoId, pattern] = String(params || "").split(":");
+    const isValid = this.constants.RECURRENCE_PATTERNS.includes(pattern);
+
+    const result = await this.todoService.setRecurrence(
+      userId,
+      todoId,
+      isValid ? pattern : null
+    );
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message }
+      };
+    }
+
+    return await this.showRecurringList(userId, chatId);
+  }
+
+  /**
+   * 🔄 반복 할일 관리 화면
+   */
+  async showRecurringList(userId, chatId) {
+    const [result, settings] = await Promise.all([
+      this.todoService.getRecurringTodos(userId),
+      this.todoService.getUserSettings(userId)
+    ]);
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message }
+      };
+    }
+
+    return {
+      type: "recurring_list",
+      module: "todo",
+      data: { ...result.data, timezone: settings.timezone }
+    };
+  }
+
+  /**
+   * ⏹️ 반복 중지
+   */
+  async stopRecurrence(userId, chatId, params) {
+    const result = await this.todoService.stopRecurrence(userId, params);
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message }
+      };
+    }
+
+    return await this.showRecurringList(userId, chatId);
+  }
+
+  /**
+   * 🔍 검색어 입력 시작
+   */
+  async startSearchFlow(userId, chatId) {
+    this.userStates.set(String(userId), {
+      awaitingInput: true,
+      action: "search",
+      state: this.constants.INPUT_STATES.WAITING_SEARCH_INPUT,
+      chatId,
+      timestamp: Date.now()
+    });
+
+    return {
+      type: "input_request",
+      module: "todo",
+      data: {
+        title: "🔍 *할일 검색*",
+        message: "찾을 내용을 입력해주세요:",
+        suggestions: ["보고서", "/todo 검색 회의 --all (완료·보관 포함)"]
+      }
+    };
+  }
+
+  /**
+   * 🔍 검색 실행 (검색어를 기억해 두고 첫 페이지 표시)
+   */
+  async searchTodos(userId, query, options = {}) {
+    this.searchSessions.set(String(userId), {
+      query,
+      includeArchived: !!options.includeArchived,
+      timestamp: Date.now()
+    });
+
+    return await this.showSearchResults(userId, 1);
+  }
+
+  /**
+   * 🔍 검색 결과 표시
+   */
+  async showSearchResults(userId, page = 1) {
+    const session = this.searchSessions.get(String(userId));
+
+    if (!session) {
+      return {
+        type: "error",
+        module: "todo",
+        data: {
+          message: "검색이 만료되었습니다. 다시 검색해주세요.",
+          action: "search",
+          canRetry: true
+        }
+      };
+    }
+
+    session.timestamp = Date.now();
+
+    const result = await this.todoService.searchTodos(userId, session.query, {
+      page,
+      limit: 10,
+      includeArchived: session.includeArchived
+    });
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message, action: "search", canRetry: true }
+      };
+    }
+
+    return {
+      type: "list",
+      module: "todo",
+      data: result.data
+    };
+  }
+
+  /**
+   * 📦 검색에 완료/보관 할일 포함 여부 전환
+   */
+  async toggleSearchArchived(userId) {
+    const session = this.searchSessions.get(String(userId));
+
+    if (session) {
+      session.includeArchived = !session.includeArchived;
+    }
+
+    return await this.showSearchResults(userId, 1);
+  }
+
+  /**
+   * ⌨️ /todo 명령어 처리 ("/todo", "/todo 검색 <검색어> [--all]")
+   */
+  async handleTodoCommand(userId, chatId, args = []) {
+    const [subCommand, ...rest] = args;
+
+    if (this.constants.SEARCH_COMMANDS.includes(subCommand)) {
+      const includeArchived = rest.includes("--all");
+      const query = rest.filter((word) => word !== "--all").join(" ");
+
+      if (!query) {
+        return await this.startSearchFlow(userId, chatId);
+      }
+
+      return await this.searchTodos(userId, query, { includeArchived });
+    }
+
+    return await this.showMenu(userId, chatId);
+  }
+
+  /**
+   * 📬 아침 요약 켜기/끄기
+   */
+  async toggleDigest(userId, chatId) {
+    const result = await this.todoService.toggleDigest(userId);
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message || "요약 설정 변경에 실패했습니다." }
+      };
+    }
+
+    return await this.showMenu(userId, chatId);
+  }
+
   /**
    * 📋 할일 목록 표시
    */
@@ -651,6 +1222,7 @@ class TodoModuleV2 {
           { text: "📊 통계", callback_data: "todo:stats" },
           { text: "🗓️ 오늘 할일", callback_data: "todo:today" }
         ],
+        [{ text: "🔍 검색", callback_data: "todo:search" }],
         [{ text: "🏠 메인 메뉴", callback_data: "system:menu" }]
       ]
     };
@@ -703,6 +1275,25 @@ class TodoModuleV2 {
       keyboard.push(paginationRow);
     }
 
+    // 🏷️ 태그/카테고리 필터
+    const { tags = [], categories = [] } = result.facets || {};
+    const filterButtons = [
+      ...tags.slice(0, 4).map(({ tag, pending }) => ({
+        text: `#${tag} (${pending})`,
+        callback_data: `todo:list:tag:${tag}:1`
+      })),
+      ...(categories.length > 1 ? categories.slice(0, 4) : []).map(
+        ({ category, pending }) => ({
+          text: `@${category} (${pending})`,
+          callback_data: `todo:list:cat:${category}:1`
+        })
+      )
+    ].filter((button) => Buffer.byteLength(button.callback_data) <= 64);
+
+    for (let i = 0; i < filterButtons.length; i += 4) {
+      keyboard.push(filterButtons.slice(i, i + 4));
+    }
+
     // 메뉴 버튼
     keyboard.push([
       { text: "➕ 추가", callback_data: "todo:add" },
@@ -788,6 +1379,11 @@ class TodoModuleV2 {
         logger.debug(`🧹 만료된 TodoModuleV2 사용자 상태 정리: ${userId}`);
       }
     });
+    this.searchSessions.forEach((session, userId) => {
+      if (now - session.timestamp > 1800000) {
+        this.searchSessions.delete(userId);
+      }
+    });
   }
 
   getPriorityEmoji(priority) {
@@ -824,6 +1420,16 @@ class TodoModuleV2 {
         `📝 TodoModule 메시지 수신: 사용자 ${userId}, 텍스트: "${text}"`
       );
 
+      // /todo 명령어는 입력 대기 상태보다 우선
+      if (message.commandInfo?.isCommand) {
+        this.userStates.delete(userId);
+        return await this.handleTodoCommand(
+          userId,
+          chatId,
+          message.commandInfo.args
+        );
+      }
+
       // 할일 입력 대기 상태인지 확인
       const userState = this.userStates.get(userId);
       logger.debug(`📝 사용자 상태 확인:`, { userId, userState });
@@ -834,41 +1440,32 @@ class TodoModuleV2 {
           `📝 할일 입력 처리: 사용자 ${userId}, 액션: ${userState.action || userState.state}, 텍스트: "${text}"`
         );
 
-        const action =
-          userState.action ||
-          (userState.state === this.constants.INPUT_STATES.WAITING_ADD_INPUT
-            ? "add"
-            : userState.state === this.constants.INPUT_STATES.WAITING_EDIT_INPUT
-              ? "edit"
-              : null);
-
-        if (
-          action === "add" ||
-          userState.state === this.constants.INPUT_STATES.WAITING_ADD_INPUT
-        ) {
-          // 할일 생성 이벤트 발행
-          await this.eventBus.publish("todo:create:request", {
-            userId,
-            chatId,
-            text: text
-          });
-        } else if (
-          action === "edit" ||
-          userState.state === this.constants.INPUT_STATES.WAITING_EDIT_INPUT
-        ) {
-          // 할일 수정 이벤트 발행
-          await this.eventBus.publish("todo:update:request", {
-            userId,
-            chatId,
-            todoId: userState.todoId,
-            text: text
-          });
-        }
-
         // 사용자 상태 초기화
         this.userStates.delete(userId);
 
-        return true; // 메시지를 처리했음을 알림
+        switch (userState.state) {
+          case this.constants.INPUT_STATES.WAITING_ADD_INPUT:
+            return await this.handleAddInput(userId, chatId, text);
+          case this.constants.INPUT_STATES.WAITING_EDIT_INPUT:
+            return await this.handleEditInput(userId, userState.todoId, text);
+          case this.constants.INPUT_STATES.WAITING_SEARCH_INPUT:
+            return await this.searchTodos(userId, text);
+          case this.constants.INPUT_STATES.WAITING_SUBTASK_INPUT:
+            return await this.handleSubtaskInput(
+              userId,
+              userState.todoId,
+              text
+            );
+          case this.constants.INPUT_STATES.WAITING_DUE_DATE_INPUT:
+            return await this.handleDueDateInput(
+              userId,
+              chatId,
+              userState.todoId,
+              text
+            );
+          default:
+            return true;
+        }
       }
 
       return false; // 이 모듈에서 처리하지 않음
@@ -878,6 +1475,141 @@ class TodoModuleV2 {
     }
   }
 
+  /**
+   * ➕ 할일 추가 입력 처리 → 기한 선택으로 이어짐
+   */
+  async handleAddInput(userId, chatId, text) {
+    const result = await this.todoService.addTodo(
+      userId,
+      this.parseTodoInput(text)
+    );
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message, action: "add", canRetry: true }
+      };
+    }
+
+    const settings = await this.todoService.getUserSettings(userId);
+
+    return {
+      type: "due_date_select",
+      module: "todo",
+      data: {
+        todo: result.data,
+        timezone: settings.timezone,
+        isNew: true
+      }
+    };
+  }
+
+  /**
+   * ✏️ 할일 수정 입력 처리
+   */
+  async handleEditInput(userId, todoId, text) {
+    const { tags, category, ...updateData } = this.parseTodoInput(text);
+
+    // 태그/카테고리는 새로 적었을 때만 교체
+    if (tags.length > 0) updateData.tags = tags;
+    if (category) updateData.category = category;
+
+    const result = await this.todoService.updateTodo(
+      userId,
+      todoId,
+      updateData
+    );
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: { message: result.message }
+      };
+    }
+
+    return await this.showList(userId, null, "1");
+  }
+
+  /**
+   * ☑️ 세부 항목 입력 처리 (줄마다 하나씩)
+   */
+  async handleSubtaskInput(userId, todoId, text) {
+    const result = await this.todoService.addSubtasks(
+      userId,
+      todoId,
+      String(text || "").split("\n")
+    );
+
+    if (!result.success) {
+      return {
+        type: "error",
+        module: "todo",
+        data: {
+          message: result.message,
+          action: `detail:${todoId}`,
+          canRetry: true
+        }
+      };
+    }
+
+    return await this.showTodoDetail(userId, todoId);
+  }
+
+  /**
+   * 🏷️ 할일 입력에서 #태그 / @카테고리 추출
+   * 예: "보고서 작성 #회의 @업무" → { text: "보고서 작성", tags: ["회의"], category: "업무" }
+   */
+  parseTodoInput(input) {
+    const { MAX_TAGS, MAX_TAG_LENGTH } = this.constants;
+    const tags = [];
+    let category = null;
+
+    // 단어 앞에 붙은 #, @만 인식 (이메일 주소 등은 제외)
+    const text = String(input || "")
+      .replace(/(^|\s)([#@])([^\s#@:]+)/g, (match, lead, mark, word) => {
+        const value = word.slice(0, MAX_TAG_LENGTH);
+
+        if (mark === "#") {
+          const tag = value.toLowerCase();
+          if (!tags.includes(tag) && tags.length < MAX_TAGS) tags.push(tag);
+        } else if (!category) {
+          category = value;
+        }
+
+        return lead;
+      })
+      .replace(/\s{2,}/g, " ")
+      .trim();
+
+    return { text, tags, category };
+  }
+
+  /**
+   * 📅 기한 직접 입력 처리 ("내일", "금요일", "10월 31일 오후 6시")
+   */
+  async handleDueDateInput(userId, chatId, todoId, text) {
+    const settings = await this.todoService.getUserSettings(userId);
+    const parsed = KoreanTimeParser.parse(text, {
+      timezone: settings.timezone
+    });
+
+    if (!parsed) {
+      // 다시 입력받기
+      const retry = await this.startDueDateInput(userId, chatId, todoId);
+      retry.data.message = "날짜를 이해하지 못했어요. 다시 입력해주세요:";
+      return retry;
+    }
+
+    // 시각을 말하지 않았다면 그날 하루 끝까지
+    const dueDate = parsed.info.hasTime
+      ? parsed.reminderTime
+      : moment.tz(parsed.reminderTime, settings.timezone).endOf("day").toDate();
+
+    return await this.applyDueDate(userId, todoId, dueDate);
+  }
+
   /**
    * 📊 할일 통계 표시
    */
@@ -897,7 +1629,7 @@ class TodoModuleV2 {
         type: "stats",
         module: "todo",
         data: {
-          stats: statsResult.data,
+          ...statsResult.data,
           userId: userId
         }
       };
@@ -998,6 +1730,7 @@ class TodoModuleV2 {
 
       // 사용자 상태 정리
       this.userStates.clear();
+      this.searchSessions.clear();
 
       logger.success("✅ TodoModuleV2 정리 완료");
     } catch (error) {
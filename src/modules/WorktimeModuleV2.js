@@ -3,6 +3,7 @@
  * 완전한 이벤트 기반 아키텍처로 구현된 근무시간 관리 모듈
  */
 
+const moment = require("moment-timezone");
 const { EVENTS } = require("../events/index");
 const logger = require("../utils/core/Logger");
 const Utils = require("../utils");
@@ -54,6 +55,16 @@ class WorktimeModuleV2 {
         SHORT: "short",
         LONG: "long",
         LUNCH: "lunch"
+      },
+      INPUT_STATES: {
+        WAITING_TIME_EDIT: "waiting_time_edit",
+        WAITING_SCHEDULE_INPUT: "waiting_schedule_input"
+      },
+      SCHEDULE_TYPES: ["fixed", "flexible", "shift"],
+      EXPORT_COMMANDS: ["export", "내보내기", "csv"],
+      EDIT_FIELDS: {
+        in: "checkInTime",
+        out: "checkOutTime"
       }
     };
 
@@ -268,26 +279,55 @@ class WorktimeModuleV2 {
     // 레거시 콜백을 처리하는 맵
     const actionMap = {
       menu: () => this.showMenu(userId, chatId),
-      checkin: () => this.publishCheckinRequest(userId, chatId),
-      checkout: () => this.publishCheckoutRequest(userId, chatId),
-      today: () => this.publishTodayRequest(userId, chatId),
+      checkin: () => this.checkIn(userId),
+      checkout: () => this.checkOut(userId),
+      today: () => this.showToday(userId),
       status: () => this.publishStatusRequest(userId, chatId),
-      weekly: () => this.publishWeeklyRequest(userId, chatId),
-      monthly: () => this.publishMonthlyRequest(userId, chatId),
+      week: () => this.showWeekStats(userId),
+      weekly: () => this.showWeekStats(userId),
+      month: () => this.showMonthStats(userId),
+      monthly: () => this.showMonthStats(userId),
       stats: () => this.publishStatsRequest(userId, chatId),
       history: () => this.publishHistoryRequest(userId, chatId),
-      settings: () => this.publishSettingsRequest(userId, chatId),
-      break_start: () => this.publishBreakStartRequest(userId, chatId),
-      break_end: () => this.publishBreakEndRequest(userId, chatId),
-      lunch_start: () => this.publishLunchStartRequest(userId, chatId),
-      lunch_end: () => this.publishLunchEndRequest(userId, chatId)
+      settings: () => {
+        this.clearUserState(userId); // 근무 형태 입력 취소 포함
+        return this.showSettings(userId);
+      },
+      // 🗓️ 근무 형태: "schedule:fixed|flexible|shift"
+      schedule: () => this.startScheduleInput(userId, params),
+      // "break:short|long|end", "lunch", "lunch:end"
+      break: () =>
+        params === "end"
+          ? this.endBreak(userId)
+          : this.startBreak(userId, params || this.constants.BREAK_TYPES.SHORT),
+      lunch: () =>
+        params === "end"
+          ? this.endBreak(userId, this.constants.BREAK_TYPES.LUNCH)
+          : this.startBreak(userId, this.constants.BREAK_TYPES.LUNCH),
+      break_start: () =>
+        this.startBreak(userId, this.constants.BREAK_TYPES.SHORT),
+      break_end: () => this.endBreak(userId),
+      lunch_start: () =>
+        this.startBreak(userId, this.constants.BREAK_TYPES.LUNCH),
+      lunch_end: () => this.endBreak(userId, this.constants.BREAK_TYPES.LUNCH),
+      // ✏️ 기록 수정: "edit", "edit_select:<id>", "edit_in:<id>", "edit_out:<id>"
+      edit: () => this.showEditList(userId),
+      edit_select: () => this.showEditRecord(userId, params),
+      edit_in: () => this.startTimeEdit(userId, params, "in"),
+      edit_out: () => this.startTimeEdit(userId, params, "out"),
+      edit_confirm: () => this.confirmRecord(userId, params),
+      edit_cancel: () => this.cancelTimeEdit(userId),
+      // 📤 내보내기: "export", "export_month:YYYY-MM", "export_token"
+      export: () => this.showExportMenu(userId),
+      export_month: () => this.exportMonth(userId, params),
+      export_token: () => this.issueExportToken(userId)
     };
 
     const handler = actionMap[subAction];
     if (handler) {
       const result = await handler();
-      // menu 액션은 렌더러용 결과를 반환
-      if (subAction === "menu" && result) {
+      // 렌더러용 결과(type 포함)는 그대로 반환
+      if (result?.type) {
         return result;
       }
       return {
@@ -411,6 +451,591 @@ class WorktimeModuleV2 {
     }
   }
 
+  /**
+   * 🏢 출근 처리 (V2 렌더러 방식)
+   */
+  async checkIn(userId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const record = await this.worktimeService.checkIn(userId);
+      const compliance = await this.getComplianceWithAlerts(userId);
+
+      return {
+        type: "checkin",
+        module: "worktime",
+        success: true,
+        data: {
+          checkInTime: record.checkInTime,
+          record,
+          attendance: record.attendance,
+          compliance
+        }
+      };
+    } catch (error) {
+      logger.error("💼 출근 처리 실패:", error);
+      return this.createErrorResult(error.message);
+    }
+  }
+
+  /**
+   * 🏠 퇴근 처리 (V2 렌더러 방식)
+   */
+  async checkOut(userId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const record = await this.worktimeService.checkOut(userId);
+      const { classification = {} } = record;
+      const compliance = await this.getComplianceWithAlerts(userId);
+
+      return {
+        type: "checkout",
+        module: "worktime",
+        success: true,
+        data: {
+          record,
+          classification,
+          attendance: record.attendance,
+          compliance,
+          workSummary: {
+            workDuration: record.workDuration,
+            displayTime: record.workDurationDisplay,
+            isOvertime: classification.overtimeMinutes > 0,
+            overtimeMinutes: classification.overtimeMinutes || 0
+          }
+        }
+      };
+    } catch (error) {
+      logger.error("💼 퇴근 처리 실패:", error);
+      return this.createErrorResult(error.message);
+    }
+  }
+
+  /**
+   * 📅 오늘 현황 (V2 렌더러 방식)
+   */
+  async showToday(userId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const record = await this.worktimeService.getTodayRecord(userId);
+
+      if (!record) {
+        return {
+          type: "today",
+          module: "worktime",
+          success: true,
+          data: { hasRecord: false, isWorking: false }
+        };
+      }
+
+      const workDuration = record.isWorking
+        ? record.currentWorkDuration
+        : record.workDuration;
+
+      return {
+        type: "today",
+        module: "worktime",
+        success: true,
+        data: {
+          hasRecord: true,
+          record,
+          isWorking: record.isWorking,
+          currentBreak: record.currentBreak || null,
+          breaks: record.breaks || [],
+          workSummary: {
+            workDuration,
+            grossDuration: record.grossDuration || workDuration,
+            breakDuration: record.breakDuration || 0,
+            isOvertime: (record.overtimeMinutes || 0) > 0,
+            overtimeMinutes: record.overtimeMinutes || 0
+          },
+          timestamp: new Date()
+        }
+      };
+    } catch (error) {
+      logger.error("💼 오늘 현황 조회 실패:", error);
+      return this.createErrorResult("오늘 근무 현황을 불러올 수 없습니다.");
+    }
+  }
+
+  /**
+   * ☕ 휴식/점심 시작 (V2 렌더러 방식)
+   */
+  async startBreak(userId, breakType) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    const validTypes = Object.values(this.constants.BREAK_TYPES);
+    const type = validTypes.includes(breakType)
+      ? breakType
+      : this.constants.BREAK_TYPES.SHORT;
+
+    const result = await this.worktimeService.startBreak(userId, type);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "break_start",
+      module: "worktime",
+      success: true,
+      data: { breakType: type, startTime: new Date() }
+    };
+  }
+
+  /**
+   * 🔚 휴식/점심 종료 (V2 렌더러 방식)
+   */
+  async endBreak(userId, breakType = null) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    const result = await this.worktimeService.endBreak(userId, breakType);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "break_end",
+      module: "worktime",
+      success: true,
+      data: result.data
+    };
+  }
+
+  /**
+   * ⚖️ 주 52시간 현황 조회 + 화면에 표시할 경고는 발송 완료로 기록
+   * (스케줄러가 같은 경고를 다시 보내지 않도록)
+   */
+  async getComplianceWithAlerts(userId) {
+    try {
+      const compliance = await this.worktimeService.getWeeklyCompliance(userId);
+      compliance.newAlerts = await this.worktimeService.claimComplianceAlerts(
+        userId,
+        compliance
+      );
+      return compliance;
+    } catch (error) {
+      logger.warn("⚖️ 주 52시간 현황 조회 실패:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 📊 주간 통계 (V2 렌더러 방식)
+   */
+  async showWeekStats(userId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const stats = await this.worktimeService.getWeekStats(userId);
+      return { type: "week", module: "worktime", success: true, data: stats };
+    } catch (error) {
+      logger.error("💼 주간 통계 조회 실패:", error);
+      return this.createErrorResult("주간 통계를 불러올 수 없습니다.");
+    }
+  }
+
+  /**
+   * 📈 월간 통계 (V2 렌더러 방식)
+   */
+  async showMonthStats(userId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const stats = await this.worktimeService.getMonthStats(userId);
+      return { type: "month", module: "worktime", success: true, data: stats };
+    } catch (error) {
+      logger.error("💼 월간 통계 조회 실패:", error);
+      return this.createErrorResult("월간 통계를 불러올 수 없습니다.");
+    }
+  }
+
+  /**
+   * ✏️ 수정할 기록 선택 (최근 기록 목록)
+   */
+  async showEditList(userId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const records = await this.worktimeService.getRecentRecords(userId);
+      return {
+        type: "edit_list",
+        module: "worktime",
+        success: true,
+        data: { records }
+      };
+    } catch (error) {
+      logger.error("💼 수정 대상 기록 조회 실패:", error);
+      return this.createErrorResult("근무 기록을 불러올 수 없습니다.");
+    }
+  }
+
+  /**
+   * ✏️ 기록 상세 (수정 버튼 + 수정 이력)
+   */
+  async showEditRecord(userId, recordId, notice = null) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    const result = await this.worktimeService.getRecordById(userId, recordId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "edit_record",
+      module: "worktime",
+      success: true,
+      data: { record: result.data, notice }
+    };
+  }
+
+  /**
+   * ⌨️ 출근/퇴근 시각 입력 대기 시작
+   */
+  async startTimeEdit(userId, recordId, fieldKey) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    const result = await this.worktimeService.getRecordById(userId, recordId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    const field = this.constants.EDIT_FIELDS[fieldKey];
+    this.setUserState(userId, {
+      state: this.constants.INPUT_STATES.WAITING_TIME_EDIT,
+      recordId,
+      field
+    });
+
+    return {
+      type: "edit_time_input",
+      module: "worktime",
+      success: true,
+      data: { record: result.data, field }
+    };
+  }
+
+  async cancelTimeEdit(userId) {
+    const state = this.getUserState(userId);
+    this.clearUserState(userId);
+
+    return state?.recordId
+      ? this.showEditRecord(userId, state.recordId)
+      : this.showEditList(userId);
+  }
+
+  /**
+   * ✅ 자동 마감된 퇴근 시각을 그대로 확정
+   */
+  async confirmRecord(userId, recordId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    const result = await this.worktimeService.confirmRecord(userId, recordId);
+    if (!result.success) {
+      return this.createErrorResult(result.message);
+    }
+
+    return {
+      type: "edit_record",
+      module: "worktime",
+      success: true,
+      data: { record: result.data, notice: "✅ 퇴근 시각을 확정했습니다." }
+    };
+  }
+
+  /**
+   * 📤 내보내기 메뉴 (최근 3개월 + API 토큰)
+   */
+  async showExportMenu(userId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const { timezone } = await this.worktimeService.getUserSettings(userId);
+      const thisMonth = moment.tz(timezone).startOf("month");
+      const months = [0, 1, 2].map((offset) =>
+        thisMonth.clone().subtract(offset, "months").format("YYYY-MM")
+      );
+
+      return {
+        type: "export_menu",
+        module: "worktime",
+        success: true,
+        data: {
+          months,
+          hasToken: await this.worktimeService.hasExportToken(userId),
+          apiUrl: this.getExportApiUrl()
+        }
+      };
+    } catch (error) {
+      logger.error("💼 내보내기 메뉴 조회 실패:", error);
+      return this.createErrorResult("내보내기 메뉴를 불러올 수 없습니다.");
+    }
+  }
+
+  /**
+   * 📄 월별 근태 CSV 생성 (렌더러가 문서로 전송)
+   */
+  async exportMonth(userId, month = null) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const exportData = await this.worktimeService.getMonthExport(
+        userId,
+        month
+      );
+
+      if (!exportData) {
+        return this.createErrorResult(
+          "월 형식이 올바르지 않습니다. 예: 2025-03"
+        );
+      }
+
+      return {
+        type: "export_file",
+        module: "worktime",
+        success: true,
+        data: {
+          month: exportData.month,
+          totals: exportData.totals,
+          rowCount: exportData.rows.length,
+          filename: `worktime_${exportData.month}.csv`,
+          csv: this.worktimeService.buildExportCsv(exportData)
+        }
+      };
+    } catch (error) {
+      logger.error("💼 근무기록 내보내기 실패:", error);
+      return this.createErrorResult("근무기록을 내보낼 수 없습니다.");
+    }
+  }
+
+  /**
+   * 🔑 내보내기 API 토큰 발급 (다시 발급하면 이전 토큰은 사용 불가)
+   */
+  async issueExportToken(userId) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const token = await this.worktimeService.issueExportToken(userId);
+      return {
+        type: "export_token",
+        module: "worktime",
+        success: true,
+        data: { token, apiUrl: this.getExportApiUrl() }
+      };
+    } catch (error) {
+      logger.error("💼 내보내기 토큰 발급 실패:", error);
+      return this.createErrorResult("토큰을 발급할 수 없습니다.");
+    }
+  }
+
+  getExportApiUrl() {
+    const path = "/api/worktime/export";
+    const baseUrl =
+      process.env.BASE_URL ||
+      (process.env.RAILWAY_PUBLIC_DOMAIN
+        ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`
+        : "");
+    return `${baseUrl.replace(/\/$/, "")}${path}`;
+  }
+
+  /**
+   * ⚙️ 근무 설정 (근무 형태)
+   */
+  async showSettings(userId, notice = null) {
+    if (!this.worktimeService) {
+      return this.createErrorResult("근무시간 서비스를 사용할 수 없습니다.");
+    }
+
+    try {
+      const settings = await this.worktimeService.getUserSettings(userId);
+      return {
+        type: "settings",
+        module: "worktime",
+        success: true,
+        data: {
+          settings,
+          todaySchedule: this.worktimeService.resolveDaySchedule(settings),
+          notice
+        }
+      };
+    } catch (error) {
+      logger.error("💼 근무 설정 조회 실패:", error);
+      return this.createErrorResult("근무 설정을 불러올 수 없습니다.");
+    }
+  }
+
+  /**
+   * ⌨️ 근무 형태 입력 대기 시작
+   */
+  async startScheduleInput(userId, scheduleType) {
+    if (!this.constants.SCHEDULE_TYPES.includes(scheduleType)) {
+      return this.showSettings(userId);
+    }
+
+    this.setUserState(userId, {
+      state: this.constants.INPUT_STATES.WAITING_SCHEDULE_INPUT,
+      scheduleType
+    });
+
+    return {
+      type: "schedule_input",
+      module: "worktime",
+      success: true,
+      data: { scheduleType }
+    };
+  }
+
+  /**
+   * 🗓️ 근무 형태 입력 처리 (잘못된 입력이면 다시 안내)
+   */
+  async handleScheduleInput(userId, userState, text) {
+    const result = await this.worktimeService.updateSchedule(
+      userId,
+      userState.scheduleType,
+      text
+    );
+
+    if (!result.success) {
+      this.setUserState(userId, userState);
+      return {
+        type: "schedule_input",
+        module: "worktime",
+        success: true,
+        data: {
+          scheduleType: userState.scheduleType,
+          errorMessage: result.message
+        }
+      };
+    }
+
+    this.clearUserState(userId);
+    return this.showSettings(userId, "✅ 근무 형태를 변경했습니다.");
+  }
+
+  /**
+   * 💬 메시지 처리
+   * - 기록 수정 시각 입력 ("18:30" 또는 "18:30 사유")
+   * - 근무 형태 입력 ("09:00-18:00" 등)
+   */
+  async onHandleMessage(bot, message) {
+    const userId = message.from?.id;
+    const text = message.text?.trim();
+    const userState = this.getUserState(userId);
+
+    // "/worktime export 2025-03", "근무 내보내기"
+    if (message.commandInfo) {
+      const [subCommand, month] = message.commandInfo.args || [];
+      if (this.constants.EXPORT_COMMANDS.includes(subCommand)) {
+        this.clearUserState(userId);
+        return month
+          ? this.exportMonth(userId, month)
+          : this.showExportMenu(userId);
+      }
+      return false;
+    }
+
+    if (!text || !userState?.state) {
+      return false;
+    }
+
+    if (
+      userState.state === this.constants.INPUT_STATES.WAITING_SCHEDULE_INPUT
+    ) {
+      if (text === "취소") {
+        this.clearUserState(userId);
+        return this.showSettings(userId);
+      }
+      return this.handleScheduleInput(userId, userState, text);
+    }
+
+    if (userState.state !== this.constants.INPUT_STATES.WAITING_TIME_EDIT) {
+      return false;
+    }
+
+    if (text === "취소") {
+      return this.cancelTimeEdit(userId);
+    }
+
+    const [timeText, ...reasonParts] = text.split(/\s+/);
+    const result = await this.worktimeService.updateRecordTime(
+      userId,
+      userState.recordId,
+      userState.field,
+      timeText,
+      reasonParts.join(" ")
+    );
+
+    if (!result.success) {
+      // 입력 대기 유지, 다시 입력 안내
+      const current = await this.worktimeService.getRecordById(
+        userId,
+        userState.recordId
+      );
+      if (!current.success) {
+        this.clearUserState(userId);
+        return this.createErrorResult(current.message);
+      }
+
+      this.setUserState(userId, userState);
+      return {
+        type: "edit_time_input",
+        module: "worktime",
+        success: true,
+        data: {
+          record: current.data,
+          field: userState.field,
+          errorMessage: result.message
+        }
+      };
+    }
+
+    this.clearUserState(userId);
+    return {
+      type: "edit_record",
+      module: "worktime",
+      success: true,
+      data: { record: result.data, notice: "✅ 근무 기록을 수정했습니다." }
+    };
+  }
+
+  createErrorResult(message) {
+    return {
+      type: "error",
+      module: "worktime",
+      success: false,
+      data: { message, canRetry: true }
+    };
+  }
+
   /**
    * 🎯 이벤트 기반 콜백 처리 (구 handleCallback)
    */
@@ -1355,35 +1980,25 @@ class WorktimeModuleV2 {
   formatWeeklyStats(weeklyStats) {
     const lines = [
       "📊 *주간 근무 통계*\\n",
-      `📅 **기간**: ${weeklyStats.startDate} ~ ${weeklyStats.endDate}`,
-      `📈 **총 근무시간**: ${this.formatDuration(weeklyStats.totalWorkTime)}`,
-      `📊 **평균 근무시간**: ${this.formatDuration(weeklyStats.averageWorkTime)}`,
-      `📋 **출근일수**: ${weeklyStats.workDays}일`
+      `📅 **기간**: ${weeklyStats.weekStart} ~ ${weeklyStats.weekEnd}`,
+      `📈 **총 근무시간**: ${weeklyStats.totalHours || 0}시간`,
+      `📊 **평균 근무시간**: ${weeklyStats.avgDailyHours || 0}시간`,
+      `📋 **출근일수**: ${weeklyStats.workDays}일`,
+      ...this.formatBreakdownLines(weeklyStats.breakdown)
     ];
 
-    if (weeklyStats.overtimeHours > 0) {
-      lines.push(
-        `⏰ **초과근무**: ${this.formatDuration(weeklyStats.overtimeHours)}`
-      );
-    }
-
     return lines.join("\\n");
   }
 
   formatMonthlyStats(monthlyStats, year, month) {
     const lines = [
       `📈 *${year}년 ${month}월 근무 통계*\\n`,
-      `📊 **총 근무시간**: ${this.formatDuration(monthlyStats.totalWorkTime)}`,
+      `📊 **총 근무시간**: ${monthlyStats.totalHours || 0}시간`,
       `📋 **출근일수**: ${monthlyStats.workDays}일`,
-      `📈 **평균 근무시간**: ${this.formatDuration(monthlyStats.averageWorkTime)}`
+      `📈 **평균 근무시간**: ${monthlyStats.avgDailyHours || 0}시간`,
+      ...this.formatBreakdownLines(monthlyStats.breakdown)
     ];
 
-    if (monthlyStats.overtimeHours > 0) {
-      lines.push(
-        `⏰ **초과근무**: ${this.formatDuration(monthlyStats.overtimeHours)}`
-      );
-    }
-
     if (monthlyStats.lateCount > 0) {
       lines.push(`⏰ **지각횟수**: ${monthlyStats.lateCount}회`);
     }
@@ -1391,6 +2006,22 @@ class WorktimeModuleV2 {
     return lines.join("\\n");
   }
 
+  /**
+   * 🧮 근무 유형별 시간 (0시간 항목은 생략)
+   */
+  formatBreakdownLines(breakdown = {}) {
+    const items = [
+      ["🏢", "정규근무", breakdown.regularHours],
+      ["⏰", "초과근무", breakdown.overtimeHours],
+      ["🌙", "야간근무", breakdown.nightHours],
+      ["🎌", "휴일근무", breakdown.holidayHours]
+    ];
+
+    return items
+      .filter(([, , hours]) => hours > 0)
+      .map(([emoji, label, hours]) => `${emoji} **${label}**: ${hours}시간`);
+  }
+
   formatOverallStats(stats) {
     return [
       "📊 *전체 근무 통계*\\n",
@@ -190,6 +190,13 @@ class BaseRenderer {
    * 🕐 retry after 시간 추출
    */
   extractRetryAfter(errorMessage) {
+    return BaseRenderer.extractRetryAfter(errorMessage);
+  }
+
+  /**
+   * 🕐 retry after 시간 추출 (렌더러 밖에서 직접 보내는 메시지용)
+   */
+  static extractRetryAfter(errorMessage) {
     const match = errorMessage.match(/retry after (\d+)/);
     return match ? parseInt(match[1]) : 5; // 기본값 5초
   }
@@ -9,7 +9,8 @@ const logger = require("../utils/core/Logger");
  * 🎯 핵심 기능:
  * - 개인 연차 현황 확인 (잔여/사용)
  * - 연차 사용 기록 (1일/0.5일/0.25일)
- * - 월별 사용 현황 확인
+ * - 기간 연차 (주말/공휴일 제외 차감)
+ * - 월별 사용 현황 확인, 월 달력
  * - 설정에서 연차 추가/삭제
  * - 입사일 기준 연차 자동 계산
  * - 연말 연차 소멸, 신년 연차 생성
@@ -57,6 +58,26 @@ class LeaveRenderer extends BaseRenderer {
           return await this.renderUseForm(data, ctx);
         case "custom_input_prompt":
           return await this.renderCustomInputPrompt(data, ctx);
+        case "range_input_prompt":
+          return await this.renderRangeInputPrompt(data, ctx);
+        case "calendar":
+          return await this.renderCalendar(data, ctx);
+        case "history":
+          return await this.renderHistory(data, ctx);
+        case "entry_detail":
+          return await this.renderEntryDetail(data, ctx);
+        case "edit_prompt":
+          return await this.renderEditPrompt(data, ctx);
+        case "entry_updated":
+          return await this.renderEntryUpdated(data, ctx);
+        case "cancel_confirm":
+          return await this.renderCancelConfirm(data, ctx);
+        case "entry_cancelled":
+          return await this.renderEntryCancelled(data, ctx);
+        case "team_overview":
+          return await this.renderTeamOverview(data, ctx);
+        case "team_calendar":
+          return await this.renderTeamCalendar(data, ctx);
         case "use_success":
           return await this.renderUseSuccess(data, ctx);
         case "use_error": // ✅ 추가
@@ -91,41 +112,97 @@ class LeaveRenderer extends BaseRenderer {
   async renderMainMenu(data, ctx) {
     try {
       const {
-        totalLeave: _totalLeave = 15, // eslint-disable-line no-unused-vars
+        accruedLeave = 15,
+        plannedLeave = accruedLeave,
+        customLeave = 0,
+        carriedOverLeave = 0,
         usedLeave = 0,
         remainingLeave = 15,
         currentYear = new Date().getFullYear(),
+        periodStart = null,
+        periodEnd = null,
+        accrualMode = "fiscal",
+        expiringLeave = null,
+        nextAccrual = null,
         joinDate = null,
-        workYears = 0
+        workYears = 0,
+        categories = []
       } = data || {};
 
       // 상태 아이콘
       const statusIcon =
         remainingLeave > 10 ? "😊" : remainingLeave > 5 ? "😐" : "😰";
 
-      // 연차 추가 정보
-      const bonusInfo =
-        workYears >= 2
-          ? `\n💼 ${workYears}년차 보너스: +${Math.floor(workYears / 2)}일`
-          : "";
+      const period =
+        periodStart && periodEnd
+          ? `${periodStart} ~ ${periodEnd}`
+          : `${currentYear}년`;
 
-      const text = `🏖️ *내 연차 현황* (${currentYear}년)
+      const lines = [
+        `🏖️ *내 연차 현황* (${period})`,
+        "",
+        "📊 *연차 정보*",
+        `• 발생 연차: ${accruedLeave}일${plannedLeave > accruedLeave ? ` (기간 내 총 ${plannedLeave}일 예정)` : ""}`
+      ];
 
-📊 *연차 정보*
-• 기본 연차: 15일
-• 사용한 연차: ${usedLeave}일  
-• 남은 연차: ${remainingLeave}일${bonusInfo}
+      if (carriedOverLeave > 0) {
+        lines.push(`• 이월 연차: ${carriedOverLeave}일`);
+      }
+      if (customLeave !== 0) {
+        lines.push(
+          `• 수동 조정: ${customLeave > 0 ? "+" : ""}${customLeave}일`
+        );
+      }
 
-${statusIcon} ${remainingLeave > 10 ? "충분해요!" : remainingLeave > 5 ? "적당해요" : "부족해요!"}
+      lines.push(
+        `• 사용한 연차: ${usedLeave}일`,
+        `• 남은 연차: ${remainingLeave}일`,
+        "",
+        `${statusIcon} ${remainingLeave > 10 ? "충분해요!" : remainingLeave > 5 ? "적당해요" : "부족해요!"}`,
+        ""
+      );
 
-${joinDate ? `💼 입사일: ${joinDate} (${workYears}년차)` : ""}
-⏰ 연차는 12월 31일에 소멸되며, 1월 1일에 새로 생성됩니다.`;
+      const otherCategories = categories.filter(
+        (category) => category.key !== "annual"
+      );
+      if (otherCategories.length > 0) {
+        lines.push("🗂️ *다른 휴가*");
+        otherCategories.forEach((category) => {
+          lines.push(this.formatCategoryBalance(category));
+        });
+        lines.push("");
+      }
+
+      if (expiringLeave?.days > 0) {
+        lines.push(
+          `⏳ 소멸 예정: ${expiringLeave.days}일 (${expiringLeave.date}까지 사용)`
+        );
+      }
+      if (expiringLeave?.carryOver > 0) {
+        lines.push(`📦 이월 예정: ${expiringLeave.carryOver}일`);
+      }
+      if (nextAccrual) {
+        lines.push(`🌱 다음 발생: ${nextAccrual.date} +${nextAccrual.days}일`);
+      }
+
+      lines.push(
+        joinDate
+          ? `💼 입사일: ${joinDate} (근속 ${workYears}년)`
+          : "💼 입사일을 설정하면 근로기준법에 맞춰 연차가 계산돼요.",
+        `📐 부여 기준: ${this.getAccrualModeLabel(accrualMode)}`
+      );
+
+      const text = lines.join("\n");
 
       const keyboard = {
         inline_keyboard: [
           [
             { text: "📈 월별 현황", callback_data: "leave:monthly" },
-            { text: "➕ 연차 쓰기", callback_data: "leave:use" }
+            { text: "🗓️ 달력", callback_data: "leave:calendar" }
+          ],
+          [
+            { text: "➕ 연차 쓰기", callback_data: "leave:use" },
+            { text: "📋 사용 내역", callback_data: "leave:history" }
           ],
           [
             { text: "⚙️ 설정", callback_data: "leave:settings" },
@@ -260,26 +337,88 @@ ${message}
    */
   async renderUseForm(data, ctx) {
     try {
-      const { remainingLeave = 0, maxContinuousDays = 10 } = data || {};
-
-      const text = `➕ *연차 사용하기*
-
-💰 *남은 연차: ${remainingLeave}일*
-
-어떤 방식으로 연차를 사용하시겠어요?
+      const {
+        category = "annual",
+        categoryLabel = "연차",
+        categoryIcon = "🏖️",
+        unit = 0.25,
+        unlimited = false,
+        remainingLeave = 0,
+        categories = [],
+        maxContinuousDays = 10
+      } = data || {};
 
-📝 *직접 입력*: 최대 ${maxContinuousDays}일까지, 0.25일 단위로 입력 가능`;
+      const text = `${categoryIcon} *${categoryLabel} 사용하기*
+
+${this.formatRemaining(data)}
+
+어떤 방식으로 ${categoryLabel}를 사용하시겠어요?
+
+📝 *직접 입력*: 최대 ${maxContinuousDays}일까지, ${unit}일 단위로 입력 가능
+📅 *기간 입력*: 8/4-8/8처럼 입력하면 주말·공휴일은 빼고 차감`;
+
+      // 연차는 기존 콜백 그대로 ("leave:add:half"), 다른 종류는 뒤에 종류 추가
+      const categoryParam = category === "annual" ? "" : category;
+      const params = (value) =>
+        category === "annual" ? value : [value, category];
+      const amountButtons = [
+        { key: "quarter", amount: 0.25, text: "🕐 반반차 (0.25일)" },
+        { key: "half", amount: 0.5, text: "🕒 반차 (0.5일)" },
+        { key: "full", amount: 1, text: `🕘 ${categoryLabel} (1일)` }
+      ]
+        .filter(
+          (button) =>
+            (button.amount / unit) % 1 === 0 &&
+            (unlimited || button.amount <= remainingLeave)
+        )
+        .map((button) => ({
+          text: button.text,
+          callback_data: this.buildCallbackData(
+            "leave",
+            "add",
+            params(button.key)
+          )
+        }));
 
       const keyboard = {
         inline_keyboard: [
+          ...this.chunkButtons(
+            [
+              ...amountButtons,
+              {
+                text: "✏️ 직접 입력",
+                callback_data: this.buildCallbackData(
+                  "leave",
+                  "custom",
+                  categoryParam
+                )
+              }
+            ],
+            2
+          ),
           [
-            { text: "🕐 반반차 (0.25일)", callback_data: "leave:add:quarter" },
-            { text: "🕒 반차 (0.5일)", callback_data: "leave:add:half" }
-          ],
-          [
-            { text: "🕘 연차 (1일)", callback_data: "leave:add:full" },
-            { text: "✏️ 직접 입력", callback_data: "leave:custom" } // ✅ 추가
+            {
+              text: "📅 기간 입력 (주말·공휴일 제외)",
+              callback_data: this.buildCallbackData(
+                "leave",
+                "range",
+                categoryParam
+              )
+            }
           ],
+          ...this.chunkButtons(
+            categories
+              .filter((item) => item.key !== category)
+              .map((item) => ({
+                text: `${item.icon} ${item.label}`,
+                callback_data: this.buildCallbackData(
+                  "leave",
+                  "use",
+                  item.key === "annual" ? "" : item.key
+                )
+              })),
+            4
+          ),
           [{ text: "❌ 취소", callback_data: "leave:menu" }]
         ]
       };
@@ -300,9 +439,14 @@ ${message}
       const {
         type = "연차",
         amount = 1,
+        category = "annual",
+        categoryLabel = "연차",
         remainingLeave = 0,
-        date = Utils.format(new Date(), "YYYY-MM-DD"),
-        leaveType = null // ✅ 추가: 표시용 타입
+        date = Utils.now("date"),
+        leaveType = null, // ✅ 추가: 표시용 타입
+        startDate = null,
+        endDate = null,
+        skippedDays = []
       } = data;
 
       const typeIcon = this.getLeaveTypeIcon(type);
@@ -322,11 +466,16 @@ ${message}
         congratsMessage = "☕ 짧은 휴식 되세요!";
       }
 
-      const text = `✅ *연차 사용 완료!*
+      const remainingLine =
+        remainingLeave === null
+          ? `📊 ${categoryLabel}는 잔여에서 차감하지 않아요`
+          : `📊 남은 ${categoryLabel}: ${remainingLeave}일`;
+
+      const text = `✅ *${categoryLabel} 사용 완료!*
 
 ${typeIcon} *${displayType} (${amount}일)* 사용했어요
-📅 날짜: ${date}
-📊 남은 연차: ${remainingLeave}일
+📅 날짜: ${startDate && endDate && startDate !== endDate ? `${startDate} ~ ${endDate}` : date}${this.formatSkippedDays(skippedDays)}
+${remainingLine}
 
 ${congratsMessage}`;
 
@@ -334,9 +483,25 @@ ${congratsMessage}`;
         inline_keyboard: [
           [
             { text: "📊 현황 보기", callback_data: "leave:menu" },
-            { text: "📈 월별 현황", callback_data: "leave:monthly" }
+            {
+              text: "🗓️ 달력 보기",
+              callback_data: this.buildCallbackData(
+                "leave",
+                "calendar",
+                (startDate || date).slice(0, 7)
+              )
+            }
           ],
-          [{ text: "➕ 더 쓰기", callback_data: "leave:use" }]
+          [
+            {
+              text: "➕ 더 쓰기",
+              callback_data: this.buildCallbackData(
+                "leave",
+                "use",
+                category === "annual" ? "" : category
+              )
+            }
+          ]
         ]
       };
 
@@ -354,22 +519,26 @@ ${congratsMessage}`;
   async renderCustomInputPrompt(data, ctx) {
     try {
       const {
-        remainingLeave = 0,
+        categoryLabel = "연차",
+        unit = 0.25,
+        unlimited = false,
         maxDays = 10,
         examples = ["1.5", "2", "3", "2.5"]
       } = data || {};
 
-      const text = `✏️ *연차 직접 입력*
+      const text = `✏️ *${categoryLabel} 직접 입력*
 
-💰 *남은 연차: ${remainingLeave}일*
+${this.formatRemaining(data)}
 
-📝 *사용할 연차량을 입력해주세요*
+📝 *사용할 일수를 입력해주세요*
 *입력 규칙:*
-• 0.25일 단위로 입력 (0.25, 0.5, 0.75, 1, 1.25, ...)
-• 최대 ${maxDays}일까지 가능
-• 남은 연차를 초과할 수 없음
+• ${unit}일 단위로 입력 (${[1, 2, 3, 4].map((n) => n * unit).join(", ")}, ...)
+• 최대 ${maxDays}일까지 가능${unlimited ? "" : `\n• 남은 ${categoryLabel}를 초과할 수 없음`}
 *입력 예시:*
-${examples.map((ex) => `• \`${ex}\``).join("\n")}
+${examples
+  .filter((ex) => (parseFloat(ex) / unit) % 1 === 0)
+  .map((ex) => `• \`${ex}\``)
+  .join("\n")}
 *취소하려면:* \`/cancel\` 또는 \`취소\` 입력`;
 
       const keyboard = {
@@ -384,6 +553,151 @@ ${examples.map((ex) => `• \`${ex}\``).join("\n")}
     }
   }
 
+  /**
+   * 📅 기간 입력 프롬프트 렌더링
+   */
+  async renderRangeInputPrompt(data, ctx) {
+    try {
+      const { categoryLabel = "연차", maxDays = 10 } = data || {};
+
+      const text = `📅 *기간으로 ${categoryLabel} 쓰기*
+
+${this.formatRemaining(data)}
+
+📝 *시작일~종료일을 입력해주세요* (사유는 뒤에 선택)
+• 주말과 공휴일은 차감하지 않아요
+• 근무일 기준 최대 ${maxDays}일까지 가능
+*입력 예시:*
+• \`8/4-8/8 여름휴가\`
+• \`8/14~18\`
+• \`2025-10-01~2025-10-10\`
+*취소하려면:* \`/cancel\` 또는 \`취소\` 입력`;
+
+      const keyboard = {
+        inline_keyboard: [[{ text: "❌ 취소", callback_data: "leave:use" }]]
+      };
+
+      await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+      return { success: true, type: "range_input_prompt_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderRangeInputPrompt 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
+  /**
+   * 🗓️ 월 달력 렌더링 (날짜 버튼 그리드)
+   */
+  async renderCalendar(data, ctx) {
+    try {
+      const {
+        year,
+        month,
+        days = [],
+        entries = [],
+        totalUsed = 0,
+        selected = null
+      } = data || {};
+      const monthKey = this.formatMonthKey(year, month);
+
+      const lines = [
+        `🗓️ *${year}년 ${month}월 연차 달력*`,
+        "🌴 연차  🕒 반차·반반차  🔴 공휴일  [ ] 오늘",
+        "",
+        `📊 이번 달 사용: *${totalUsed}일*`
+      ];
+
+      entries.forEach((entry) => {
+        const period =
+          entry.startDate === entry.endDate
+            ? this.formatShortDate(entry.startDate)
+            : `${this.formatShortDate(entry.startDate)}~${this.formatShortDate(entry.endDate)}`;
+        const reason = entry.reason
+          ? ` - ${this.escapeMarkdown(entry.reason)}`
+          : "";
+        lines.push(
+          `${this.getLeaveTypeIcon(entry.type)} ${period} ${entry.type}${reason}`
+        );
+      });
+
+      const holidays = days.filter((day) => day.holiday);
+      if (holidays.length > 0) {
+        lines.push("");
+        holidays.forEach((day) => {
+          lines.push(`🔴 ${this.formatShortDate(day.date)} ${day.holiday}`);
+        });
+      }
+
+      if (selected) {
+        lines.push(
+          "",
+          `📌 *${this.formatShortDate(selected.date)}*: ${this.describeDay(selected, entries)}`
+        );
+      }
+
+      const weekdays = ["일", "월", "화", "수", "목", "금", "토"];
+      const refresh = this.buildCallbackData("leave", "calendar", monthKey);
+      const buttons = [
+        weekdays.map((label) => ({ text: label, callback_data: refresh }))
+      ];
+
+      // 첫 주 앞쪽 빈칸 채우기
+      let week = Array.from({ length: days[0]?.weekday || 0 }, () => ({
+        text: " ",
+        callback_data: refresh
+      }));
+
+      days.forEach((day) => {
+        week.push({
+          text: this.formatDayButton(day),
+          callback_data: this.buildCallbackData(
+            "leave",
+            "calendar",
+            `${monthKey}:${day.day}`
+          )
+        });
+
+        if (week.length === 7) {
+          buttons.push(week);
+          week = [];
+        }
+      });
+
+      if (week.length > 0) {
+        while (week.length < 7) {
+          week.push({ text: " ", callback_data: refresh });
+        }
+        buttons.push(week);
+      }
+
+      const prevKey = this.formatMonthKey(year, month - 1);
+      const nextKey = this.formatMonthKey(year, month + 1);
+      buttons.push([
+        {
+          text: "◀️ 이전달",
+          callback_data: this.buildCallbackData("leave", "calendar", prevKey)
+        },
+        { text: "📆 이번 달", callback_data: "leave:calendar" },
+        {
+          text: "다음달 ▶️",
+          callback_data: this.buildCallbackData("leave", "calendar", nextKey)
+        }
+      ]);
+      buttons.push([
+        { text: "➕ 연차 쓰기", callback_data: "leave:use" },
+        { text: "🔙 메뉴로", callback_data: "leave:menu" }
+      ]);
+
+      await this.sendSafeMessage(ctx, lines.join("\n"), {
+        reply_markup: { inline_keyboard: buttons }
+      });
+      return { success: true, type: "calendar_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderCalendar 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
   /**
    * ❌ 연차 사용 실패 렌더링
    */
@@ -449,19 +763,28 @@ ${message}
    */
   async renderInputError(data, ctx) {
     try {
-      const { message = "입력에 오류가 있습니다.", remainingLeave = 0 } =
+      const { message = "입력에 오류가 있습니다.", leaveId = null } =
         data || {};
 
       const text = `⚠️ *입력 오류*
 
 ${message}
 
-💰 *남은 연차: ${remainingLeave}일*
+${this.formatRemaining(data)}
 
 올바른 형식으로 다시 입력해주세요.*취소하려면:* \`/cancel\` 또는 \`취소\` 입력`;
 
       const keyboard = {
-        inline_keyboard: [[{ text: "❌ 취소", callback_data: "leave:use" }]]
+        inline_keyboard: [
+          [
+            {
+              text: "❌ 취소",
+              callback_data: leaveId
+                ? this.buildCallbackData("leave", "entry", leaveId)
+                : "leave:use"
+            }
+          ]
+        ]
       };
 
       await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
@@ -472,6 +795,459 @@ ${message}
     }
   }
 
+  /**
+   * 📋 사용 내역 렌더링 (기록마다 상세 버튼)
+   */
+  async renderHistory(data, ctx) {
+    try {
+      const { entries = [], page = 1, hasMore = false } = data || {};
+
+      const lines = ["📋 *연차 사용 내역*", ""];
+      if (entries.length === 0) {
+        lines.push(
+          page > 1 ? "더 이전 기록이 없어요." : "아직 사용 기록이 없어요."
+        );
+      } else {
+        entries.forEach((entry) => {
+          const reason = entry.reason
+            ? ` - ${this.escapeMarkdown(entry.reason)}`
+            : "";
+          lines.push(
+            `${entry.categoryIcon} ${this.formatEntryPeriod(entry)} · ${entry.type} (${entry.amount}일)${reason}`
+          );
+        });
+        lines.push("", "수정하거나 취소할 기록을 눌러 주세요.");
+      }
+
+      const pageButtons = [];
+      if (page > 1) {
+        pageButtons.push({
+          text: "◀️ 최근",
+          callback_data: this.buildCallbackData("leave", "history", page - 1)
+        });
+      }
+      if (hasMore) {
+        pageButtons.push({
+          text: "이전 ▶️",
+          callback_data: this.buildCallbackData("leave", "history", page + 1)
+        });
+      }
+
+      const keyboard = {
+        inline_keyboard: [
+          ...entries.map((entry) => [
+            {
+              text: `${entry.categoryIcon} ${this.formatEntryPeriod(entry)} ${entry.type}`,
+              callback_data: this.buildCallbackData("leave", "entry", entry.id)
+            }
+          ]),
+          ...(pageButtons.length > 0 ? [pageButtons] : []),
+          [{ text: "📊 현황 보기", callback_data: "leave:menu" }]
+        ]
+      };
+
+      await this.sendSafeMessage(ctx, lines.join("\n"), {
+        reply_markup: keyboard
+      });
+      return { success: true, type: "history_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderHistory 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
+  /**
+   * 🔍 사용 기록 상세 렌더링
+   */
+  async renderEntryDetail(data, ctx) {
+    try {
+      const { entry } = data || {};
+
+      const text = `${entry.categoryIcon} *${entry.type}*
+
+${this.formatEntryLines(entry)}
+
+무엇을 바꿀까요?`;
+
+      const editButton = (label, field) => ({
+        text: label,
+        callback_data: this.buildCallbackData("leave", "edit", [
+          field,
+          entry.id
+        ])
+      });
+
+      const keyboard = {
+        inline_keyboard: [
+          [
+            editButton("📅 날짜 변경", "date"),
+            // 기간 기록은 날짜(기간)로 일수가 정해짐
+            ...(entry.isRange ? [] : [editButton("🔢 사용량 변경", "amount")])
+          ],
+          [
+            editButton("📝 사유 변경", "reason"),
+            {
+              text: "🗑️ 사용 취소",
+              callback_data: this.buildCallbackData("leave", "cancel", entry.id)
+            }
+          ],
+          [{ text: "🔙 사용 내역", callback_data: "leave:history" }]
+        ]
+      };
+
+      await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+      return { success: true, type: "entry_detail_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderEntryDetail 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
+  /**
+   * ✏️ 수정 입력 프롬프트 렌더링
+   */
+  async renderEditPrompt(data, ctx) {
+    try {
+      const { field, entry } = data || {};
+
+      const guides = {
+        date: `📅 *새 날짜를 입력해주세요*
+• 하루: \`10/20\`, \`2025-10-20\`
+• 기간: \`8/4-8/8\` (주말·공휴일 제외하고 다시 계산)`,
+        amount: `🔢 *새 사용량을 입력해주세요*
+• 예: \`0.5\`, \`1\`, \`1.5\``,
+        reason: `📝 *새 사유를 입력해주세요*
+• 100자까지, \`-\`를 입력하면 사유를 지워요`
+      };
+
+      const text = `✏️ *${entry.type} 수정*
+
+${this.formatEntryLines(entry)}
+
+${guides[field]}
+*취소하려면:* \`/cancel\` 또는 \`취소\` 입력`;
+
+      const keyboard = {
+        inline_keyboard: [
+          [
+            {
+              text: "❌ 취소",
+              callback_data: this.buildCallbackData("leave", "entry", entry.id)
+            }
+          ]
+        ]
+      };
+
+      await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+      return { success: true, type: "edit_prompt_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderEditPrompt 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
+  /**
+   * ✅ 수정 완료 렌더링
+   */
+  async renderEntryUpdated(data, ctx) {
+    try {
+      const { entry, changes = [], remainingLeave = null } = data || {};
+
+      const text = `✅ *사용 기록을 수정했어요*
+
+${this.formatEntryLines(entry)}
+
+${changes.map((change) => `• ${change}`).join("\n")}
+${this.formatEntryRemaining(entry, remainingLeave)}`;
+
+      const keyboard = {
+        inline_keyboard: [
+          [
+            { text: "📋 사용 내역", callback_data: "leave:history" },
+            { text: "📊 현황 보기", callback_data: "leave:menu" }
+          ]
+        ]
+      };
+
+      await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+      return { success: true, type: "entry_updated_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderEntryUpdated 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
+  /**
+   * 🗑️ 취소 확인 렌더링
+   */
+  async renderCancelConfirm(data, ctx) {
+    try {
+      const { entry } = data || {};
+
+      const text = `🗑️ *사용 취소*
+
+${this.formatEntryLines(entry)}
+
+이 기록을 취소하면 ${entry.amount}일이 다시 ${entry.categoryLabel} 잔여로 돌아가요.
+정말 취소할까요?`;
+
+      const keyboard = {
+        inline_keyboard: [
+          [
+            {
+              text: "✅ 네, 취소할게요",
+              callback_data: this.buildCallbackData("leave", "cancel", [
+                entry.id,
+                "yes"
+              ])
+            },
+            {
+              text: "🔙 아니요",
+              callback_data: this.buildCallbackData("leave", "entry", entry.id)
+            }
+          ]
+        ]
+      };
+
+      await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+      return { success: true, type: "cancel_confirm_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderCancelConfirm 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
+  /**
+   * ✅ 취소 완료 렌더링
+   */
+  async renderEntryCancelled(data, ctx) {
+    try {
+      const { entry, remainingLeave = null } = data || {};
+
+      const text = `✅ *사용을 취소했어요*
+
+${entry.categoryIcon} ${this.formatEntryPeriod(entry)} · ${entry.type} (${entry.amount}일)
+${this.formatEntryRemaining(entry, remainingLeave)}`;
+
+      const keyboard = {
+        inline_keyboard: [
+          [
+            { text: "📋 사용 내역", callback_data: "leave:history" },
+            { text: "📊 현황 보기", callback_data: "leave:menu" }
+          ]
+        ]
+      };
+
+      await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+      return { success: true, type: "entry_cancelled_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderEntryCancelled 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
+  /**
+   * 👥 팀 현황 렌더링 (오늘 / 이번 주)
+   */
+  async renderTeamOverview(data, ctx) {
+    try {
+      const {
+        title = "",
+        memberCount = 0,
+        maxOffPerDay = null,
+        today = null,
+        week = [],
+        notice = null
+      } = data || {};
+
+      const lines = [
+        `👥 *${title ? this.escapeMarkdown(title) : "팀"} 연차 현황*`
+      ];
+      if (notice) {
+        lines.push(`✅ ${notice}`);
+      }
+      lines.push("");
+
+      if (memberCount === 0) {
+        lines.push(
+          "아직 참여한 멤버가 없어요.",
+          "🙋 *참여하기*를 누르면 내 연차가 이 그룹에 공유돼요.",
+          "(날짜와 반차 여부만 보이고 사유·종류는 공유되지 않아요)"
+        );
+      } else {
+        lines.push(
+          `🙋 참여 ${memberCount}명 · ⚠️ ${maxOffPerDay}명 넘게 쉬는 날 표시`,
+          ""
+        );
+
+        if (today) {
+          lines.push(
+            `📅 *오늘 (${this.formatTeamDay(today)})*`,
+            today.offCount > 0
+              ? today.people
+                  .map(
+                    (person) =>
+                      `• ${this.escapeMarkdown(person.userName)} ${person.label}`
+                  )
+                  .join("\n")
+              : "모두 출근해요 💪",
+            ""
+          );
+        }
+
+        lines.push("🗓️ *이번 주*");
+        week.forEach((day) => {
+          const holiday = day.holiday ? ` 🔴${day.holiday}` : "";
+          const flag = day.isCrowded ? " ⚠️" : "";
+          lines.push(
+            `${this.formatTeamDay(day)}${holiday}: ${this.formatTeamPeople(day)}${flag}`
+          );
+        });
+      }
+
+      const keyboard = {
+        inline_keyboard: [
+          [
+            { text: "🗓️ 팀 달력", callback_data: "leave:team:cal" },
+            { text: "🔄 새로고침", callback_data: "leave:team" }
+          ],
+          [
+            { text: "🙋 참여하기", callback_data: "leave:team:join" },
+            { text: "👋 나가기", callback_data: "leave:team:quit" }
+          ]
+        ]
+      };
+
+      await this.sendSafeMessage(ctx, lines.join("\n"), {
+        reply_markup: keyboard
+      });
+      return { success: true, type: "team_overview_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderTeamOverview 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
+  /**
+   * 🗓️ 팀 월 달력 렌더링 (날짜별 쉬는 인원)
+   */
+  async renderTeamCalendar(data, ctx) {
+    try {
+      const {
+        year,
+        month,
+        title = "",
+        maxOffPerDay = null,
+        days = [],
+        memberTotals = [],
+        crowdedDays = [],
+        selected = null
+      } = data || {};
+      const monthKey = this.formatMonthKey(year, month);
+
+      const lines = [
+        `🗓️ *${title ? `${this.escapeMarkdown(title)} ` : ""}${year}년 ${month}월 팀 달력*`,
+        "숫자·N 쉬는 인원  ⚠️ 기준 초과  🔴 공휴일  [ ] 오늘",
+        ""
+      ];
+
+      if (memberTotals.length > 0) {
+        lines.push(
+          `🏖️ 이번 달: ${memberTotals
+            .map(
+              (member) =>
+                `${this.escapeMarkdown(member.userName)} ${member.days}일`
+            )
+            .join(", ")}`
+        );
+      } else {
+        lines.push("🏖️ 이번 달 쉬는 사람이 없어요.");
+      }
+
+      if (crowdedDays.length > 0) {
+        lines.push(
+          `⚠️ ${maxOffPerDay}명 넘게 쉬는 날: ${crowdedDays
+            .map((date) => this.formatShortDate(date))
+            .join(", ")}`
+        );
+      }
+
+      if (selected) {
+        lines.push(
+          "",
+          `📌 *${this.formatTeamDay(selected)}*${selected.holiday ? ` ${selected.holiday}` : ""}: ${this.formatTeamPeople(selected)}`
+        );
+      }
+
+      const weekdays = ["일", "월", "화", "수", "목", "금", "토"];
+      const refresh = this.buildCallbackData("leave", "team", [
+        "cal",
+        monthKey
+      ]);
+      const buttons = [
+        weekdays.map((label) => ({ text: label, callback_data: refresh }))
+      ];
+
+      // 첫 주 앞쪽 빈칸 채우기
+      let week = Array.from({ length: days[0]?.weekday || 0 }, () => ({
+        text: " ",
+        callback_data: refresh
+      }));
+
+      days.forEach((day) => {
+        week.push({
+          text: this.formatTeamDayButton(day),
+          callback_data: this.buildCallbackData("leave", "team", [
+            "cal",
+            monthKey,
+            day.day
+          ])
+        });
+
+        if (week.length === 7) {
+          buttons.push(week);
+          week = [];
+        }
+      });
+
+      if (week.length > 0) {
+        while (week.length < 7) {
+          week.push({ text: " ", callback_data: refresh });
+        }
+        buttons.push(week);
+      }
+
+      const prevKey = this.formatMonthKey(year, month - 1);
+      const nextKey = this.formatMonthKey(year, month + 1);
+      buttons.push([
+        {
+          text: "◀️ 이전달",
+          callback_data: this.buildCallbackData("leave", "team", [
+            "cal",
+            prevKey
+          ])
+        },
+        { text: "📆 이번 달", callback_data: "leave:team:cal" },
+        {
+          text: "다음달 ▶️",
+          callback_data: this.buildCallbackData("leave", "team", [
+            "cal",
+            nextKey
+          ])
+        }
+      ]);
+      buttons.push([{ text: "🔙 팀 현황", callback_data: "leave:team" }]);
+
+      await this.sendSafeMessage(ctx, lines.join("\n"), {
+        reply_markup: { inline_keyboard: buttons }
+      });
+      return { success: true, type: "team_calendar_rendered" };
+    } catch (error) {
+      logger.error("LeaveRenderer.renderTeamCalendar 실패:", error);
+      return await this.handleRenderError(ctx, error);
+    }
+  }
+
   /**
    * ⚙️ 설정 메뉴 렌더링
    */
@@ -479,20 +1255,47 @@ ${message}
     try {
       const {
         totalLeave = 15,
+        accruedLeave = totalLeave,
+        customLeave = 0,
+        accrualMode = "fiscal",
+        periodStart = null,
+        periodEnd = null,
+        nextAccrual = null,
         joinDate = null,
         workYears = 0,
         canModify = true
       } = data || {};
 
-      const text = `⚙️ *연차 설정*
-
-📊 *현재 설정*
-• 기본 연차: 15일
-• 총 연차: ${totalLeave}일
-${joinDate ? `• 입사일: ${joinDate}` : ""}
-${workYears >= 2 ? `• 근속 보너스: +${Math.floor(workYears / 2)}일 (${workYears}년차)` : ""}
+      const lines = [
+        "⚙️ *연차 설정*",
+        "",
+        "📊 *현재 설정*",
+        `• 부여 기준: ${this.getAccrualModeLabel(accrualMode)}`,
+        joinDate
+          ? `• 입사일: ${joinDate} (근속 ${workYears}년)`
+          : "• 입사일: 설정되지 않음 (매년 15일로 계산)",
+        periodStart && periodEnd
+          ? `• 사용 기간: ${periodStart} ~ ${periodEnd}`
+          : null,
+        `• 발생 연차: ${accruedLeave}일`,
+        customLeave !== 0
+          ? `• 수동 조정: ${customLeave > 0 ? "+" : ""}${customLeave}일`
+          : null,
+        `• 총 연차: ${totalLeave}일`,
+        nextAccrual
+          ? `• 다음 발생: ${nextAccrual.date} +${nextAccrual.days}일`
+          : null,
+        "",
+        "📐 *근로기준법 기준*",
+        "• 1년 미만: 1개월 개근마다 1일 (최대 11일)",
+        "• 1년 이상: 15일, 3년차부터 2년마다 +1일 (최대 25일)",
+        "",
+        canModify
+          ? "⚡ 연차를 수동으로 추가하거나 삭제할 수 있습니다."
+          : "🔒 연차 수정이 제한되어 있습니다."
+      ].filter((line) => line !== null);
 
-${canModify ? "⚡ 연차를 수동으로 추가하거나 삭제할 수 있습니다." : "🔒 연차 수정이 제한되어 있습니다."}`;
+      const text = lines.join("\n");
 
       const buttons = [];
 
@@ -509,6 +1312,17 @@ ${canModify ? "⚡ 연차를 수동으로 추가하거나 삭제할 수 있습
         ]);
       }
 
+      const otherMode = accrualMode === "hire_date" ? "fiscal" : "hire_date";
+      buttons.push([
+        {
+          text: `📐 ${this.getAccrualModeLabel(otherMode)}으로 변경`,
+          callback_data: this.buildCallbackData("leave", "settings", [
+            "mode",
+            otherMode
+          ])
+        }
+      ]);
+
       buttons.push([{ text: "🔙 뒤로", callback_data: "leave:menu" }]);
 
       const keyboard = { inline_keyboard: buttons };
@@ -539,7 +1353,7 @@ ${message}
 
 📊 *새로운 연차 총계: ${newTotal}일*
 
-${action === "add" ? `➕ ${amount}일이 추가되었습니다.` : action === "remove" ? `➖ ${amount}일이 삭제되었습니다.` : ""}`;
+${action === "add" ? `➕ ${amount}일이 추가되었습니다.` : action === "remove" ? `➖ ${amount}일이 삭제되었습니다.` : ""}`.trim();
 
       const keyboard = {
         inline_keyboard: [
@@ -608,6 +1422,193 @@ ${data.message}
     return icons[type] || this.icons.full;
   }
 
+  /**
+   * 💰 입력 화면 잔여 줄 (공가처럼 한도 없는 종류는 차감 없음 안내)
+   */
+  formatRemaining(data) {
+    const {
+      categoryLabel = "연차",
+      unlimited = false,
+      remainingLeave = 0
+    } = data || {};
+
+    return unlimited
+      ? `💰 *${categoryLabel}는 잔여에서 차감하지 않아요*`
+      : `💰 *남은 ${categoryLabel}: ${remainingLeave}일*`;
+  }
+
+  /**
+   * 🗂️ 메인 메뉴 휴가 종류별 한 줄
+   */
+  formatCategoryBalance(category) {
+    const { icon, label, total, used, remaining, unlimited, key } = category;
+
+    if (unlimited) {
+      return `${icon} ${label}: 올해 ${used}일 사용 (차감 없음)`;
+    }
+    if (key === "comp") {
+      return `${icon} ${label}: 남은 ${remaining}일 (적립 ${total}일 · 사용 ${used}일)`;
+    }
+    return `${icon} ${label}: 남은 ${remaining}일 (연 ${total}일 중 ${used}일 사용)`;
+  }
+
+  /**
+   * 📋 사용 기록 상세 줄 (날짜/사용량/종류/사유)
+   */
+  formatEntryLines(entry) {
+    return [
+      `📅 날짜: ${entry.isRange ? `${entry.startDate} ~ ${entry.endDate}` : entry.startDate}`,
+      `📊 사용량: ${entry.amount}일`,
+      `🗂️ 종류: ${entry.categoryLabel}`,
+      `📝 사유: ${entry.reason ? this.escapeMarkdown(entry.reason) : "없음"}`
+    ].join("\n");
+  }
+
+  formatEntryPeriod(entry) {
+    return entry.startDate === entry.endDate
+      ? this.formatShortDate(entry.startDate)
+      : `${this.formatShortDate(entry.startDate)}~${this.formatShortDate(entry.endDate)}`;
+  }
+
+  formatEntryRemaining(entry, remainingLeave) {
+    return remainingLeave === null
+      ? `📊 ${entry.categoryLabel}는 잔여에서 차감하지 않아요`
+      : `📊 남은 ${entry.categoryLabel}: ${remainingLeave}일`;
+  }
+
+  /**
+   * 👥 "10/20 월"
+   */
+  formatTeamDay(day) {
+    const weekdays = ["일", "월", "화", "수", "목", "금", "토"];
+    return `${this.formatShortDate(day.date)} ${weekdays[day.weekday]}`;
+  }
+
+  /**
+   * 👥 "홍길동, 김철수(반차)" (종일은 이름만)
+   */
+  formatTeamPeople(day) {
+    if (day.offCount === 0) return "-";
+
+    return day.people
+      .map(
+        (person) =>
+          `${this.escapeMarkdown(person.userName)}${person.amount < 1 ? `(${person.label})` : ""}`
+      )
+      .join(", ");
+  }
+
+  /**
+   * 팀 달력 날짜 버튼 텍스트 (쉬는 인원/기준 초과/공휴일/오늘)
+   */
+  formatTeamDayButton(day) {
+    let label = String(day.day);
+
+    if (day.isCrowded) {
+      label = `⚠️${label}·${day.offCount}`;
+    } else if (day.offCount > 0) {
+      label = `${label}·${day.offCount}`;
+    } else if (day.holiday) {
+      label = `🔴${label}`;
+    }
+
+    return day.isToday ? `[${label}]` : label;
+  }
+
+  chunkButtons(buttons, size) {
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += size) {
+      rows.push(buttons.slice(i, i + size));
+    }
+    return rows;
+  }
+
+  /**
+   * 연차 부여 기준 표시 이름
+   */
+  getAccrualModeLabel(mode) {
+    return mode === "hire_date" ? "입사일 기준" : "회계연도 기준";
+  }
+
+  /**
+   * 달력 날짜 버튼 텍스트 (사용일/공휴일/오늘 표시)
+   */
+  formatDayButton(day) {
+    let label = String(day.day);
+
+    if (day.used >= 1) {
+      label = `🌴${label}`;
+    } else if (day.used > 0) {
+      label = `🕒${label}`;
+    } else if (day.holiday) {
+      label = `🔴${label}`;
+    }
+
+    return day.isToday ? `[${label}]` : label;
+  }
+
+  /**
+   * 선택한 날짜 설명
+   */
+  describeDay(day, entries = []) {
+    const entry = entries.find(
+      (item) => item.startDate <= day.date && day.date <= item.endDate
+    );
+    const parts = [];
+
+    if (day.holiday) parts.push(day.holiday);
+    else if (day.isWeekend) parts.push("주말");
+
+    if (day.used > 0 && entry) {
+      const reason = entry.reason
+        ? ` (${this.escapeMarkdown(entry.reason)})`
+        : "";
+      parts.push(`${entry.type} ${day.used}일 사용${reason}`);
+    } else if (entry && (day.holiday || day.isWeekend)) {
+      parts.push("연차 기간 중 차감 없음");
+    }
+
+    return parts.length > 0 ? parts.join(" · ") : "근무일";
+  }
+
+  /**
+   * 건너뛴 주말/공휴일 안내
+   */
+  formatSkippedDays(skippedDays = []) {
+    if (skippedDays.length === 0) return "";
+
+    const holidays = skippedDays.filter(
+      (day) => !["토요일", "일요일"].includes(day.label)
+    );
+    const weekendCount = skippedDays.length - holidays.length;
+    const parts = [];
+
+    if (weekendCount > 0) parts.push(`주말 ${weekendCount}일`);
+    holidays.forEach((day) => {
+      parts.push(`${this.formatShortDate(day.date)} ${day.label}`);
+    });
+
+    return `\n🚫 차감 제외: ${parts.join(", ")}`;
+  }
+
+  formatShortDate(date) {
+    const [, month, day] = date.split("-").map(Number);
+    return `${month}/${day}`;
+  }
+
+  formatMonthKey(year, month) {
+    const date = new Date(year, month - 1, 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+  }
+
+  /**
+   * Markdown 특수문자 이스케이프
+   */
+  escapeMarkdown(text) {
+    if (!text) return "";
+    return String(text).replace(/[_*`[]/g, "\\$&");
+  }
+
   /**
    * 근속년수 계산
    */
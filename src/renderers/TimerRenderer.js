@@ -2,7 +2,7 @@
 
 const BaseRenderer = require("./BaseRenderer");
 const logger = require("../utils/core/Logger");
-const Utils = require("../utils");
+const HeatmapImage = require("../utils/HeatmapImage");
 
 /**
  * 🎨 TimerRenderer - 타이머 UI 렌더링 (SoC 완전 준수)
@@ -74,6 +74,8 @@ class TimerRenderer extends BaseRenderer {
           return await this.renderTimerStarted(data, ctx);
         case "pomodoro_started":
           return await this.renderPomodoroStarted(data, ctx);
+        case "todo_select":
+          return await this.renderTodoSelect(data, ctx);
         case "timer_already_running":
           return await this.renderTimerAlreadyRunning(data, ctx);
         case "timer_paused":
@@ -89,7 +91,7 @@ class TimerRenderer extends BaseRenderer {
         case "pomodoro_set_completed":
           return await this.renderPomodoroSetCompleted(data, ctx);
         case "timer_status":
-          return await this.renderTimerStatus(data, ctx);
+          return await this.renderTimerStatus(data, ctx, data?.isRefresh);
         case "no_timer":
           return await this.renderNoTimer(data, ctx);
         case "history":
@@ -102,8 +104,12 @@ class TimerRenderer extends BaseRenderer {
           return await this.renderWeeklyStats(data, ctx);
         case "stats": // stats 케이스도 추가
           return await this.renderStats(data, ctx);
+        case "heatmap":
+          return await this.renderHeatmap(data, ctx);
         case "settings":
           return await this.renderSettings(data, ctx);
+        case "preset_name_input":
+          return await this.renderPresetNameInput(data, ctx);
         case "notification_toggled":
           return await this.renderNotificationToggled(data, ctx);
         case "help":
@@ -131,7 +137,14 @@ class TimerRenderer extends BaseRenderer {
    * 🍅 메뉴 렌더링
    */
   async renderMenu(data, ctx) {
-    const { userName, activeTimer, recentSessions, _presets } = data;
+    const {
+      userName,
+      activeTimer,
+      recentSessions,
+      _presets,
+      userPresets = [],
+      pendingPhase
+    } = data;
 
     // ✅ 사용자 이름 안전하게 처리
     const displayName =
@@ -142,6 +155,11 @@ class TimerRenderer extends BaseRenderer {
     let text = `🍅 *타이머 메뉴*\n\n`;
     text += `안녕하세요, ${displayName}님!\n\n`;
 
+    // 자동 시작을 끈 다음 단계가 기다리는 경우
+    if (pendingPhase) {
+      text += `⏸️ *다음 단계 대기 중*: ${pendingPhase.typeDisplay} ${pendingPhase.duration}분\n\n`;
+    }
+
     // 활성 타이머가 있는 경우
     if (activeTimer) {
       const progressBar = this.createProgressBar(activeTimer.progress);
@@ -185,10 +203,28 @@ class TimerRenderer extends BaseRenderer {
       }
     } else {
       // 활성 타이머가 없을 때
+      if (pendingPhase) {
+        buttons.push([
+          { text: `▶️ ${pendingPhase.typeDisplay} 시작`, action: "next" },
+          { text: "⏹️ 세트 끝내기", action: "next", params: "cancel" }
+        ]);
+      }
+
       buttons.push([
         { text: "🍅 뽀모도로 1 (25-5)", action: "pomodoro1" },
         { text: "🍅 뽀모도로 2 (50-10)", action: "pomodoro2" }
       ]);
+
+      // ⭐ 내 설정 + 저장한 프리셋 (2개씩)
+      for (let i = 0; i < userPresets.length; i += 2) {
+        buttons.push(
+          userPresets.slice(i, i + 2).map((preset) => ({
+            text: `⭐ ${preset.name} (${preset.focus}-${preset.shortBreak})`,
+            action: "pomodoro",
+            params: preset.key
+          }))
+        );
+      }
       buttons.push([
         { text: "🎯 집중 (25분)", action: "start:focus" },
         { text: "☕ 휴식 (5분)", action: "start:shortBreak" }
@@ -271,7 +307,7 @@ class TimerRenderer extends BaseRenderer {
    * 🍅 뽀모도로 시작 렌더링
    */
   async renderPomodoroStarted(data, ctx) {
-    const { timer, preset, message } = data;
+    const { timer, presetName, presetData, message } = data;
 
     // ✅ 사용자 이름 안전하게 처리
     const displayName =
@@ -282,10 +318,7 @@ class TimerRenderer extends BaseRenderer {
     const progressBar = this.createProgressBar(0);
 
     // preset에 따른 설명 추가
-    const presetInfo =
-      preset === "pomodoro1"
-        ? "(25분 집중 → 5분 휴식 x4회)"
-        : "(50분 집중 → 10분 휴식 x2회)";
+    const presetInfo = `(${presetData.focus}분 집중 → ${presetData.shortBreak}분 휴식 x${presetData.cycles}회)`;
 
     const text =
       `🍅 **${displayName}의 뽀모도로**\n\n` + // ✅ 사용자 이름 추가
@@ -295,8 +328,11 @@ class TimerRenderer extends BaseRenderer {
       `⏱️ *남은 시간*: ${timer.remainingFormatted}\n` +
       `🔄 *사이클*: ${timer.currentCycle}/${timer.totalCycles}\n` +
       `📊 *상태*: ${timer.statusDisplay}\n` +
-      `📌 *프리셋*: ${preset === "pomodoro1" ? "뽀모도로 1" : "뽀모도로 2"}\n\n` +
-      `뽀모도로 기법으로 효율적으로 작업하세요! 🚀`;
+      `📌 *프리셋*: ${this.escapeMarkdown(presetName)}\n` +
+      (timer.todoText
+        ? `📝 *할일*: ${this.escapeMarkdown(timer.todoText)}\n`
+        : "") +
+      `\n뽀모도로 기법으로 효율적으로 작업하세요! 🚀`;
 
     const buttons = [
       [
@@ -313,6 +349,44 @@ class TimerRenderer extends BaseRenderer {
     await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
   }
 
+  /**
+   * 📝 뽀모도로 할일 선택 렌더링
+   */
+  async renderTodoSelect(data, ctx) {
+    const { preset, presetName, todos, totalCount } = data;
+
+    let text =
+      `🍅 *${presetName}*\n\n` +
+      `어떤 할일에 집중할까요?\n` +
+      `_집중을 한 번 마칠 때마다 할일에 🍅가 쌓여요._`;
+
+    if (totalCount > todos.length) {
+      text += `\n\n최근 할일 ${todos.length}개만 보여드려요. (전체 ${totalCount}개)`;
+    }
+
+    const buttons = todos.map((todo) => {
+      let label =
+        todo.focusCount > 0 ? `${todo.text} 🍅x${todo.focusCount}` : todo.text;
+      if (label.length > 30) label = label.substring(0, 27) + "...";
+
+      return [
+        { text: label, action: "pomodoro", params: `${preset}:${todo.id}` }
+      ];
+    });
+
+    buttons.push([
+      {
+        text: "⏭️ 할일 없이 시작",
+        action: "pomodoro",
+        params: `${preset}:none`
+      },
+      { text: "🔙 메뉴", action: "menu" }
+    ]);
+
+    const keyboard = this.createInlineKeyboard(buttons, this.moduleName);
+    await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+  }
+
   /**
    * ⏸️ 타이머 일시정지 렌더링
    */
@@ -436,14 +510,15 @@ class TimerRenderer extends BaseRenderer {
   async renderHistory(data, ctx) {
     const { sessions, stats, days } = data;
 
-    let text = `📜 *최근 ${days}일 타이머 기록*\n\n`;
+    let text = `📜 *최근 타이머 기록*\n\n`;
 
     if (!sessions || sessions.length === 0) {
       text += "_아직 기록이 없습니다. 타이머를 시작해보세요!_";
     } else {
       sessions.forEach((session, index) => {
         // 완료 상태에 따른 이모지
-        const statusEmoji = session.wasCompleted ? "✅" : "⏹️";
+        const statusEmoji =
+          session.wasCompleted || session.status === "completed" ? "✅" : "⏹️";
 
         // 타입 표시
         const typeDisplay =
@@ -474,7 +549,7 @@ class TimerRenderer extends BaseRenderer {
 
       // 통계 요약
       if (stats && stats.total) {
-        text += `*📊 요약*\n`;
+        text += `*📊 최근 ${days}일 요약*\n`;
         text += `• 총 세션: ${stats.total.sessions}회\n`;
         text += `• 완료된 세션: ${stats.total.completed}회\n`;
         text += `• 총 시간: ${stats.total.minutes}분\n`;
@@ -536,30 +611,113 @@ class TimerRenderer extends BaseRenderer {
    * ⚙️ 설정 렌더링
    */
   async renderSettings(data, ctx) {
-    const { settings, enableNotifications } = data;
+    const { settings, presets, maxPresets, fields, goalFields, notice } = data;
+    const onOff = (value) => (value ? "✅ 켜짐" : "⬜ 꺼짐");
 
-    const notificationStatus = enableNotifications ? "🔔 켜짐" : "🔕 꺼짐";
+    let text = `⚙️ *타이머 설정*\n\n`;
 
-    const text =
-      `⚙️ *타이머 설정*\n\n` +
-      `🍅 *집중 시간*: ${settings.focusDuration}분\n` +
-      `☕ *짧은 휴식*: ${settings.shortBreak}분\n` +
-      `🌴 *긴 휴식*: ${settings.longBreak}분\n\n` +
-      `🔔 *완료 알림*: ${notificationStatus}\n`;
+    if (notice?.message) {
+      text += `${notice.success ? "✅" : "⚠️"} ${notice.message}\n\n`;
+    }
 
-    const buttons = [
-      [
-        { text: "🍅 집중 시간 설정", action: "setFocus" },
-        { text: "☕ 휴식 시간 설정", action: "setBreak" }
-      ],
-      [
+    text += `*내 뽀모도로*\n`;
+    Object.values(fields).forEach((field) => {
+      text += `${field.label}: ${settings[field.key]}${field.unit}\n`;
+    });
+
+    text += `\n*집중 목표* (완료한 집중 세션)\n`;
+    Object.values(goalFields).forEach((field) => {
+      text += `${field.label}: ${settings[field.key]}${field.unit}\n`;
+    });
+
+    text +=
+      `\n*자동 시작*\n` +
+      `☕ 집중 후 휴식: ${onOff(settings.autoStartBreak)}\n` +
+      `🍅 휴식 후 집중: ${onOff(settings.autoStartFocus)}\n` +
+      `🔔 *완료 알림*: ${onOff(settings.enableNotifications)}\n\n`;
+
+    text += `*저장한 프리셋* (${presets.length}/${maxPresets})\n`;
+    if (presets.length === 0) {
+      text += `_지금 설정에 이름을 붙여 두면 메뉴에서 바로 시작할 수 있어요._\n`;
+    }
+    presets.forEach((preset) => {
+      text +=
+        `• ${this.escapeMarkdown(preset.name)} - ` +
+        `${preset.focusDuration}/${preset.shortBreakDuration}/${preset.longBreakDuration}분 x${preset.sessionsBeforeLongBreak}\n`;
+    });
+
+    // ➖ 값 ➕
+    const buttons = Object.entries({ ...fields, ...goalFields }).map(
+      ([key, field]) => [
+        { text: "➖", action: "set", params: `${key}:${-field.step}` },
         {
-          text: enableNotifications ? "🔕 알림 끄기" : "🔔 알림 켜기",
-          action: "toggleNotifications"
-        }
-      ],
-      [{ text: "🔙 메뉴", action: "menu" }]
-    ];
+          text: `${field.label} ${settings[field.key]}${field.unit}`,
+          action: "settings"
+        },
+        { text: "➕", action: "set", params: `${key}:${field.step}` }
+      ]
+    );
+
+    buttons.push([
+      {
+        text: `${settings.autoStartBreak ? "✅" : "⬜"} 휴식 자동 시작`,
+        action: "auto",
+        params: "break"
+      },
+      {
+        text: `${settings.autoStartFocus ? "✅" : "⬜"} 집중 자동 시작`,
+        action: "auto",
+        params: "focus"
+      }
+    ]);
+    buttons.push([
+      {
+        text: settings.enableNotifications ? "🔕 알림 끄기" : "🔔 알림 켜기",
+        action: "toggleNotifications"
+      }
+    ]);
+
+    presets.forEach((preset) => {
+      buttons.push([
+        { text: `▶️ ${preset.name}`, action: "pomodoro", params: preset.key },
+        { text: "🗑️", action: "preset_del", params: preset.key }
+      ]);
+    });
+
+    buttons.push([{ text: "💾 프리셋으로 저장", action: "preset_save" }]);
+    buttons.push([
+      { text: "↩️ 기본값으로", action: "reset_settings" },
+      { text: "🔙 메뉴", action: "menu" }
+    ]);
+
+    const keyboard = this.createInlineKeyboard(buttons, this.moduleName);
+    await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+  }
+
+  /**
+   * 💾 프리셋 이름 입력 요청 렌더링
+   */
+  async renderPresetNameInput(data, ctx) {
+    const { preset, presetNames, maxLength, error } = data;
+
+    let text = `💾 *프리셋 저장*\n\n`;
+
+    if (error) {
+      text += `⚠️ ${error}\n\n`;
+    }
+
+    text +=
+      `지금 설정을 저장합니다.\n` +
+      `🍅 ${preset.focus}분 · ☕ ${preset.shortBreak}분 · 🌴 ${preset.longBreak}분 x${preset.cycles}\n\n` +
+      `프리셋 이름을 입력해주세요. (${maxLength}자 이내)\n`;
+
+    if (presetNames.length > 0) {
+      text += `_같은 이름을 입력하면 그 프리셋을 지금 설정으로 바꿔요._\n`;
+    }
+
+    text += `\n취소하려면 "취소"를 입력하세요.`;
+
+    const buttons = [[{ text: "❌ 취소", action: "settings" }]];
 
     const keyboard = this.createInlineKeyboard(buttons, this.moduleName);
     await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
@@ -859,56 +1017,149 @@ class TimerRenderer extends BaseRenderer {
    * 📊 통계 렌더링
    */
   async renderStats(data, ctx) {
-    const { userName, weekly, allTime, recentCount } = data;
-
-    let text = `📊 *${this.markdownHelper.escape(userName)}님의 타이머 통계*\n\n`;
-
-    // 주간 통계
-    if (weekly) {
-      text += `*📅 이번 주 통계*\n`;
-      text += `• 총 세션: ${weekly.totalSessions}회\n`;
-      text += `• 완료된 세션: ${weekly.completedSessions}회\n`;
-      text += `• 집중 시간: ${weekly.totalFocusTime}분\n`;
-      text += `• 휴식 시간: ${weekly.totalBreakTime}분\n`;
-      text += `• 완료율: ${weekly.completionRate || 0}%\n\n`;
+    const { today, week, streak, recent } = data.stats;
+    const percent = (value, goal) =>
+      Math.min(100, Math.round((value / goal) * 100));
+
+    let text = `📊 *타이머 통계*\n\n`;
+
+    // 오늘 목표
+    text += `*🎯 오늘* (${today.focusCompleted}/${today.goal}회)\n`;
+    text += `${this.createProgressBar(percent(today.focusCompleted, today.goal))}\n`;
+    text += today.reached
+      ? `✅ 목표 달성! 집중 ${today.focusMinutes}분\n\n`
+      : `🍅 ${today.remaining}회 더 하면 달성 · 집중 ${today.focusMinutes}분\n\n`;
+
+    // 이번 주 목표
+    text += `*📅 이번 주* (${week.focusCompleted}/${week.goal}회)\n`;
+    text += `${this.createProgressBar(percent(week.focusCompleted, week.goal))}\n`;
+    text +=
+      week.days
+        .map((day) => {
+          const mark = day.isFuture ? "▫️" : day.reached ? "✅" : "⬜";
+          return `${day.name}${mark}`;
+        })
+        .join(" ") + "\n";
+    if (week.reached) {
+      text += `🏆 주간 목표 달성!\n`;
     }
 
-    // 전체 통계 (최근 30개 세션 기준)
-    if (allTime) {
-      text += `*📈 전체 통계* (최근 ${recentCount}개 세션)\n`;
-      text += `• 총 세션: ${allTime.totalSessions}회\n`;
-      text += `• 완료된 세션: ${allTime.completedSessions}회\n`;
-      text += `• 총 시간: ${allTime.totalMinutes}분\n`;
-
-      if (allTime.totalSessions > 0) {
-        const avgCompletionRate = Math.round(
-          (allTime.completedSessions / allTime.totalSessions) * 100
-        );
-        text += `• 평균 완료율: ${avgCompletionRate}%\n`;
-      }
+    // 연속 달성
+    text += `\n🔥 *연속 달성*: ${streak.current}일 (최고 ${streak.best}일)\n`;
+    if (!today.reached && streak.current > 0) {
+      text += `_오늘 목표를 채우면 ${streak.current + 1}일째예요!_\n`;
+    }
 
-      text += `\n*타입별 분석*\n`;
-      for (const [type, stats] of Object.entries(allTime.byType)) {
-        const typeDisplay = this.getTypeDisplay(type);
-        text += `${typeDisplay}: ${stats.count}회 (${stats.minutes}분)\n`;
-      }
+    // 최근 30일
+    text += `\n*📈 최근 ${recent.days}일*\n`;
+    if (recent.sessions === 0) {
+      text += `_아직 기록이 없습니다. 타이머를 시작해보세요!_\n`;
+    } else {
+      text += `• 완료한 집중: ${recent.focusCompleted}회 (${recent.focusMinutes}분)\n`;
+      text += `• 전체 세션: ${recent.sessions}회 · 완료율 ${recent.avgCompletionRate}%\n`;
+      text += `• 타이머 쓴 날: ${recent.activeDays}일\n`;
     }
 
     const buttons = [
       [
-        { text: "📜 최근 기록", action: "history" },
-        { text: "🍅 새 타이머", action: "menu" }
+        { text: "🗺️ 집중 히트맵", action: "heatmap" },
+        { text: "📜 최근 기록", action: "history" }
       ],
-      [{ text: "🔙 메뉴", action: "menu" }]
+      [
+        { text: "🎯 목표 설정", action: "settings" },
+        { text: "🔙 메뉴", action: "menu" }
+      ]
     ];
 
     const keyboard = this.createInlineKeyboard(buttons, this.moduleName);
     await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
   }
 
-  // getTypeDisplay 메서드 수정
+  /**
+   * 🗺️ 집중 히트맵 사진 전송 (기록이 없으면 안내 메시지)
+   * - 버튼은 사진이 아닌 뒤따르는 글 메시지에 붙임
+   */
+  async renderHeatmap(data, ctx) {
+    const {
+      from,
+      to,
+      grid,
+      sessions,
+      totalMinutes,
+      bestSlots,
+      bestHours,
+      bestWeekday,
+      records
+    } = data;
+
+    const buttons = [
+      [
+        { text: "📊 통계", action: "stats" },
+        { text: "🔙 메뉴", action: "menu" }
+      ]
+    ];
+    const keyboard = this.createInlineKeyboard(buttons, this.moduleName);
+
+    if (totalMinutes === 0) {
+      const text =
+        `🗺️ *집중 히트맵*\n\n` +
+        `_아직 완료한 집중 기록이 없어요._\n` +
+        `집중 타이머를 끝까지 마치면 요일/시간대별로 모아서 보여드려요!`;
+      await this.sendSafeMessage(ctx, text, { reply_markup: keyboard });
+      return;
+    }
+
+    let caption =
+      `🗺️ *집중 히트맵* (${from} ~ ${to})\n` +
+      `🍅 완료한 집중 ${sessions}회 · ${totalMinutes}분\n\n` +
+      `⭐ *가장 집중이 잘 된 시간*\n`;
+    bestSlots.forEach((slot, index) => {
+      caption += `${index + 1}. ${slot.weekday}요일 ${slot.hour}시대 - ${slot.minutes}분\n`;
+    });
+
+    if (bestHours) {
+      caption += `\n⏰ 요일과 상관없이 *${bestHours.start}~${bestHours.end}시*에 가장 많이 집중했어요 (${bestHours.minutes}분)\n`;
+    }
+    if (bestWeekday) {
+      caption += `📅 가장 집중한 요일: *${bestWeekday.name}요일* (${bestWeekday.minutes}분)\n`;
+    }
+    if (records) {
+      caption += `🏆 최장 집중 ${records.longestSession}분 · 평균 ${records.averageDuration}분\n`;
+    }
+    caption += `\n_진한 테두리: 가장 집중이 잘 된 칸_`;
+
+    const image = HeatmapImage.render(grid, {
+      highlights: bestSlots.map((slot) => ({ row: slot.row, col: slot.hour }))
+    });
+    const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+
+    await this.bot.telegram.sendPhoto(
+      chatId,
+      { source: image, filename: "focus-heatmap.png" },
+      { caption, parse_mode: "Markdown" }
+    );
+
+    // 사진 메시지는 editMessageText로 바꿀 수 없으므로 버튼은 별도 글 메시지로 보냄
+    await this.bot.telegram.sendMessage(
+      chatId,
+      "🗺️ 다음에 볼 화면을 골라주세요.",
+      {
+        reply_markup: keyboard
+      }
+    );
+  }
+
+  /**
+   * 🏷️ 타입 표시명 (이모지 포함)
+   */
   getTypeDisplay(type) {
-    return Utils.getTimerTypeDisplay(type, true);
+    const displays = {
+      focus: "🍅 집중",
+      shortBreak: "☕ 짧은 휴식",
+      longBreak: "🌴 긴 휴식",
+      custom: "⏰ 커스텀"
+    };
+    return displays[type] || type;
   }
 
   /**
@@ -1025,13 +1276,28 @@ class TimerRenderer extends BaseRenderer {
       text += `🔄 *사이클*: ${timer.currentCycle}/${timer.totalCycles}\n\n`;
     }
 
+    if (timer.todoText) {
+      text += `📝 *할일*: ${safeEscape(timer.todoText)}\n\n`;
+    }
+
     text += this.getProgressMessage(timer.progress);
 
+    if (timer.liveUpdateEnabled) {
+      text += `\n\n📡 _${timer.liveUpdateSeconds}초마다 자동으로 업데이트됩니다_`;
+    }
+
     // 버튼 생성
     const buttons = [];
 
+    const liveButton = {
+      text: timer.liveUpdateEnabled ? "📡 실시간 끄기" : "📡 실시간 켜기",
+      action: "live"
+    };
+
     if (canRefresh) {
-      buttons.push([{ text: "🔄 새로고침", action: "refresh" }]);
+      buttons.push([{ text: "🔄 새로고침", action: "refresh" }, liveButton]);
+    } else {
+      buttons.push([liveButton]);
     }
 
     if (timer.isPaused) {
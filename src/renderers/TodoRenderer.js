@@ -1,4 +1,5 @@
 // src/renderers/TodoRenderer.js - UI 생성만 담당
+const moment = require("moment-timezone");
 const BaseRenderer = require("./BaseRenderer");
 const logger = require("../utils/core/Logger");
 const Utils = require("../utils");
@@ -54,6 +55,20 @@ class TodoRenderer extends BaseRenderer {
       highlight: "*"
     };
 
+    // 🔄 반복 주기
+    this.recurrenceLabels = {
+      daily: { every: "매일", unit: "일" },
+      weekly: { every: "매주", unit: "주" },
+      monthly: { every: "매월", unit: "개월" }
+    };
+
+    // 📅 기한 필터
+    this.dueFilters = {
+      overdue: "⚠️ 기한 지남",
+      today: "📅 오늘",
+      week: "🗓️ 이번주"
+    };
+
     logger.info("🎨 TodoRenderer 생성됨");
   }
 
@@ -101,6 +116,18 @@ class TodoRenderer extends BaseRenderer {
         case "remind_list":
           return await this.renderReminderList(data, ctx);
 
+        case "due_date_select":
+          return await this.renderDueDateSelect(data, ctx);
+
+        case "recurrence_select":
+          return await this.renderRecurrenceSelect(data, ctx);
+
+        case "recurring_list":
+          return await this.renderRecurringList(data, ctx);
+
+        case "todo_detail":
+          return await this.renderTodoDetail(data, ctx);
+
         default:
           throw new Error(`Unknown render action: ${renderAction}`);
       }
@@ -130,7 +157,7 @@ class TodoRenderer extends BaseRenderer {
       };
     }
 
-    const { title, stats, enableReminders } = data;
+    const { title, stats, enableReminders, dueCounts, digest } = data;
 
     let text = `${title}\n\n`;
 
@@ -143,6 +170,18 @@ class TodoRenderer extends BaseRenderer {
       text += `${this.styles.bullet} 완료율: ${stats.completionRate}%\n\n`;
     }
 
+    // 기한 임박 표시
+    if (dueCounts && (dueCounts.overdue > 0 || dueCounts.today > 0)) {
+      text += `📅 기한:\n`;
+      if (dueCounts.overdue > 0) {
+        text += `${this.styles.bullet} ⚠️ 기한 지남: ${dueCounts.overdue}개\n`;
+      }
+      if (dueCounts.today > 0) {
+        text += `${this.styles.bullet} 오늘 마감: ${dueCounts.today}개\n`;
+      }
+      text += `\n`;
+    }
+
     text += `무엇을 도와드릴까요?`;
 
     // 인라인 키보드 생성
@@ -151,7 +190,8 @@ class TodoRenderer extends BaseRenderer {
     // 첫 번째 줄: 기본 액션
     keyboard.push([
       this.createButton("📋 할일 목록", "list"),
-      this.createButton("➕ 할일 추가", "add")
+      this.createButton("➕ 할일 추가", "add"),
+      this.createButton("🔍 검색", "search")
     ]);
 
     // 두 번째 줄: 통계/리포트
@@ -160,9 +200,23 @@ class TodoRenderer extends BaseRenderer {
       this.createButton("📈 주간 리포트", "weekly")
     ]);
 
-    // 세 번째 줄: 리마인더 (활성화된 경우)
+    // 세 번째 줄: 리마인더 (활성화된 경우) / 반복 할일
+    const manageRow = [this.createButton("🔄 반복 할일", "recurring")];
     if (enableReminders) {
-      keyboard.push([this.createButton("⏰ 리마인더 관리", "remind_list")]);
+      manageRow.unshift(this.createButton("⏰ 리마인더 관리", "remind_list"));
+    }
+    keyboard.push(manageRow);
+
+    // 네 번째 줄: 아침 요약 토글
+    if (digest) {
+      keyboard.push([
+        this.createButton(
+          digest.enabled
+            ? `📬 아침 요약 끄기 (매일 ${digest.hour}시)`
+            : "📭 아침 요약 받기",
+          "digest"
+        )
+      ]);
     }
 
     // 네비게이션
@@ -188,21 +242,78 @@ class TodoRenderer extends BaseRenderer {
    * 📋 할일 목록 렌더링 - 더블 라인 레이아웃
    */
   async renderTodoList(data, ctx) {
-    const { todos, currentPage, totalPages, totalCount, enableReminders } =
-      data;
-
-    let text = `📋 *할일 목록* (${totalCount}개)\n\n`;
+    const {
+      todos,
+      currentPage,
+      totalPages,
+      totalCount,
+      enableReminders,
+      filter,
+      tag,
+      category,
+      facets,
+      search,
+      notice,
+      timezone
+    } = data;
+
+    // 필터가 있으면 페이지 파라미터에 함께 실어 보냄 ("overdue:2", "tag:업무:2")
+    const filterKey =
+      (search && "search") ||
+      filter ||
+      (tag && `tag:${tag}`) ||
+      (category && `cat:${category}`);
+    const pageParam = (page) => (filterKey ? `${filterKey}:${page}` : page);
+
+    const filterLabel = filter
+      ? ` - ${this.dueFilters[filter]}`
+      : tag || category
+        ? ` - ${this.escapeMarkdown(tag ? `#${tag}` : `@${category}`)}`
+        : "";
+    let text = search
+      ? `🔍 *검색 결과*: "${this.escapeMarkdown(search.query)}" (${totalCount}개)\n` +
+        `_${search.includeArchived ? "완료·보관 포함" : "진행 중인 할일만"}_\n\n`
+      : `📋 *할일 목록*${filterLabel} (${totalCount}개)\n\n`;
+
+    // 🔄 반복 할일 완료 → 다음 회차 안내
+    if (notice?.type === "recurrence") {
+      text += `🔄 다음 회차가 추가되었어요: ${this.escapeMarkdown(notice.todo.text)}`;
+      text += ` (${this.formatDueDate(notice.todo.dueDate, timezone)})\n\n`;
+    }
 
     if (todos.length === 0) {
-      text += `_아직 등록된 할일이 없습니다._\n`;
-      text += `➕ 버튼을 눌러 새로운 할일을 추가해보세요!`;
+      if (filterKey) {
+        text += `_해당하는 할일이 없습니다._\n`;
+      } else {
+        text += `_아직 등록된 할일이 없습니다._\n`;
+        text += `➕ 버튼을 눌러 새로운 할일을 추가해보세요!`;
+      }
     } else {
-      // 할일 텍스트만 심플하게 표시 (번호 + 상태 + 제목)
+      // 할일 텍스트만 심플하게 표시 (번호 + 상태 + 제목 + 기한)
       todos.forEach((todo, index) => {
         const num = (currentPage - 1) * 10 + index + 1;
-        const statusEmoji = todo.completed ? "✅" : "⏳";
+        const statusEmoji = todo.archived ? "📦" : todo.completed ? "✅" : "⏳";
+        const dueLabel = todo.completed
+          ? ""
+          : this.formatDueLabel(todo.dueDate, timezone);
 
-        text += `${num}. ${statusEmoji} ${todo.text}\n`;
+        const labels = this.formatTagLabels(todo);
+
+        text += `${num}. ${statusEmoji} ${todo.isRecurring ? "🔄 " : ""}${todo.text}`;
+        text += labels ? ` ${labels}` : "";
+        text += dueLabel ? ` _(${dueLabel})_\n` : `\n`;
+
+        // ☑️ 세부 항목 진행률
+        const progress = this.getSubtaskProgress(todo);
+        if (progress.total > 0) {
+          text += `    ${this.createMiniBar(progress.done, progress.total)} ${progress.done}/${progress.total}\n`;
+        }
+
+        // 🍅 연결된 집중 기록
+        const focus = this.formatFocus(todo);
+        if (focus) {
+          text += `    ${focus}\n`;
+        }
       });
     }
 
@@ -264,6 +375,12 @@ class TodoRenderer extends BaseRenderer {
         // 수정 버튼
         actionRow.push(this.createButton("✏️ 수정", "edit", todo._id));
 
+        // 기한 / 세부 항목 버튼
+        if (!todo.completed) {
+          actionRow.push(this.createButton("📅 기한", "due", todo._id));
+        }
+        actionRow.push(this.createButton("☑️ 세부", "detail", todo._id));
+
         // 삭제 버튼
         actionRow.push(this.createButton("🗑️ 삭제", "delete", todo._id));
 
@@ -290,28 +407,59 @@ class TodoRenderer extends BaseRenderer {
 
       if (currentPage > 1) {
         paginationRow.push(
-          this.createButton("◀️ 이전", "list", currentPage - 1)
+          this.createButton("◀️ 이전", "list", pageParam(currentPage - 1))
         );
       }
 
       // 페이지 정보 표시
       paginationRow.push(
-        this.createButton(`${currentPage} / ${totalPages}`, "list", currentPage)
+        this.createButton(
+          `${currentPage} / ${totalPages}`,
+          "list",
+          pageParam(currentPage)
+        )
       );
 
       if (currentPage < totalPages) {
         paginationRow.push(
-          this.createButton("다음 ▶️", "list", currentPage + 1)
+          this.createButton("다음 ▶️", "list", pageParam(currentPage + 1))
         );
       }
 
       keyboard.push(paginationRow);
     }
 
+    // 🔍 검색 결과: 옵션 전환 / 새 검색
+    if (search) {
+      keyboard.push([
+        this.createButton(
+          search.includeArchived ? "📋 진행 중만 보기" : "📦 완료·보관 포함",
+          "search_toggle"
+        ),
+        this.createButton("🔍 새 검색", "search")
+      ]);
+    }
+
+    // 📅 기한 필터 버튼들 (현재 필터는 ✔️ 표시)
+    const filterRow = Object.entries(this.dueFilters).map(([key, label]) =>
+      this.createButton(
+        filter === key ? `✔️ ${label}` : label,
+        "list",
+        `${key}:1`
+      )
+    );
+    filterRow.push(
+      this.createButton(filterKey ? "📋 전체" : "✔️ 📋 전체", "list", 1)
+    );
+    keyboard.push(filterRow);
+
+    // 🏷️ 태그/카테고리 필터 버튼들
+    keyboard.push(...this.createGroupFilterRows(facets, { tag, category }));
+
     // 🔄 메인 액션 버튼들
     keyboard.push([
       this.createButton("➕ 할일 추가", "add"),
-      this.createButton("🔄 새로고침", "list", currentPage)
+      this.createButton("🔄 새로고침", "list", pageParam(currentPage))
     ]);
 
     // 📊 추가 기능 버튼들
@@ -563,7 +711,22 @@ class TodoRenderer extends BaseRenderer {
 
     // 진행률 바 표시
     const progressBar = this.createProgressBar(data.completionRate);
-    text += `\n${progressBar}`;
+    text += `\n${progressBar}\n`;
+
+    // 태그별 / 카테고리별 현황
+    if (data.byTag?.length > 0) {
+      text += `\n${this.styles.title} 태그별 현황\n`;
+      data.byTag.forEach(({ tag, total, pending }) => {
+        text += `${this.styles.bullet} ${this.escapeMarkdown(`#${tag}`)}: 대기 ${pending}개 / 전체 ${total}개\n`;
+      });
+    }
+
+    if (data.byCategory?.length > 0) {
+      text += `\n${this.styles.title} 카테고리별 현황\n`;
+      data.byCategory.forEach(({ category, total, pending }) => {
+        text += `${this.styles.bullet} ${this.escapeMarkdown(`@${category}`)}: 대기 ${pending}개 / 전체 ${total}개\n`;
+      });
+    }
 
     const keyboard = [
       [
@@ -719,8 +882,362 @@ class TodoRenderer extends BaseRenderer {
     }
   }
 
+  /**
+   * 📅 기한 선택 렌더링
+   */
+  async renderDueDateSelect(data, ctx) {
+    const { todo, timezone, isNew } = data;
+    const todoId = todo._id || todo.id;
+
+    let text = isNew ? `✅ *할일이 추가되었습니다!*\n\n` : "";
+    text += `📝 ${this.escapeMarkdown(todo.text)}\n\n`;
+
+    if (todo.dueDate) {
+      text += `📅 현재 기한: ${this.formatDueDate(todo.dueDate, timezone)}\n\n`;
+    }
+
+    text += `기한을 선택해주세요:`;
+
+    const keyboard = [
+      [
+        this.createButton("오늘", "set_due", `${todoId}:today`),
+        this.createButton("내일", "set_due", `${todoId}:tomorrow`),
+        this.createButton("이번주 금요일", "set_due", `${todoId}:friday`)
+      ],
+      [
+        this.createButton("다음주 월요일", "set_due", `${todoId}:nextweek`),
+        this.createButton("⌨️ 직접 입력", "due_input", todoId)
+      ],
+      [
+        this.createButton(
+          isNew ? "⏭️ 기한 없이" : "🚫 기한 없음",
+          "set_due",
+          `${todoId}:none`
+        ),
+        this.createButton(
+          todo.isRecurring ? "🔄 반복 변경" : "🔄 반복 설정",
+          "recur",
+          todoId
+        )
+      ],
+      [
+        this.createButton("📋 할일 목록", "list"),
+        this.createButton("🏠 홈으로", { module: "system", action: "menu" })
+      ]
+    ];
+
+    await this.sendSafeMessage(ctx, text, {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
+    });
+
+    // 콜백 쿼리 응답
+    if (ctx.callbackQuery && ctx.answerCbQuery) {
+      await ctx.answerCbQuery();
+    }
+  }
+
+  /**
+   * 🔄 반복 주기 선택 렌더링
+   */
+  async renderRecurrenceSelect(data, ctx) {
+    const { todo } = data;
+    const todoId = todo._id || todo.id;
+
+    let text = `🔄 *반복 설정*\n\n`;
+    text += `📝 ${this.escapeMarkdown(todo.text)}\n\n`;
+    text += todo.isRecurring
+      ? `현재: ${this.formatRecurrence(todo.recurringPattern, todo.recurringInterval)}\n\n`
+      : "";
+    text += `완료하면 기한을 옮겨 다음 할일을 자동으로 만들어드려요.`;
+
+    const patternButtons = Object.entries(this.recurrenceLabels).map(
+      ([pattern, { every }]) =>
+        this.createButton(
+          todo.isRecurring && todo.recurringPattern === pattern
+            ? `✔️ ${every}`
+            : every,
+          "set_recur",
+          `${todoId}:${pattern}`
+        )
+    );
+
+    const keyboard = [patternButtons];
+
+    if (todo.isRecurring) {
+      keyboard.push([
+        this.createButton("⏹️ 반복 안 함", "set_recur", `${todoId}:none`)
+      ]);
+    }
+
+    keyboard.push([
+      this.createButton("📋 할일 목록", "list"),
+      this.createButton("🔄 반복 할일", "recurring")
+    ]);
+
+    await this.sendSafeMessage(ctx, text, {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
+    });
+
+    // 콜백 쿼리 응답
+    if (ctx.callbackQuery && ctx.answerCbQuery) {
+      await ctx.answerCbQuery();
+    }
+  }
+
+  /**
+   * 🔄 반복 할일 관리 렌더링
+   */
+  async renderRecurringList(data, ctx) {
+    const { todos, totalCount, timezone } = data;
+
+    let text = `🔄 *반복 할일* (${totalCount}개)\n\n`;
+
+    if (todos.length === 0) {
+      text += `_반복 중인 할일이 없습니다._\n`;
+      text += `할일의 📅 기한 화면에서 🔄 반복 설정을 눌러보세요!`;
+    } else {
+      todos.forEach((todo, index) => {
+        text += `${index + 1}. ${this.escapeMarkdown(todo.text)}\n`;
+        text += `   ${this.styles.bullet} ${this.formatRecurrence(todo.recurringPattern, todo.recurringInterval)}`;
+        if (todo.dueDate) {
+          text += ` · 다음: ${this.formatDueDate(todo.dueDate, timezone)}`;
+        }
+        text += `\n   ${this.styles.bullet} 완료 ${todo.completedCount || 0}회\n\n`;
+      });
+    }
+
+    const keyboard = todos.map((todo, index) => [
+      this.createButton(`⏹️ ${index + 1}번 반복 중지`, "stop_recur", todo._id)
+    ]);
+
+    keyboard.push([
+      this.createButton("📋 할일 목록", "list"),
+      this.createButton("🔄 새로고침", "recurring")
+    ]);
+    keyboard.push([
+      this.createButton("⬅️ 돌아가기", "menu"),
+      this.createButton("🏠 홈으로", { module: "system", action: "menu" })
+    ]);
+
+    await this.sendSafeMessage(ctx, text, {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
+    });
+
+    // 콜백 쿼리 응답
+    if (ctx.callbackQuery && ctx.answerCbQuery) {
+      await ctx.answerCbQuery();
+    }
+  }
+
+  /**
+   * ☑️ 할일 상세 렌더링 (세부 항목 체크리스트)
+   */
+  async renderTodoDetail(data, ctx) {
+    const { todo, timezone, offerComplete } = data;
+    const todoId = todo._id || todo.id;
+    const subtasks = todo.subtasks || [];
+    const progress = this.getSubtaskProgress(todo);
+
+    let text = `${todo.completed ? "✅" : "📝"} *${this.escapeMarkdown(todo.text)}*\n`;
+
+    const labels = this.formatTagLabels(todo);
+    if (labels) text += `${labels}\n`;
+    if (todo.dueDate) {
+      text += `📅 기한: ${this.formatDueDate(todo.dueDate, timezone)}\n`;
+    }
+    const focus = this.formatFocus(todo);
+    if (focus) {
+      text += `${focus}\n`;
+    }
+    if (todo.description) {
+      text += `\n${this.escapeMarkdown(todo.description)}\n`;
+    }
+
+    text += `\n${this.styles.title} 세부 항목`;
+    if (progress.total > 0) {
+      const percentage = Math.round((progress.done / progress.total) * 100);
+      text += ` (${progress.done}/${progress.total})\n`;
+      text += `${this.createProgressBar(percentage)}\n`;
+    } else {
+      text += `\n_아직 세부 항목이 없습니다. 큰 일은 잘게 나눠보세요!_\n`;
+    }
+
+    if (offerComplete) {
+      text += `\n🎉 모든 항목을 끝냈어요! 할일도 완료할까요?`;
+    }
+
+    const keyboard = [];
+
+    if (offerComplete) {
+      keyboard.push([
+        this.createButton("✅ 할일 완료", "focus_done", todoId),
+        this.createButton("나중에", "detail", todoId)
+      ]);
+    }
+
+    // 항목별: 체크 토글 + 삭제 (할일 ID + 항목 ID로 64바이트 안에 맞춤)
+    subtasks.forEach((subtask) => {
+      const subtaskId = subtask._id || subtask.id;
+      let label = `${subtask.completed ? "☑️" : "⬜"} ${subtask.text}`;
+      if (label.length > 30) label = label.substring(0, 27) + "...";
+
+      keyboard.push([
+        this.createButton(label, "sub_check", `${todoId}:${subtaskId}`),
+        this.createButton("🗑️", "sub_del", `${todoId}:${subtaskId}`)
+      ]);
+    });
+
+    keyboard.push([
+      this.createButton("➕ 항목 추가", "sub_add", todoId),
+      this.createButton("📅 기한", "due", todoId)
+    ]);
+    keyboard.push([
+      this.createButton("📋 할일 목록", "list"),
+      this.createButton("🏠 홈으로", { module: "system", action: "menu" })
+    ]);
+
+    await this.sendSafeMessage(ctx, text, {
+      parse_mode: "Markdown",
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
+    });
+
+    // 콜백 쿼리 응답
+    if (ctx.callbackQuery && ctx.answerCbQuery) {
+      await ctx.answerCbQuery();
+    }
+  }
+
   // ===== 헬퍼 메서드 =====
 
+  /**
+   * 세부 항목 진행률 { done, total }
+   */
+  getSubtaskProgress(todo) {
+    const subtasks = todo.subtasks || [];
+    return {
+      done: subtasks.filter((subtask) => subtask.completed).length,
+      total: subtasks.length
+    };
+  }
+
+  /**
+   * 🍅 집중 기록 표시 ("🍅 x4 · 100분", 기록 없으면 "")
+   */
+  formatFocus(todo) {
+    if (!todo.focusCount) return "";
+    return `🍅 x${todo.focusCount} · ${todo.focusMinutes || 0}분`;
+  }
+
+  /**
+   * 반복 주기 표시 ("매주", "2주마다")
+   */
+  formatRecurrence(pattern, interval = 1) {
+    const label = this.recurrenceLabels[pattern];
+    if (!label) return "";
+    return interval > 1 ? `${interval}${label.unit}마다` : label.every;
+  }
+
+  /**
+   * 태그/카테고리 필터 버튼 줄 (대기 중인 할일 많은 순, 최대 6개씩)
+   */
+  createGroupFilterRows(facets, active = {}) {
+    if (!facets) return [];
+
+    const buttons = [
+      ...(facets.tags || [])
+        .slice(0, 6)
+        .map(({ tag, pending }) =>
+          this.createButton(
+            `${active.tag === tag ? "✔️ " : ""}#${tag} (${pending})`,
+            "list",
+            `tag:${tag}:1`
+          )
+        ),
+      // 카테고리가 하나뿐이면 필터 의미가 없으므로 생략
+      ...(facets.categories?.length > 1 ? facets.categories : [])
+        .slice(0, 6)
+        .map(({ category, pending }) =>
+          this.createButton(
+            `${active.category === category ? "✔️ " : ""}@${category} (${pending})`,
+            "list",
+            `cat:${category}:1`
+          )
+        )
+    ].filter(
+      // 텔레그램 callback_data 64바이트 제한
+      (button) => Buffer.byteLength(button.callback_data) <= 64
+    );
+
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) {
+      rows.push(buttons.slice(i, i + 3));
+    }
+    return rows;
+  }
+
+  /**
+   * 할일의 카테고리/태그 표시 ("@업무 #회의")
+   */
+  formatTagLabels(todo) {
+    const labels = [];
+
+    if (todo.category && todo.category !== "일반") {
+      labels.push(`@${todo.category}`);
+    }
+    (todo.tags || []).forEach((tag) => labels.push(`#${tag}`));
+
+    return this.escapeMarkdown(labels.join(" "));
+  }
+
+  /**
+   * 기한 라벨 ("⚠️ 2일 지남", "오늘 마감", "D-3")
+   */
+  formatDueLabel(dueDate, timezone = "Asia/Seoul") {
+    if (!dueDate) return "";
+
+    const now = moment.tz(timezone);
+    const due = moment.tz(dueDate, timezone);
+    const days = due
+      .clone()
+      .startOf("day")
+      .diff(now.clone().startOf("day"), "days");
+
+    if (due.isBefore(now)) {
+      return days < 0 ? `⚠️ ${-days}일 지남` : "⚠️ 기한 지남";
+    }
+    if (days === 0) return "📅 오늘 마감";
+    if (days === 1) return "📅 내일";
+    return `📅 D-${days}`;
+  }
+
+  /**
+   * 기한 날짜 표시 ("10월 20일 (화)" 또는 시각 포함)
+   */
+  formatDueDate(dueDate, timezone = "Asia/Seoul") {
+    const due = moment.tz(dueDate, timezone).locale("ko");
+    const isEndOfDay = due.hours() === 23 && due.minutes() === 59;
+    return due.format(isEndOfDay ? "M월 D일 (ddd)" : "M월 D일 (ddd) A h:mm");
+  }
+
+  /**
+   * Markdown 특수문자 이스케이프
+   */
+  escapeMarkdown(text) {
+    if (!text) return "";
+    return String(text).replace(/[_*`[]/g, "\\$&");
+  }
+
   /**
    * 우선순위 이모지 반환
    */
@@ -18,6 +18,19 @@ class WorktimeRenderer extends BaseRenderer {
     // 렌더러 식별
     this.moduleName = "worktime";
 
+    // 근무 형태 라벨
+    this.scheduleTypeLabels = {
+      fixed: { emoji: "🏢", label: "고정 근무" },
+      flexible: { emoji: "🕘", label: "선택적 근로시간제" },
+      shift: { emoji: "🔄", label: "교대 근무" }
+    };
+
+    // 기록 수정 항목 라벨
+    this.editFieldLabels = {
+      checkInTime: "출근",
+      checkOutTime: "퇴근"
+    };
+
     // 상태별 이모지
     this.statusEmojis = {
       working: "💼",
@@ -26,6 +39,28 @@ class WorktimeRenderer extends BaseRenderer {
       break: "⏸️"
     };
 
+    // 근무 유형 라벨 (일별 요약용, 정상근무는 생략)
+    this.workTypeLabels = {
+      overtime: "초과",
+      night: "야간",
+      holiday: "휴일"
+    };
+
+    // 휴식 종류별 표시
+    this.breakLabels = {
+      short: { emoji: "☕", label: "휴식" },
+      long: { emoji: "🛋️", label: "긴 휴식" },
+      lunch: { emoji: "🍽️", label: "점심시간" }
+    };
+
+    // 주 52시간 준수 배지
+    this.complianceBadges = {
+      ok: "🟢 준수",
+      caution: "🟡 주의",
+      risk: "🟠 초과 위험",
+      over: "🔴 초과"
+    };
+
     // 시간대별 이모지
     this.timeEmojis = {
       morning: "🌅",
@@ -104,6 +139,10 @@ class WorktimeRenderer extends BaseRenderer {
         case "checkout":
         case "checkout_success":
           return await this.renderCheckoutSuccess(data || {}, ctx);
+        case "break_start":
+          return await this.renderBreakStart(data || {}, ctx);
+        case "break_end":
+          return await this.renderBreakEnd(data || {}, ctx);
         case "week":
           return await this.renderWeek(data || {}, ctx);
         case "month":
@@ -112,6 +151,22 @@ class WorktimeRenderer extends BaseRenderer {
           return await this.renderHistory(data || {}, ctx);
         case "stats":
           return await this.renderStats(data || {}, ctx);
+        case "settings":
+          return await this.renderSettings(data || {}, ctx);
+        case "export_menu":
+          return await this.renderExportMenu(data || {}, ctx);
+        case "export_file":
+          return await this.renderExportFile(data || {}, ctx);
+        case "export_token":
+          return await this.renderExportToken(data || {}, ctx);
+        case "schedule_input":
+          return await this.renderScheduleInput(data || {}, ctx);
+        case "edit_list":
+          return await this.renderEditList(data || {}, ctx);
+        case "edit_record":
+          return await this.renderEditRecord(data || {}, ctx);
+        case "edit_time_input":
+          return await this.renderEditTimeInput(data || {}, ctx);
         case "error":
           // 🔥 renderError를 만들지 말고, ErrorHandler에 위임!
           return await this.errorHandler.handleModuleProcessingError(
@@ -216,6 +271,22 @@ ${workSummary?.isOvertime ? "🔥 초과근무 " + this.formatDuration(workSumma
           text: "📋 근무 이력",
           callback_data: this.buildCallbackData("worktime", "history")
         },
+        {
+          text: "✏️ 기록 수정",
+          callback_data: this.buildCallbackData("worktime", "edit")
+        }
+      ],
+      [
+        {
+          text: "📤 내보내기",
+          callback_data: this.buildCallbackData("worktime", "export")
+        },
+        {
+          text: "⚙️ 근무 설정",
+          callback_data: this.buildCallbackData("worktime", "settings")
+        }
+      ],
+      [
         {
           text: "🔙 메인 메뉴",
           callback_data: this.buildCallbackData("system", "menu")
@@ -233,33 +304,68 @@ ${workSummary?.isOvertime ? "🔥 초과근무 " + this.formatDuration(workSumma
    * ✅ 출근 성공 렌더링
    */
   async renderCheckinSuccess(data, ctx) {
-    const { checkInTime } = data;
+    const { checkInTime, compliance, attendance, record = {} } = data;
+    const { autoClosedRecord } = record;
 
-    const text = `✅ *출근 완료!*
+    let text = `✅ *출근 완료!*
 
 💼 출근시간: ${this.safeTimeDisplay(checkInTime)}
 📍 위치: 회사
-🎯 목표: 8시간 근무
+🎯 목표: ${attendance ? this.formatDuration(attendance.requiredMinutes) : "8시간"} 근무`;
+
+    const attendanceText = this.formatAttendance(attendance);
+    if (attendanceText) {
+      text += `
+${attendanceText}`;
+    }
+
+    // 퇴근을 찍지 않은 이전 기록은 임시 마감됨
+    if (autoClosedRecord) {
+      text += `
+
+🌙 *${autoClosedRecord.date} 퇴근 기록이 없어 ${this.safeTimeDisplay(autoClosedRecord.checkOutTime)}로 임시 마감했어요.*
+실제 퇴근 시각을 입력해 주세요.`;
+    }
+
+    // 오늘 예정대로 일하면 52시간을 넘는 경우에만 안내
+    if (compliance && compliance.level !== "ok") {
+      text += `
+
+${this.formatCompliance(compliance)}`;
+    }
+
+    text += `
 
 오늘도 좋은 하루 되세요! 💪`;
 
-    const keyboard = {
-      inline_keyboard: [
-        [
-          {
-            text: "📅 오늘 현황",
-            callback_data: this.buildCallbackData("worktime", "today")
-          },
-          {
-            text: "🔙 메뉴",
-            callback_data: this.buildCallbackData("worktime", "menu")
-          }
-        ]
+    const buttons = [
+      [
+        {
+          text: "📅 오늘 현황",
+          callback_data: this.buildCallbackData("worktime", "today")
+        },
+        {
+          text: "🔙 메뉴",
+          callback_data: this.buildCallbackData("worktime", "menu")
+        }
       ]
-    };
+    ];
+
+    if (autoClosedRecord) {
+      buttons.unshift([
+        {
+          text: `✏️ ${autoClosedRecord.date} 퇴근 시각 입력`,
+          callback_data: this.buildCallbackData(
+            "worktime",
+            "edit_out",
+            autoClosedRecord._id
+          )
+        }
+      ]);
+    }
 
     await this.sendSafeMessage(ctx, text, {
-      reply_markup: keyboard
+      reply_markup: { inline_keyboard: buttons }
     });
   }
 
@@ -267,7 +373,13 @@ ${workSummary?.isOvertime ? "🔥 초과근무 " + this.formatDuration(workSumma
    * ✅ 퇴근 성공 렌더링
    */
   async renderCheckoutSuccess(data, ctx) {
-    const { workSummary } = data;
+    const {
+      workSummary,
+      classification = {},
+      attendance,
+      compliance,
+      record = {}
+    } = data;
 
     let workStatus = "";
     if (workSummary?.workDuration < 60) {
@@ -280,10 +392,51 @@ ${workSummary?.isOvertime ? "🔥 초과근무 " + this.formatDuration(workSumma
       workStatus = "👍 정상근무";
     }
 
-    const text = `🏠 *퇴근 완료!*
+    let text = `🏠 *퇴근 완료!*
 
 ⏰ 총 근무시간: ${workSummary?.displayTime || "0:00"}
-${workStatus}
+${workStatus}`;
+
+    if (record.breakDuration > 0) {
+      text += `
+🧾 체류 ${this.formatDuration(record.grossDuration)} 중 휴식 ${this.formatDuration(record.breakDuration)} 제외`;
+    }
+
+    if (record.autoClosedBreak) {
+      text += `
+ℹ️ 종료하지 않은 ${this.breakLabels[record.autoClosedBreak]?.label || "휴식"}은 퇴근 시각으로 자동 종료했어요.`;
+    }
+
+    if (classification.holidayName) {
+      text += `
+🎌 ${classification.holidayName} 근무`;
+    }
+
+    const attendanceText = this.formatAttendance(attendance, true);
+    if (attendanceText) {
+      text += `
+${attendanceText}`;
+    }
+
+    const breakdownText = this.formatBreakdown({
+      regularHours: classification.regularMinutes / 60,
+      overtimeHours: classification.overtimeMinutes / 60,
+      nightHours: classification.nightMinutes / 60,
+      holidayHours: classification.holidayMinutes / 60
+    });
+    if (breakdownText) {
+      text += `
+
+${breakdownText}`;
+    }
+
+    if (compliance) {
+      text += `
+
+${this.formatCompliance(compliance)}`;
+    }
+
+    text += `
 
 수고하셨습니다! 푹 쉬세요 😊`;
 
@@ -318,6 +471,7 @@ ${workStatus}
       totalHours = 0,
       overtimeHours = 0,
       avgDailyHours = 0,
+      breakdown = {},
       performance = {},
       trends = {}
     } = data;
@@ -335,6 +489,14 @@ ${workStatus}
 
     text += `
 📊 *일평균*: ${avgDailyHours}시간`;
+    text += this.formatAttendanceCounts(data);
+
+    const breakdownText = this.formatBreakdown(breakdown);
+    if (breakdownText) {
+      text += `
+
+${breakdownText}`;
+    }
 
     if (performance.emoji && performance.txt) {
       text += `
@@ -466,6 +628,10 @@ ${achievement.emoji} ${achievement.txt}`;
    * 📅 오늘 근무 현황 렌더링 (개선됨)
    */
   async renderToday(data, ctx) {
+    if (data.hasRecord === false) {
+      return await this.renderNoRecordToday(ctx);
+    }
+
     // 데이터 구조 정규화
     const record = data.record || {
       checkInTime: data.checkinTime,
@@ -508,6 +674,17 @@ ${achievement.emoji} ${achievement.txt}`;
     text += `
 ⏱️ *근무시간*: ${workDurationText}`;
 
+    // 휴식이 있으면 체류시간(출근~현재/퇴근)과 함께 표시
+    if (workSummary.breakDuration > 0) {
+      text += `
+🧾 *체류시간*: ${this.formatDuration(workSummary.grossDuration)} (휴식 ${this.formatDuration(workSummary.breakDuration)} 제외)`;
+    }
+
+    if (data.currentBreak) {
+      text += `
+${this.breakLabels[data.currentBreak.breakType]?.emoji || "☕"} *${this.breakLabels[data.currentBreak.breakType]?.label || "휴식"} 중* (${this.safeTimeDisplay(data.currentBreak.startTime)}부터)`;
+    }
+
     // 진행률 게이지 (근무 중일 때만)
     if (isWorking && workSummary.workDuration > 0) {
       const progress = this.calculateWorkProgress(
@@ -560,6 +737,7 @@ ${recommendations.map((r) => `• ${r}`).join("\n")}`;
           callback_data: this.buildCallbackData("worktime", "today")
         }
       ]);
+      buttons.push(this.createBreakRow(data.currentBreak));
     } else {
       buttons.push([
         {
@@ -668,6 +846,12 @@ ${statusIcon} *${record.date}* ${checkIn}~${checkOut} (${duration})`;
             text: "🔄 새로고침",
             callback_data: this.buildCallbackData("worktime", "history")
           },
+          {
+            text: "✏️ 기록 수정",
+            callback_data: this.buildCallbackData("worktime", "edit")
+          }
+        ],
+        [
           {
             text: "🔙 메뉴",
             callback_data: this.buildCallbackData("worktime", "menu")
@@ -692,16 +876,30 @@ ${statusIcon} *${record.date}* ${checkIn}~${checkOut} (${duration})`;
       totalHours = 0,
       overtimeHours = 0,
       avgDailyHours = 0,
+      breakdown = {},
+      compliance,
       analysis = {},
       records = []
     } = data;
 
-    let text = `📈 *주간 근무 통계*
+    let text = `📈 *주간 근무 통계*`;
+    const { grossHours = 0, breakHours = 0 } = breakdown;
+
+    if (compliance) {
+      text += ` ${this.complianceBadges[compliance.level] || ""}`;
+    }
+
+    text += `
 
 📅 *기간*: ${weekStart} ~ ${weekEnd}
 📊 *근무일*: ${workDays}일
 ⏰ *총 시간*: ${totalHours}시간`;
 
+    if (breakHours > 0) {
+      text += ` (휴식 제외)
+🧾 *체류시간*: ${grossHours}시간 (휴식 ${breakHours}시간)`;
+    }
+
     if (overtimeHours > 0) {
       text += `
 🔥 *초과근무*: ${overtimeHours}시간`;
@@ -709,6 +907,20 @@ ${statusIcon} *${record.date}* ${checkIn}~${checkOut} (${duration})`;
 
     text += `
 📊 *일평균*: ${avgDailyHours}시간`;
+    text += this.formatAttendanceCounts(data);
+
+    const breakdownText = this.formatBreakdown(breakdown);
+    if (breakdownText) {
+      text += `
+
+${breakdownText}`;
+    }
+
+    if (compliance) {
+      text += `
+
+${this.formatCompliance(compliance)}`;
+    }
 
     if (analysis.trend) {
       text += `
@@ -733,8 +945,9 @@ ${statusIcon} *${record.date}* ${checkIn}~${checkOut} (${duration})`;
           : record.checkInTime
             ? "💼"
             : "❌";
+        const typeLabel = this.workTypeLabels[record.workType];
         text += `
-${statusIcon} *${record.date}*: ${duration}`;
+${statusIcon} *${record.date}*: ${duration}${typeLabel ? ` (${typeLabel})` : ""}`;
       });
 
       if (records.length > 5) {
@@ -773,6 +986,618 @@ ${statusIcon} *${record.date}*: ${duration}`;
     });
   }
 
+  /**
+   * 🧮 근무 유형별 시간 텍스트 (0시간 항목은 생략)
+   * @param {object} breakdown - { regularHours, overtimeHours, nightHours, holidayHours }
+   * @returns {string} 분류 텍스트 (없으면 빈 문자열)
+   */
+  formatBreakdown(breakdown = {}) {
+    const items = [
+      ["🏢", "정규", breakdown.regularHours],
+      ["🔥", "초과", breakdown.overtimeHours],
+      ["🌙", "야간", breakdown.nightHours],
+      ["🎌", "휴일", breakdown.holidayHours]
+    ].filter(([, , hours]) => hours > 0);
+
+    if (items.length === 0) return "";
+
+    const lines = items.map(
+      ([emoji, label, hours]) =>
+        `${emoji} *${label}*: ${Math.round(hours * 10) / 10}시간`
+    );
+
+    return `🧮 *근무 유형별*
+${lines.join("\n")}`;
+  }
+
+  /**
+   * 📭 오늘 기록 없음 렌더링
+   */
+  async renderNoRecordToday(ctx) {
+    const text = `📅 *오늘 근무 현황*
+
+📝 오늘 근무 기록이 없습니다.
+출근 버튼을 눌러 근무를 시작하세요!`;
+
+    const keyboard = {
+      inline_keyboard: [
+        [
+          {
+            text: "🏃 출근하기",
+            callback_data: this.buildCallbackData("worktime", "checkin")
+          },
+          {
+            text: "🔙 메뉴",
+            callback_data: this.buildCallbackData("worktime", "menu")
+          }
+        ]
+      ]
+    };
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * ☕ 휴식 시작 렌더링
+   */
+  async renderBreakStart(data, ctx) {
+    const { emoji, label } =
+      this.breakLabels[data.breakType] || this.breakLabels.short;
+
+    const text = `${emoji} *${label} 시작*
+
+⏰ 시작시간: ${this.safeTimeDisplay(data.startTime)}
+휴식 시간은 근무시간에서 제외됩니다.
+
+${data.breakType === "lunch" ? "맛있는 점심 드세요! 😋" : "충분히 쉬고 오세요! 😊"}`;
+
+    const keyboard = {
+      inline_keyboard: [
+        this.createBreakRow({ breakType: data.breakType }),
+        [
+          {
+            text: "📅 오늘 현황",
+            callback_data: this.buildCallbackData("worktime", "today")
+          }
+        ]
+      ]
+    };
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * 🔚 휴식 종료 렌더링
+   */
+  async renderBreakEnd(data, ctx) {
+    const { label } =
+      this.breakLabels[data.breakType] || this.breakLabels.short;
+
+    const text = `🔚 *${label} 종료*
+
+⏱️ 이번 ${label}: ${this.formatDuration(data.breakDuration)}
+🧾 오늘 휴식 합계: ${this.formatDuration(data.totalBreakDuration)}
+
+다시 힘내볼까요! 💪`;
+
+    const keyboard = {
+      inline_keyboard: [
+        [
+          {
+            text: "🏠 퇴근하기",
+            callback_data: this.buildCallbackData("worktime", "checkout")
+          },
+          {
+            text: "📅 오늘 현황",
+            callback_data: this.buildCallbackData("worktime", "today")
+          }
+        ]
+      ]
+    };
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * 🗓️ 근무 형태 기준 지각/조퇴 안내
+   * @param {object} attendance - WorktimeService.evaluateAttendance 결과
+   * @param {boolean} isCheckOut - 퇴근 화면이면 조퇴/부족 시간까지 표시
+   * @returns {string} 안내 텍스트 (없으면 빈 문자열)
+   */
+  formatAttendance(attendance, isCheckOut = false) {
+    if (!attendance || attendance.isDayOff) return "";
+
+    const isFlexible = attendance.scheduleType === "flexible";
+    const lines = [
+      `🗓️ ${attendance.scheduleLabel}: ${this.safeTimeDisplay(attendance.scheduledStart)}~${this.safeTimeDisplay(attendance.scheduledEnd)}${isFlexible ? " (코어타임)" : ""}`
+    ];
+
+    if (attendance.lateMinutes > 0 && !isCheckOut) {
+      lines.push(`⏰ 지각 ${this.formatDuration(attendance.lateMinutes)}`);
+    }
+
+    if (isCheckOut && attendance.earlyLeaveMinutes > 0) {
+      lines.push(
+        `🏃 조퇴 ${this.formatDuration(attendance.earlyLeaveMinutes)}`
+      );
+    }
+
+    if (isCheckOut && attendance.shortMinutes > 0) {
+      lines.push(
+        `⏳ 하루 기준보다 ${this.formatDuration(attendance.shortMinutes)} 부족`
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * 지각/조퇴 횟수 줄 (없으면 빈 문자열)
+   */
+  formatAttendanceCounts({ lateCount = 0, earlyLeaveCount = 0 }) {
+    if (lateCount === 0 && earlyLeaveCount === 0) return "";
+    return `
+⏰ *지각*: ${lateCount}회 · 🏃 *조퇴*: ${earlyLeaveCount}회`;
+  }
+
+  /**
+   * 📤 내보내기 메뉴 렌더링
+   */
+  async renderExportMenu(data, ctx) {
+    const { months = [], hasToken = false } = data;
+
+    const text = `📤 *근무기록 내보내기*
+
+급여 정산용 월별 근태표를 CSV 파일로 받습니다.
+엑셀에서 바로 열 수 있어요.
+
+📋 항목: 날짜, 출근, 퇴근, 실근무(분), 초과근무(분), 근무유형
+
+🔑 API 토큰: ${hasToken ? "발급됨" : "미발급"}
+같은 데이터를 JSON으로 가져오려면 토큰을 발급하세요.`;
+
+    const keyboard = {
+      inline_keyboard: [
+        months.map((month) => ({
+          text: `📄 ${month}`,
+          callback_data: this.buildCallbackData(
+            "worktime",
+            "export_month",
+            month
+          )
+        })),
+        [
+          {
+            text: hasToken ? "🔑 토큰 재발급" : "🔑 토큰 발급",
+            callback_data: this.buildCallbackData("worktime", "export_token")
+          },
+          {
+            text: "🔙 메뉴",
+            callback_data: this.buildCallbackData("worktime", "menu")
+          }
+        ]
+      ]
+    };
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * 📄 월별 근태 CSV 문서 전송
+   */
+  async renderExportFile(data, ctx) {
+    const { month, totals = {}, rowCount = 0, filename, csv = "" } = data;
+
+    const caption = `📄 *${month} 근태표*
+
+📊 근무일: ${totals.workDays || 0}일 (기록 ${rowCount}건)
+⏰ 실근무: ${this.formatDuration(totals.netMinutes || 0)}
+🔥 초과근무: ${this.formatDuration(totals.overtimeMinutes || 0)}`;
+
+    const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
+
+    await this.bot.telegram.sendDocument(
+      chatId,
+      { source: Buffer.from(csv, "utf8"), filename },
+      {
+        caption,
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "📤 다른 달",
+                callback_data: this.buildCallbackData("worktime", "export")
+              },
+              {
+                text: "🔙 메뉴",
+                callback_data: this.buildCallbackData("worktime", "menu")
+              }
+            ]
+          ]
+        }
+      }
+    );
+  }
+
+  /**
+   * 🔑 내보내기 API 토큰 렌더링 (한 번만 표시)
+   */
+  async renderExportToken(data, ctx) {
+    const { token, apiUrl } = data;
+
+    const text = `🔑 *내보내기 API 토큰*
+
+\`${token}\`
+
+⚠️ 이 토큰은 지금만 확인할 수 있어요. 안전한 곳에 보관하세요.
+다시 발급하면 이전 토큰은 사용할 수 없습니다.
+
+📡 *사용법*
+\`GET ${apiUrl}?month=YYYY-MM\`
+헤더: \`Authorization: Bearer <토큰>\``;
+
+    const keyboard = {
+      inline_keyboard: [
+        [
+          {
+            text: "📤 내보내기",
+            callback_data: this.buildCallbackData("worktime", "export")
+          },
+          {
+            text: "🔙 메뉴",
+            callback_data: this.buildCallbackData("worktime", "menu")
+          }
+        ]
+      ]
+    };
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * ⚙️ 근무 설정 렌더링 (근무 형태)
+   */
+  async renderSettings(data, ctx) {
+    const { settings = {}, todaySchedule, notice } = data;
+    const type = settings.scheduleType || "fixed";
+    const { emoji, label } = this.scheduleTypeLabels[type];
+
+    let text = notice ? `${notice}\n\n` : "";
+
+    text += `⚙️ *근무 설정*
+
+${emoji} *근무 형태*: ${label}`;
+
+    if (type === "flexible") {
+      text += `
+🎯 코어타임: ${settings.coreStartTime} ~ ${settings.coreEndTime}
+⏱️ 하루 기준: ${settings.dailyHours}시간
+코어타임 시작 후 출근은 지각, 종료 전 퇴근은 조퇴로 봅니다.`;
+    } else if (type === "shift") {
+      const rotation = (settings.shiftRotation || [])
+        .map((shift) => `${shift.name}(${shift.startTime}~${shift.endTime})`)
+        .join(" → ");
+      text += `
+🔄 순환: ${rotation || "미설정"}`;
+      if (todaySchedule?.type === "shift") {
+        text += `
+📅 이번 주: *${todaySchedule.label}*`;
+      }
+    } else {
+      text += `
+⏰ 근무시간: ${settings.workStartTime} ~ ${settings.workEndTime}`;
+    }
+
+    text += `
+
+지각·조퇴·초과근무는 근무 형태를 기준으로 판정합니다.`;
+
+    const keyboard = {
+      inline_keyboard: [
+        ["fixed", "flexible", "shift"].map((scheduleType) => ({
+          text: `${this.scheduleTypeLabels[scheduleType].emoji} ${scheduleType === "flexible" ? "선택근무" : this.scheduleTypeLabels[scheduleType].label}`,
+          callback_data: this.buildCallbackData(
+            "worktime",
+            "schedule",
+            scheduleType
+          )
+        })),
+        [
+          {
+            text: "🔙 메뉴",
+            callback_data: this.buildCallbackData("worktime", "menu")
+          }
+        ]
+      ]
+    };
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * ⌨️ 근무 형태 입력 안내 렌더링
+   */
+  async renderScheduleInput(data, ctx) {
+    const { scheduleType, errorMessage } = data;
+    const { emoji, label } =
+      this.scheduleTypeLabels[scheduleType] || this.scheduleTypeLabels.fixed;
+    const guides = {
+      fixed: `출근~퇴근 시각을 입력하세요.
+예: \`09:00-18:00\``,
+      flexible: `코어타임과 하루 기준 근무시간을 입력하세요.
+예: \`10:00-16:00 8\` (기준 시간 생략 시 8시간)`,
+      shift: `근무조 이름과 시간을 순서대로 쉼표로 구분해 입력하세요.
+이번 주부터 한 주씩 다음 근무조로 바뀝니다.
+예: \`주간 06:00-14:00, 오후 14:00-22:00, 야간 22:00-06:00\``
+    };
+
+    let text = errorMessage ? `❌ ${errorMessage}\n\n` : "";
+
+    text += `${emoji} *${label} 설정*
+
+${guides[scheduleType] || guides.fixed}`;
+
+    const keyboard = {
+      inline_keyboard: [
+        [
+          {
+            text: "❌ 취소",
+            callback_data: this.buildCallbackData("worktime", "settings")
+          }
+        ]
+      ]
+    };
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * ✏️ 수정할 기록 선택 렌더링
+   */
+  async renderEditList(data, ctx) {
+    const { records = [] } = data;
+
+    let text = `✏️ *근무 기록 수정*
+
+수정할 날짜를 선택하세요.`;
+
+    if (records.length === 0) {
+      text += `
+
+📝 수정할 기록이 없습니다.`;
+    } else if (records.some((record) => record.needsReview)) {
+      text += `
+🌙 표시는 퇴근 기록이 없어 임시 마감된 날입니다.`;
+    }
+
+    const buttons = records.map((record) => [
+      {
+        text: `${record.needsReview ? "🌙" : this.statusEmojis[record.status] || "📅"} ${record.date} ${this.safeTimeDisplay(record.checkInTime)}~${this.safeTimeDisplay(record.checkOutTime)}`,
+        callback_data: this.buildCallbackData(
+          "worktime",
+          "edit_select",
+          record._id
+        )
+      }
+    ]);
+
+    buttons.push([
+      {
+        text: "🔙 메뉴",
+        callback_data: this.buildCallbackData("worktime", "menu")
+      }
+    ]);
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: { inline_keyboard: buttons }
+    });
+  }
+
+  /**
+   * ✏️ 기록 상세 + 수정 이력 렌더링
+   */
+  async renderEditRecord(data, ctx) {
+    const { record = {}, notice } = data;
+    const editHistory = record.editHistory || [];
+
+    let text = notice ? `${notice}\n\n` : "";
+
+    text += `✏️ *${record.date} 근무 기록*
+
+🏢 출근: ${this.safeTimeDisplay(record.checkInTime)}
+🏠 퇴근: ${this.safeTimeDisplay(record.checkOutTime)}`;
+
+    if (record.workDuration !== undefined && record.checkOutTime) {
+      text += `
+⏱️ 근무시간: ${this.formatDuration(record.workDuration)}`;
+    }
+
+    if (record.needsReview) {
+      text += `
+
+🌙 퇴근 기록이 없어 정규 퇴근 시각으로 임시 마감했습니다.
+실제 퇴근 시각을 입력하거나 그대로 확정해 주세요.`;
+    }
+
+    if (editHistory.length > 0) {
+      text += `
+
+📜 *수정 이력*`;
+
+      editHistory.slice(-5).forEach((edit) => {
+        const label = this.editFieldLabels[edit.field] || edit.field;
+        const source = edit.source === "auto" ? "자동" : "직접";
+        text += `
+• ${this.safeTimeDisplay(edit.editedAt, "dateOnly")} ${label} ${this.safeTimeDisplay(edit.before)} → ${this.safeTimeDisplay(edit.after)} (${source}${edit.reason ? `, ${edit.reason.replace(/[_*`[]/g, "\\$&")}` : ""})`;
+      });
+    }
+
+    const buttons = [
+      [
+        {
+          text: "🏢 출근 시각 수정",
+          callback_data: this.buildCallbackData(
+            "worktime",
+            "edit_in",
+            record._id
+          )
+        },
+        {
+          text: "🏠 퇴근 시각 수정",
+          callback_data: this.buildCallbackData(
+            "worktime",
+            "edit_out",
+            record._id
+          )
+        }
+      ]
+    ];
+
+    if (record.needsReview) {
+      buttons.push([
+        {
+          text: `✅ ${this.safeTimeDisplay(record.checkOutTime)} 퇴근으로 확정`,
+          callback_data: this.buildCallbackData(
+            "worktime",
+            "edit_confirm",
+            record._id
+          )
+        }
+      ]);
+    }
+
+    buttons.push([
+      {
+        text: "📋 다른 날짜",
+        callback_data: this.buildCallbackData("worktime", "edit")
+      },
+      {
+        text: "🔙 메뉴",
+        callback_data: this.buildCallbackData("worktime", "menu")
+      }
+    ]);
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: { inline_keyboard: buttons }
+    });
+  }
+
+  /**
+   * ⌨️ 수정 시각 입력 안내 렌더링
+   */
+  async renderEditTimeInput(data, ctx) {
+    const { record = {}, field, errorMessage } = data;
+    const label = this.editFieldLabels[field] || "근무";
+
+    let text = errorMessage ? `❌ ${errorMessage}\n\n` : "";
+
+    text += `⌨️ *${record.date} ${label} 시각 입력*
+
+현재: ${this.safeTimeDisplay(record[field])}
+
+24시간 형식으로 입력하세요. 사유는 시간 뒤에 적을 수 있어요.
+예: \`18:30\` 또는 \`18:30 외근 후 바로 퇴근\``;
+
+    if (field === "checkOutTime") {
+      text += `
+출근 시각보다 이른 시각은 다음날로 처리됩니다.`;
+    }
+
+    const keyboard = {
+      inline_keyboard: [
+        [
+          {
+            text: "❌ 취소",
+            callback_data: this.buildCallbackData("worktime", "edit_cancel")
+          }
+        ]
+      ]
+    };
+
+    await this.sendSafeMessage(ctx, text, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * ☕ 휴식 버튼 줄 (휴식 중이면 종료 버튼)
+   */
+  createBreakRow(currentBreak) {
+    if (currentBreak) {
+      const isLunch = currentBreak.breakType === "lunch";
+      return [
+        {
+          text: isLunch ? "🔚 점심 종료" : "🔚 휴식 종료",
+          callback_data: this.buildCallbackData(
+            "worktime",
+            isLunch ? "lunch" : "break",
+            "end"
+          )
+        }
+      ];
+    }
+
+    return [
+      {
+        text: "☕ 휴식",
+        callback_data: this.buildCallbackData("worktime", "break", "short")
+      },
+      {
+        text: "🍽️ 점심",
+        callback_data: this.buildCallbackData("worktime", "lunch")
+      }
+    ];
+  }
+
+  /**
+   * ⚖️ 주 52시간 현황 텍스트 (배지 + 진행률 + 예상 초과 안내)
+   * @param {object} compliance - WorktimeService.calculateCompliance 결과
+   * @returns {string} 현황 텍스트
+   */
+  formatCompliance(compliance) {
+    const { level, capHours, currentHours, currentMinutes } = compliance;
+    const percentage = Math.min(
+      100,
+      Math.round((currentMinutes / (capHours * 60)) * 100)
+    );
+
+    let text = `⚖️ *주 ${capHours}시간*: ${this.complianceBadges[level] || ""}
+${this.createProgressBar(percentage, `${currentHours}/${capHours}시간`)}`;
+
+    if (level === "over") {
+      text += `
+🚨 이번 주 상한을 ${Math.round((currentHours - capHours) * 10) / 10}시간 넘었습니다.`;
+    } else if (level === "risk") {
+      text += `
+⏰ 오늘 예정대로 일하면 *${compliance.projectedHours}시간*이 됩니다.`;
+
+      if (compliance.latestSafeCheckOut) {
+        text += `
+👉 ${this.safeTimeDisplay(compliance.latestSafeCheckOut)} 전에 퇴근하세요.`;
+      }
+    } else {
+      text += `
+⏳ 상한까지 ${this.formatDuration(compliance.remainingMinutes)} 남음`;
+    }
+
+    return text;
+  }
+
   /**
    * ⏱️ 시간 지속시간 포맷팅 (분 → 시간:분)
    * @param {number} minutes - 분 단위 시간
@@ -1,28 +1,91 @@
 // src/services/LeaveService.js - 개인용 연차 관리 서비스
+const moment = require("moment-timezone");
 const BaseService = require("./BaseService");
+const KoreanHolidays = require("../utils/KoreanHolidays");
+const LeaveAccrual = require("../utils/LeaveAccrual");
 const logger = require("../utils/core/Logger");
 
+// "8/4-8/8", "8.4~8", "2025-08-04~2025-08-08" (종료일 생략 가능)
+const DATE_RANGE_PATTERN =
+  /^(\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[/.]\d{1,2})(?:\s*[~–-]\s*(\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[/.]\d{1,2}|\d{1,2}))?$/;
+
+// 환경변수 일수 (0은 "사용 안 함"으로 유효, 숫자가 아니거나 음수면 기본값)
+function parseDaysEnv(value, fallback) {
+  const days = parseFloat(value);
+  return Number.isFinite(days) && days >= 0 ? days : fallback;
+}
+
 /**
  * 🏖️ LeaveService - 개인용 연차 관리 서비스
  *
  * 🎯 핵심 기능:
  * - 연차 현황 조회 (잔여/사용)
- * - 연차 사용 기록
- * - 월별 사용량 조회
+ * - 연차 사용 기록 (하루 / 기간)
+ * - 휴가 종류별 잔여 (연차/병가/경조사/대체휴가/공가)
+ * - 기간 사용 시 주말·공휴일 제외 후 차감
+ * - 월별 사용량 조회, 월 달력
+ * - 사용 내역 수정/취소 (변경 이력 기록)
+ * - 팀(그룹 채팅) 연차 달력 (참여한 멤버만 공유)
  * - 연차 설정 관리 (추가/삭제)
- * - 입사일 관리 및 보너스 계산
+ * - 입사일 기준 법정 연차 발생 (회계연도 / 입사일 기준)
  * - 연말 소멸, 신년 생성
  */
 class LeaveService extends BaseService {
   constructor(options = {}) {
     super("LeaveService", options);
+
+    this.config = {
+      timezone: "Asia/Seoul",
+      maxContinuousDays: parseInt(process.env.LEAVE_MAX_CONTINUOUS_DAYS) || 10,
+      // 휴가 종류별 규칙 (unit: 최소 사용 단위, yearlyDays: 연간 한도)
+      categories: {
+        annual: { label: "연차", icon: "🏖️", unit: 0.25 },
+        sick: {
+          label: "병가",
+          icon: "🤒",
+          unit: 0.5,
+          yearlyDays: parseDaysEnv(process.env.LEAVE_SICK_DAYS, 10)
+        },
+        special: {
+          label: "경조사",
+          icon: "💐",
+          unit: 1,
+          yearlyDays: parseDaysEnv(process.env.LEAVE_SPECIAL_DAYS, 5)
+        },
+        // 휴일 근무로 적립 (Worktime 기준)
+        comp: { label: "대체휴가", icon: "🔁", unit: 0.5 },
+        // 차감 없이 기록만
+        official: { label: "공가", icon: "🏛️", unit: 0.5, unlimited: true }
+      },
+      // 휴일 근무 시간별 대체휴가 적립 (분)
+      compEarning: {
+        halfDayMinutes: 240,
+        fullDayMinutes: 480
+      },
+      accrualModeLabels: {
+        fiscal: "회계연도",
+        hire_date: "입사일"
+      },
+      // 소멸 알림 시점 (기간 종료 N일 전)
+      expiryReminderDays: (process.env.LEAVE_EXPIRY_REMINDER_DAYS || "90,30,14")
+        .split(",")
+        .map((days) => parseInt(days))
+        .filter((days) => days > 0)
+        .sort((a, b) => b - a),
+      // 남은 연차 이월 (기본: 이월 없음)
+      carryOver: {
+        enabled: process.env.LEAVE_CARRY_OVER_ENABLED === "true",
+        maxDays: parseDaysEnv(process.env.LEAVE_CARRY_OVER_MAX_DAYS, 5)
+      },
+      ...options.config
+    };
   }
 
   /**
    * 🗄️ 필요한 모델
    */
   getRequiredModels() {
-    return ["Leave", "UserLeaveSetting"];
+    return ["Leave", "UserLeaveSetting", "Worktime", "LeaveTeam"];
   }
 
   /**
@@ -35,26 +98,13 @@ class LeaveService extends BaseService {
   // ===== 📊 연차 현황 관리 =====
 
   /**
-   * 📊 사용자 연차 현황 조회
-   */
-  /**
-   * 📊 사용자 연차 현황 조회
+   * 📊 사용자 연차 현황 조회 (근로기준법 발생 기준)
+   * - 발생/사용/잔여, 기간 말 소멸 예정, 다음 발생일
+   * - year를 주면 지난 해는 연말, 다음 해는 1월 1일 기준
+   * - options.asOf로 기준 시각 직접 지정
    */
-  async getLeaveStatus(userId, year = null) {
+  async getLeaveStatus(userId, year = null, options = {}) {
     try {
-      const currentYear = year || new Date().getFullYear();
-
-      // 디버그 로그 추가
-      logger.debug(`LeaveService.getLeaveStatus 호출됨:`, {
-        userId,
-        year,
-        modelsKeys: Object.keys(this.models),
-        hasLeaveModel: !!this.models.Leave,
-        hasUserLeaveSettingModel: !!this.models.UserLeaveSetting,
-        isInitialized: this.isInitialized
-      });
-
-      // 사용자 설정 조회/생성
       const Leave = this.models.Leave;
       const UserLeaveSetting = this.models.UserLeaveSetting;
 
@@ -64,37 +114,69 @@ class LeaveService extends BaseService {
         );
       }
 
+      const asOf = options.asOf
+        ? moment.tz(options.asOf, this.config.timezone)
+        : this.resolveStatusDate(year);
+      const currentYear = asOf.year();
       const userSetting = await UserLeaveSetting.getOrCreate(
         userId,
         currentYear
       );
 
-      // ✅ 수정: getUserYearlyUsage → getYearlyUsage
-      const yearlyUsage = await Leave.getYearlyUsage(userId, currentYear);
+      const accrual = userSetting.getAccrual(asOf.toDate());
+      const leaves = await Leave.findInPeriod(
+        userId,
+        accrual.periodStart,
+        accrual.periodEnd,
+        "annual"
+      );
 
-      // 총 연차 계산 (기본 15 + 근속 보너스 + 수동 조정)
-      const totalLeave = userSetting.calculateTotalLeave();
-      const usedLeave = yearlyUsage.totalUsed || 0;
+      const carriedOverLeave = await UserLeaveSetting.findCarryOver(
+        userId,
+        accrual.periodStart
+      );
+      const totalLeave =
+        accrual.accrued + userSetting.customLeave + carriedOverLeave;
+      const usedLeave = this.sumLeaveDays(
+        leaves,
+        accrual.periodStart,
+        accrual.periodEnd
+      );
       const remainingLeave = Math.max(0, totalLeave - usedLeave);
+      const carryOverPreview = this.getCarryOverAmount(remainingLeave);
 
       const statusData = {
         userId,
         currentYear,
+        accrualMode: accrual.mode,
+        periodStart: accrual.periodStart,
+        periodEnd: accrual.periodEnd,
+        accruedLeave: accrual.accrued,
+        plannedLeave: accrual.planned,
         totalLeave,
         usedLeave,
         remainingLeave,
         usageRate: totalLeave > 0 ? (usedLeave / totalLeave) * 100 : 0,
+        carriedOverLeave,
+        // 기간이 끝나면 남은 연차는 소멸 (이월 정책 한도만큼은 다음 기간으로)
+        expiringLeave: {
+          date: accrual.periodEnd,
+          days: remainingLeave - carryOverPreview,
+          carryOver: carryOverPreview
+        },
+        nextAccrual: accrual.nextAccrual,
+        grants: accrual.grants,
         joinDate: userSetting.joinDate
           ? userSetting.joinDate.toISOString().split("T")[0]
           : null,
-        workYears: userSetting.workYears,
+        workYears: accrual.serviceYears,
         yearlyBonus: userSetting.yearlyBonus,
         customLeave: userSetting.customLeave,
-        totalUsageCount: yearlyUsage.totalCount || 0
+        totalUsageCount: leaves.length
       };
 
       logger.debug(
-        `📊 연차 현황 조회 완료: 사용자 ${userId}, ${currentYear}년`
+        `📊 연차 현황 조회 완료: 사용자 ${userId}, ${accrual.periodStart}~${accrual.periodEnd}`
       );
       return this.createSuccessResponse(statusData, "연차 현황 조회 완료");
     } catch (error) {
@@ -106,6 +188,49 @@ class LeaveService extends BaseService {
     }
   }
 
+  /**
+   * 현황 기준 시각 (올해는 지금, 지난 해는 연말, 다음 해는 1월 1일)
+   */
+  resolveStatusDate(year = null) {
+    const now = moment.tz(this.config.timezone);
+
+    if (!year || year === now.year()) return now;
+    return year < now.year()
+      ? now.clone().year(year).endOf("year")
+      : now.clone().year(year).startOf("year");
+  }
+
+  /**
+   * 🗓️ 연차 기록을 날짜별 사용량으로 펼치기 (기간 사용은 근무일마다 1일)
+   * @returns {{date: string, amount: number}[]}
+   */
+  expandLeaveDays(leave) {
+    if (leave.isRange) {
+      return leave.workDays.map((date) => ({ date, amount: 1 }));
+    }
+
+    return [
+      {
+        date: moment.tz(leave.date, this.config.timezone).format("YYYY-MM-DD"),
+        amount: leave.amount
+      }
+    ];
+  }
+
+  /**
+   * 기간 안에 든 사용량 합계
+   */
+  sumLeaveDays(leaves, fromDay, toDay) {
+    return leaves.reduce(
+      (sum, leave) =>
+        sum +
+        this.expandLeaveDays(leave)
+          .filter((day) => day.date >= fromDay && day.date <= toDay)
+          .reduce((daySum, day) => daySum + day.amount, 0),
+      0
+    );
+  }
+
   /**
    * 📈 월별 사용량 조회
    */
@@ -147,81 +272,1074 @@ class LeaveService extends BaseService {
   // ===== 🏖️ 연차 사용 관리 =====
 
   /**
-   * ➕ 연차 사용 기록
+   * ➕ 연차 사용 기록 (category별 잔여에서 차감)
    */
-  async useLeave(userId, amount, reason = "", date = null) {
+  async useLeave(
+    userId,
+    amount,
+    reason = "",
+    date = null,
+    category = "annual"
+  ) {
     try {
       const Leave = this.models.Leave;
 
-      // 잔여 연차 확인
-      const statusResult = await this.getLeaveStatus(userId);
-      if (!statusResult.success) {
-        return statusResult;
+      const amountError = this.validateCategoryAmount(category, amount);
+      if (amountError) {
+        return this.createErrorResponse(
+          new Error("INVALID_AMOUNT"),
+          amountError
+        );
+      }
+
+      // 잔여 확인
+      const useDate = date ? new Date(date) : new Date();
+      const balanceError = await this.checkCategoryBalance(
+        userId,
+        category,
+        amount,
+        moment.tz(useDate, this.config.timezone).year()
+      );
+      if (balanceError) {
+        return balanceError;
+      }
+
+      const leaveType = this.getLeaveTypeLabel(category, amount);
+
+      // 연차 사용 기록
+      const leave = await Leave.addUsage(
+        userId,
+        amount,
+        useDate,
+        reason,
+        leaveType,
+        { category }
+      );
+
+      // 업데이트된 잔여 조회
+      const updatedBalance = await this.getCategoryBalance(
+        userId,
+        category,
+        moment.tz(useDate, this.config.timezone).year()
+      );
+
+      const result = {
+        leaveId: leave._id,
+        date: useDate.toISOString().split("T")[0],
+        amount,
+        category,
+        categoryLabel: this.config.categories[category].label,
+        type: leave.type || leaveType,
+        reason: reason || "",
+        remainingLeave: updatedBalance.remaining
+      };
+
+      logger.info(
+        `🏖️ 휴가 사용 기록 완료: 사용자 ${userId}, ${category} ${amount}일`
+      );
+      return this.createSuccessResponse(result, "연차 사용이 기록되었습니다.");
+    } catch (error) {
+      logger.error("🏖️ 연차 사용 기록 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "연차 사용 기록 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * 📅 기간 연차 사용 (주말/공휴일은 차감하지 않음)
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   */
+  async useLeaveRange(
+    userId,
+    startDate,
+    endDate,
+    reason = "",
+    category = "annual"
+  ) {
+    try {
+      const Leave = this.models.Leave;
+      const start = moment.tz(
+        startDate,
+        "YYYY-MM-DD",
+        true,
+        this.config.timezone
+      );
+      const end = moment.tz(endDate, "YYYY-MM-DD", true, this.config.timezone);
+
+      if (!start.isValid() || !end.isValid() || end.isBefore(start, "day")) {
+        return this.createErrorResponse(
+          new Error("INVALID_RANGE"),
+          "기간이 올바르지 않습니다. 시작일이 종료일보다 늦을 수 없어요."
+        );
+      }
+
+      // 연차는 연도별로 관리되므로 해를 넘기는 기간은 나눠서 신청
+      if (start.year() !== end.year()) {
+        return this.createErrorResponse(
+          new Error("CROSS_YEAR_RANGE"),
+          "연도를 넘는 기간은 연도별로 나눠서 입력해 주세요."
+        );
       }
 
-      const { remainingLeave } = statusResult.data;
+      const { workDays, skippedDays } = this.splitLeaveDays(startDate, endDate);
 
-      // 잔여 연차 부족 체크
-      if (remainingLeave < amount) {
+      if (workDays.length === 0) {
         return this.createErrorResponse(
-          new Error("INSUFFICIENT_LEAVE"),
-          `잔여 연차가 부족합니다. (잔여: ${remainingLeave}일, 요청: ${amount}일)`
+          new Error("NO_WORK_DAYS"),
+          "선택한 기간은 모두 주말이나 공휴일이라 차감할 연차가 없습니다."
         );
       }
 
-      // ✅ 수정: 유연한 연차 타입 결정
-      let leaveType;
-      if (amount === 0.25) {
-        leaveType = "반반차";
-      } else if (amount === 0.5) {
-        leaveType = "반차";
-      } else if (amount === 1) {
-        leaveType = "연차";
-      } else if (amount > 0 && amount <= 10) {
-        // 직접 입력의 경우 (0초과 10이하)
-        leaveType = `연차 ${amount}일`;
-      } else {
+      if (workDays.length > this.config.maxContinuousDays) {
+        return this.createErrorResponse(
+          new Error("RANGE_TOO_LONG"),
+          `한 번에 최대 ${this.config.maxContinuousDays}일까지 사용할 수 있습니다. (요청: ${workDays.length}일)`
+        );
+      }
+
+      const amount = workDays.length;
+      const amountError = this.validateCategoryAmount(category, amount);
+      if (amountError) {
         return this.createErrorResponse(
           new Error("INVALID_AMOUNT"),
-          `잘못된 연차 사용량입니다: ${amount}일`
+          amountError
         );
       }
 
-      // 연차 사용 기록
-      const useDate = date ? new Date(date) : new Date();
+      const balanceError = await this.checkCategoryBalance(
+        userId,
+        category,
+        amount,
+        start.year()
+      );
+      if (balanceError) {
+        return balanceError;
+      }
+
+      const leaveType = this.getLeaveTypeLabel(category, amount);
       const leave = await Leave.addUsage(
         userId,
         amount,
-        useDate,
+        workDays[0],
         reason,
-        leaveType
+        leaveType,
+        { endDate: workDays[workDays.length - 1], workDays, category }
       );
 
-      // 업데이트된 현황 조회
-      const updatedStatus = await this.getLeaveStatus(userId);
+      const updatedBalance = await this.getCategoryBalance(
+        userId,
+        category,
+        start.year()
+      );
 
       const result = {
         leaveId: leave._id,
-        date: useDate.toISOString().split("T")[0],
+        date: startDate,
+        startDate,
+        endDate,
         amount,
+        category,
+        categoryLabel: this.config.categories[category].label,
         type: leave.type || leaveType,
         reason: reason || "",
-        remainingLeave: updatedStatus.success
-          ? updatedStatus.data.remainingLeave
-          : 0
+        workDays,
+        skippedDays,
+        remainingLeave: updatedBalance.remaining
       };
 
-      logger.info(`🏖️ 연차 사용 기록 완료: 사용자 ${userId}, ${amount}일`);
+      logger.info(
+        `🏖️ 기간 연차 기록 완료: 사용자 ${userId}, ${startDate}~${endDate} (${amount}일)`
+      );
       return this.createSuccessResponse(result, "연차 사용이 기록되었습니다.");
     } catch (error) {
-      logger.error("🏖️ 연차 사용 기록 실패:", error);
+      logger.error("🏖️ 기간 연차 기록 실패:", error);
       return this.createErrorResponse(
         error,
-        "연차 사용 기록 중 오류가 발생했습니다."
+        "기간 연차 기록 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  // ===== 🗂️ 휴가 종류별 잔여 =====
+
+  /**
+   * 표시용 타입 ("반차", "연차 3일", "병가 반차", "경조사 2일")
+   */
+  getLeaveTypeLabel(category, amount) {
+    if (category === "annual") {
+      if (amount === 0.25) return "반반차";
+      if (amount === 0.5) return "반차";
+      if (amount === 1) return "연차";
+      return `연차 ${amount}일`;
+    }
+
+    const { label } = this.config.categories[category];
+    if (amount === 0.5) return `${label} 반차`;
+    if (amount === 1) return label;
+    return `${label} ${amount}일`;
+  }
+
+  /**
+   * 종류별 사용 단위 검사
+   * @returns {string|null} 오류 메시지
+   */
+  validateCategoryAmount(category, amount) {
+    const rule = this.config.categories[category];
+
+    if (!rule) {
+      return `지원하지 않는 휴가 종류입니다: ${category}`;
+    }
+    if (!(amount > 0) || amount > this.config.maxContinuousDays) {
+      return `잘못된 연차 사용량입니다: ${amount}일`;
+    }
+    if ((amount / rule.unit) % 1 !== 0) {
+      return `${rule.label}는 ${rule.unit}일 단위로 사용할 수 있습니다.`;
+    }
+    return null;
+  }
+
+  /**
+   * 잔여 부족 검사
+   * @returns {Promise<object|null>} 부족하면 오류 응답
+   */
+  async checkCategoryBalance(userId, category, amount, year = null) {
+    const balance = await this.getCategoryBalance(userId, category, year);
+
+    if (balance.unlimited || balance.remaining >= amount) {
+      return null;
+    }
+
+    return this.createErrorResponse(
+      new Error("INSUFFICIENT_LEAVE"),
+      `잔여 ${balance.label}가 부족합니다. (잔여: ${balance.remaining}일, 요청: ${amount}일)`
+    );
+  }
+
+  /**
+   * 🗂️ 종류별 잔여
+   * - 연차: 법정 발생 기준 (getLeaveStatus)
+   * - 병가/경조사: 연간 한도
+   * - 대체휴가: 올해 휴일 근무로 적립한 만큼
+   * - 공가: 한도 없음 (사용량만)
+   */
+  async getCategoryBalance(userId, category, year = null) {
+    const rule = this.config.categories[category];
+    const base = {
+      key: category,
+      label: rule.label,
+      icon: rule.icon,
+      unlimited: !!rule.unlimited
+    };
+
+    if (category === "annual") {
+      const statusResult = await this.getLeaveStatus(userId, year);
+      if (!statusResult.success) {
+        throw new Error(statusResult.message);
+      }
+
+      const { totalLeave, usedLeave, remainingLeave } = statusResult.data;
+      return {
+        ...base,
+        total: totalLeave,
+        used: usedLeave,
+        remaining: remainingLeave
+      };
+    }
+
+    const targetYear = year || moment.tz(this.config.timezone).year();
+    const fromDay = `${targetYear}-01-01`;
+    const toDay = `${targetYear}-12-31`;
+    const leaves = await this.models.Leave.findInPeriod(
+      userId,
+      fromDay,
+      toDay,
+      category
+    );
+    const used = this.sumLeaveDays(leaves, fromDay, toDay);
+
+    if (rule.unlimited) {
+      return { ...base, total: null, used, remaining: null };
+    }
+
+    const total =
+      category === "comp"
+        ? await this.getCompDaysEarned(userId, fromDay, toDay)
+        : rule.yearlyDays;
+
+    return {
+      ...base,
+      total,
+      used,
+      remaining: Math.max(0, total - used)
+    };
+  }
+
+  /**
+   * 🗂️ 전체 종류 잔여
+   */
+  async getCategoryBalances(userId, year = null) {
+    try {
+      const categories = [];
+      for (const category of Object.keys(this.config.categories)) {
+        categories.push(await this.getCategoryBalance(userId, category, year));
+      }
+
+      return this.createSuccessResponse(
+        {
+          year: year || moment.tz(this.config.timezone).year(),
+          categories
+        },
+        "휴가 종류별 잔여 조회 완료"
+      );
+    } catch (error) {
+      logger.error("🗂️ 휴가 종류별 잔여 조회 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "휴가 종류별 잔여 조회 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * 🔁 휴일 근무로 적립한 대체휴가 (근무 기록 하루당 0.5일 / 1일)
+   */
+  async getCompDaysEarned(userId, fromDay, toDay) {
+    const Worktime = this.models.Worktime;
+    if (!Worktime) return 0;
+
+    const records = await Worktime.find({
+      userId: String(userId),
+      date: { $gte: fromDay, $lte: toDay },
+      status: "completed",
+      holidayMinutes: { $gt: 0 },
+      isActive: true
+    })
+      .select("holidayMinutes")
+      .lean();
+
+    const { halfDayMinutes, fullDayMinutes } = this.config.compEarning;
+    return records.reduce((sum, record) => {
+      if (record.holidayMinutes >= fullDayMinutes) return sum + 1;
+      if (record.holidayMinutes >= halfDayMinutes) return sum + 0.5;
+      return sum;
+    }, 0);
+  }
+
+  /**
+   * 🗓️ 기간을 차감 대상 근무일과 쉬는 날로 나누기
+   * @returns {{workDays: string[], skippedDays: {date: string, label: string}[]}}
+   */
+  splitLeaveDays(startDate, endDate) {
+    const { timezone } = this.config;
+    const cursor = moment.tz(startDate, "YYYY-MM-DD", timezone);
+    const end = moment.tz(endDate, "YYYY-MM-DD", timezone);
+    const workDays = [];
+    const skippedDays = [];
+
+    while (!cursor.isAfter(end, "day")) {
+      const day = cursor.format("YYYY-MM-DD");
+      const dayOff = KoreanHolidays.describeDayOff(day, timezone);
+
+      if (dayOff) {
+        skippedDays.push({ date: day, label: dayOff });
+      } else {
+        workDays.push(day);
+      }
+      cursor.add(1, "day");
+    }
+
+    return { workDays, skippedDays };
+  }
+
+  /**
+   * 📝 기간 입력 파싱
+   * 지원: "8/4-8/8", "8/4~8", "8.4~8.8", "2025-08-04~2025-08-08", "8/4"
+   * @returns {{startDate: string, endDate: string}|null}
+   */
+  parseDateRange(text, baseYear = null) {
+    if (!text) return null;
+
+    const year = baseYear || moment.tz(this.config.timezone).year();
+    const match = text.trim().match(DATE_RANGE_PATTERN);
+    if (!match) return null;
+
+    const [, startText, endText] = match;
+    const start = this.parseDayText(startText, year);
+    if (!start) return null;
+
+    let end = start.clone();
+    if (endText && /^\d{1,2}$/.test(endText)) {
+      // "8/4~8"처럼 일만 적으면 시작일과 같은 달 (작으면 다음 달)
+      const day = parseInt(endText);
+      if (day < start.date()) end.add(1, "month");
+      if (day > end.daysInMonth()) return null;
+      end.date(day);
+    } else if (endText) {
+      end = this.parseDayText(endText, start.year());
+      if (!end) return null;
+
+      // "12/29~1/2"처럼 연도 없이 해를 넘기면 다음 해로 해석
+      if (end.isBefore(start, "day") && !/^\d{4}/.test(endText)) {
+        end.add(1, "year");
+      }
+    }
+
+    return {
+      startDate: start.format("YYYY-MM-DD"),
+      endDate: end.format("YYYY-MM-DD")
+    };
+  }
+
+  parseDayText(text, year) {
+    const full = text.match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})$/);
+    const short = text.match(/^(\d{1,2})[/.](\d{1,2})$/);
+    const parts = full
+      ? [full[1], full[2], full[3]]
+      : short
+        ? [year, short[1], short[2]]
+        : null;
+
+    if (!parts) return null;
+
+    const day = moment.tz(
+      `${parts[0]}-${String(parts[1]).padStart(2, "0")}-${String(parts[2]).padStart(2, "0")}`,
+      "YYYY-MM-DD",
+      true,
+      this.config.timezone
+    );
+    return day.isValid() ? day : null;
+  }
+
+  /**
+   * 🗓️ 월 달력 데이터 (연차 사용일, 주말, 공휴일 표시)
+   */
+  async getMonthCalendar(userId, year = null, month = null) {
+    try {
+      const Leave = this.models.Leave;
+      const { timezone } = this.config;
+      const now = moment.tz(timezone);
+      const monthStart = moment.tz(
+        { year: year || now.year(), month: (month || now.month() + 1) - 1 },
+        timezone
+      );
+
+      if (!monthStart.isValid()) {
+        return this.createErrorResponse(
+          new Error("INVALID_MONTH"),
+          "올바른 월이 아닙니다."
+        );
+      }
+
+      const monthEnd = monthStart.clone().endOf("month");
+      const fromDay = monthStart.format("YYYY-MM-DD");
+      const toDay = monthEnd.format("YYYY-MM-DD");
+      const leaves = await Leave.findInPeriod(userId, fromDay, toDay);
+
+      // 날짜별 사용량 (기간 사용은 근무일마다 1일)
+      const usedByDay = {};
+      const entries = [];
+
+      leaves.forEach((leave) => {
+        const leaveDays = this.expandLeaveDays(leave);
+        const daysInMonth = leaveDays.filter(
+          (day) => day.date >= fromDay && day.date <= toDay
+        );
+
+        daysInMonth.forEach((day) => {
+          usedByDay[day.date] = (usedByDay[day.date] || 0) + day.amount;
+        });
+
+        if (daysInMonth.length > 0) {
+          entries.push({
+            leaveId: leave._id,
+            startDate: leaveDays[0].date,
+            endDate: leaveDays[leaveDays.length - 1].date,
+            amount: leave.amount,
+            category: leave.category || "annual",
+            type: leave.type,
+            reason: leave.reason || ""
+          });
+        }
+      });
+
+      const days = [];
+      const cursor = monthStart.clone();
+      while (!cursor.isAfter(monthEnd, "day")) {
+        const date = cursor.format("YYYY-MM-DD");
+        days.push({
+          date,
+          day: cursor.date(),
+          weekday: cursor.day(),
+          used: usedByDay[date] || 0,
+          holiday: KoreanHolidays.getHolidayName(date, timezone),
+          isWeekend: KoreanHolidays.isWeekend(date, timezone),
+          isToday: date === now.format("YYYY-MM-DD")
+        });
+        cursor.add(1, "day");
+      }
+
+      const result = {
+        year: monthStart.year(),
+        month: monthStart.month() + 1,
+        days,
+        entries,
+        totalUsed: Object.values(usedByDay).reduce((sum, v) => sum + v, 0)
+      };
+
+      return this.createSuccessResponse(result, "연차 달력 조회 완료");
+    } catch (error) {
+      logger.error("🗓️ 연차 달력 조회 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "연차 달력 조회 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  // ===== 📋 사용 내역 수정 / 취소 =====
+
+  /**
+   * 📋 사용 내역 (최근 날짜순, 페이지 단위)
+   */
+  async getHistory(userId, limit = 5, page = 1) {
+    try {
+      const currentPage = Math.max(1, parseInt(page) || 1);
+      const leaves = await this.models.Leave.findHistory(userId, {
+        limit,
+        skip: (currentPage - 1) * limit
+      });
+
+      return this.createSuccessResponse(
+        {
+          entries: leaves
+            .slice(0, limit)
+            .map((leave) => this.formatLeaveEntry(leave)),
+          page: currentPage,
+          hasMore: leaves.length > limit
+        },
+        "사용 내역 조회 완료"
+      );
+    } catch (error) {
+      logger.error("📋 사용 내역 조회 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "사용 내역 조회 중 오류가 발생했습니다."
       );
     }
   }
 
+  /**
+   * 🔍 사용 기록 하나
+   */
+  async getLeaveEntry(userId, leaveId) {
+    try {
+      const leave = await this.models.Leave.findUsage(userId, leaveId);
+      if (!leave) {
+        return this.createNotFoundResponse();
+      }
+
+      return this.createSuccessResponse(
+        this.formatLeaveEntry(leave),
+        "사용 기록 조회 완료"
+      );
+    } catch (error) {
+      logger.error("📋 사용 기록 조회 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "사용 기록 조회 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * ✏️ 사용 기록 수정
+   * @param {object} changes - { startDate, endDate } | { amount } | { reason }
+   */
+  async updateLeave(userId, leaveId, changes = {}) {
+    try {
+      const { Leave, UserLeaveSetting } = this.models;
+      const leave = await Leave.findUsage(userId, leaveId);
+      if (!leave) {
+        return this.createNotFoundResponse();
+      }
+
+      const before = this.formatLeaveEntry(leave);
+      const updates = {};
+      const notes = [];
+
+      if (changes.startDate) {
+        const endDate = changes.endDate || changes.startDate;
+        const start = moment.tz(changes.startDate, this.config.timezone);
+        const end = moment.tz(endDate, this.config.timezone);
+
+        if (end.isBefore(start, "day")) {
+          return this.createErrorResponse(
+            new Error("INVALID_RANGE"),
+            "기간이 올바르지 않습니다. 시작일이 종료일보다 늦을 수 없어요."
+          );
+        }
+        if (start.year() !== end.year()) {
+          return this.createErrorResponse(
+            new Error("CROSS_YEAR_RANGE"),
+            "연도를 넘는 기간은 연도별로 나눠서 입력해 주세요."
+          );
+        }
+
+        if (endDate === changes.startDate) {
+          const dayOff = KoreanHolidays.describeDayOff(
+            changes.startDate,
+            this.config.timezone
+          );
+          if (dayOff) {
+            return this.createErrorResponse(
+              new Error("NO_WORK_DAYS"),
+              `${changes.startDate}은(는) ${dayOff}이라 연차를 쓸 수 없습니다.`
+            );
+          }
+
+          updates.date = changes.startDate;
+          // 기간 기록을 하루로 줄이면 1일
+          if (before.isRange) updates.amount = 1;
+        } else {
+          const { workDays } = this.splitLeaveDays(changes.startDate, endDate);
+          if (workDays.length === 0) {
+            return this.createErrorResponse(
+              new Error("NO_WORK_DAYS"),
+              "선택한 기간은 모두 주말이나 공휴일이라 차감할 연차가 없습니다."
+            );
+          }
+
+          updates.date = workDays[0];
+          updates.endDate = workDays[workDays.length - 1];
+          updates.workDays = workDays;
+          updates.amount = workDays.length;
+        }
+
+        notes.push(
+          `날짜 ${this.formatEntryPeriod(before)} → ${updates.date}${updates.endDate ? `~${updates.endDate}` : ""}`
+        );
+      }
+
+      if (changes.amount !== undefined) {
+        if (before.isRange) {
+          return this.createErrorResponse(
+            new Error("RANGE_AMOUNT"),
+            "기간으로 쓴 연차는 날짜(기간)를 바꿔서 일수를 조정해 주세요."
+          );
+        }
+        updates.amount = changes.amount;
+      }
+
+      const newAmount = updates.amount ?? before.amount;
+      const amountError = this.validateCategoryAmount(
+        before.category,
+        newAmount
+      );
+      if (amountError) {
+        return this.createErrorResponse(
+          new Error("INVALID_AMOUNT"),
+          amountError
+        );
+      }
+      if (newAmount !== before.amount) {
+        updates.type = this.getLeaveTypeLabel(before.category, newAmount);
+        notes.push(`사용량 ${before.amount}일 → ${newAmount}일`);
+      }
+
+      if (changes.reason !== undefined) {
+        updates.reason = String(changes.reason).trim().slice(0, 100);
+        notes.push("사유 변경");
+      }
+
+      if (notes.length === 0) {
+        return this.createErrorResponse(
+          new Error("NO_CHANGES"),
+          "바뀐 내용이 없습니다."
+        );
+      }
+
+      // 늘어난 만큼만 잔여 확인 (연도가 바뀌면 새 연도에서 전부)
+      const newYear = moment
+        .tz(updates.date || leave.date, this.config.timezone)
+        .year();
+      const extraDays =
+        newYear === leave.year ? newAmount - before.amount : newAmount;
+      if (extraDays > 0) {
+        const balanceError = await this.checkCategoryBalance(
+          userId,
+          before.category,
+          extraDays,
+          newYear
+        );
+        if (balanceError) {
+          return balanceError;
+        }
+      }
+
+      const updated = await Leave.updateUsage(userId, leaveId, updates);
+      const entry = this.formatLeaveEntry(updated);
+
+      await UserLeaveSetting.recordLeaveChange(userId, updated.year, {
+        action: "leave_edit",
+        leaveId,
+        amount: newAmount - before.amount,
+        oldValue: before.amount,
+        newValue: newAmount,
+        reason: `${this.formatEntryPeriod(before)} ${before.type}: ${notes.join(", ")}`
+      });
+
+      const balance = await this.getCategoryBalance(
+        userId,
+        entry.category,
+        updated.year
+      );
+
+      logger.info(
+        `✏️ 연차 사용 기록 수정: 사용자 ${userId}, ${leaveId} (${notes.join(", ")})`
+      );
+      return this.createSuccessResponse(
+        { before, entry, changes: notes, remainingLeave: balance.remaining },
+        "연차 사용 기록이 수정되었습니다."
+      );
+    } catch (error) {
+      logger.error("✏️ 연차 사용 기록 수정 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "연차 사용 기록 수정 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * 🗑️ 사용 기록 취소 (잔여 복구)
+   */
+  async cancelLeave(userId, leaveId) {
+    try {
+      const { Leave, UserLeaveSetting } = this.models;
+      const leave = await Leave.removeUsage(userId, leaveId);
+      if (!leave) {
+        return this.createNotFoundResponse();
+      }
+
+      const entry = this.formatLeaveEntry(leave);
+
+      await UserLeaveSetting.recordLeaveChange(userId, leave.year, {
+        action: "leave_cancel",
+        leaveId,
+        amount: leave.amount,
+        oldValue: leave.amount,
+        newValue: 0,
+        reason: `${this.formatEntryPeriod(entry)} ${entry.type} 취소`
+      });
+
+      const balance = await this.getCategoryBalance(
+        userId,
+        entry.category,
+        leave.year
+      );
+
+      logger.info(`🗑️ 연차 사용 취소: 사용자 ${userId}, ${leaveId}`);
+      return this.createSuccessResponse(
+        { entry, remainingLeave: balance.remaining },
+        "연차 사용이 취소되었습니다."
+      );
+    } catch (error) {
+      logger.error("🗑️ 연차 사용 취소 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "연차 사용 취소 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * 📋 화면/이력용 사용 기록
+   */
+  formatLeaveEntry(leave) {
+    const category = leave.category || "annual";
+    const rule = this.config.categories[category];
+    const startDate = moment
+      .tz(leave.date, this.config.timezone)
+      .format("YYYY-MM-DD");
+
+    return {
+      id: String(leave._id),
+      startDate,
+      endDate: leave.endDate
+        ? moment.tz(leave.endDate, this.config.timezone).format("YYYY-MM-DD")
+        : startDate,
+      isRange: Array.isArray(leave.workDays) && leave.workDays.length > 0,
+      amount: leave.amount,
+      category,
+      categoryLabel: rule.label,
+      categoryIcon: rule.icon,
+      type: leave.type,
+      reason: leave.reason || ""
+    };
+  }
+
+  formatEntryPeriod(entry) {
+    return entry.startDate === entry.endDate
+      ? entry.startDate
+      : `${entry.startDate}~${entry.endDate}`;
+  }
+
+  createNotFoundResponse() {
+    return this.createErrorResponse(
+      new Error("LEAVE_NOT_FOUND"),
+      "사용 기록을 찾을 수 없습니다. 이미 취소되었을 수 있어요."
+    );
+  }
+
+  // ===== 👥 팀 연차 달력 =====
+
+  /**
+   * 🙋 그룹 연차 공유 참여
+   */
+  async joinTeam(chat, userId, userName = "") {
+    try {
+      const { team, joined } = await this.models.LeaveTeam.addMember(
+        chat.id,
+        chat.title || "",
+        userId,
+        userName
+      );
+
+      logger.info(`👥 팀 연차 공유 참여: ${chat.id} ← ${userId}`);
+      return this.createSuccessResponse(
+        { joined, memberCount: team.members.length },
+        joined ? "팀 연차 공유에 참여했습니다." : "이미 참여 중입니다."
+      );
+    } catch (error) {
+      logger.error("👥 팀 참여 실패:", error);
+      return this.createErrorResponse(error, "팀 참여 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 👋 그룹 연차 공유 그만두기
+   */
+  async leaveTeam(chatId, userId) {
+    try {
+      const { team, removed } = await this.models.LeaveTeam.removeMember(
+        chatId,
+        userId
+      );
+
+      return this.createSuccessResponse(
+        { removed, memberCount: team ? team.members.length : 0 },
+        removed ? "팀 연차 공유를 그만두었습니다." : "참여 중이 아닙니다."
+      );
+    } catch (error) {
+      logger.error("👥 팀 나가기 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "팀 나가기 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * ⚠️ 동시 휴가 기준 인원 설정
+   */
+  async setTeamMaxOff(chat, maxOffPerDay) {
+    try {
+      if (!Number.isInteger(maxOffPerDay) || maxOffPerDay < 1) {
+        return this.createErrorResponse(
+          new Error("INVALID_MAX_OFF"),
+          "기준 인원은 1명 이상의 정수로 입력해 주세요."
+        );
+      }
+
+      const team = await this.models.LeaveTeam.setMaxOffPerDay(
+        chat.id,
+        chat.title || "",
+        maxOffPerDay
+      );
+
+      return this.createSuccessResponse(
+        { maxOffPerDay: team.maxOffPerDay },
+        `${team.maxOffPerDay}명보다 많이 쉬는 날을 표시합니다.`
+      );
+    } catch (error) {
+      logger.error("👥 팀 기준 인원 설정 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "기준 인원 설정 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * 👥 오늘 / 이번 주 쉬는 사람
+   */
+  async getTeamOverview(chatId, now = new Date()) {
+    try {
+      const team = await this.models.LeaveTeam.findByChat(chatId);
+      const today = moment.tz(now, this.config.timezone);
+      const weekStart = today.clone().startOf("isoWeek");
+      const weekEnd = today.clone().endOf("isoWeek");
+
+      const days = team
+        ? await this.collectTeamDays(team, weekStart, weekEnd, today)
+        : [];
+      const todayKey = today.format("YYYY-MM-DD");
+
+      return this.createSuccessResponse(
+        {
+          title: team?.title || "",
+          memberCount: team ? team.members.length : 0,
+          maxOffPerDay: team?.maxOffPerDay || null,
+          today: days.find((day) => day.date === todayKey) || null,
+          // 주말은 쉬는 사람이 있을 때만
+          week: days.filter((day) => !day.isWeekend || day.offCount > 0)
+        },
+        "팀 연차 현황 조회 완료"
+      );
+    } catch (error) {
+      logger.error("👥 팀 연차 현황 조회 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "팀 연차 현황 조회 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * 🗓️ 팀 월 달력 (날짜별 쉬는 인원, 기준 초과 표시)
+   */
+  async getTeamCalendar(chatId, year = null, month = null) {
+    try {
+      const { timezone } = this.config;
+      const now = moment.tz(timezone);
+      const monthStart = moment.tz(
+        { year: year || now.year(), month: (month || now.month() + 1) - 1 },
+        timezone
+      );
+
+      if (!monthStart.isValid()) {
+        return this.createErrorResponse(
+          new Error("INVALID_MONTH"),
+          "올바른 월이 아닙니다."
+        );
+      }
+
+      const team = await this.models.LeaveTeam.findByChat(chatId);
+      const days = team
+        ? await this.collectTeamDays(
+            team,
+            monthStart,
+            monthStart.clone().endOf("month"),
+            now
+          )
+        : [];
+
+      // 멤버별 이번 달 사용량 (Leave.getMonthlyUsage 기준)
+      const memberTotals = [];
+      for (const member of team?.members || []) {
+        const monthly = await this.models.Leave.getMonthlyUsage(
+          member.userId,
+          monthStart.year()
+        );
+        const usedDays = monthly[monthStart.month()]?.days || 0;
+        if (usedDays > 0) {
+          memberTotals.push({ userName: member.userName, days: usedDays });
+        }
+      }
+
+      return this.createSuccessResponse(
+        {
+          year: monthStart.year(),
+          month: monthStart.month() + 1,
+          title: team?.title || "",
+          memberCount: team ? team.members.length : 0,
+          maxOffPerDay: team?.maxOffPerDay || null,
+          days,
+          memberTotals: memberTotals.sort((a, b) => b.days - a.days),
+          crowdedDays: days.filter((day) => day.isCrowded).map((d) => d.date)
+        },
+        "팀 연차 달력 조회 완료"
+      );
+    } catch (error) {
+      logger.error("👥 팀 연차 달력 조회 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "팀 연차 달력 조회 중 오류가 발생했습니다."
+      );
+    }
+  }
+
+  /**
+   * 👥 기간 내 날짜별 쉬는 멤버 (사유/종류는 공유하지 않음)
+   */
+  async collectTeamDays(team, start, end, now) {
+    const fromDay = start.format("YYYY-MM-DD");
+    const toDay = end.format("YYYY-MM-DD");
+    const names = new Map(
+      team.members.map((member) => [member.userId, member.userName])
+    );
+
+    const leaves = await this.models.Leave.findTeamInPeriod(
+      [...names.keys()],
+      fromDay,
+      toDay,
+      this.config.timezone
+    );
+
+    // 날짜 → 사용자 → 사용량
+    const offByDay = {};
+    leaves.forEach((leave) => {
+      this.expandLeaveDays(leave)
+        .filter((day) => day.date >= fromDay && day.date <= toDay)
+        .forEach((day) => {
+          const people = (offByDay[day.date] = offByDay[day.date] || {});
+          people[leave.userId] = Math.min(
+            1,
+            (people[leave.userId] || 0) + day.amount
+          );
+        });
+    });
+
+    const days = [];
+    const todayKey = moment.tz(now, this.config.timezone).format("YYYY-MM-DD");
+    const cursor = start.clone();
+    while (!cursor.isAfter(end, "day")) {
+      const date = cursor.format("YYYY-MM-DD");
+      const people = Object.entries(offByDay[date] || {}).map(
+        ([userId, amount]) => ({
+          userId,
+          userName: names.get(userId) || userId,
+          amount,
+          label: this.describeOffAmount(amount)
+        })
+      );
+
+      days.push({
+        date,
+        day: cursor.date(),
+        weekday: cursor.day(),
+        holiday: KoreanHolidays.getHolidayName(date, this.config.timezone),
+        isWeekend: KoreanHolidays.isWeekend(date, this.config.timezone),
+        isToday: date === todayKey,
+        people,
+        offCount: people.length,
+        isCrowded: people.length > team.maxOffPerDay
+      });
+      cursor.add(1, "day");
+    }
+
+    return days;
+  }
+
+  describeOffAmount(amount) {
+    if (amount >= 1) return "종일";
+    if (amount >= 0.5) return "반차";
+    return "반반차";
+  }
+
   // ===== ⚙️ 설정 관리 =====
 
   /**
@@ -237,17 +1355,24 @@ class LeaveService extends BaseService {
         currentYear
       );
 
+      const accrual = userSetting.getAccrual();
+
       const settingsData = {
         userId,
         year: currentYear,
         totalLeave: userSetting.calculateTotalLeave(),
-        baseLeave: 15,
+        accrualMode: accrual.mode,
+        accruedLeave: accrual.accrued,
+        plannedLeave: accrual.planned,
+        periodStart: accrual.periodStart,
+        periodEnd: accrual.periodEnd,
+        nextAccrual: accrual.nextAccrual,
         yearlyBonus: userSetting.yearlyBonus,
         customLeave: userSetting.customLeave,
         joinDate: userSetting.joinDate
           ? userSetting.joinDate.toISOString().split("T")[0]
           : null,
-        workYears: userSetting.workYears,
+        workYears: accrual.serviceYears,
         changeHistory: userSetting.getChangesSummary(),
         canModify: true // 개인용이므로 항상 수정 가능
       };
@@ -362,6 +1487,45 @@ class LeaveService extends BaseService {
     }
   }
 
+  /**
+   * 📐 연차 부여 기준 설정 (회계연도 / 입사일)
+   */
+  async setAccrualMode(userId, mode) {
+    try {
+      if (!Object.values(LeaveAccrual.MODES).includes(mode)) {
+        return this.createErrorResponse(
+          new Error("INVALID_ACCRUAL_MODE"),
+          "지원하지 않는 연차 부여 기준입니다."
+        );
+      }
+
+      const UserLeaveSetting = this.models.UserLeaveSetting;
+      const updatedSetting = await UserLeaveSetting.setAccrualMode(
+        userId,
+        mode
+      );
+
+      const result = {
+        action: "accrual_mode",
+        accrualMode: mode,
+        newTotal: updatedSetting.calculateTotalLeave(),
+        message: `연차 부여 기준이 ${this.config.accrualModeLabels[mode]} 기준으로 변경되었습니다.`
+      };
+
+      logger.info(`📐 연차 부여 기준 변경: 사용자 ${userId}, ${mode}`);
+      return this.createSuccessResponse(
+        result,
+        "연차 부여 기준이 변경되었습니다."
+      );
+    } catch (error) {
+      logger.error("📐 연차 부여 기준 변경 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "연차 부여 기준 변경 중 오류가 발생했습니다."
+      );
+    }
+  }
+
   // ===== 🔄 연말/신년 관리 =====
 
   /**
@@ -370,21 +1534,32 @@ class LeaveService extends BaseService {
   async resetForNewYear(userId, newYear = null) {
     try {
       const UserLeaveSetting = this.models.UserLeaveSetting;
-      const targetYear = newYear || new Date().getFullYear();
+      const targetYear = newYear || moment.tz(this.config.timezone).year();
 
       const newSetting = await UserLeaveSetting.resetForNewYear(
         userId,
         targetYear
       );
 
+      // 회계연도 기준이면 지난 해 남은 연차 이월 (입사일 기준은 기념일에 처리)
+      let carryOver = { amount: 0, expired: 0 };
+      if (newSetting.accrualMode !== LeaveAccrual.MODES.HIRE_DATE) {
+        const endedStatus = await this.getLeaveStatus(userId, targetYear - 1);
+        if (endedStatus.success) {
+          carryOver = await this.applyCarryOver(userId, endedStatus.data);
+        }
+      }
+
       const result = {
         year: targetYear,
-        totalLeave: newSetting.calculateTotalLeave(),
+        totalLeave: newSetting.calculateTotalLeave() + carryOver.amount,
+        carriedOverLeave: carryOver.amount,
+        expiredLeave: carryOver.expired,
         message: `${targetYear}년 새로운 연차가 생성되었습니다.`
       };
 
       logger.info(
-        `🔄 신년 연차 초기화 완료: 사용자 ${userId}, ${targetYear}년`
+        `🔄 신년 연차 초기화 완료: 사용자 ${userId}, ${targetYear}년 (이월 ${carryOver.amount}일)`
       );
       return this.createSuccessResponse(
         result,
@@ -399,6 +1574,170 @@ class LeaveService extends BaseService {
     }
   }
 
+  /**
+   * 📦 이월 정책상 다음 기간으로 넘어갈 일수
+   */
+  getCarryOverAmount(remainingLeave) {
+    const { enabled, maxDays } = this.config.carryOver;
+    return enabled ? Math.min(Math.max(0, remainingLeave), maxDays) : 0;
+  }
+
+  /**
+   * 📦 끝난 기간의 남은 연차 이월 (같은 기간은 한 번만)
+   * @returns {Promise<{amount: number, expired: number, applied: boolean}>}
+   */
+  async applyCarryOver(userId, endedStatus) {
+    const remaining = endedStatus.remainingLeave;
+    const amount = this.getCarryOverAmount(remaining);
+
+    if (amount <= 0) {
+      return { amount: 0, expired: remaining, applied: false };
+    }
+
+    const nextPeriodStart = moment
+      .tz(endedStatus.periodEnd, "YYYY-MM-DD", this.config.timezone)
+      .add(1, "day")
+      .format("YYYY-MM-DD");
+
+    const { applied } = await this.models.UserLeaveSetting.applyCarryOver(
+      userId,
+      nextPeriodStart,
+      amount,
+      endedStatus.periodEnd
+    );
+
+    if (applied) {
+      logger.info(
+        `📦 연차 이월: 사용자 ${userId}, ${amount}일 (${nextPeriodStart}부터)`
+      );
+    }
+    return { amount, expired: remaining - amount, applied };
+  }
+
+  // ===== ⏳ 소멸 알림 / 기간 마감 =====
+
+  /**
+   * 알림 대상 사용자 ID 목록
+   */
+  async getActiveUserIds() {
+    return this.models.UserLeaveSetting.distinct("userId", { isActive: true });
+  }
+
+  /**
+   * 🔄 가장 최근에 끝난 기간 마감 (회계연도는 신년 초기화, 입사일은 기념일 이월)
+   * - 봇이 꺼져 있던 날이 있어도 다음 실행에서 처리 (이월 적용은 기간당 한 번)
+   * - 그 기간이 끝나기 전에 쓰던 사용자만 (새 사용자에게 지난 기간 이월 방지)
+   * @returns {Promise<object|null>} 마감했으면 결과, 아니면 null
+   */
+  async rolloverEndedPeriod(userId, now = new Date()) {
+    const UserLeaveSetting = this.models.UserLeaveSetting;
+    const today = moment.tz(now, this.config.timezone).startOf("day");
+
+    const currentStatus = await this.getLeaveStatus(userId, null, {
+      asOf: today.toDate()
+    });
+    if (!currentStatus.success) return null;
+
+    const { periodStart } = currentStatus.data;
+    const alreadyApplied = await UserLeaveSetting.exists({
+      userId: String(userId),
+      "carryOver.periodStart": periodStart,
+      isActive: true
+    });
+    if (alreadyApplied) return null;
+
+    const endedAt = moment
+      .tz(periodStart, "YYYY-MM-DD", this.config.timezone)
+      .subtract(1, "day")
+      .endOf("day");
+    const usedBefore = await UserLeaveSetting.exists({
+      userId: String(userId),
+      isActive: true,
+      createdAt: { $lte: endedAt.toDate() }
+    });
+    if (!usedBefore) return null;
+
+    const endedStatus = await this.getLeaveStatus(userId, null, {
+      asOf: endedAt.toDate()
+    });
+    if (!endedStatus.success) return null;
+
+    if (endedStatus.data.accrualMode === LeaveAccrual.MODES.HIRE_DATE) {
+      const result = await this.applyCarryOver(userId, endedStatus.data);
+      return result.applied ? result : null;
+    }
+
+    // 올해 설정은 위 조회에서 이미 생겼으므로 이월할 게 없으면 할 일 없음
+    if (this.getCarryOverAmount(endedStatus.data.remainingLeave) <= 0) {
+      return null;
+    }
+
+    const result = await this.resetForNewYear(userId, today.year());
+    return result.success ? result.data : null;
+  }
+
+  /**
+   * ⏳ 지금 보낼 소멸 알림 계산
+   * @returns {Promise<{status, daysLeft: number, dueDays: number[]}|null>}
+   */
+  async getExpiryReminder(userId, now = new Date()) {
+    const statusResult = await this.getLeaveStatus(userId, null, {
+      asOf: now
+    });
+    if (!statusResult.success) return null;
+
+    const status = statusResult.data;
+    const today = moment.tz(now, this.config.timezone).startOf("day");
+    const periodEnd = moment.tz(
+      status.periodEnd,
+      "YYYY-MM-DD",
+      this.config.timezone
+    );
+    const daysLeft = periodEnd.diff(today, "days");
+
+    // 소멸될 연차가 없으면 알릴 필요 없음 (이월분 제외)
+    if (status.expiringLeave.days <= 0 || daysLeft < 0) return null;
+
+    const dueDays = this.config.expiryReminderDays.filter(
+      (days) => daysLeft <= days
+    );
+    return dueDays.length > 0 ? { status, daysLeft, dueDays } : null;
+  }
+
+  /**
+   * ⏳ 아직 안 보낸 알림 시점 기록
+   * @returns {Promise<number[]>} 새로 기록한 시점 (일 단위)
+   */
+  async claimExpiryReminders(userId, reminder) {
+    const UserLeaveSetting = this.models.UserLeaveSetting;
+    const { periodEnd } = reminder.status;
+
+    try {
+      // 기간 종료일이 속한 연도 설정에 기록 (해가 바뀌어도 같은 문서)
+      const setting = await UserLeaveSetting.getOrCreate(
+        userId,
+        parseInt(periodEnd.slice(0, 4))
+      );
+
+      const newDays = [];
+      for (const days of reminder.dueDays) {
+        const key = `${periodEnd}:${days}`;
+        const result = await UserLeaveSetting.updateOne(
+          { _id: setting._id, expiryRemindersSent: { $ne: key } },
+          { $addToSet: { expiryRemindersSent: key } }
+        );
+        if (result.modifiedCount > 0) {
+          newDays.push(days);
+        }
+      }
+
+      return newDays;
+    } catch (error) {
+      logger.warn("연차 소멸 알림 기록 실패:", error.message);
+      return [];
+    }
+  }
+
   // ===== 📊 통계 및 정리 =====
 
   /**
@@ -410,9 +1749,15 @@ class LeaveService extends BaseService {
       features: [
         "개인 연차 현황 조회",
         "연차 사용 기록",
+        "기간 연차 (주말/공휴일 제외)",
+        "휴가 종류별 잔여 (병가/경조사/대체휴가/공가)",
+        "사용 내역 수정/취소",
+        "팀 연차 달력 (그룹 채팅)",
         "월별 사용량 조회",
+        "월 달력",
         "연차 설정 관리",
-        "입사일 기반 보너스",
+        "법정 연차 발생 (회계연도/입사일)",
+        "소멸 예정 알림, 이월 정책",
         "연말 소멸/신년 생성"
       ],
       version: "2.0.0-simple"
@@ -22,7 +22,7 @@ class ReminderService extends BaseService {
    * Mongoose 모델 사용
    */
   getRequiredModels() {
-    return ["Reminder"];
+    return ["Reminder", "UserSetting"];
   }
 
   /**
@@ -46,7 +46,8 @@ class ReminderService extends BaseService {
       });
 
       if (userCount >= this.config.maxRemindersPerUser) {
-        throw new Error(
+        return this.createErrorResponse(
+          new Error("MAX_REMINDERS"),
           `리마인더는 최대 ${this.config.maxRemindersPerUser}개까지 등록 가능합니다.`
         );
       }
@@ -55,8 +56,18 @@ class ReminderService extends BaseService {
         userId,
         text: reminderData.text.trim(),
         reminderTime: reminderData.reminderTime || null,
-        isRecurring: false,
-        completed: false
+        timezone: reminderData.timezone || "Asia/Seoul",
+        isRecurring: !!reminderData.isRecurring,
+        recurringPattern: reminderData.isRecurring
+          ? reminderData.recurringPattern
+          : null,
+        todoId: reminderData.todoId || null,
+        completed: false,
+        metadata: {
+          creationMethod: reminderData.creationMethod || "manual",
+          originalInput: reminderData.originalInput || null,
+          parsedTimeInfo: reminderData.parsedTimeInfo || null
+        }
       });
 
       await reminder.save();
@@ -69,6 +80,22 @@ class ReminderService extends BaseService {
     }
   }
 
+  /**
+   * 사용자 타임존 조회 (UserSetting 없으면 기본값)
+   */
+  async getUserTimezone(userId) {
+    try {
+      const setting = await this.models.UserSetting?.findOne({
+        userId: userId.toString()
+      }).lean();
+
+      return setting?.timezone || "Asia/Seoul";
+    } catch (error) {
+      logger.warn("사용자 타임존 조회 실패:", error.message);
+      return "Asia/Seoul";
+    }
+  }
+
   /**
    * 사용자 리마인더 목록 조회
    */
@@ -161,19 +188,20 @@ class ReminderService extends BaseService {
     try {
       const ReminderModel = this.models.Reminder;
 
-      // sentAt 필드가 없을 수도 있으므로 조건 수정
+      // sentAt은 기본값이 null이므로 null/미존재 모두 "미발송"으로 취급
       const query = {
         isActive: true,
         completed: false,
-        reminderTime: { $lte: currentTime }
+        reminderTime: { $lte: currentTime },
+        sentAt: null,
+        // 발송 실패 후 재시도 대기 중인 리마인더 제외
+        $or: [{ nextRetryAt: null }, { nextRetryAt: { $lte: currentTime } }]
       };
 
-      // sentAt 필드가 스키마에 있다면 추가
-      if (ReminderModel.schema.paths.sentAt) {
-        query.sentAt = { $exists: false };
-      }
-
-      const reminders = await ReminderModel.find(query).limit(limit).lean();
+      const reminders = await ReminderModel.find(query)
+        .sort({ reminderTime: 1 })
+        .limit(limit)
+        .lean();
 
       logger.debug(`getPendingReminders 쿼리 결과: ${reminders.length}개`);
 
@@ -184,6 +212,180 @@ class ReminderService extends BaseService {
     }
   }
 
+  /**
+   * 발송 완료 처리 (ReminderScheduler용)
+   */
+  async markReminderSent(reminderId, sentAt = new Date()) {
+    try {
+      const ReminderModel = this.models.Reminder;
+
+      const result = await ReminderModel.findByIdAndUpdate(
+        reminderId,
+        {
+          $set: {
+            sentAt,
+            triggeredAt: sentAt,
+            completed: true,
+            completedAt: sentAt,
+            lastError: null
+          },
+          $inc: { "stats.viewCount": 1 }
+        },
+        { new: true }
+      );
+
+      if (!result) {
+        throw new Error("리마인더를 찾을 수 없습니다.");
+      }
+
+      return this.createSuccessResponse(result, "리마인더가 발송되었습니다.");
+    } catch (error) {
+      logger.error("리마인더 발송 처리 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "리마인더 발송 처리에 실패했습니다."
+      );
+    }
+  }
+
+  /**
+   * 발송 실패 기록 - maxRetries 도달 시 비활성화 (ReminderScheduler용)
+   * - 재시도는 retryDelayMinutes부터 실패할 때마다 두 배씩 미룸
+   */
+  async markReminderFailed(
+    reminderId,
+    error,
+    maxRetries = 3,
+    retryDelayMinutes = 1
+  ) {
+    try {
+      const ReminderModel = this.models.Reminder;
+      const now = new Date();
+
+      const reminder = await ReminderModel.findByIdAndUpdate(
+        reminderId,
+        {
+          $set: {
+            lastError: error?.message || String(error),
+            lastErrorAt: now
+          },
+          $inc: { retryCount: 1 }
+        },
+        { new: true }
+      );
+
+      if (!reminder) {
+        throw new Error("리마인더를 찾을 수 없습니다.");
+      }
+
+      // 봇 차단(403) 등 재시도해도 의미 없는 오류는 바로 포기
+      const isPermanent = error?.response?.error_code === 403;
+      const givenUp = isPermanent || reminder.retryCount >= maxRetries;
+
+      if (givenUp) {
+        reminder.isActive = false;
+        reminder.failedAt = now;
+        reminder.failureReason = reminder.lastError;
+        reminder.deactivatedAt = now;
+        reminder.deactivatedReason = "error";
+        await reminder.save();
+
+        logger.warn(`🔕 리마인더 발송 포기: ${reminderId}`);
+      } else {
+        const delayMinutes = retryDelayMinutes * 2 ** (reminder.retryCount - 1);
+        reminder.nextRetryAt = new Date(now.getTime() + delayMinutes * 60000);
+        await reminder.save();
+      }
+
+      return this.createSuccessResponse(
+        { reminder, givenUp },
+        "리마인더 발송 실패가 기록되었습니다."
+      );
+    } catch (err) {
+      logger.error("리마인더 실패 기록 실패:", err);
+      return this.createErrorResponse(
+        err,
+        "리마인더 실패 기록에 실패했습니다."
+      );
+    }
+  }
+
+  /**
+   * 너무 오래 지난 리마인더 만료 처리 (ReminderScheduler용)
+   */
+  async expireReminder(reminderId) {
+    try {
+      const ReminderModel = this.models.Reminder;
+
+      const result = await ReminderModel.findByIdAndUpdate(
+        reminderId,
+        {
+          $set: {
+            isActive: false,
+            deactivatedAt: new Date(),
+            deactivatedReason: "expired"
+          }
+        },
+        { new: true }
+      );
+
+      return this.createSuccessResponse(result, "리마인더가 만료되었습니다.");
+    } catch (error) {
+      logger.error("리마인더 만료 처리 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "리마인더 만료 처리에 실패했습니다."
+      );
+    }
+  }
+
+  /**
+   * 반복 리마인더의 다음 회차 생성 (ReminderScheduler용)
+   * - after 이전의 놓친 회차는 건너뛰고 recurringEndDate를 넘으면 생성하지 않음
+   */
+  async scheduleNextOccurrence(reminderId, after = new Date()) {
+    try {
+      const ReminderModel = this.models.Reminder;
+
+      const reminder = await ReminderModel.findById(reminderId);
+      if (!reminder || !reminder.isRecurring) {
+        return this.createSuccessResponse(null, "반복 리마인더가 아닙니다.");
+      }
+
+      // 이미 다음 회차가 만들어져 있으면 중복 생성하지 않음
+      const seriesId = reminder.metadata?.parentReminderId || reminder._id;
+      const existing = await ReminderModel.findOne({
+        _id: { $ne: reminder._id },
+        userId: reminder.userId,
+        isActive: true,
+        completed: false,
+        reminderTime: { $gt: reminder.reminderTime },
+        $or: [{ _id: seriesId }, { "metadata.parentReminderId": seriesId }]
+      });
+
+      if (existing) {
+        return this.createSuccessResponse(existing, "이미 예약되어 있습니다.");
+      }
+
+      const next = await reminder.createNextRecurrence(after);
+
+      if (!next) {
+        return this.createSuccessResponse(null, "반복이 종료되었습니다.");
+      }
+
+      return this.createSuccessResponse(
+        next,
+        "다음 리마인더가 예약되었습니다."
+      );
+    } catch (error) {
+      logger.error("다음 반복 리마인더 생성 실패:", error);
+      return this.createErrorResponse(
+        error,
+        "다음 반복 리마인더 생성에 실패했습니다."
+      );
+    }
+  }
+
   /**
    * 예정된 리마인더 조회
    */
@@ -1,5 +1,6 @@
 // src/services/TimerService.js - 🍅 SoC 완전 준수 리팩토링 v4.0
 
+const moment = require("moment-timezone");
 const BaseService = require("./BaseService");
 const CacheManager = require("../utils/core/CacheManager");
 const Utils = require("../utils");
@@ -35,6 +36,13 @@ class TimerService extends BaseService {
       maxActiveSessions: parseInt(process.env.TIMER_MAX_ACTIVE_SESSIONS) || 1,
       sessionTimeout: parseInt(process.env.TIMER_SESSION_TIMEOUT) || 7200000, // 2시간
       enableStats: process.env.TIMER_ENABLE_STATS !== "false",
+      maxPresets: parseInt(process.env.TIMER_MAX_PRESETS) || 5,
+      presetNameMaxLength: 20,
+      timezone: "Asia/Seoul",
+      streakLookbackDays: 365,
+      // 최근 N일 안에 타이머를 쓴 사용자에게만 저녁 목표 알림
+      goalNoticeActiveDays:
+        parseInt(process.env.TIMER_GOAL_NOTICE_ACTIVE_DAYS) || 7,
       ...options.config
     };
 
@@ -129,7 +137,15 @@ class TimerService extends BaseService {
    */
   async startSession(userId, sessionData) {
     try {
-      const { type, duration, userName } = sessionData;
+      const {
+        type,
+        duration,
+        userName,
+        chatId,
+        pomodoroSet,
+        liveUpdate,
+        todoId
+      } = sessionData;
       if (!type || !duration) {
         return this.createErrorResponse(
           new Error("INVALID_INPUT"),
@@ -158,7 +174,20 @@ class TimerService extends BaseService {
         status: "active",
         isActive: true, // ✅ 추가됨
         startedAt: new Date(),
-        lastProgress: { remainingTime: duration * 60, updatedAt: new Date() }
+        lastProgress: { remainingTime: duration * 60, updatedAt: new Date() },
+        chatId: chatId ? chatId.toString() : null,
+        todoId: todoId ? todoId.toString() : null,
+        // 뽀모도로 다음 단계 세션이면 세트 정보 유지
+        ...(pomodoroSet && {
+          pomodoroSet,
+          cycleNumber: pomodoroSet.currentCycle || 1
+        }),
+        // 이전 단계에서 켠 실시간 업데이트 이어받기
+        ...(liveUpdate?.enabled && {
+          liveUpdateEnabled: true,
+          liveMessageId: liveUpdate.messageId || null,
+          lastLiveUpdateAt: new Date()
+        })
       });
 
       await session.save();
@@ -262,7 +291,7 @@ class TimerService extends BaseService {
   /**
    * ✅ 세션 완료 - isActive를 false로 설정
    */
-  async completeSession(userId) {
+  async completeSession(userId, completedAt = new Date()) {
     try {
       const session = await this.findActiveSessionByUserId(userId);
       if (!session) {
@@ -275,8 +304,10 @@ class TimerService extends BaseService {
       // ✅ isActive를 false로 설정
       session.status = "completed";
       session.isActive = false;
-      session.completedAt = new Date();
+      session.completedAt = completedAt;
       session.completionRate = 100;
+      session.wasCompleted = true;
+      session.actualDuration = session.duration;
 
       await session.save();
 
@@ -300,8 +331,17 @@ class TimerService extends BaseService {
    */
   async startPomodoroSet(userId, pomodoroData) {
     try {
-      const { preset, focusDuration, shortBreak, longBreak, cycles, userName } =
-        pomodoroData;
+      const {
+        preset,
+        presetName,
+        focusDuration,
+        shortBreak,
+        longBreak,
+        cycles,
+        userName,
+        chatId,
+        todoId
+      } = pomodoroData;
 
       // ✅ userName 검증 및 기본값 설정
       const validUserName =
@@ -327,11 +367,16 @@ class TimerService extends BaseService {
         status: "active",
         isActive: true,
         startedAt: new Date(),
+        chatId: chatId ? chatId.toString() : null,
+        todoId: todoId ? todoId.toString() : null,
+        cycleNumber: 1,
         pomodoroSet: {
           setId,
           preset,
+          name: presetName || null,
           currentCycle: 1,
           totalCycles: cycles,
+          currentPhase: "focus",
           focusDuration,
           shortBreak,
           longBreak
@@ -388,6 +433,43 @@ class TimerService extends BaseService {
     }
   }
 
+  /**
+   * 📡 실시간 업데이트 토글 (세션별)
+   * @param {string} userId - 사용자 ID
+   * @param {number} [messageId] - 실시간으로 수정할 타이머 메시지
+   * @returns {Promise<Object>} { enabled, messageId }
+   */
+  async toggleLiveUpdate(userId, messageId = null) {
+    try {
+      const session = await this.findActiveSessionByUserId(userId);
+
+      if (!session) {
+        return this.createErrorResponse(
+          new Error("SESSION_NOT_FOUND"),
+          "활성 타이머 세션을 찾을 수 없습니다."
+        );
+      }
+
+      await session.toggleLiveUpdate(messageId);
+
+      return this.createSuccessResponse(
+        {
+          enabled: session.liveUpdateEnabled,
+          messageId: session.liveMessageId
+        },
+        session.liveUpdateEnabled
+          ? "실시간 업데이트를 켰습니다."
+          : "실시간 업데이트를 껐습니다."
+      );
+    } catch (error) {
+      logger.error(`❌ 실시간 업데이트 토글 실패 (${userId}):`, error);
+      return this.createErrorResponse(
+        error,
+        "실시간 업데이트 설정에 실패했습니다."
+      );
+    }
+  }
+
   // ===== 📊 조회 메서드 =====
 
   /**
@@ -466,25 +548,11 @@ class TimerService extends BaseService {
         return this.createSuccessResponse(null, "설정 모델이 없습니다.");
       }
 
-      let settings = await this.models.TimerSettings.findOne({
-        userId: userId.toString()
-      });
-
-      if (!settings) {
-        // 기본 설정 생성
-        settings = new this.models.TimerSettings({
-          userId: userId.toString(),
-          focusDuration: 25,
-          shortBreak: 5,
-          longBreak: 15,
-          enableNotifications: true,
-          enableBadges: true
-        });
-        await settings.save();
-      }
+      // 없으면 기본 설정으로 생성
+      const settings = await this.models.TimerSettings.getOrCreate(userId);
 
       return this.createSuccessResponse(
-        settings.toObject(),
+        this.toSettingsData(settings),
         "설정을 조회했습니다."
       );
     } catch (error) {
@@ -493,6 +561,20 @@ class TimerService extends BaseService {
     }
   }
 
+  /**
+   * ⚙️ 설정 데이터 (자동 시작을 직접 바꾼 적 없으면 예전처럼 단계가 이어서 시작)
+   */
+  toSettingsData(settings) {
+    const data = settings.toObject();
+
+    if (!data.autoStartCustomized) {
+      data.autoStartBreak = true;
+      data.autoStartFocus = true;
+    }
+
+    return data;
+  }
+
   /**
    * 🔔 알림 설정 토글
    */
@@ -530,6 +612,167 @@ class TimerService extends BaseService {
     }
   }
 
+  /**
+   * ⚙️ 설정 변경 (허용된 항목만)
+   * @param {Object} updates - { focusDuration, autoStartBreak, ... }
+   */
+  async updateSettings(userId, updates = {}) {
+    const allowed = [
+      "focusDuration",
+      "shortBreakDuration",
+      "longBreakDuration",
+      "sessionsBeforeLongBreak",
+      "autoStartBreak",
+      "autoStartFocus",
+      "enableNotifications",
+      "dailyGoal",
+      "weeklyGoal"
+    ];
+
+    try {
+      if (!this.models.TimerSettings) {
+        return this.createErrorResponse(
+          new Error("NO_SETTINGS_MODEL"),
+          "설정 기능을 사용할 수 없습니다."
+        );
+      }
+
+      const picked = Object.fromEntries(
+        Object.entries(updates).filter(([key]) => allowed.includes(key))
+      );
+
+      const settings = await this.models.TimerSettings.getOrCreate(userId);
+
+      // 자동 시작을 처음 바꿀 때는 나머지 항목도 지금 보이는 값(켜짐)으로 고정
+      if (
+        ("autoStartBreak" in picked || "autoStartFocus" in picked) &&
+        !settings.autoStartCustomized
+      ) {
+        Object.assign(settings, { autoStartBreak: true, autoStartFocus: true });
+        picked.autoStartCustomized = true;
+      }
+
+      await settings.updateSettings(picked);
+
+      return this.createSuccessResponse(
+        this.toSettingsData(settings),
+        "설정이 변경되었습니다."
+      );
+    } catch (error) {
+      logger.error("TimerService.updateSettings 오류:", error);
+      return this.createErrorResponse(
+        error,
+        error.name === "ValidationError"
+          ? "설정 값이 허용 범위를 벗어났습니다."
+          : "설정 변경에 실패했습니다."
+      );
+    }
+  }
+
+  /**
+   * ➕➖ 시간 설정 증감 (스키마 min/max 안으로 맞춤)
+   */
+  async adjustSetting(userId, field, delta) {
+    try {
+      const path = this.models.TimerSettings?.schema.path(field);
+      if (!path || path.instance !== "Number") {
+        return this.createErrorResponse(
+          new Error("INVALID_FIELD"),
+          "변경할 수 없는 설정입니다."
+        );
+      }
+
+      const settings = await this.models.TimerSettings.getOrCreate(userId);
+      const { min = 1, max = Infinity } = path.options;
+      const value = Math.min(max, Math.max(min, settings[field] + delta));
+
+      return await this.updateSettings(userId, { [field]: value });
+    } catch (error) {
+      logger.error("TimerService.adjustSetting 오류:", error);
+      return this.createErrorResponse(error, "설정 변경에 실패했습니다.");
+    }
+  }
+
+  /**
+   * ↩️ 시간/목표/자동 시작 설정 초기화 (저장한 프리셋은 유지)
+   */
+  async resetSettings(userId) {
+    try {
+      const settings = await this.models.TimerSettings.getOrCreate(userId);
+      await settings.resetToDefaults();
+
+      return this.createSuccessResponse(
+        this.toSettingsData(settings),
+        "기본 설정으로 되돌렸습니다."
+      );
+    } catch (error) {
+      logger.error("TimerService.resetSettings 오류:", error);
+      return this.createErrorResponse(error, "설정 초기화에 실패했습니다.");
+    }
+  }
+
+  /**
+   * 💾 현재 시간 설정을 프리셋으로 저장
+   */
+  async savePreset(userId, name) {
+    try {
+      const trimmed = String(name || "").trim();
+      if (!trimmed || trimmed.length > this.config.presetNameMaxLength) {
+        return this.createErrorResponse(
+          new Error("INVALID_PRESET_NAME"),
+          `프리셋 이름은 1~${this.config.presetNameMaxLength}자로 입력해주세요.`
+        );
+      }
+
+      const settings = await this.models.TimerSettings.getOrCreate(userId);
+      const isNew = !settings.presets.some((preset) => preset.name === trimmed);
+
+      if (isNew && settings.presets.length >= this.config.maxPresets) {
+        return this.createErrorResponse(
+          new Error("TOO_MANY_PRESETS"),
+          `프리셋은 ${this.config.maxPresets}개까지 저장할 수 있어요. 안 쓰는 프리셋을 지워주세요.`
+        );
+      }
+
+      await settings.savePreset(trimmed);
+
+      return this.createSuccessResponse(
+        this.toSettingsData(settings),
+        isNew
+          ? `프리셋 "${trimmed}"을(를) 저장했습니다.`
+          : `프리셋 "${trimmed}"을(를) 현재 설정으로 바꿨습니다.`
+      );
+    } catch (error) {
+      logger.error("TimerService.savePreset 오류:", error);
+      return this.createErrorResponse(error, "프리셋 저장에 실패했습니다.");
+    }
+  }
+
+  /**
+   * 🗑️ 프리셋 삭제
+   */
+  async deletePreset(userId, key) {
+    try {
+      const settings = await this.models.TimerSettings.getOrCreate(userId);
+      const removed = await settings.removePreset(key);
+
+      if (!removed) {
+        return this.createErrorResponse(
+          new Error("PRESET_NOT_FOUND"),
+          "프리셋을 찾을 수 없습니다."
+        );
+      }
+
+      return this.createSuccessResponse(
+        this.toSettingsData(settings),
+        "프리셋을 삭제했습니다."
+      );
+    } catch (error) {
+      logger.error("TimerService.deletePreset 오류:", error);
+      return this.createErrorResponse(error, "프리셋 삭제에 실패했습니다.");
+    }
+  }
+
   // ===== 🛠️ 헬퍼 메서드 =====
 
   /**
@@ -548,6 +791,95 @@ class TimerService extends BaseService {
     }
   }
 
+  /**
+   * ♻️ 복구 대상 세션 조회 (봇 재시작 시)
+   * - 사용자별로 가장 최근의 활성/일시정지 세션 하나씩 반환
+   */
+  async getRestorableSessions() {
+    try {
+      const sessions = await this.models.Timer.findActiveSessions();
+      const userIds = [...new Set(sessions.map((session) => session.userId))];
+
+      const restorable = [];
+      for (const userId of userIds) {
+        const session = await this.findActiveSessionByUserId(userId);
+        if (session) {
+          restorable.push(this.transformSessionData(session));
+        }
+      }
+
+      return this.createSuccessResponse(
+        restorable,
+        `복구 대상 세션 ${restorable.length}개`
+      );
+    } catch (error) {
+      logger.error("복구 대상 세션 조회 실패:", error);
+      return this.createErrorResponse(error, "복구 대상 세션 조회 실패");
+    }
+  }
+
+  /**
+   * ⏸️ 기다리는 다음 단계 기록 (방금 끝난 세션에)
+   * @param {Object} pending - { phase, duration, cycle }
+   */
+  async savePendingPhase(userId, pending) {
+    try {
+      await this.models.Timer.findOneAndUpdate(
+        { userId: userId.toString(), status: "completed" },
+        { $set: { pendingNextPhase: pending } },
+        { sort: { completedAt: -1 } }
+      );
+
+      return this.createSuccessResponse(pending, "다음 단계를 기록했습니다.");
+    } catch (error) {
+      logger.error("다음 단계 기록 실패:", error);
+      return this.createErrorResponse(error, "다음 단계 기록 실패");
+    }
+  }
+
+  /**
+   * ⏸️ 기다리는 다음 단계 지우기 (시작 / 끝내기 / 새 타이머)
+   */
+  async clearPendingPhase(userId) {
+    try {
+      await this.models.Timer.updateMany(
+        { userId: userId.toString(), "pendingNextPhase.phase": { $ne: null } },
+        { $set: { "pendingNextPhase.phase": null } }
+      );
+
+      return this.createSuccessResponse(null, "다음 단계를 지웠습니다.");
+    } catch (error) {
+      logger.error("다음 단계 삭제 실패:", error);
+      return this.createErrorResponse(error, "다음 단계 삭제 실패");
+    }
+  }
+
+  /**
+   * ♻️ 다음 단계를 기다리던 세션 조회 (봇 재시작 시, 사용자별 최근 하나)
+   */
+  async getPendingPhaseSessions() {
+    try {
+      const sessions = await this.models.Timer.find({
+        "pendingNextPhase.phase": { $ne: null }
+      }).sort({ completedAt: -1 });
+
+      const latest = new Map();
+      sessions.forEach((session) => {
+        if (!latest.has(session.userId)) {
+          latest.set(session.userId, this.transformSessionData(session));
+        }
+      });
+
+      return this.createSuccessResponse(
+        [...latest.values()],
+        `다음 단계 대기 세션 ${latest.size}개`
+      );
+    } catch (error) {
+      logger.error("다음 단계 대기 세션 조회 실패:", error);
+      return this.createErrorResponse(error, "다음 단계 대기 세션 조회 실패");
+    }
+  }
+
   /**
    * 📊 활성 세션 수 조회
    */
@@ -565,49 +897,341 @@ class TimerService extends BaseService {
   }
 
   /**
-   * 📊 통계 업데이트
+   * 📊 통계 업데이트 (TimerStats 일별 문서에 누적)
+   * - 끝난 세션 기준으로 시작/완료/중지를 함께 기록
    */
   async updateUserStats(userId, session) {
     try {
       if (!this.models.TimerStats) return;
 
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      const outcome = session.status === "completed" ? "Completed" : "Stopped";
+      const minutes =
+        session.status === "completed"
+          ? session.duration
+          : session.actualDuration || 0;
+
+      const updates = {
+        totalStarted: 1,
+        [`total${outcome}`]: 1,
+        totalMinutes: minutes
+      };
+      if (["focus", "shortBreak", "longBreak"].includes(session.type)) {
+        updates[`${session.type}Started`] = 1;
+        updates[`${session.type}${outcome}`] = 1;
+      }
+      if (session.type === "focus") {
+        updates.focusMinutes = minutes;
+      }
 
-      let stats = await this.models.TimerStats.findOne({
-        userId: userId.toString(),
-        date: today
-      });
+      const settings = this.models.TimerSettings
+        ? await this.models.TimerSettings.getOrCreate(userId)
+        : null;
 
-      if (!stats) {
-        stats = new this.models.TimerStats({
-          userId: userId.toString(),
-          date: today,
-          totalSessions: 0,
-          completedSessions: 0,
-          totalFocusTime: 0,
-          totalBreakTime: 0
+      await this.models.TimerStats.updateDaily(
+        userId,
+        this.getLocalDate(session.completedAt || session.stoppedAt),
+        updates,
+        settings ? { dailyGoal: settings.dailyGoal } : {}
+      );
+
+      this.cache.delete("timer_stats", `weekly_${userId}`);
+    } catch (error) {
+      logger.error("통계 업데이트 실패:", error);
+    }
+  }
+
+  /**
+   * 🎯 목표 달성 현황 (오늘 / 이번 주 / 연속 달성 / 최근 30일)
+   * - 하루 목표: 완료한 집중 세션 수 (그날 기록된 목표, 없으면 지금 목표)
+   * - 연속 달성: 오늘 아직 못 채웠으면 어제까지로 계산
+   */
+  async getGoalStats(userId, at = new Date()) {
+    try {
+      const settings = await this.models.TimerSettings.getOrCreate(userId);
+      const now = moment.tz(at, this.config.timezone);
+      const today = now.format("YYYY-MM-DD");
+
+      const docs = await this.models.TimerStats.getStatsByDateRange(
+        userId,
+        now
+          .clone()
+          .subtract(this.config.streakLookbackDays, "days")
+          .format("YYYY-MM-DD"),
+        today
+      );
+      const byDate = new Map(docs.map((doc) => [doc.date, doc]));
+      const isReached = (doc) =>
+        !!doc && doc.focusCompleted >= (doc.dailyGoal || settings.dailyGoal);
+
+      // 오늘
+      const todayDoc = byDate.get(today);
+      const todayGoal = todayDoc?.dailyGoal || settings.dailyGoal;
+      const todayStats = {
+        date: today,
+        focusCompleted: todayDoc?.focusCompleted || 0,
+        focusMinutes: todayDoc?.focusMinutes || 0,
+        goal: todayGoal,
+        reached: isReached(todayDoc),
+        remaining: Math.max(0, todayGoal - (todayDoc?.focusCompleted || 0))
+      };
+
+      // 이번 주 (월요일 시작)
+      const weekStart = now.clone().startOf("isoWeek");
+      const week = {
+        start: weekStart.format("YYYY-MM-DD"),
+        goal: settings.weeklyGoal,
+        focusCompleted: 0,
+        focusMinutes: 0,
+        days: []
+      };
+      for (let i = 0; i < 7; i++) {
+        const date = weekStart.clone().add(i, "days").format("YYYY-MM-DD");
+        const doc = byDate.get(date);
+
+        week.focusCompleted += doc?.focusCompleted || 0;
+        week.focusMinutes += doc?.focusMinutes || 0;
+        week.days.push({
+          date,
+          name: ["월", "화", "수", "목", "금", "토", "일"][i],
+          focusCompleted: doc?.focusCompleted || 0,
+          reached: isReached(doc),
+          isFuture: date > today
         });
       }
+      week.reached = week.focusCompleted >= week.goal;
+
+      // 연속 달성
+      let current = 0;
+      const cursor = now.clone();
+      if (!todayStats.reached) cursor.subtract(1, "day");
+      while (isReached(byDate.get(cursor.format("YYYY-MM-DD")))) {
+        current++;
+        cursor.subtract(1, "day");
+      }
 
-      stats.totalSessions++;
+      let best = 0;
+      let run = 0;
+      let lastReached = null;
+      [...docs]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .filter(isReached)
+        .forEach((doc) => {
+          const dayBefore = moment(doc.date, "YYYY-MM-DD")
+            .subtract(1, "day")
+            .format("YYYY-MM-DD");
+          run = lastReached === dayBefore ? run + 1 : 1;
+          lastReached = doc.date;
+          best = Math.max(best, run);
+        });
 
-      if (session.status === "completed") {
-        stats.completedSessions++;
+      const recentFrom = now.clone().subtract(29, "days").format("YYYY-MM-DD");
+
+      return this.createSuccessResponse(
+        {
+          today: todayStats,
+          week,
+          streak: { current, best },
+          recent: {
+            days: 30,
+            ...this.summarizeStats(docs.filter((doc) => doc.date >= recentFrom))
+          }
+        },
+        "목표 현황을 조회했습니다."
+      );
+    } catch (error) {
+      logger.error("TimerService.getGoalStats 오류:", error);
+      return this.createErrorResponse(error, "목표 현황 조회에 실패했습니다.");
+    }
+  }
+
+  /**
+   * 📊 최근 N일 요약 (오늘 포함)
+   */
+  async getStatsSummary(userId, days = 7, at = new Date()) {
+    try {
+      const now = moment.tz(at, this.config.timezone);
+      const docs = await this.models.TimerStats.getStatsByDateRange(
+        userId,
+        now
+          .clone()
+          .subtract(days - 1, "days")
+          .format("YYYY-MM-DD"),
+        now.format("YYYY-MM-DD")
+      );
+
+      return this.createSuccessResponse(
+        this.summarizeStats(docs),
+        "기간 통계를 조회했습니다."
+      );
+    } catch (error) {
+      logger.error("TimerService.getStatsSummary 오류:", error);
+      return this.createErrorResponse(error, "기간 통계 조회에 실패했습니다.");
+    }
+  }
+
+  /**
+   * 🧮 일별 통계 합계
+   */
+  summarizeStats(docs) {
+    const sum = (field) =>
+      docs.reduce((total, doc) => total + (doc[field] || 0), 0);
+    const sessions = sum("totalStarted");
+    const completed = sum("totalCompleted");
+
+    return {
+      sessions,
+      completed,
+      stopped: sum("totalStopped"),
+      minutes: sum("totalMinutes"),
+      focusCompleted: sum("focusCompleted"),
+      focusMinutes: sum("focusMinutes"),
+      activeDays: docs.filter((doc) => doc.totalStarted > 0).length,
+      avgCompletionRate:
+        sessions > 0 ? Math.round((completed / sessions) * 100) : 0
+    };
+  }
+
+  /**
+   * 🗺️ 집중 히트맵 (지난달 + 이번 달, 요일 x 시간대별 완료한 집중 시간)
+   * - 끝난 세션은 TTL로 30일 뒤 지워지므로 실제로는 최근 한 달 정도
+   * - 행은 월요일부터 (0=월 ~ 6=일)
+   */
+  async getFocusHeatmap(userId, at = new Date()) {
+    try {
+      const weekdays = ["월", "화", "수", "목", "금", "토", "일"];
+      const now = moment.tz(at, this.config.timezone);
+      const months = [now.clone().subtract(1, "month"), now];
+      const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+      let sessions = 0;
+
+      for (const month of months) {
+        const { heatmap } = await this.models.Timer.getMonthlyStats(
+          userId,
+          month.year(),
+          month.month() + 1,
+          this.config.timezone
+        );
+
+        heatmap.forEach(({ weekday, hour, minutes, count }) => {
+          // $dayOfWeek는 1=일요일
+          grid[(weekday + 5) % 7][hour] += minutes;
+          sessions += count;
+        });
       }
 
-      if (session.type === "focus") {
-        stats.totalFocusTime += session.duration;
-      } else {
-        stats.totalBreakTime += session.duration;
+      const records = await this.models.Timer.getUserBestRecords(userId);
+      const focusRecord = records.find((record) => record._id === "focus");
+
+      // 가장 많이 집중한 칸 (상위 3개)
+      const bestSlots = grid
+        .flatMap((row, rowIndex) =>
+          row.map((minutes, hour) => ({
+            row: rowIndex,
+            weekday: weekdays[rowIndex],
+            hour,
+            minutes
+          }))
+        )
+        .filter((slot) => slot.minutes > 0)
+        .sort((a, b) => b.minutes - a.minutes)
+        .slice(0, 3);
+
+      // 요일 상관없이 가장 많이 집중한 2시간
+      const hourTotals = grid[0].map((_, hour) =>
+        grid.reduce((sum, row) => sum + row[hour], 0)
+      );
+      let bestHours = null;
+      for (let hour = 0; hour < 23; hour++) {
+        const minutes = hourTotals[hour] + hourTotals[hour + 1];
+        if (minutes > 0 && minutes > (bestHours?.minutes || 0)) {
+          bestHours = { start: hour, end: hour + 2, minutes };
+        }
       }
 
-      await stats.save();
+      const weekdayTotals = grid.map((row) =>
+        row.reduce((sum, minutes) => sum + minutes, 0)
+      );
+      const bestRow = weekdayTotals.indexOf(Math.max(...weekdayTotals));
+
+      return this.createSuccessResponse(
+        {
+          from: months[0].clone().startOf("month").format("YYYY-MM-DD"),
+          to: now.format("YYYY-MM-DD"),
+          grid,
+          sessions,
+          totalMinutes: weekdayTotals.reduce((sum, value) => sum + value, 0),
+          bestSlots,
+          bestHours,
+          bestWeekday:
+            weekdayTotals[bestRow] > 0
+              ? { name: weekdays[bestRow], minutes: weekdayTotals[bestRow] }
+              : null,
+          records: focusRecord
+            ? {
+                totalCompleted: focusRecord.totalCompleted,
+                longestSession: focusRecord.longestSession,
+                averageDuration: Math.round(focusRecord.averageDuration)
+              }
+            : null
+        },
+        "집중 히트맵을 조회했습니다."
+      );
     } catch (error) {
-      logger.error("통계 업데이트 실패:", error);
+      logger.error("TimerService.getFocusHeatmap 오류:", error);
+      return this.createErrorResponse(
+        error,
+        "집중 히트맵 조회에 실패했습니다."
+      );
     }
   }
 
+  /**
+   * 🌙 저녁 목표 알림 대상 (최근 사용자 중 알림/통계를 끄지 않은 사람)
+   */
+  async getGoalNoticeUserIds(at = new Date()) {
+    const since = moment
+      .tz(at, this.config.timezone)
+      .subtract(this.config.goalNoticeActiveDays - 1, "days")
+      .format("YYYY-MM-DD");
+
+    const userIds = await this.models.TimerStats.distinct("userId", {
+      date: { $gte: since },
+      totalStarted: { $gt: 0 },
+      isActive: true
+    });
+    if (userIds.length === 0 || !this.models.TimerSettings) {
+      return userIds;
+    }
+
+    const optedOut = await this.models.TimerSettings.distinct("userId", {
+      userId: { $in: userIds },
+      $or: [{ enableNotifications: false }, { enableStats: false }]
+    });
+
+    return userIds.filter((userId) => !optedOut.includes(userId));
+  }
+
+  /**
+   * 🌙 오늘 저녁 목표 알림 발송 기록
+   * @returns {Promise<boolean>} 이번에 처음 기록했으면 true
+   */
+  async claimGoalNotice(userId, at = new Date()) {
+    return await this.models.TimerStats.claimGoalNotice(
+      userId,
+      this.getLocalDate(at),
+      at
+    );
+  }
+
+  /**
+   * 📅 로컬 날짜 문자열 (YYYY-MM-DD)
+   */
+  getLocalDate(date = new Date()) {
+    return moment
+      .tz(date || new Date(), this.config.timezone)
+      .format("YYYY-MM-DD");
+  }
+
   /**
    * 📊 주간 통계 계산
    */
@@ -755,17 +1379,33 @@ class TimerService extends BaseService {
 
   /**
    * 🧹 오래된 세션 정리
+   * - 예정 종료 시각에서 sessionTimeout 이상 지난 실행 중 세션만 포기 처리
+   *   (그보다 최근에 끝난 세션은 모듈이 재시작 시 완료 알림과 함께 복구)
    */
   async cleanupOldSessions() {
     try {
-      const timeout = new Date(Date.now() - this.config.sessionTimeout);
+      const now = Date.now();
+      const sessions = await this.models.Timer.find({
+        status: "active",
+        isActive: true
+      }).select("startedAt duration totalPausedDuration");
+
+      const staleIds = sessions
+        .filter((session) => {
+          const expectedEnd =
+            session.startedAt.getTime() +
+            session.duration * 60 * 1000 +
+            (session.totalPausedDuration || 0);
+          return now - expectedEnd > this.config.sessionTimeout;
+        })
+        .map((session) => session._id);
+
+      if (staleIds.length === 0) {
+        return;
+      }
 
       const result = await this.models.Timer.updateMany(
-        {
-          status: "active",
-          // ✅ 수정된 부분: 'lastProgress.updatedAt'으로 변경
-          "lastProgress.updatedAt": { $lt: timeout }
-        },
+        { _id: { $in: staleIds } },
         {
           $set: {
             status: "abandoned",
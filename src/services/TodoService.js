@@ -1,7 +1,15 @@
 // src/services/TodoService.js - 데이터 관리 전담 서비스
+const moment = require("moment-timezone");
 const BaseService = require("./BaseService");
 const logger = require("../utils/core/Logger");
 
+// 🔄 반복 주기 → moment 단위
+const RECURRENCE_UNITS = {
+  daily: "day",
+  weekly: "week",
+  monthly: "month"
+};
+
 /**
  * 📋 TodoService - 데이터 관리만 담당
  *
@@ -14,8 +22,10 @@ class TodoService extends BaseService {
 
     this.config = {
       maxTodosPerUser: 100,
+      maxSubtasksPerTodo: 20,
       archiveAfterDays: 30,
       cacheTimeout: 300000, // 5분
+      defaultTimezone: "Asia/Seoul",
       ...options.config
     };
 
@@ -26,7 +36,7 @@ class TodoService extends BaseService {
    * 필수 모델 정의
    */
   getRequiredModels() {
-    return ["Todo", "Reminder"];
+    return ["Todo", "Reminder", "UserSetting"];
   }
 
   /**
@@ -111,7 +121,11 @@ class TodoService extends BaseService {
         limit = 10,
         includeCompleted = false,
         priority = null,
-        search = null
+        search = null,
+        filter = null, // "overdue" | "today" | "week"
+        tag = null,
+        category = null,
+        timezone = this.config.defaultTimezone
       } = options;
 
       // 쿼리 조건 구성
@@ -132,11 +146,30 @@ class TodoService extends BaseService {
         matchConditions.text = { $regex: search, $options: "i" };
       }
 
+      // 🏷️ 태그 / 카테고리 필터
+      if (tag) {
+        matchConditions.tags = tag.toLowerCase();
+      }
+
+      if (category) {
+        // 카테고리 없이 저장된 예전 할일은 "일반"으로 취급
+        matchConditions.category =
+          category === "일반" ? { $in: ["일반", null] } : category;
+      }
+
+      // 📅 기한 필터 (완료된 할일은 제외하고 기한 순 정렬)
+      const dueRange = filter ? this.getDueDateRange(filter, timezone) : null;
+      if (dueRange) {
+        matchConditions.dueDate = dueRange;
+        matchConditions.completed = { $ne: true };
+      }
+      const sort = dueRange ? { dueDate: 1, createdAt: -1 } : { createdAt: -1 };
+
       // 할일 목록 조회
       const skip = (page - 1) * limit;
       const [todos, totalCount] = await Promise.all([
         this.models.Todo.find(matchConditions)
-          .sort({ createdAt: -1 })
+          .sort(sort)
           .skip(skip)
           .limit(limit)
           .lean(),
@@ -187,6 +220,10 @@ class TodoService extends BaseService {
         totalCount,
         totalPages: Math.ceil(totalCount / limit),
         currentPage: page,
+        filter: dueRange ? filter : null,
+        tag,
+        category,
+        timezone,
         enableReminders: !!this.models.Reminder
       });
     } catch (error) {
@@ -195,6 +232,124 @@ class TodoService extends BaseService {
     }
   }
 
+  /**
+   * 📅 기한 필터별 dueDate 조건 (사용자 타임존 기준)
+   * @param {string} filter - "overdue" | "today" | "week"
+   * @returns {Object|null} MongoDB 조건
+   */
+  getDueDateRange(
+    filter,
+    timezone = this.config.defaultTimezone,
+    now = new Date()
+  ) {
+    const local = moment.tz(now, timezone);
+
+    switch (filter) {
+      case "overdue":
+        return { $lt: now };
+      case "today":
+        return {
+          $gte: local.clone().startOf("day").toDate(),
+          $lte: local.clone().endOf("day").toDate()
+        };
+      case "week":
+        return {
+          $gte: local.clone().startOf("day").toDate(),
+          $lte: local.clone().endOf("isoWeek").toDate()
+        };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 🔍 할일 검색 (텍스트 인덱스 점수순)
+   * - 한글은 조사가 붙으면 텍스트 인덱스에 걸리지 않으므로,
+   *   결과가 없으면 부분 일치 검색으로 한 번 더 찾음
+   */
+  async searchTodos(userId, query, options = {}) {
+    try {
+      const { page = 1, limit = 10, includeArchived = false } = options;
+      const keyword = String(query || "").trim();
+
+      if (!keyword) {
+        return this.createErrorResponse(
+          new Error("MISSING_QUERY"),
+          "검색어를 입력해주세요."
+        );
+      }
+
+      const baseConditions = {
+        userId: userId.toString(),
+        isActive: true
+      };
+
+      // 기본은 진행 중인 할일만, 옵션으로 완료/보관 포함
+      if (!includeArchived) {
+        baseConditions.completed = { $ne: true };
+        baseConditions.archived = { $ne: true };
+      }
+
+      const skip = (page - 1) * limit;
+      let mode = "text";
+      let todos = [];
+      let totalCount = 0;
+
+      try {
+        const conditions = { ...baseConditions, $text: { $search: keyword } };
+        [todos, totalCount] = await Promise.all([
+          this.models.Todo.find(conditions, {
+            score: { $meta: "textScore" }
+          })
+            .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+          this.models.Todo.countDocuments(conditions)
+        ]);
+      } catch (error) {
+        // 텍스트 인덱스가 아직 없으면 부분 일치로 대체
+        logger.warn("텍스트 검색 실패, 부분 일치로 대체:", error.message);
+      }
+
+      if (totalCount === 0) {
+        mode = "partial";
+        const pattern = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const conditions = {
+          ...baseConditions,
+          $or: [
+            { text: { $regex: pattern, $options: "i" } },
+            { description: { $regex: pattern, $options: "i" } }
+          ]
+        };
+        [todos, totalCount] = await Promise.all([
+          this.models.Todo.find(conditions)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+          this.models.Todo.countDocuments(conditions)
+        ]);
+      }
+
+      logger.debug(
+        `🔍 할일 검색: ${userId} - "${keyword}" (${mode}, ${totalCount}개)`
+      );
+
+      return this.createSuccessResponse({
+        todos,
+        totalCount,
+        totalPages: Math.max(1, Math.ceil(totalCount / limit)),
+        currentPage: page,
+        enableReminders: !!this.models.Reminder,
+        search: { query: keyword, includeArchived, mode }
+      });
+    } catch (error) {
+      logger.error("할일 검색 실패:", error);
+      return this.createErrorResponse(error, "할일 검색 실패");
+    }
+  }
+
   /**
    * 🗑️ 리마인더 해제 (todoId 기반)
    */
@@ -314,7 +469,7 @@ class TodoService extends BaseService {
         text: todoText,
         description: todoData.description?.trim() || null,
         priority: todoData.priority || "medium",
-        category: todoData.category?.trim() || null,
+        category: todoData.category?.trim() || undefined, // 없으면 스키마 기본값
         tags: todoData.tags || [],
         dueDate: todoData.dueDate || null,
         remindAt: todoData.remindAt || null
@@ -389,8 +544,9 @@ class TodoService extends BaseService {
 
   /**
    * 할일 완료/미완료 토글
+   * @param {Object} options - { completeOnly: 이미 완료된 할일은 그대로 둠 }
    */
-  async toggleTodo(userId, todoId) {
+  async toggleTodo(userId, todoId, options = {}) {
     try {
       const todo = await this.models.Todo.findOne({
         _id: todoId,
@@ -405,20 +561,376 @@ class TodoService extends BaseService {
         );
       }
 
+      if (options.completeOnly && todo.completed) {
+        return this.createSuccessResponse(
+          { ...todo.toJSON(), nextRecurrence: null },
+          "이미 완료된 할일입니다."
+        );
+      }
+
       // 상태 토글
       todo.completed = !todo.completed;
       const updatedTodo = await todo.save();
 
+      // 🔄 반복 할일이면 다음 회차 생성
+      const nextTodo =
+        todo.completed && todo.isRecurring
+          ? await this.createNextRecurrence(userId, todo)
+          : null;
+
       const message = todo.completed
         ? "할일이 완료되었습니다."
         : "할일이 미완료로 변경되었습니다.";
 
-      return this.createSuccessResponse(updatedTodo.toJSON(), message);
+      return this.createSuccessResponse(
+        {
+          ...updatedTodo.toJSON(),
+          nextRecurrence: nextTodo ? nextTodo.toJSON() : null
+        },
+        message
+      );
     } catch (error) {
       return this.createErrorResponse(error, "상태 변경 실패");
     }
   }
 
+  /**
+   * 🍅 연결된 집중 세션 기록 (뽀모도로 집중 1회 완료 시)
+   * @param {number} minutes - 집중한 시간 (분)
+   */
+  async recordFocusSession(userId, todoId, minutes) {
+    try {
+      const todo = await this.models.Todo.findOneAndUpdate(
+        { _id: todoId, userId: userId.toString(), isActive: true },
+        { $inc: { focusCount: 1, focusMinutes: Math.round(minutes) } },
+        { new: true }
+      ).lean();
+
+      if (!todo) {
+        return this.createErrorResponse(
+          new Error("TODO_NOT_FOUND"),
+          "할일을 찾을 수 없습니다."
+        );
+      }
+
+      return this.createSuccessResponse(todo, "집중 기록이 추가되었습니다.");
+    } catch (error) {
+      return this.createErrorResponse(error, "집중 기록 실패");
+    }
+  }
+
+  // ===== ☑️ 세부 항목 =====
+
+  /**
+   * 세부 항목 추가 (여러 개 한 번에)
+   */
+  async addSubtasks(userId, todoId, texts = []) {
+    try {
+      const todo = await this.models.Todo.findOne({
+        _id: todoId,
+        userId: userId.toString(),
+        isActive: true
+      });
+
+      if (!todo) {
+        return this.createErrorResponse(
+          new Error("TODO_NOT_FOUND"),
+          "할일을 찾을 수 없습니다."
+        );
+      }
+
+      const items = texts.map((text) => text.trim()).filter(Boolean);
+      if (items.length === 0) {
+        return this.createErrorResponse(
+          new Error("MISSING_TEXT"),
+          "항목 내용이 필요합니다."
+        );
+      }
+
+      if (
+        todo.subtasks.length + items.length >
+        this.config.maxSubtasksPerTodo
+      ) {
+        return this.createErrorResponse(
+          new Error("LIMIT_EXCEEDED"),
+          `세부 항목은 최대 ${this.config.maxSubtasksPerTodo}개까지 등록 가능합니다.`
+        );
+      }
+
+      items.forEach((text) => todo.subtasks.push({ text }));
+      const updatedTodo = await todo.save();
+
+      return this.createSuccessResponse(
+        updatedTodo.toJSON(),
+        `세부 항목 ${items.length}개가 추가되었습니다.`
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, "세부 항목 추가 실패");
+    }
+  }
+
+  /**
+   * 세부 항목 완료 토글
+   * - 모든 항목이 끝나면 allSubtasksDone: true (상위 할일 완료 제안용)
+   */
+  async toggleSubtask(userId, todoId, subtaskId) {
+    try {
+      const todo = await this.findTodoWithSubtask(userId, todoId, subtaskId);
+      if (!todo) {
+        return this.createErrorResponse(
+          new Error("SUBTASK_NOT_FOUND"),
+          "세부 항목을 찾을 수 없습니다."
+        );
+      }
+
+      const subtask = todo.subtasks.id(subtaskId);
+      subtask.completed = !subtask.completed;
+      subtask.completedAt = subtask.completed ? new Date() : null;
+
+      const updatedTodo = await todo.save();
+      const allSubtasksDone =
+        !updatedTodo.completed &&
+        updatedTodo.subtasks.every((item) => item.completed);
+
+      return this.createSuccessResponse({
+        todo: updatedTodo.toJSON(),
+        allSubtasksDone
+      });
+    } catch (error) {
+      return this.createErrorResponse(error, "세부 항목 변경 실패");
+    }
+  }
+
+  /**
+   * 세부 항목 삭제
+   */
+  async removeSubtask(userId, todoId, subtaskId) {
+    try {
+      const todo = await this.findTodoWithSubtask(userId, todoId, subtaskId);
+      if (!todo) {
+        return this.createErrorResponse(
+          new Error("SUBTASK_NOT_FOUND"),
+          "세부 항목을 찾을 수 없습니다."
+        );
+      }
+
+      todo.subtasks.pull({ _id: subtaskId });
+      const updatedTodo = await todo.save();
+
+      return this.createSuccessResponse(
+        updatedTodo.toJSON(),
+        "세부 항목이 삭제되었습니다."
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, "세부 항목 삭제 실패");
+    }
+  }
+
+  /**
+   * 세부 항목(subtaskId)이 있는 할일 조회
+   */
+  async findTodoWithSubtask(userId, todoId, subtaskId) {
+    const todo = await this.models.Todo.findOne({
+      _id: todoId,
+      userId: userId.toString(),
+      isActive: true
+    });
+
+    if (!todo || !subtaskId || !todo.subtasks.id(subtaskId)) {
+      return null;
+    }
+
+    return todo;
+  }
+
+  // ===== 🔄 반복 할일 =====
+
+  /**
+   * 반복 다음 회차 생성 (기한을 반복 주기만큼 이동, 지난 회차는 건너뜀)
+   */
+  async createNextRecurrence(userId, todo) {
+    const seriesId = todo.recurringSeriesId || todo._id;
+
+    // 완료 → 취소 → 재완료 시 중복 생성 방지
+    const existing = await this.models.Todo.findOne({
+      userId: userId.toString(),
+      recurringSeriesId: seriesId,
+      isActive: true,
+      completed: { $ne: true },
+      _id: { $ne: todo._id }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const { timezone } = await this.getUserSettings(userId);
+    const unit = RECURRENCE_UNITS[todo.recurringPattern];
+    const now = moment.tz(timezone);
+    const nextDue = moment.tz(
+      todo.dueDate || now.clone().endOf("day"),
+      timezone
+    );
+
+    do {
+      nextDue.add(todo.recurringInterval || 1, unit);
+    } while (nextDue.isBefore(now));
+
+    const nextTodo = await new this.models.Todo({
+      userId: userId.toString(),
+      text: todo.text,
+      description: todo.description,
+      priority: todo.priority,
+      category: todo.category,
+      tags: [...(todo.tags || [])],
+      // 세부 항목은 미완료 상태로 복사
+      subtasks: (todo.subtasks || []).map(({ text }) => ({ text })),
+      dueDate: nextDue.toDate(),
+      isRecurring: true,
+      recurringPattern: todo.recurringPattern,
+      recurringInterval: todo.recurringInterval,
+      recurringSeriesId: seriesId
+    }).save();
+
+    logger.info(
+      `🔄 반복 할일 다음 회차: ${userId} - "${todo.text}" (${nextDue.format("YYYY-MM-DD")})`
+    );
+
+    return nextTodo;
+  }
+
+  /**
+   * 반복 설정 / 해제
+   * @param {string|null} pattern - "daily" | "weekly" | "monthly" | null(해제)
+   */
+  async setRecurrence(userId, todoId, pattern, interval = 1) {
+    try {
+      if (pattern && !RECURRENCE_UNITS[pattern]) {
+        return this.createErrorResponse(
+          new Error("INVALID_PATTERN"),
+          "지원하지 않는 반복 주기입니다."
+        );
+      }
+
+      const todo = await this.models.Todo.findOne({
+        _id: todoId,
+        userId: userId.toString(),
+        isActive: true
+      });
+
+      if (!todo) {
+        return this.createErrorResponse(
+          new Error("TODO_NOT_FOUND"),
+          "할일을 찾을 수 없습니다."
+        );
+      }
+
+      if (!pattern) {
+        return await this.stopRecurrence(userId, todoId);
+      }
+
+      // 기한이 없으면 오늘 마감으로 시작
+      if (!todo.dueDate) {
+        const { timezone } = await this.getUserSettings(userId);
+        todo.dueDate = moment.tz(timezone).endOf("day").toDate();
+      }
+
+      todo.isRecurring = true;
+      todo.recurringPattern = pattern;
+      todo.recurringInterval = interval;
+      todo.recurringSeriesId = todo.recurringSeriesId || todo._id;
+
+      const updatedTodo = await todo.save();
+
+      return this.createSuccessResponse(
+        updatedTodo.toJSON(),
+        "반복이 설정되었습니다."
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, "반복 설정 실패");
+    }
+  }
+
+  /**
+   * 반복 중지 (시리즈 전체, 이미 만든 할일은 그대로 둠)
+   */
+  async stopRecurrence(userId, todoId) {
+    try {
+      const todo = await this.models.Todo.findOne({
+        _id: todoId,
+        userId: userId.toString()
+      }).lean();
+
+      if (!todo) {
+        return this.createErrorResponse(
+          new Error("TODO_NOT_FOUND"),
+          "할일을 찾을 수 없습니다."
+        );
+      }
+
+      const seriesId = todo.recurringSeriesId || todo._id;
+
+      await this.models.Todo.updateMany(
+        {
+          userId: userId.toString(),
+          $or: [{ _id: seriesId }, { recurringSeriesId: seriesId }]
+        },
+        { $set: { isRecurring: false } }
+      );
+
+      logger.info(`⏹️ 반복 중지: ${userId} - "${todo.text}"`);
+
+      return this.createSuccessResponse(null, "반복이 중지되었습니다.");
+    } catch (error) {
+      return this.createErrorResponse(error, "반복 중지 실패");
+    }
+  }
+
+  /**
+   * 반복 할일 목록 (시리즈별 현재 회차 + 완료 횟수)
+   */
+  async getRecurringTodos(userId) {
+    try {
+      const todos = await this.models.Todo.find({
+        userId: userId.toString(),
+        isActive: true,
+        isRecurring: true,
+        completed: { $ne: true }
+      })
+        .sort({ dueDate: 1 })
+        .lean();
+
+      const seriesIds = todos.map((todo) => todo.recurringSeriesId || todo._id);
+      const completedCounts = await this.models.Todo.aggregate([
+        {
+          $match: {
+            userId: userId.toString(),
+            isActive: true,
+            completed: true,
+            recurringSeriesId: { $in: seriesIds }
+          }
+        },
+        { $group: { _id: "$recurringSeriesId", count: { $sum: 1 } } }
+      ]);
+
+      const countMap = new Map(
+        completedCounts.map(({ _id, count }) => [_id.toString(), count])
+      );
+
+      todos.forEach((todo) => {
+        const seriesId = (todo.recurringSeriesId || todo._id).toString();
+        todo.completedCount = countMap.get(seriesId) || 0;
+      });
+
+      return this.createSuccessResponse({
+        todos,
+        totalCount: todos.length
+      });
+    } catch (error) {
+      return this.createErrorResponse(error, "반복 할일 조회 실패");
+    }
+  }
+
   /**
    * 할일 삭제
    */
@@ -524,12 +1036,54 @@ class TodoService extends BaseService {
           ? Math.round((result.completed / result.total) * 100)
           : 0;
 
+      // 🏷️ 태그별 / 카테고리별 개수
+      const [byTag, byCategory] = await Promise.all([
+        this.aggregateGroupCounts(userId, "$tags", true),
+        this.aggregateGroupCounts(userId, { $ifNull: ["$category", "일반"] })
+      ]);
+      result.byTag = byTag.map(({ _id, ...counts }) => ({
+        tag: _id,
+        ...counts
+      }));
+      result.byCategory = byCategory.map(({ _id, ...counts }) => ({
+        category: _id,
+        ...counts
+      }));
+
       return this.createSuccessResponse(result);
     } catch (error) {
       return this.createErrorResponse(error, "통계 조회 실패");
     }
   }
 
+  /**
+   * 그룹별 전체/대기 개수 (많은 순)
+   * @param {string|Object} groupKey - $group _id 표현식
+   * @param {boolean} unwind - 배열 필드(tags) 펼치기 여부
+   */
+  async aggregateGroupCounts(userId, groupKey, unwind = false) {
+    const pipeline = [
+      { $match: { userId: userId.toString(), isActive: true } }
+    ];
+
+    if (unwind) {
+      pipeline.push({ $unwind: groupKey });
+    }
+
+    pipeline.push(
+      {
+        $group: {
+          _id: groupKey,
+          total: { $sum: 1 },
+          pending: { $sum: { $cond: ["$completed", 0, 1] } }
+        }
+      },
+      { $sort: { pending: -1, total: -1, _id: 1 } }
+    );
+
+    return await this.models.Todo.aggregate(pipeline);
+  }
+
   /**
    * 주간 리포트
    */
@@ -774,6 +1328,131 @@ class TodoService extends BaseService {
     }
   }
 
+  // ===== 📬 아침 요약 관련 메서드 =====
+
+  /**
+   * 사용자 설정 조회 (타임존 + 요약 설정)
+   */
+  async getUserSettings(userId) {
+    const defaults = {
+      timezone: this.config.defaultTimezone,
+      todoDigestEnabled: false,
+      todoDigestHour: 8
+    };
+
+    try {
+      if (!this.models.UserSetting) {
+        return defaults;
+      }
+
+      const setting = await this.models.UserSetting.findOne({
+        userId: userId.toString()
+      }).lean();
+
+      return {
+        timezone: setting?.timezone || defaults.timezone,
+        todoDigestEnabled: !!setting?.todoDigestEnabled,
+        todoDigestHour: setting?.todoDigestHour ?? defaults.todoDigestHour
+      };
+    } catch (error) {
+      logger.warn("사용자 설정 조회 실패:", error.message);
+      return defaults;
+    }
+  }
+
+  /**
+   * 아침 요약 켜기/끄기
+   */
+  async toggleDigest(userId) {
+    try {
+      if (!this.models.UserSetting) {
+        return this.createErrorResponse(
+          new Error("SETTING_NOT_SUPPORTED"),
+          "설정 기능을 사용할 수 없습니다."
+        );
+      }
+
+      const current = await this.getUserSettings(userId);
+      const enabled = !current.todoDigestEnabled;
+
+      await this.models.UserSetting.updateOne(
+        { userId: userId.toString() },
+        { $set: { todoDigestEnabled: enabled } },
+        { upsert: true }
+      );
+
+      logger.info(`📬 할일 요약 ${enabled ? "켜짐" : "꺼짐"}: ${userId}`);
+
+      return this.createSuccessResponse(
+        { ...current, todoDigestEnabled: enabled },
+        enabled
+          ? `매일 ${current.todoDigestHour}시에 할일 요약을 보내드릴게요.`
+          : "할일 요약을 껐습니다."
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, "요약 설정 변경 실패");
+    }
+  }
+
+  /**
+   * 요약 구독자 목록 (TodoDigestScheduler용)
+   */
+  async getDigestSubscribers() {
+    try {
+      if (!this.models.UserSetting) return [];
+
+      return await this.models.UserSetting.find({ todoDigestEnabled: true })
+        .select("userId timezone todoDigestHour todoDigestLastSentDate")
+        .lean();
+    } catch (error) {
+      logger.error("요약 구독자 조회 실패:", error);
+      return [];
+    }
+  }
+
+  /**
+   * 요약 대상 할일 (기한 지남 + 오늘 마감)
+   */
+  async getDigestItems(userId, timezone = this.config.defaultTimezone) {
+    const baseQuery = {
+      userId: userId.toString(),
+      isActive: true,
+      completed: { $ne: true }
+    };
+    const now = new Date();
+
+    const [overdue, dueToday] = await Promise.all([
+      this.models.Todo.find({
+        ...baseQuery,
+        dueDate: this.getDueDateRange("overdue", timezone, now)
+      })
+        .sort({ dueDate: 1 })
+        .lean(),
+      this.models.Todo.find({
+        ...baseQuery,
+        dueDate: {
+          ...this.getDueDateRange("today", timezone, now),
+          $gte: now
+        }
+      })
+        .sort({ dueDate: 1 })
+        .lean()
+    ]);
+
+    return { overdue, dueToday };
+  }
+
+  /**
+   * 요약 발송 기록 (하루 1회 보장)
+   * @param {string} localDate - 사용자 타임존 기준 YYYY-MM-DD
+   */
+  async markDigestSent(userId, localDate) {
+    await this.models.UserSetting.updateOne(
+      { userId: userId.toString() },
+      { $set: { todoDigestLastSentDate: localDate } }
+    );
+  }
+
   /**
    * 서비스 헬스체크
    */
@@ -1,7 +1,10 @@
 // src/services/WorktimeService.js - 데이터 처리 개선 버전
 
+const crypto = require("crypto");
+const moment = require("moment-timezone");
 const BaseService = require("./BaseService");
 const Utils = require("../utils");
+const KoreanHolidays = require("../utils/KoreanHolidays");
 const logger = require("../utils/core/Logger");
 
 /**
@@ -16,11 +19,43 @@ class WorktimeService extends BaseService {
   constructor(options = {}) {
     super("WorktimeService", options); // 🔥 서비스 이름 추가!
     this.activeSessions = new Map();
+
+    this.config = {
+      defaultTimezone: "Asia/Seoul",
+      workStartTime: "09:00",
+      workEndTime: "18:00",
+      // 선택적 근로시간제 기본값 (코어타임 + 하루 기준 근무시간)
+      coreStartTime: "10:00",
+      coreEndTime: "16:00",
+      dailyHours: 8,
+      // 내보내기용 근무 유형 표시
+      workTypeLabels: {
+        normal: "정상",
+        overtime: "초과",
+        night: "야간",
+        holiday: "휴일",
+        working: "근무중"
+      },
+      nightStartHour: 22, // 야간근무 시작 (22:00)
+      nightEndHour: 6, // 야간근무 종료 (다음날 06:00)
+      // 출근 후 이 시간이 지나도록 퇴근이 없으면 퇴근 누락으로 봄
+      staleWorkingHours: parseInt(process.env.WORKTIME_STALE_HOURS) || 16,
+      // ⚖️ 주 52시간 상한 및 경고 단계 (시간)
+      weeklyCapHours: parseInt(process.env.WORKTIME_WEEKLY_CAP_HOURS) || 52,
+      weeklyAlertThresholds: (
+        process.env.WORKTIME_WEEKLY_ALERT_HOURS || "40,48,52"
+      )
+        .split(",")
+        .map((hours) => parseFloat(hours))
+        .filter((hours) => hours > 0)
+        .sort((a, b) => a - b),
+      ...options.config
+    };
   }
 
   // 🔥 이 메서드 추가!
   getRequiredModels() {
-    return ["Worktime"];
+    return ["Worktime", "UserSetting"];
   }
 
   /**
@@ -74,16 +109,28 @@ class WorktimeService extends BaseService {
       checkOutDisplay: Utils.safeDisplayTime(record.checkOutTime),
 
       // 날짜 문자열 (정렬용)
-      dateString: record.date || Utils.format(record.createdAt, "date")
+      dateString:
+        record.date ||
+        moment
+          .tz(record.createdAt, this.config.defaultTimezone)
+          .format("YYYY-MM-DD")
     };
 
-    // 근무시간 계산 (안전하게)
+    // 근무시간 계산 (안전하게, 휴식 제외)
     if (transformed.checkInTime && transformed.checkOutTime) {
-      const duration = Utils.diffMinutes(
-        transformed.checkInTime,
+      const grossDuration = Math.max(
+        0,
+        this.diffMinutes(transformed.checkInTime, transformed.checkOutTime)
+      );
+      const breakDuration = this.getBreakMinutes(
+        transformed,
         transformed.checkOutTime
       );
-      transformed.workDuration = Math.max(0, duration);
+      const duration = Math.max(0, grossDuration - breakDuration);
+
+      transformed.grossDuration = grossDuration;
+      transformed.breakDuration = breakDuration;
+      transformed.workDuration = duration;
       transformed.workDurationDisplay = this.formatWorkDuration(duration);
     }
 
@@ -93,35 +140,48 @@ class WorktimeService extends BaseService {
   async checkIn(userId) {
     try {
       const now = new Date();
-
-      // 🎯 Utils 그대로 사용! (이제 안전함)
-      const today = Utils.getTodayDateString(); // 이제 확실히 "YYYY-MM-DD" 반환
+      const settings = await this.getUserSettings(userId);
+      const today = moment.tz(now, settings.timezone).format("YYYY-MM-DD");
 
       logger.debug(`🏢 출근 처리: ${userId}, 날짜: ${today}`);
 
       // 현재 근무 중인 기록 확인
-      const workingRecord = await this.models.Worktime.findOne({
-        userId: userId,
-        status: "working",
-        checkOutTime: null,
-        isActive: true
-      });
+      const workingRecord = await this.findWorkingRecord(userId);
+      let autoClosedRecord = null;
 
       if (workingRecord) {
-        throw new Error("이미 출근 중입니다. 먼저 퇴근을 해주세요!");
+        // 퇴근을 잊은 오래된 기록은 임시 마감하고 새로 출근
+        if (!this.isStaleRecord(workingRecord, now)) {
+          throw new Error("이미 출근 중입니다. 먼저 퇴근을 해주세요!");
+        }
+
+        await this.closeStaleRecord(workingRecord, now);
+        autoClosedRecord = this.safeTransformRecord(workingRecord);
       }
 
+      // 근무 형태 기준 지각 판정
+      const attendance = this.evaluateAttendance(
+        { date: today, checkInTime: now },
+        settings
+      );
+
       // 새 출근 기록 생성
       const record = await this.models.Worktime.create({
         userId: userId,
-        date: today, // Utils로 생성된 안전한 날짜
+        date: today, // 사용자 타임존 기준 날짜
         checkInTime: now,
+        lateMinutes: attendance.lateMinutes,
         status: "working",
         isActive: true
       });
 
       logger.success(`✅ 출근 기록 완료: ${userId} (${today})`);
-      return this.safeTransformRecord(record);
+
+      const transformed = this.safeTransformRecord(record);
+      transformed.autoClosedRecord = autoClosedRecord;
+      transformed.attendance = attendance;
+
+      return transformed;
     } catch (error) {
       logger.error("출근 처리 실패:", error);
       throw error;
@@ -147,38 +207,31 @@ class WorktimeService extends BaseService {
         throw new Error("출근 기록이 없습니다.");
       }
 
+      // ☕ 종료하지 않은 휴식은 퇴근 시각으로 자동 종료
+      const openBreak = this.getOpenBreak(record);
+      if (openBreak) {
+        openBreak.endTime = now;
+        openBreak.autoClosed = true;
+      }
+
       // 퇴근 처리
       record.checkOutTime = now;
       record.status = "completed";
 
-      // 🔥 근무시간 계산 (자정 넘어도 정확히 계산)
-      const workDuration = Utils.diffMinutes(record.checkInTime, now);
-      record.workDuration = workDuration;
-
-      // 🔥 야간근무 체크 (22시~06시)
-      const checkInHour = record.checkInTime.getHours();
-      const checkOutHour = now.getHours();
-
-      if (
-        checkOutHour < 6 ||
-        checkOutHour >= 22 ||
-        checkInHour < 6 ||
-        checkInHour >= 22
-      ) {
-        record.workType = "night"; // 야간근무
-      }
-
-      // 초과근무 계산
-      const overtimeMinutes = Math.max(0, workDuration - 480);
-      record.regularHours = Math.floor(Math.min(workDuration, 480) / 60);
-      record.overtimeHours = Math.floor(overtimeMinutes / 60);
+      // 🔥 근무시간 계산 + 정규/초과/야간/휴일 분류
+      const settings = await this.getUserSettings(userId);
+      const classification = this.recalculateRecord(record, settings);
 
       await record.save();
 
-      logger.info(`✅ 퇴근 기록: ${userId} - ${workDuration}분 근무`);
+      logger.info(
+        `✅ 퇴근 기록: ${userId} - ${record.workDuration}분 근무 (${classification.workType})`
+      );
 
       const transformed = this.safeTransformRecord(record);
-      transformed.overtimeMinutes = overtimeMinutes;
+      transformed.classification = classification;
+      transformed.autoClosedBreak = openBreak ? openBreak.breakType : null;
+      transformed.attendance = this.evaluateAttendance(record, settings);
 
       return transformed;
     } catch (error) {
@@ -187,12 +240,43 @@ class WorktimeService extends BaseService {
     }
   }
 
+  /**
+   * 🧮 퇴근 시각 기준으로 근무시간/휴식/분류 다시 계산 (저장은 호출한 쪽에서)
+   * @returns {object} 분류 결과
+   */
+  recalculateRecord(record, settings) {
+    // 🔥 근무시간 계산 (자정 넘어도 정확히 계산, 휴식 제외)
+    const grossDuration = Math.max(
+      0,
+      this.diffMinutes(record.checkInTime, record.checkOutTime)
+    );
+    const breakDuration = this.getBreakMinutes(record, record.checkOutTime);
+    record.grossDuration = grossDuration;
+    record.breakDuration = breakDuration;
+    record.workDuration = Math.max(0, grossDuration - breakDuration);
+
+    const classification = this.classifyWorkTime(
+      record.checkInTime,
+      record.checkOutTime,
+      settings,
+      record.breaks
+    );
+    this.applyClassification(record, classification);
+
+    const attendance = this.evaluateAttendance(record, settings);
+    record.lateMinutes = attendance.lateMinutes;
+    record.earlyLeaveMinutes = attendance.earlyLeaveMinutes;
+
+    return classification;
+  }
+
   /**
    * 📅 오늘 근무 기록 조회 (개선됨)
    */
   async getTodayRecord(userId) {
     try {
-      const today = Utils.getTodayDateString();
+      const { timezone } = await this.getUserSettings(userId);
+      const today = moment.tz(timezone).format("YYYY-MM-DD");
 
       // 🔥 먼저 현재 근무 중인지 확인 (날짜 무관)
       const workingRecord = await this.models.Worktime.findOne({
@@ -204,15 +288,21 @@ class WorktimeService extends BaseService {
       }).sort({ checkInTime: -1 });
 
       if (workingRecord) {
+        const now = new Date();
         const transformed = this.safeTransformRecord(workingRecord);
-        const currentDuration = this.calculateCurrentWorkDuration(
+        const grossDuration = this.calculateCurrentWorkDuration(
           transformed.checkInTime,
-          new Date()
+          now
         );
+        const breakDuration = this.getBreakMinutes(transformed, now);
+        const openBreak = this.getOpenBreak(transformed);
 
         return {
           ...transformed,
-          currentWorkDuration: currentDuration,
+          currentWorkDuration: Math.max(0, grossDuration - breakDuration),
+          grossDuration,
+          breakDuration,
+          currentBreak: openBreak || null,
           isWorking: true
         };
       }
@@ -253,16 +343,18 @@ class WorktimeService extends BaseService {
   /**
    * 📊 주간 통계 조회 (개선됨)
    */
-  async getWeekStats(userId) {
+  async getWeekStats(userId, at = new Date()) {
     try {
-      const weekStart = Utils.getWeekStart();
-      const weekEnd = Utils.getWeekEnd();
+      const settings = await this.getUserSettings(userId);
+      const now = moment.tz(at, settings.timezone);
+      const weekStart = now.clone().startOf("isoWeek").format("YYYY-MM-DD");
+      const weekEnd = now.clone().endOf("isoWeek").format("YYYY-MM-DD");
 
       const records = await this.models.Worktime.find({
         userId: userId,
         date: {
-          $gte: Utils.format(weekStart, "date"),
-          $lte: Utils.format(weekEnd, "date")
+          $gte: weekStart,
+          $lte: weekEnd
         },
         isActive: true,
         // ✅ 수정: checkOutTime 필터 완화 (출근만 있어도 표시)
@@ -277,19 +369,23 @@ class WorktimeService extends BaseService {
         .map((record) => this.safeTransformRecord(record))
         .filter((record) => record && record.checkInTime); // workDuration > 0 조건 제거
 
-      const stats = this.calculateWeeklyStats(safeRecords);
+      const stats = this.calculateWeeklyStats(safeRecords, settings);
 
       return {
-        weekStart: Utils.format(weekStart, "date"),
-        weekEnd: Utils.format(weekEnd, "date"),
+        weekStart,
+        weekEnd,
         workDays: safeRecords.length,
-        totalHours: Math.round((stats.totalMinutes / 60) * 10) / 10,
-        overtimeHours: Math.round((stats.overtimeMinutes / 60) * 10) / 10,
+        totalHours: this.toHours(stats.totalMinutes),
+        overtimeHours: this.toHours(stats.overtimeMinutes),
         avgDailyHours:
           safeRecords.length > 0
             ? Math.round((stats.totalMinutes / safeRecords.length / 60) * 10) /
               10
             : 0,
+        breakdown: this.formatBreakdownHours(stats),
+        lateCount: stats.lateCount,
+        earlyLeaveCount: stats.earlyLeaveCount,
+        compliance: this.calculateCompliance(safeRecords, settings, now),
         records: safeRecords,
         analysis: this.analyzeWeeklyPattern(safeRecords)
       };
@@ -304,14 +400,15 @@ class WorktimeService extends BaseService {
    */
   async getMonthStats(userId) {
     try {
-      const monthStart = Utils.getMonthStart();
-      const monthEnd = Utils.getMonthEnd();
+      const settings = await this.getUserSettings(userId);
+      const monthStart = moment.tz(settings.timezone).startOf("month");
+      const monthEnd = monthStart.clone().endOf("month");
 
       const records = await this.models.Worktime.find({
         userId: userId,
         date: {
-          $gte: Utils.format(monthStart, "date"),
-          $lte: Utils.format(monthEnd, "date")
+          $gte: monthStart.format("YYYY-MM-DD"),
+          $lte: monthEnd.format("YYYY-MM-DD")
         },
         isActive: true,
         // ✅ 수정: 필터링 완화
@@ -326,19 +423,22 @@ class WorktimeService extends BaseService {
         .map((record) => this.safeTransformRecord(record))
         .filter((record) => record && record.checkInTime);
 
-      const stats = this.calculateMonthlyStats(safeRecords);
+      const stats = this.calculateMonthlyStats(safeRecords, settings);
 
       return {
-        month: Utils.format(monthStart, "MM"),
-        year: Utils.format(monthStart, "YYYY"),
+        month: monthStart.format("MM"),
+        year: monthStart.format("YYYY"),
         workDays: safeRecords.length,
-        totalHours: Math.round((stats.totalMinutes / 60) * 10) / 10,
-        overtimeHours: Math.round((stats.overtimeMinutes / 60) * 10) / 10,
+        totalHours: this.toHours(stats.totalMinutes),
+        overtimeHours: this.toHours(stats.overtimeMinutes),
         avgDailyHours:
           safeRecords.length > 0
             ? Math.round((stats.totalMinutes / safeRecords.length / 60) * 10) /
               10
             : 0,
+        breakdown: this.formatBreakdownHours(stats),
+        lateCount: stats.lateCount,
+        earlyLeaveCount: stats.earlyLeaveCount,
         records: safeRecords,
         performance: this.analyzeMonthlyPerformance(safeRecords),
         trends: this.analyzeMonthlyTrends(safeRecords)
@@ -349,6 +449,28 @@ class WorktimeService extends BaseService {
     }
   }
 
+  /**
+   * 📊 주간 통계 (응답 객체, 이벤트 핸들러용)
+   */
+  async getWeeklyStats(userId) {
+    try {
+      return this.createSuccessResponse(await this.getWeekStats(userId));
+    } catch (error) {
+      return this.createErrorResponse(error, "주간 통계 조회 실패");
+    }
+  }
+
+  /**
+   * 📈 월간 통계 (응답 객체, 이벤트 핸들러용)
+   */
+  async getMonthlyStats(userId) {
+    try {
+      return this.createSuccessResponse(await this.getMonthStats(userId));
+    } catch (error) {
+      return this.createErrorResponse(error, "월간 통계 조회 실패");
+    }
+  }
+
   /**
    * ⏱️ 현재 근무시간 계산 (안전)
    * @param {Date} checkInTime - 출근 시간
@@ -363,32 +485,51 @@ class WorktimeService extends BaseService {
 
     if (!safeCheckIn || !safeCurrentTime) return 0;
 
-    return Math.max(0, Utils.diffMinutes(safeCheckIn, safeCurrentTime));
+    return Math.max(0, this.diffMinutes(safeCheckIn, safeCurrentTime));
   }
 
   /**
    * 📊 주간 통계 계산
    * @param {Array} records - 안전하게 변환된 레코드들
+   * @param {object} settings - 사용자 근무 설정 (분류가 없는 기록 재계산용)
    * @returns {object} 통계 데이터
    */
-  calculateWeeklyStats(records) {
-    let totalMinutes = 0;
-    let overtimeMinutes = 0;
+  calculateWeeklyStats(records, settings = {}) {
+    const stats = {
+      totalMinutes: 0,
+      grossMinutes: 0,
+      breakMinutes: 0,
+      regularMinutes: 0,
+      overtimeMinutes: 0,
+      nightMinutes: 0,
+      holidayMinutes: 0,
+      lateCount: 0,
+      earlyLeaveCount: 0
+    };
 
     records.forEach((record) => {
+      if (record.lateMinutes > 0) stats.lateCount++;
+      if (record.earlyLeaveMinutes > 0) stats.earlyLeaveCount++;
+
       // ✅ 수정: workDuration이 0이어도 처리 (출근만 있는 경우)
       if (record.workDuration >= 0) {
         // > 0 에서 >= 0 으로 변경
-        totalMinutes += record.workDuration || 0;
+        stats.totalMinutes += record.workDuration || 0;
+        stats.grossMinutes += record.grossDuration || record.workDuration || 0;
+        stats.breakMinutes += record.breakDuration || 0;
+      }
 
-        // 8시간(480분) 초과시 초과근무
-        if (record.workDuration > 480) {
-          overtimeMinutes += record.workDuration - 480;
-        }
+      // 분류는 퇴근한 기록만 집계
+      const classification = this.getRecordClassification(record, settings);
+      if (classification) {
+        stats.regularMinutes += classification.regularMinutes;
+        stats.overtimeMinutes += classification.overtimeMinutes;
+        stats.nightMinutes += classification.nightMinutes;
+        stats.holidayMinutes += classification.holidayMinutes;
       }
     });
 
-    return { totalMinutes, overtimeMinutes };
+    return stats;
   }
 
   /**
@@ -396,8 +537,1262 @@ class WorktimeService extends BaseService {
    * @param {Array} records - 안전하게 변환된 레코드들
    * @returns {object} 통계 데이터
    */
-  calculateMonthlyStats(records) {
-    return this.calculateWeeklyStats(records); // 같은 로직 재사용
+  calculateMonthlyStats(records, settings = {}) {
+    return this.calculateWeeklyStats(records, settings); // 같은 로직 재사용
+  }
+
+  // ===== 🧮 근무 유형 분류 =====
+
+  /**
+   * 사용자 근무 설정 조회 (타임존 + 근무 형태)
+   */
+  async getUserSettings(userId) {
+    const defaults = {
+      timezone: this.config.defaultTimezone,
+      workStartTime: this.config.workStartTime,
+      workEndTime: this.config.workEndTime,
+      scheduleType: "fixed",
+      coreStartTime: this.config.coreStartTime,
+      coreEndTime: this.config.coreEndTime,
+      dailyHours: this.config.dailyHours,
+      shiftRotation: [],
+      shiftAnchorDate: null
+    };
+
+    try {
+      if (!this.models.UserSetting) {
+        return defaults;
+      }
+
+      const setting = await this.models.UserSetting.findOne({
+        userId: userId.toString()
+      }).lean();
+
+      return {
+        timezone: setting?.timezone || defaults.timezone,
+        workStartTime: setting?.workStartTime || defaults.workStartTime,
+        workEndTime: setting?.workEndTime || defaults.workEndTime,
+        scheduleType: setting?.worktimeScheduleType || defaults.scheduleType,
+        coreStartTime: setting?.worktimeCoreStartTime || defaults.coreStartTime,
+        coreEndTime: setting?.worktimeCoreEndTime || defaults.coreEndTime,
+        dailyHours: setting?.worktimeDailyHours || defaults.dailyHours,
+        shiftRotation: setting?.worktimeShiftRotation || [],
+        shiftAnchorDate: setting?.worktimeShiftAnchorDate || null
+      };
+    } catch (error) {
+      logger.warn("근무 설정 조회 실패:", error.message);
+      return defaults;
+    }
+  }
+
+  /**
+   * 근무시간을 정규/초과/야간/휴일로 분류
+   *
+   * - 정규: 평일 중 근무 형태의 근무시간대 안 (고정: workStartTime~workEndTime,
+   *   교대: 그 주 근무조). 선택근무는 하루 기준 근무시간까지
+   * - 초과: 평일 중 정규를 넘는 근무
+   * - 휴일: 주말·공휴일 근무 (정규/초과에 포함하지 않음)
+   * - 야간: 22:00~06:00 근무 (위 분류와 별도로 중복 집계)
+   * - 휴식/점심 구간은 모든 분류에서 제외
+   *
+   * @param {Date} checkInTime - 출근 시각
+   * @param {Date} checkOutTime - 퇴근 시각
+   * @param {object} settings - getUserSettings 결과
+   * @param {Array} breaks - 휴식 구간 [{ startTime, endTime }]
+   * @returns {object} 분 단위 분류 결과
+   */
+  classifyWorkTime(checkInTime, checkOutTime, settings = {}, breaks = []) {
+    const timezone = settings.timezone || this.config.defaultTimezone;
+    const start = moment.tz(checkInTime, timezone);
+    const end = moment.tz(checkOutTime, timezone);
+
+    const result = {
+      totalMinutes: 0,
+      regularMinutes: 0,
+      overtimeMinutes: 0,
+      nightMinutes: 0,
+      holidayMinutes: 0,
+      holidayName: null,
+      workType: "normal"
+    };
+
+    if (!end.isAfter(start)) {
+      return result;
+    }
+
+    const worked = this.measureInterval(start, end, settings);
+
+    // 휴식 구간은 같은 방식으로 재서 빼기 (근무 구간 밖은 잘라냄)
+    (breaks || []).forEach((item) => {
+      if (!item.startTime || !item.endTime) return;
+
+      const breakStart = moment.max(start, moment.tz(item.startTime, timezone));
+      const breakEnd = moment.min(end, moment.tz(item.endTime, timezone));
+      if (!breakEnd.isAfter(breakStart)) return;
+
+      const rested = this.measureInterval(breakStart, breakEnd, settings);
+      worked.totalMs -= rested.totalMs;
+      worked.regularMs -= rested.regularMs;
+      worked.holidayMs -= rested.holidayMs;
+      worked.nightMs -= rested.nightMs;
+    });
+
+    result.totalMinutes = Math.floor(Math.max(0, worked.totalMs) / 60000);
+    result.regularMinutes = Math.floor(Math.max(0, worked.regularMs) / 60000);
+    result.holidayMinutes = Math.floor(Math.max(0, worked.holidayMs) / 60000);
+    result.nightMinutes = Math.floor(Math.max(0, worked.nightMs) / 60000);
+
+    // 선택근무는 시간대와 상관없이 평일 근무 중 하루 기준 시간까지가 정규
+    const schedule = this.resolveDaySchedule(settings, start);
+    if (schedule.type === "flexible") {
+      result.regularMinutes = Math.min(
+        result.totalMinutes - result.holidayMinutes,
+        schedule.requiredMinutes
+      );
+    }
+    result.overtimeMinutes = Math.max(
+      0,
+      result.totalMinutes - result.regularMinutes - result.holidayMinutes
+    );
+    result.holidayName = result.holidayMinutes > 0 ? worked.holidayName : null;
+
+    if (result.holidayMinutes > 0) {
+      result.workType = "holiday";
+    } else if (result.nightMinutes > 0) {
+      result.workType = "night";
+    } else if (result.overtimeMinutes > 0) {
+      result.workType = "overtime";
+    }
+
+    return result;
+  }
+
+  /**
+   * 한 구간을 정규/휴일/야간으로 나눠 잰 값 (밀리초)
+   */
+  measureInterval(start, end, settings = {}) {
+    const timezone = settings.timezone || this.config.defaultTimezone;
+
+    const measured = {
+      totalMs: end.valueOf() - start.valueOf(),
+      regularMs: 0,
+      holidayMs: 0,
+      nightMs: 0,
+      holidayName: null
+    };
+
+    // 전날 밤부터 이어지는 야간/근무시간대까지 보기 위해 하루 앞에서 시작
+    const day = start.clone().startOf("day").subtract(1, "day");
+
+    for (; day.isBefore(end); day.add(1, "day")) {
+      const dayEnd = day.clone().add(1, "day");
+
+      measured.nightMs += this.overlapMs(
+        start,
+        end,
+        day.clone().hour(this.config.nightStartHour),
+        dayEnd.clone().hour(this.config.nightEndHour)
+      );
+
+      const dayMs = this.overlapMs(start, end, day, dayEnd);
+      if (dayMs === 0) continue;
+
+      const dayOff = KoreanHolidays.describeDayOff(day, timezone);
+      if (dayOff) {
+        measured.holidayMs += dayMs;
+        measured.holidayName = measured.holidayName || dayOff;
+        continue;
+      }
+
+      // 이 날짜 구간이 근무시간대(전날 시작한 야간 근무시간대 포함)와 겹치는 만큼
+      const segmentStart = moment.max(start, day);
+      const segmentEnd = moment.min(end, dayEnd);
+
+      [-1, 0].forEach((offset) => {
+        const base = day.clone().add(offset, "day");
+        const schedule = this.resolveDaySchedule(settings, base);
+        if (schedule.type === "flexible") return; // classifyWorkTime에서 계산
+
+        measured.regularMs += this.overlapMs(
+          segmentStart,
+          segmentEnd,
+          base.clone().add(schedule.startMinutes, "minutes"),
+          base.clone().add(schedule.endMinutes, "minutes")
+        );
+      });
+    }
+
+    return measured;
+  }
+
+  /**
+   * 분류 결과를 레코드에 반영 (시간 단위 필드도 함께 갱신)
+   */
+  applyClassification(record, classification) {
+    record.regularMinutes = classification.regularMinutes;
+    record.overtimeMinutes = classification.overtimeMinutes;
+    record.nightMinutes = classification.nightMinutes;
+    record.holidayMinutes = classification.holidayMinutes;
+    record.holidayName = classification.holidayName;
+    record.workType = classification.workType;
+    record.regularHours = this.toHours(classification.regularMinutes);
+    record.overtimeHours = this.toHours(classification.overtimeMinutes);
+  }
+
+  /**
+   * 레코드의 분류 조회 (분류 전 기록은 다시 계산, 근무 중이면 null)
+   */
+  getRecordClassification(record, settings = {}) {
+    if (!record.checkInTime || !record.checkOutTime) {
+      return null;
+    }
+
+    const classifiedMinutes =
+      (record.regularMinutes || 0) +
+      (record.overtimeMinutes || 0) +
+      (record.holidayMinutes || 0);
+
+    if (classifiedMinutes > 0 || !record.workDuration) {
+      return {
+        regularMinutes: record.regularMinutes || 0,
+        overtimeMinutes: record.overtimeMinutes || 0,
+        nightMinutes: record.nightMinutes || 0,
+        holidayMinutes: record.holidayMinutes || 0
+      };
+    }
+
+    return this.classifyWorkTime(
+      record.checkInTime,
+      record.checkOutTime,
+      settings,
+      record.breaks
+    );
+  }
+
+  /**
+   * "HH:mm" 근무시간대 → 자정 기준 분 (종료가 시작보다 이르면 다음날로)
+   */
+  parseSchedule(workStartTime, workEndTime) {
+    const toMinutes = (value, fallback) => {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+      if (!match) return toMinutes(fallback);
+      return parseInt(match[1]) * 60 + parseInt(match[2]);
+    };
+
+    const startMinutes = toMinutes(workStartTime, this.config.workStartTime);
+    let endMinutes = toMinutes(workEndTime, this.config.workEndTime);
+
+    if (endMinutes <= startMinutes) {
+      endMinutes += 24 * 60;
+    }
+
+    return { startMinutes, endMinutes };
+  }
+
+  /**
+   * 날짜별 근무 형태 적용 결과
+   *
+   * - fixed: workStartTime~workEndTime
+   * - flexible: 코어타임(지각/조퇴 기준) + 하루 기준 근무시간
+   * - shift: 기준 주부터 주 단위로 순환하는 근무조의 시간대
+   *
+   * @param {object} settings - getUserSettings 결과
+   * @param {moment.Moment|Date|string} date - 날짜 (문자열은 YYYY-MM-DD)
+   * @returns {object} { type, label, startMinutes, endMinutes, requiredMinutes }
+   */
+  resolveDaySchedule(settings = {}, date = new Date()) {
+    const timezone = settings.timezone || this.config.defaultTimezone;
+
+    if (settings.scheduleType === "flexible") {
+      const core = this.parseSchedule(
+        settings.coreStartTime || this.config.coreStartTime,
+        settings.coreEndTime || this.config.coreEndTime
+      );
+      return {
+        type: "flexible",
+        label: "선택근무",
+        ...core,
+        requiredMinutes: (settings.dailyHours || this.config.dailyHours) * 60
+      };
+    }
+
+    const shift =
+      settings.scheduleType === "shift" &&
+      this.getShiftForDate(settings, date, timezone);
+    if (shift) {
+      const window = this.parseSchedule(shift.startTime, shift.endTime);
+      return {
+        type: "shift",
+        label: shift.name,
+        ...window,
+        requiredMinutes: window.endMinutes - window.startMinutes
+      };
+    }
+
+    const window = this.parseSchedule(
+      settings.workStartTime,
+      settings.workEndTime
+    );
+    return {
+      type: "fixed",
+      label: "고정근무",
+      ...window,
+      requiredMinutes: window.endMinutes - window.startMinutes
+    };
+  }
+
+  /**
+   * 해당 날짜가 속한 주의 근무조 (순환 기준 주부터 주 단위로 다음 근무조)
+   */
+  getShiftForDate(settings, date, timezone) {
+    const rotation = settings.shiftRotation || [];
+    if (rotation.length === 0) return null;
+
+    const local =
+      typeof date === "string"
+        ? moment.tz(date, "YYYY-MM-DD", timezone)
+        : moment.tz(date, timezone);
+    const anchor = settings.shiftAnchorDate
+      ? moment.tz(settings.shiftAnchorDate, "YYYY-MM-DD", timezone)
+      : local;
+    const weeks = local
+      .clone()
+      .startOf("isoWeek")
+      .diff(anchor.clone().startOf("isoWeek"), "weeks");
+
+    return rotation[
+      ((weeks % rotation.length) + rotation.length) % rotation.length
+    ];
+  }
+
+  /**
+   * 근무 형태 기준 예정 퇴근 시각
+   * (선택근무는 출근 + 하루 기준 시간 + 쉰 시간)
+   */
+  getScheduledEnd(checkIn, settings, breakMinutes = 0) {
+    const schedule = this.resolveDaySchedule(settings, checkIn);
+
+    if (schedule.type === "flexible") {
+      return checkIn
+        .clone()
+        .add(schedule.requiredMinutes + breakMinutes, "minutes");
+    }
+
+    return checkIn.clone().startOf("day").add(schedule.endMinutes, "minutes");
+  }
+
+  /**
+   * 🗓️ 근무 형태 기준 지각/조퇴 판정 (주말·공휴일은 판정하지 않음)
+   * @returns {object|null} 출근 기록이 없으면 null
+   */
+  evaluateAttendance(record, settings = {}) {
+    if (!record?.checkInTime) return null;
+
+    const timezone = settings.timezone || this.config.defaultTimezone;
+    const checkIn = moment.tz(record.checkInTime, timezone);
+    const day = record.date
+      ? moment.tz(record.date, "YYYY-MM-DD", timezone)
+      : checkIn.clone().startOf("day");
+    const schedule = this.resolveDaySchedule(settings, day);
+
+    const attendance = {
+      scheduleType: schedule.type,
+      scheduleLabel: schedule.label,
+      scheduledStart: day
+        .clone()
+        .add(schedule.startMinutes, "minutes")
+        .toDate(),
+      scheduledEnd: day.clone().add(schedule.endMinutes, "minutes").toDate(),
+      requiredMinutes: schedule.requiredMinutes,
+      isDayOff: KoreanHolidays.isDayOff(day, timezone),
+      lateMinutes: 0,
+      earlyLeaveMinutes: 0,
+      shortMinutes: 0
+    };
+
+    if (attendance.isDayOff) return attendance;
+
+    attendance.lateMinutes = Math.max(
+      0,
+      this.diffMinutes(attendance.scheduledStart, checkIn)
+    );
+
+    if (record.checkOutTime) {
+      attendance.earlyLeaveMinutes = Math.max(
+        0,
+        this.diffMinutes(record.checkOutTime, attendance.scheduledEnd)
+      );
+
+      if (schedule.type === "flexible") {
+        attendance.shortMinutes = Math.max(
+          0,
+          schedule.requiredMinutes - (record.workDuration || 0)
+        );
+      }
+    }
+
+    return attendance;
+  }
+
+  /**
+   * 두 구간이 겹치는 시간 (밀리초)
+   */
+  overlapMs(aStart, aEnd, bStart, bEnd) {
+    const from = Math.max(aStart.valueOf(), bStart.valueOf());
+    const to = Math.min(aEnd.valueOf(), bEnd.valueOf());
+    return Math.max(0, to - from);
+  }
+
+  /**
+   * 두 시각 사이의 분 (내림)
+   */
+  diffMinutes(from, to) {
+    return Math.floor((to.valueOf() - from.valueOf()) / 60000);
+  }
+
+  toHours(minutes) {
+    return Math.round(((minutes || 0) / 60) * 10) / 10;
+  }
+
+  /**
+   * 분 단위 통계 → 표시용 시간 단위 분류
+   */
+  formatBreakdownHours(stats) {
+    return {
+      grossHours: this.toHours(stats.grossMinutes),
+      breakHours: this.toHours(stats.breakMinutes),
+      regularHours: this.toHours(stats.regularMinutes),
+      overtimeHours: this.toHours(stats.overtimeMinutes),
+      nightHours: this.toHours(stats.nightMinutes),
+      holidayHours: this.toHours(stats.holidayMinutes)
+    };
+  }
+
+  // ===== 🗓️ 근무 형태 설정 =====
+
+  /**
+   * 근무 형태 변경
+   *
+   * 입력 형식:
+   * - fixed: "09:00-18:00"
+   * - flexible: "10:00-16:00 8" (코어타임 + 하루 기준 시간, 생략 시 8시간)
+   * - shift: "주간 06:00-14:00, 야간 22:00-06:00" (이번 주부터 순서대로 순환)
+   *
+   * @param {string} scheduleType - "fixed" | "flexible" | "shift"
+   * @param {string} inputText - 사용자 입력
+   */
+  async updateSchedule(userId, scheduleType, inputText) {
+    try {
+      const update = this.parseScheduleInput(scheduleType, inputText);
+
+      if (!update) {
+        return this.createErrorResponse(
+          new Error("INVALID_SCHEDULE"),
+          "입력 형식이 올바르지 않습니다. 안내된 예시처럼 입력해 주세요."
+        );
+      }
+
+      if (scheduleType === "shift") {
+        const { timezone } = await this.getUserSettings(userId);
+        update.worktimeShiftAnchorDate = moment
+          .tz(timezone)
+          .startOf("isoWeek")
+          .format("YYYY-MM-DD");
+      }
+
+      await this.models.UserSetting.updateOne(
+        { userId: userId.toString() },
+        { $set: { worktimeScheduleType: scheduleType, ...update } },
+        { upsert: true }
+      );
+
+      logger.info(`🗓️ 근무 형태 변경: ${userId} → ${scheduleType}`);
+
+      return this.createSuccessResponse(
+        await this.getUserSettings(userId),
+        "근무 형태가 변경되었습니다."
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, "근무 형태 변경 실패");
+    }
+  }
+
+  /**
+   * 근무 형태 입력 → UserSetting 업데이트 필드 (잘못된 입력이면 null)
+   */
+  parseScheduleInput(scheduleType, inputText) {
+    const text = String(inputText || "").trim();
+
+    if (scheduleType === "fixed") {
+      const range = this.parseTimeRange(text);
+      return range
+        ? { workStartTime: range.startTime, workEndTime: range.endTime }
+        : null;
+    }
+
+    if (scheduleType === "flexible") {
+      const [rangeText, hoursText] = text.split(/\s+/);
+      const range = this.parseTimeRange(rangeText);
+      const dailyHours = hoursText ? parseFloat(hoursText) : 8;
+
+      if (!range || !(dailyHours >= 1 && dailyHours <= 24)) return null;
+
+      return {
+        worktimeCoreStartTime: range.startTime,
+        worktimeCoreEndTime: range.endTime,
+        worktimeDailyHours: dailyHours
+      };
+    }
+
+    if (scheduleType === "shift") {
+      const shifts = text
+        .split(/[,\n]/)
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .map((item) => {
+          const match = /^(.{1,20}?)\s+(\S+)$/.exec(item);
+          const range = match && this.parseTimeRange(match[2]);
+          return range ? { name: match[1], ...range } : null;
+        });
+
+      if (shifts.length === 0 || shifts.length > 8 || shifts.includes(null)) {
+        return null;
+      }
+
+      return { worktimeShiftRotation: shifts };
+    }
+
+    return null;
+  }
+
+  /**
+   * "09:00-18:00" / "9:00~18:00" → { startTime, endTime } (HH:mm)
+   */
+  parseTimeRange(text) {
+    const match = /^(\d{1,2}):(\d{2})\s*[-~]\s*(\d{1,2}):(\d{2})$/.exec(
+      String(text || "").trim()
+    );
+    if (!match) return null;
+
+    const [startHour, startMinute, endHour, endMinute] = match
+      .slice(1)
+      .map((value) => parseInt(value));
+
+    if (
+      startHour > 23 ||
+      endHour > 23 ||
+      startMinute > 59 ||
+      endMinute > 59 ||
+      (startHour === endHour && startMinute === endMinute)
+    ) {
+      return null;
+    }
+
+    const pad = (value) => String(value).padStart(2, "0");
+    return {
+      startTime: `${pad(startHour)}:${pad(startMinute)}`,
+      endTime: `${pad(endHour)}:${pad(endMinute)}`
+    };
+  }
+
+  // ===== ☕ 휴식/점심 관리 =====
+
+  /**
+   * 휴식 시작 (점심은 breakType "lunch")
+   */
+  async startBreak(userId, breakType = "short") {
+    try {
+      const record = await this.findWorkingRecord(userId);
+
+      if (!record) {
+        return this.createErrorResponse(
+          new Error("NOT_WORKING"),
+          "출근 기록이 없습니다. 먼저 출근해주세요."
+        );
+      }
+
+      const openBreak = this.getOpenBreak(record);
+      if (openBreak) {
+        return this.createErrorResponse(
+          new Error("BREAK_IN_PROGRESS"),
+          openBreak.breakType === "lunch"
+            ? "이미 점심시간입니다. 먼저 점심을 종료해주세요."
+            : "이미 휴식 중입니다. 먼저 휴식을 종료해주세요."
+        );
+      }
+
+      record.breaks.push({ breakType, startTime: new Date() });
+      await record.save();
+
+      return this.createSuccessResponse(
+        { breakType, record: this.safeTransformRecord(record) },
+        breakType === "lunch" ? "점심시간 시작" : "휴식 시작"
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, "휴식 시작 실패");
+    }
+  }
+
+  /**
+   * 진행 중인 휴식 종료 (breakType을 주면 해당 종류만)
+   */
+  async endBreak(userId, breakType = null) {
+    try {
+      const record = await this.findWorkingRecord(userId);
+      const openBreak = record ? this.getOpenBreak(record) : null;
+
+      if (!openBreak || (breakType && openBreak.breakType !== breakType)) {
+        return this.createErrorResponse(
+          new Error("NO_BREAK_IN_PROGRESS"),
+          breakType === "lunch"
+            ? "진행 중인 점심시간이 없습니다."
+            : "진행 중인 휴식이 없습니다."
+        );
+      }
+
+      openBreak.endTime = new Date();
+      await record.save();
+
+      const breakDuration = this.diffMinutes(
+        openBreak.startTime,
+        openBreak.endTime
+      );
+
+      return this.createSuccessResponse(
+        {
+          breakType: openBreak.breakType,
+          breakDuration,
+          lunchDuration: openBreak.breakType === "lunch" ? breakDuration : 0,
+          totalBreakDuration: this.getBreakMinutes(record, openBreak.endTime),
+          record: this.safeTransformRecord(record)
+        },
+        "휴식 종료"
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, "휴식 종료 실패");
+    }
+  }
+
+  async startLunch(userId) {
+    return this.startBreak(userId, "lunch");
+  }
+
+  async endLunch(userId) {
+    return this.endBreak(userId, "lunch");
+  }
+
+  /**
+   * 현재 근무 중인 기록 (가장 최근 출근)
+   */
+  async findWorkingRecord(userId) {
+    return this.models.Worktime.findOne({
+      userId: userId,
+      status: "working",
+      checkOutTime: null,
+      isActive: true
+    }).sort({ checkInTime: -1 });
+  }
+
+  /**
+   * 종료하지 않은 휴식 구간
+   */
+  getOpenBreak(record) {
+    return (record.breaks || []).find((item) => !item.endTime) || null;
+  }
+
+  /**
+   * 휴식 합계 (분), 진행 중인 휴식은 until까지로 계산
+   */
+  getBreakMinutes(record, until = new Date()) {
+    const totalMs = (record.breaks || []).reduce((sum, item) => {
+      if (!item.startTime) return sum;
+      const endTime = item.endTime || until;
+      return sum + Math.max(0, endTime.valueOf() - item.startTime.valueOf());
+    }, 0);
+
+    return Math.floor(totalMs / 60000);
+  }
+
+  // ===== 🌙 퇴근 누락 처리 / ✏️ 기록 수정 =====
+
+  /**
+   * 퇴근 없이 오래된 근무 중 기록인지
+   */
+  isStaleRecord(record, now = new Date()) {
+    const staleMs = this.config.staleWorkingHours * 60 * 60 * 1000;
+    return now.valueOf() - record.checkInTime.valueOf() >= staleMs;
+  }
+
+  /**
+   * 퇴근 누락 기록 임시 마감 (근무 형태 기준 예정 퇴근 시각, 사용자가 나중에 수정)
+   */
+  async closeStaleRecord(record, now = new Date()) {
+    const settings = await this.getUserSettings(record.userId);
+    const checkIn = moment.tz(record.checkInTime, settings.timezone);
+    const scheduledEnd = this.getScheduledEnd(checkIn, settings);
+    const checkOutTime = moment
+      .min(moment.max(scheduledEnd, checkIn), moment.tz(now, settings.timezone))
+      .toDate();
+
+    // 종료하지 않은 휴식도 같은 시각으로 마감하고, 마감 이후 휴식은 잘라냄
+    this.clipBreaks(record, record.checkInTime, checkOutTime);
+
+    record.checkOutTime = checkOutTime;
+    record.status = "completed";
+    record.needsReview = true;
+    record.editHistory.push({
+      field: "checkOutTime",
+      before: null,
+      after: checkOutTime,
+      reason: "퇴근 미기록 자동 마감",
+      source: "auto"
+    });
+
+    this.recalculateRecord(record, settings);
+    await record.save();
+
+    logger.info(
+      `🌙 퇴근 누락 자동 마감: ${record.userId} (${record.date}) → ${moment.tz(checkOutTime, settings.timezone).format("MM-DD HH:mm")}`
+    );
+
+    return record;
+  }
+
+  /**
+   * 🌙 야간 점검: 퇴근 누락 기록을 찾아 임시 마감
+   * @returns {Promise<Array>} 마감한 기록 (알림용)
+   */
+  async sweepStaleRecords(now = new Date()) {
+    const staleBefore = new Date(
+      now.valueOf() - this.config.staleWorkingHours * 60 * 60 * 1000
+    );
+
+    const records = await this.models.Worktime.find({
+      status: "working",
+      checkOutTime: null,
+      isActive: true,
+      checkInTime: { $lte: staleBefore }
+    });
+
+    const closed = [];
+    for (const record of records) {
+      try {
+        await this.closeStaleRecord(record, now);
+        closed.push(this.safeTransformRecord(record));
+      } catch (error) {
+        logger.warn(
+          `퇴근 누락 마감 실패: ${record.userId} (${record.date}) - ${error.message}`
+        );
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * 최근 기록 목록 (수정 대상 선택용)
+   */
+  async getRecentRecords(userId, limit = 10) {
+    const records = await this.models.Worktime.find({
+      userId: userId,
+      isActive: true,
+      checkInTime: { $ne: null }
+    })
+      .sort({ checkInTime: -1 })
+      .limit(limit);
+
+    return records.map((record) => this.safeTransformRecord(record));
+  }
+
+  async getRecordById(userId, recordId) {
+    try {
+      const record = await this.models.Worktime.findOne({
+        _id: recordId,
+        userId: userId,
+        isActive: true
+      });
+
+      if (!record) {
+        return this.createErrorResponse(
+          new Error("RECORD_NOT_FOUND"),
+          "근무 기록을 찾을 수 없습니다."
+        );
+      }
+
+      return this.createSuccessResponse(this.safeTransformRecord(record));
+    } catch (error) {
+      return this.createErrorResponse(error, "근무 기록 조회 실패");
+    }
+  }
+
+  /**
+   * "HH:mm" 입력을 기록 날짜 기준 시각으로 변환
+   * 퇴근 시각이 출근 시각보다 이르면 다음날로 봄 (야간 근무)
+   * @returns {Date|null} 잘못된 형식이면 null
+   */
+  resolveEditTime(record, field, timeText, timezone) {
+    const match = /^(\d{1,2})[:시]\s*(\d{1,2})?분?$/.exec(
+      String(timeText || "").trim()
+    );
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2] || "0");
+    if (hours > 23 || minutes > 59) return null;
+
+    const resolved = moment
+      .tz(record.date, "YYYY-MM-DD", timezone)
+      .hour(hours)
+      .minute(minutes);
+
+    if (
+      field === "checkOutTime" &&
+      record.checkInTime &&
+      !resolved.isAfter(record.checkInTime)
+    ) {
+      resolved.add(1, "day");
+    }
+
+    return resolved.toDate();
+  }
+
+  /**
+   * ✏️ 출근/퇴근 시각 수정 (수정 이력 기록, 근무시간·분류 재계산)
+   * @param {string} field - "checkInTime" | "checkOutTime"
+   * @param {string} timeText - "HH:mm"
+   * @param {string} reason - 수정 사유 (선택)
+   */
+  async updateRecordTime(userId, recordId, field, timeText, reason = "") {
+    try {
+      if (!["checkInTime", "checkOutTime"].includes(field)) {
+        return this.createErrorResponse(
+          new Error("INVALID_FIELD"),
+          "수정할 수 없는 항목입니다."
+        );
+      }
+
+      const record = await this.models.Worktime.findOne({
+        _id: recordId,
+        userId: userId,
+        isActive: true
+      });
+
+      if (!record) {
+        return this.createErrorResponse(
+          new Error("RECORD_NOT_FOUND"),
+          "근무 기록을 찾을 수 없습니다."
+        );
+      }
+
+      const settings = await this.getUserSettings(userId);
+      const newTime = this.resolveEditTime(
+        record,
+        field,
+        timeText,
+        settings.timezone
+      );
+
+      if (!newTime) {
+        return this.createErrorResponse(
+          new Error("INVALID_TIME"),
+          "시간 형식이 올바르지 않습니다. 예: 18:30"
+        );
+      }
+
+      if (newTime > new Date()) {
+        return this.createErrorResponse(
+          new Error("FUTURE_TIME"),
+          "미래 시각으로는 수정할 수 없습니다."
+        );
+      }
+
+      const checkInTime =
+        field === "checkInTime" ? newTime : record.checkInTime;
+      const checkOutTime =
+        field === "checkOutTime" ? newTime : record.checkOutTime;
+
+      if (checkOutTime && checkOutTime <= checkInTime) {
+        return this.createErrorResponse(
+          new Error("INVALID_RANGE"),
+          "퇴근 시각은 출근 시각보다 늦어야 합니다."
+        );
+      }
+
+      record.editHistory.push({
+        field,
+        before: record[field],
+        after: newTime,
+        reason: String(reason || "").slice(0, 100),
+        source: "user"
+      });
+      record[field] = newTime;
+
+      if (field === "checkOutTime") {
+        record.status = "completed";
+        record.needsReview = false;
+      }
+
+      if (record.checkOutTime) {
+        this.clipBreaks(record, record.checkInTime, record.checkOutTime);
+        this.recalculateRecord(record, settings);
+      }
+
+      await record.save();
+
+      logger.info(
+        `✏️ 근무 기록 수정: ${userId} (${record.date}) ${field} → ${moment.tz(newTime, settings.timezone).format("HH:mm")}`
+      );
+
+      return this.createSuccessResponse(
+        this.safeTransformRecord(record),
+        "근무 기록이 수정되었습니다."
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, "근무 기록 수정 실패");
+    }
+  }
+
+  /**
+   * 자동 마감된 퇴근 시각을 그대로 확정
+   */
+  async confirmRecord(userId, recordId) {
+    try {
+      const record = await this.models.Worktime.findOneAndUpdate(
+        { _id: recordId, userId: userId, isActive: true },
+        { $set: { needsReview: false } },
+        { new: true }
+      );
+
+      if (!record) {
+        return this.createErrorResponse(
+          new Error("RECORD_NOT_FOUND"),
+          "근무 기록을 찾을 수 없습니다."
+        );
+      }
+
+      return this.createSuccessResponse(this.safeTransformRecord(record));
+    } catch (error) {
+      return this.createErrorResponse(error, "근무 기록 확정 실패");
+    }
+  }
+
+  /**
+   * 휴식 구간을 근무 구간 안으로 자르기 (열린 휴식은 종료 시각으로 마감)
+   */
+  clipBreaks(record, startTime, endTime) {
+    record.breaks = (record.breaks || [])
+      .filter((item) => item.startTime < endTime)
+      .map((item) => {
+        const itemEnd = item.endTime || endTime;
+        return {
+          breakType: item.breakType,
+          startTime: item.startTime < startTime ? startTime : item.startTime,
+          endTime: itemEnd > endTime ? endTime : itemEnd,
+          autoClosed: item.autoClosed || !item.endTime
+        };
+      })
+      .filter((item) => item.endTime > item.startTime);
+  }
+
+  // ===== 📤 급여용 내보내기 =====
+
+  /**
+   * 월별 근태 데이터 (CSV/JSON 공용)
+   * @param {string} month - "YYYY-MM" (생략 시 이번 달, 사용자 타임존)
+   * @returns {Promise<object|null>} 잘못된 월이면 null
+   */
+  async getMonthExport(userId, month = null) {
+    const settings = await this.getUserSettings(userId);
+    const monthStart = month
+      ? moment.tz(month, "YYYY-MM", true, settings.timezone)
+      : moment.tz(settings.timezone).startOf("month");
+
+    if (!monthStart.isValid()) {
+      return null;
+    }
+
+    const records = await this.models.Worktime.find({
+      userId: userId.toString(),
+      date: {
+        $gte: monthStart.format("YYYY-MM-DD"),
+        $lte: monthStart.clone().endOf("month").format("YYYY-MM-DD")
+      },
+      status: { $ne: "cancelled" },
+      isActive: true,
+      checkInTime: { $ne: null }
+    }).sort({ date: 1, checkInTime: 1 });
+
+    const formatTime = (time) =>
+      time ? moment.tz(time, settings.timezone).format("YYYY-MM-DD HH:mm") : "";
+
+    const rows = records.map((record) => {
+      const classification =
+        this.getRecordClassification(record, settings) || {};
+      return {
+        date: record.date,
+        checkIn: formatTime(record.checkInTime),
+        checkOut: formatTime(record.checkOutTime),
+        netMinutes: record.checkOutTime ? record.workDuration || 0 : 0,
+        overtimeMinutes: classification.overtimeMinutes || 0,
+        workType: record.checkOutTime ? record.workType || "normal" : "working"
+      };
+    });
+
+    return {
+      month: monthStart.format("YYYY-MM"),
+      timezone: settings.timezone,
+      rows,
+      totals: {
+        workDays: new Set(rows.map((row) => row.date)).size,
+        netMinutes: rows.reduce((sum, row) => sum + row.netMinutes, 0),
+        overtimeMinutes: rows.reduce((sum, row) => sum + row.overtimeMinutes, 0)
+      }
+    };
+  }
+
+  /**
+   * 월별 근태 CSV (엑셀에서 한글이 깨지지 않도록 BOM + CRLF)
+   */
+  buildExportCsv(exportData) {
+    const header = [
+      "날짜",
+      "출근",
+      "퇴근",
+      "실근무(분)",
+      "초과근무(분)",
+      "근무유형"
+    ];
+    const escape = (value) => {
+      const text = String(value ?? "");
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+      header,
+      ...exportData.rows.map((row) => [
+        row.date,
+        row.checkIn,
+        row.checkOut,
+        row.netMinutes,
+        row.overtimeMinutes,
+        this.config.workTypeLabels[row.workType] || row.workType
+      ])
+    ].map((columns) => columns.map(escape).join(","));
+
+    return `\uFEFF${lines.join("\r\n")}\r\n`;
+  }
+
+  /**
+   * 🔑 내보내기 API 토큰 발급 (기존 토큰은 폐기, 해시만 저장)
+   * @returns {Promise<string>} 새 토큰 (이때만 확인 가능)
+   */
+  async issueExportToken(userId) {
+    const token = crypto.randomBytes(24).toString("hex");
+
+    await this.models.UserSetting.updateOne(
+      { userId: userId.toString() },
+      { $set: { worktimeExportTokenHash: this.hashExportToken(token) } },
+      { upsert: true }
+    );
+
+    logger.info(`🔑 근무기록 내보내기 토큰 발급: ${userId}`);
+    return token;
+  }
+
+  /**
+   * 토큰 → 사용자 ID (없거나 틀리면 null)
+   */
+  async findUserIdByExportToken(token) {
+    if (!token || !this.models.UserSetting) return null;
+
+    const setting = await this.models.UserSetting.findOne({
+      worktimeExportTokenHash: this.hashExportToken(token)
+    }).lean();
+
+    return setting?.userId || null;
+  }
+
+  async hasExportToken(userId) {
+    const setting = await this.models.UserSetting.findOne({
+      userId: userId.toString()
+    }).lean();
+    return !!setting?.worktimeExportTokenHash;
+  }
+
+  hashExportToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  // ===== ⚖️ 주 52시간 관리 =====
+
+  /**
+   * 이번 주 52시간 준수 현황
+   */
+  async getWeeklyCompliance(userId, at = new Date()) {
+    const weekStats = await this.getWeekStats(userId, at);
+    return weekStats.compliance;
+  }
+
+  /**
+   * 주간 누적/예상 근무시간과 준수 단계 계산
+   *
+   * - 누적: 퇴근한 기록 + 근무 중인 기록의 현재까지
+   * - 예상: 근무 중이면 오늘 예정 퇴근 시각까지, 오늘 출근 전이면 근무 형태의 하루 근무시간만큼
+   *
+   * @param {Array} records - 이번 주 레코드 (safeTransformRecord 결과)
+   * @param {object} settings - 사용자 근무 설정
+   * @param {moment.Moment} now - 기준 시각 (사용자 타임존)
+   * @returns {object} 준수 현황
+   */
+  calculateCompliance(records, settings, now) {
+    const capMinutes = this.config.weeklyCapHours * 60;
+    const today = now.format("YYYY-MM-DD");
+
+    let completedMinutes = 0;
+    let ongoing = null;
+
+    records.forEach((record) => {
+      if (record.checkOutTime) {
+        completedMinutes += record.workDuration || 0;
+      } else if (record.status === "working") {
+        ongoing = record;
+      }
+    });
+
+    let currentMinutes = completedMinutes;
+    let projectedMinutes = completedMinutes;
+    let expectedCheckOut = null;
+    let latestSafeCheckOut = null;
+
+    if (ongoing) {
+      const checkIn = moment.tz(ongoing.checkInTime, settings.timezone);
+      // 지금까지 쉰 시간은 누적/예상 모두에서 제외
+      const breakMinutes = this.getBreakMinutes(ongoing, now.toDate());
+      const scheduledEnd = this.getScheduledEnd(
+        checkIn,
+        settings,
+        breakMinutes
+      );
+      const expected = moment.max(scheduledEnd, now);
+      const ongoingMinutes = Math.max(
+        0,
+        this.diffMinutes(checkIn, now) - breakMinutes
+      );
+
+      currentMinutes += ongoingMinutes;
+      projectedMinutes += Math.max(
+        0,
+        this.diffMinutes(checkIn, expected) - breakMinutes
+      );
+      expectedCheckOut = expected.toDate();
+
+      if (currentMinutes < capMinutes) {
+        latestSafeCheckOut = now
+          .clone()
+          .add(capMinutes - currentMinutes, "minutes")
+          .toDate();
+      }
+    } else if (
+      !records.some((record) => record.date === today) &&
+      !KoreanHolidays.isDayOff(now, settings.timezone)
+    ) {
+      projectedMinutes += this.resolveDaySchedule(
+        settings,
+        now
+      ).requiredMinutes;
+    }
+
+    let level = "ok";
+    if (currentMinutes > capMinutes) {
+      level = "over";
+    } else if (projectedMinutes > capMinutes) {
+      level = "risk";
+    } else if (
+      this.config.weeklyAlertThresholds.some(
+        (hours) => currentMinutes >= hours * 60
+      )
+    ) {
+      level = "caution";
+    }
+
+    return {
+      weekStart: now.clone().startOf("isoWeek").format("YYYY-MM-DD"),
+      timezone: settings.timezone,
+      capHours: this.config.weeklyCapHours,
+      thresholds: this.config.weeklyAlertThresholds,
+      currentMinutes,
+      projectedMinutes,
+      currentHours: this.toHours(currentMinutes),
+      projectedHours: this.toHours(projectedMinutes),
+      remainingMinutes: Math.max(0, capMinutes - currentMinutes),
+      isWorking: !!ongoing,
+      expectedCheckOut,
+      latestSafeCheckOut,
+      level
+    };
+  }
+
+  /**
+   * 아직 보내지 않은 경고를 골라 발송 완료로 기록
+   *
+   * 경고 키: 넘은 단계("40", "48", "52"), 예상 초과("projected")
+   * 주가 바뀌면 기록을 초기화하고, 주마다 각 경고는 한 번만 보냄
+   *
+   * @returns {Promise<string[]>} 새로 보낼 경고 키
+   */
+  async claimComplianceAlerts(userId, compliance) {
+    const dueKeys = compliance.thresholds
+      .filter((hours) => compliance.currentMinutes >= hours * 60)
+      .map(String);
+
+    if (compliance.level === "risk") {
+      dueKeys.push("projected");
+    }
+
+    if (dueKeys.length === 0 || !this.models.UserSetting) {
+      return [];
+    }
+
+    try {
+      const setting = await this.models.UserSetting.findOne({
+        userId: userId.toString()
+      }).lean();
+
+      const sent =
+        setting?.worktimeAlertWeek === compliance.weekStart
+          ? setting.worktimeAlertsSent || []
+          : [];
+      const newKeys = dueKeys.filter((key) => !sent.includes(key));
+
+      if (newKeys.length > 0) {
+        await this.models.UserSetting.updateOne(
+          { userId: userId.toString() },
+          {
+            $set: {
+              worktimeAlertWeek: compliance.weekStart,
+              worktimeAlertsSent: [...sent, ...newKeys]
+            }
+          },
+          { upsert: true }
+        );
+      }
+
+      return newKeys;
+    } catch (error) {
+      logger.warn("52시간 경고 기록 실패:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 현재 근무 중인 사용자 ID 목록 (경고 스케줄러용)
+   */
+  async getWorkingUserIds() {
+    return this.models.Worktime.distinct("userId", {
+      status: "working",
+      checkOutTime: null,
+      isActive: true
+    });
   }
 
   /**
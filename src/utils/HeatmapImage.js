@@ -0,0 +1,277 @@
+// src/utils/HeatmapImage.js - 요일 x 시간대 히트맵 PNG 생성 (외부 차트 서비스 없이)
+const zlib = require("zlib");
+
+const LAYOUT = {
+  cell: 20,
+  gap: 3,
+  fontScale: 2,
+  left: 50, // 요일 라벨
+  top: 30, // 시간 라벨
+  right: 12,
+  bottom: 46 // 범례
+};
+
+const COLORS = {
+  background: [255, 255, 255],
+  text: [68, 68, 68],
+  highlight: [34, 34, 34],
+  // 0(기록 없음) ~ 4(가장 많음) - 토마토 계열
+  levels: [
+    [235, 237, 240],
+    [255, 216, 204],
+    [255, 169, 143],
+    [255, 117, 82],
+    [214, 55, 30]
+  ]
+};
+
+const WEEKDAY_LABELS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+
+// 5x7 비트맵 글꼴 (라벨에 쓰는 글자만)
+const GLYPHS = {
+  0: [" ### ", "#   #", "#  ##", "# # #", "##  #", "#   #", " ### "],
+  1: ["  #  ", " ##  ", "  #  ", "  #  ", "  #  ", "  #  ", " ### "],
+  2: [" ### ", "#   #", "    #", "   # ", "  #  ", " #   ", "#####"],
+  3: ["#####", "   # ", "  #  ", "   # ", "    #", "#   #", " ### "],
+  4: ["   # ", "  ## ", " # # ", "#  # ", "#####", "   # ", "   # "],
+  5: ["#####", "#    ", "#### ", "    #", "    #", "#   #", " ### "],
+  6: ["  ## ", " #   ", "#    ", "#### ", "#   #", "#   #", " ### "],
+  7: ["#####", "    #", "   # ", "  #  ", " #   ", " #   ", " #   "],
+  8: [" ### ", "#   #", "#   #", " ### ", "#   #", "#   #", " ### "],
+  9: [" ### ", "#   #", "#   #", " ####", "    #", "   # ", " ##  "],
+  A: [" ### ", "#   #", "#   #", "#####", "#   #", "#   #", "#   #"],
+  D: ["#### ", "#   #", "#   #", "#   #", "#   #", "#   #", "#### "],
+  E: ["#####", "#    ", "#    ", "#### ", "#    ", "#    ", "#####"],
+  F: ["#####", "#    ", "#    ", "#### ", "#    ", "#    ", "#    "],
+  G: [" ### ", "#   #", "#    ", "# ###", "#   #", "#   #", " ####"],
+  H: ["#   #", "#   #", "#   #", "#####", "#   #", "#   #", "#   #"],
+  I: [" ### ", "  #  ", "  #  ", "  #  ", "  #  ", "  #  ", " ### "],
+  L: ["#    ", "#    ", "#    ", "#    ", "#    ", "#    ", "#####"],
+  M: ["#   #", "## ##", "# # #", "# # #", "#   #", "#   #", "#   #"],
+  N: ["#   #", "##  #", "# # #", "#  ##", "#   #", "#   #", "#   #"],
+  O: [" ### ", "#   #", "#   #", "#   #", "#   #", "#   #", " ### "],
+  R: ["#### ", "#   #", "#   #", "#### ", "# #  ", "#  # ", "#   #"],
+  S: [" ####", "#    ", "#    ", " ### ", "    #", "    #", "#### "],
+  T: ["#####", "  #  ", "  #  ", "  #  ", "  #  ", "  #  ", "  #  "],
+  U: ["#   #", "#   #", "#   #", "#   #", "#   #", "#   #", " ### "],
+  W: ["#   #", "#   #", "#   #", "# # #", "# # #", "## ##", "#   #"]
+};
+
+// PNG 청크 CRC32
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 🖼️ 간단한 RGB 캔버스 (사각형 / 비트맵 글자만)
+ */
+class Canvas {
+  constructor(width, height, background) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  fillRect(x, y, width, height, color) {
+    const x0 = Math.max(0, x);
+    const y0 = Math.max(0, y);
+    const x1 = Math.min(this.width, x + width);
+    const y1 = Math.min(this.height, y + height);
+
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const offset = (py * this.width + px) * 3;
+        this.pixels[offset] = color[0];
+        this.pixels[offset + 1] = color[1];
+        this.pixels[offset + 2] = color[2];
+      }
+    }
+  }
+
+  strokeRect(x, y, width, height, color, thickness = 2) {
+    this.fillRect(x, y, width, thickness, color);
+    this.fillRect(x, y + height - thickness, width, thickness, color);
+    this.fillRect(x, y, thickness, height, color);
+    this.fillRect(x + width - thickness, y, thickness, height, color);
+  }
+
+  drawText(text, x, y, color, scale = 1) {
+    let cursor = x;
+    for (const char of String(text)) {
+      const glyph = GLYPHS[char];
+      if (glyph) {
+        glyph.forEach((row, gy) => {
+          [...row].forEach((pixel, gx) => {
+            if (pixel === "#") {
+              this.fillRect(
+                cursor + gx * scale,
+                y + gy * scale,
+                scale,
+                scale,
+                color
+              );
+            }
+          });
+        });
+      }
+      cursor += 6 * scale;
+    }
+  }
+
+  toPng() {
+    const rowLength = this.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * this.height);
+
+    // 각 줄 앞에 필터 0(None)
+    for (let y = 0; y < this.height; y++) {
+      this.pixels.copy(
+        raw,
+        y * (rowLength + 1) + 1,
+        y * rowLength,
+        (y + 1) * rowLength
+      );
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // 비트 깊이
+    header[9] = 2; // RGB
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk("IHDR", header),
+      pngChunk("IDAT", zlib.deflateSync(raw)),
+      pngChunk("IEND", Buffer.alloc(0))
+    ]);
+  }
+}
+
+/**
+ * 🗺️ HeatmapImage - 요일(월~일) x 시간대(0~23시) 히트맵 PNG
+ *
+ * - 칸 색은 가장 많은 칸 대비 4단계 (기록 없으면 회색)
+ * - highlights로 넘긴 칸은 진한 테두리로 표시
+ */
+class HeatmapImage {
+  /**
+   * @param {number[][]} grid - 7 x 24 (행: 월~일, 열: 0~23시)
+   * @param {{highlights?: {row: number, col: number}[]}} options
+   * @returns {Buffer} PNG
+   */
+  static render(grid, options = {}) {
+    const { cell, gap, fontScale, left, top, right, bottom } = LAYOUT;
+    const step = cell + gap;
+    const gridWidth = 24 * step - gap;
+    const gridHeight = 7 * step - gap;
+    const canvas = new Canvas(
+      left + gridWidth + right,
+      top + gridHeight + bottom,
+      COLORS.background
+    );
+
+    const max = Math.max(0, ...grid.flat());
+    const glyphHeight = 7 * fontScale;
+    const textWidth = (text) => String(text).length * 6 * fontScale - fontScale;
+
+    // 시간 라벨 (3시간마다)
+    for (let hour = 0; hour < 24; hour += 3) {
+      canvas.drawText(
+        hour,
+        left + hour * step + Math.round((cell - textWidth(hour)) / 2),
+        top - glyphHeight - 8,
+        COLORS.text,
+        fontScale
+      );
+    }
+
+    // 요일 라벨 + 칸
+    grid.forEach((row, rowIndex) => {
+      const y = top + rowIndex * step;
+      canvas.drawText(
+        WEEKDAY_LABELS[rowIndex],
+        8,
+        y + Math.round((cell - glyphHeight) / 2),
+        COLORS.text,
+        fontScale
+      );
+
+      row.forEach((value, col) => {
+        canvas.fillRect(
+          left + col * step,
+          y,
+          cell,
+          cell,
+          COLORS.levels[this.getLevel(value, max)]
+        );
+      });
+    });
+
+    (options.highlights || []).forEach(({ row, col }) => {
+      canvas.strokeRect(
+        left + col * step,
+        top + row * step,
+        cell,
+        cell,
+        COLORS.highlight
+      );
+    });
+
+    // 범례: LOW ■■■■■ HIGH
+    const legendY = top + gridHeight + 18;
+    canvas.drawText("LOW", left, legendY + 3, COLORS.text, fontScale);
+    const legendX = left + textWidth("LOW") + 10;
+    COLORS.levels.forEach((color, index) => {
+      canvas.fillRect(legendX + index * step, legendY, cell, cell, color);
+    });
+    canvas.drawText(
+      "HIGH",
+      legendX + COLORS.levels.length * step + 7,
+      legendY + 3,
+      COLORS.text,
+      fontScale
+    );
+
+    return canvas.toPng();
+  }
+
+  /**
+   * 색 단계 (0: 기록 없음, 1~4: 최대값 대비)
+   */
+  static getLevel(value, max) {
+    if (!value || max <= 0) return 0;
+    return Math.max(1, Math.ceil((value / max) * 4));
+  }
+}
+
+HeatmapImage.WEEKDAY_LABELS = WEEKDAY_LABELS;
+
+module.exports = HeatmapImage;
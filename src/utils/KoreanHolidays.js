@@ -0,0 +1,142 @@
+// src/utils/KoreanHolidays.js - 한국 공휴일 판별
+const moment = require("moment-timezone");
+
+const DEFAULT_TIMEZONE = "Asia/Seoul";
+
+// 매년 같은 날짜의 공휴일 (MM-DD)
+const FIXED_HOLIDAYS = {
+  "01-01": "신정",
+  "03-01": "삼일절",
+  "05-05": "어린이날",
+  "06-06": "현충일",
+  "08-15": "광복절",
+  "10-03": "개천절",
+  "10-09": "한글날",
+  "12-25": "성탄절"
+};
+
+// 음력 공휴일, 대체공휴일, 임시공휴일 (연도별로 관보 확정 후 추가)
+const YEARLY_HOLIDAYS = {
+  2024: {
+    "02-09": "설날 연휴",
+    "02-10": "설날",
+    "02-11": "설날 연휴",
+    "02-12": "대체공휴일(설날)",
+    "04-10": "국회의원선거일",
+    "05-06": "대체공휴일(어린이날)",
+    "05-15": "부처님오신날",
+    "09-16": "추석 연휴",
+    "09-17": "추석",
+    "09-18": "추석 연휴",
+    "10-01": "임시공휴일(국군의날)"
+  },
+  2025: {
+    "01-27": "임시공휴일",
+    "01-28": "설날 연휴",
+    "01-29": "설날",
+    "01-30": "설날 연휴",
+    "03-03": "대체공휴일(삼일절)",
+    "05-06": "대체공휴일(부처님오신날)",
+    "06-03": "대통령선거일",
+    "10-05": "추석 연휴",
+    "10-06": "추석",
+    "10-07": "추석 연휴",
+    "10-08": "대체공휴일(추석)"
+  },
+  2026: {
+    "02-16": "설날 연휴",
+    "02-17": "설날",
+    "02-18": "설날 연휴",
+    "03-02": "대체공휴일(삼일절)",
+    "05-24": "부처님오신날",
+    "05-25": "대체공휴일(부처님오신날)",
+    "06-03": "지방선거일",
+    "08-17": "대체공휴일(광복절)",
+    "09-24": "추석 연휴",
+    "09-25": "추석",
+    "09-26": "추석 연휴",
+    "10-05": "대체공휴일(개천절)"
+  },
+  2027: {
+    "02-06": "설날 연휴",
+    "02-07": "설날",
+    "02-08": "설날 연휴",
+    "02-09": "대체공휴일(설날)",
+    "05-13": "부처님오신날",
+    "08-16": "대체공휴일(광복절)",
+    "09-14": "추석 연휴",
+    "09-15": "추석",
+    "09-16": "추석 연휴",
+    "10-04": "대체공휴일(개천절)",
+    "10-11": "대체공휴일(한글날)",
+    "12-27": "대체공휴일(성탄절)"
+  }
+};
+
+/**
+ * 🇰🇷 KoreanHolidays - 주말/공휴일 판별
+ *
+ * - 양력 고정 공휴일은 매년 자동 적용
+ * - 설날/추석/부처님오신날과 대체·임시공휴일은 YEARLY_HOLIDAYS에 연도별로 등록
+ */
+class KoreanHolidays {
+  /**
+   * 공휴일 이름 조회 (주말은 포함하지 않음)
+   * @param {Date|string|moment.Moment} date - 날짜 (문자열은 YYYY-MM-DD)
+   * @returns {string|null} 공휴일 이름 또는 null
+   */
+  static getHolidayName(date, timezone = DEFAULT_TIMEZONE) {
+    const local = this.toLocal(date, timezone);
+    const monthDay = local.format("MM-DD");
+
+    return (
+      YEARLY_HOLIDAYS[local.year()]?.[monthDay] ||
+      FIXED_HOLIDAYS[monthDay] ||
+      null
+    );
+  }
+
+  /**
+   * 공휴일 여부
+   */
+  static isHoliday(date, timezone = DEFAULT_TIMEZONE) {
+    return this.getHolidayName(date, timezone) !== null;
+  }
+
+  /**
+   * 주말 여부 (토/일)
+   */
+  static isWeekend(date, timezone = DEFAULT_TIMEZONE) {
+    const day = this.toLocal(date, timezone).day();
+    return day === 0 || day === 6;
+  }
+
+  /**
+   * 쉬는 날 여부 (주말 또는 공휴일)
+   */
+  static isDayOff(date, timezone = DEFAULT_TIMEZONE) {
+    return this.isWeekend(date, timezone) || this.isHoliday(date, timezone);
+  }
+
+  /**
+   * 쉬는 날 설명 ("토요일", "추석" 등), 평일이면 null
+   */
+  static describeDayOff(date, timezone = DEFAULT_TIMEZONE) {
+    const holidayName = this.getHolidayName(date, timezone);
+    if (holidayName) return holidayName;
+
+    const day = this.toLocal(date, timezone).day();
+    if (day === 0) return "일요일";
+    if (day === 6) return "토요일";
+    return null;
+  }
+
+  static toLocal(date, timezone) {
+    if (typeof date === "string") {
+      return moment.tz(date, "YYYY-MM-DD", timezone);
+    }
+    return moment.tz(date, timezone);
+  }
+}
+
+module.exports = KoreanHolidays;
@@ -0,0 +1,357 @@
+// src/utils/KoreanTimeParser.js - 한국어 시간 표현 파서
+const moment = require("moment-timezone");
+
+const DEFAULT_TIMEZONE = "Asia/Seoul";
+const DEFAULT_HOUR = 9; // 날짜만 있을 때 기본 알림 시각
+
+const WEEKDAYS = { 일: 0, 월: 1, 화: 2, 수: 3, 목: 4, 금: 5, 토: 6 };
+const WEEKDAY_NAMES = ["일", "월", "화", "수", "목", "금", "토"];
+const DAY_OFFSETS = { 오늘: 0, 내일: 1, 낼: 1, 모레: 2, 글피: 3 };
+const PM_WORDS = ["오후", "저녁", "밤"];
+const NIGHT_WORDS = ["저녁", "밤"]; // 12시가 자정인 표현
+const AM_WORDS = ["오전", "아침", "새벽"];
+
+// 리마인더 요청으로 볼 문구
+const REMINDER_TRIGGER =
+  /(알려\s*줘|알려\s*주세요|알려\s*줄래|알려\s*달라|리마인드|리마인더|알림\s*(?:해|설정|등록)?\s*(?:줘|주세요)?|깨워\s*(?:줘|주세요))/g;
+
+// 매칭 뒤에 붙는 조사
+const PARTICLE = "(?:에|까지|쯤|부터|마다)?";
+
+const PATTERNS = {
+  relative: new RegExp(
+    `(?:(\\d+)\\s*일\\s*)?(?:(\\d+)\\s*시간\\s*(반)?\\s*)?(?:(\\d+)\\s*분\\s*)?(?:뒤|후|있다가)${PARTICLE}`
+  ),
+  daily: /매일/,
+  weekly: /매주\s*(?:([월화수목금토일])요일)?/,
+  monthly: /매(?:달|월)\s*(\d{1,2})\s*일/,
+  yearly: /매년\s*(\d{1,2})\s*월\s*(\d{1,2})\s*일/,
+  dayWord: new RegExp(`(오늘|내일|낼|모레|글피)${PARTICLE}`),
+  weekday: new RegExp(
+    `(이번\\s*주|다음\\s*주|담주)?\\s*([월화수목금토일])요일${PARTICLE}`
+  ),
+  monthDay: new RegExp(
+    `(이번\\s*달|다음\\s*달|담달)\\s*(\\d{1,2})\\s*일${PARTICLE}`
+  ),
+  fullDate: new RegExp(`(\\d{1,2})\\s*월\\s*(\\d{1,2})\\s*일${PARTICLE}`),
+  day: new RegExp(`(\\d{1,2})\\s*일(?:날)?${PARTICLE}`),
+  clock: new RegExp(
+    `(오전|오후|아침|저녁|밤|새벽|낮)?\\s*(\\d{1,2})\\s*시(?!간)\\s*(?:(\\d{1,2})\\s*분|(반))?${PARTICLE}`
+  ),
+  colon: new RegExp(
+    `(오전|오후|아침|저녁|밤|새벽|낮)?\\s*(\\d{1,2}):(\\d{2})${PARTICLE}`
+  )
+};
+
+/**
+ * 🕐 KoreanTimeParser - 한국어 시간 표현을 리마인더 시각으로 변환
+ *
+ * 지원 표현:
+ * - 상대 시간: "30분 뒤", "2시간 반 후", "3일 뒤"
+ * - 날짜: "오늘/내일/모레", "금요일", "다음주 월요일", "다음달 1일", "12월 25일"
+ * - 시각: "오후 3시", "9시 30분", "7시 반", "14:30"
+ * - 반복: "매일", "매주 월요일", "매달 1일", "매년 3월 1일"
+ * - 조합: "5일 후 3시" (5일 뒤 15시), "오늘 10시" (오전이 지났으면 오후 10시)
+ * - 자정: "밤 12시" (다음날 0시)
+ *
+ * 모든 계산은 사용자 타임존 기준으로 수행됩니다.
+ */
+class KoreanTimeParser {
+  /**
+   * 🔍 리마인더 요청 문구 포함 여부
+   */
+  static hasReminderIntent(text) {
+    if (!text || typeof text !== "string") return false;
+    return new RegExp(REMINDER_TRIGGER.source).test(text);
+  }
+
+  /**
+   * 🧩 시간 표현 파싱
+   * @param {string} text - 사용자 입력
+   * @param {Object} options - { timezone, now }
+   * @returns {Object|null} 시간 표현이 없으면 null
+   */
+  static parse(text, options = {}) {
+    if (!text || typeof text !== "string") return null;
+
+    const timezone = moment.tz.zone(options.timezone || "")
+      ? options.timezone
+      : DEFAULT_TIMEZONE;
+    const now = moment.tz(options.now || new Date(), timezone);
+
+    let rest = text;
+    const take = (regex) => {
+      const match = rest.match(regex);
+      if (match) {
+        rest = rest.replace(match[0], " ");
+      }
+      return match;
+    };
+
+    // 1. 상대 시간 ("30분 뒤")
+    let base = null;
+    let recurringPattern = null;
+    let match;
+
+    const relative = rest.match(PATTERNS.relative);
+    if (relative && (relative[1] || relative[2] || relative[4])) {
+      take(PATTERNS.relative);
+
+      const daysOnly = !relative[2] && !relative[4];
+      if (
+        daysOnly &&
+        (PATTERNS.clock.test(rest) || PATTERNS.colon.test(rest))
+      ) {
+        // "3일 뒤 3시": 날짜만 정하고 시각은 아래에서 처리
+        base = now.clone().startOf("day").add(parseInt(relative[1]), "days");
+      } else {
+        const target = now
+          .clone()
+          .add(parseInt(relative[1] || 0), "days")
+          .add(parseInt(relative[2] || 0), "hours")
+          .add(relative[3] ? 30 : 0, "minutes")
+          .add(parseInt(relative[4] || 0), "minutes")
+          .seconds(0)
+          .milliseconds(0);
+
+        return this.buildResult(text, rest, target, timezone, {
+          kind: "relative",
+          hasTime: true
+        });
+      }
+    }
+
+    // 2. 반복 / 날짜
+    if (base) {
+      // 상대 날짜("3일 뒤")로 이미 정해짐
+    } else if ((match = take(PATTERNS.yearly))) {
+      recurringPattern = "yearly";
+      base = this.clampDate(now.clone(), parseInt(match[1]) - 1, match[2]);
+    } else if ((match = take(PATTERNS.monthly))) {
+      recurringPattern = "monthly";
+      base = this.clampDate(now.clone(), now.month(), match[1]);
+    } else if ((match = take(PATTERNS.weekly))) {
+      recurringPattern = "weekly";
+      base = match[1]
+        ? this.nextWeekday(now, WEEKDAYS[match[1]])
+        : now.clone().startOf("day");
+    } else if ((match = take(PATTERNS.daily))) {
+      recurringPattern = "daily";
+      base = now.clone().startOf("day");
+    } else if ((match = take(PATTERNS.dayWord))) {
+      base = now.clone().startOf("day").add(DAY_OFFSETS[match[1]], "days");
+    } else if ((match = take(PATTERNS.monthDay))) {
+      const month = now.clone().add(/다음|담/.test(match[1]) ? 1 : 0, "month");
+      base = this.clampDate(month, month.month(), match[2]);
+    } else if ((match = take(PATTERNS.weekday))) {
+      const weekday = WEEKDAYS[match[2]];
+      if (match[1]) {
+        // "다음주/이번주 X요일"은 월요일 시작 주 기준
+        const week = now.clone().add(/다음|담/.test(match[1]) ? 1 : 0, "week");
+        base = week.isoWeekday(weekday === 0 ? 7 : weekday).startOf("day");
+      } else {
+        base = this.nextWeekday(now, weekday);
+      }
+    } else if ((match = take(PATTERNS.fullDate))) {
+      base = this.clampDate(now.clone(), parseInt(match[1]) - 1, match[2]);
+      if (base.isBefore(now, "day")) {
+        base = this.clampDate(base.add(1, "year"), base.month(), match[2]);
+      }
+    } else if ((match = take(PATTERNS.day))) {
+      base = this.clampDate(now.clone(), now.month(), match[1]);
+      if (base.isBefore(now, "day")) {
+        const nextMonth = now.clone().add(1, "month");
+        base = this.clampDate(nextMonth, nextMonth.month(), match[1]);
+      }
+    }
+
+    // 3. 시각
+    const clock = take(PATTERNS.clock) || take(PATTERNS.colon);
+    if (!base && !clock) {
+      return null;
+    }
+
+    const hasDate = !!base;
+    const hasMeridiem = !!clock?.[1];
+    let hour = clock ? parseInt(clock[2]) : DEFAULT_HOUR;
+    const minute = clock
+      ? clock[4] === "반"
+        ? 30
+        : parseInt(clock[3] || 0)
+      : 0;
+
+    if (hour > 23 || minute > 59) {
+      return null;
+    }
+
+    if (clock) {
+      hour = this.applyMeridiem(hour, clock[1]);
+    }
+
+    let target = (base || now.clone().startOf("day"))
+      .clone()
+      .hours(hour)
+      .minutes(minute)
+      .seconds(0)
+      .milliseconds(0);
+
+    if (!target.isAfter(now)) {
+      // "9시"/"오늘 9시" (오전/오후 없이 시각을 말한 경우): 오전이 지났으면 오후로
+      const afternoon = target.clone().add(12, "hours");
+      const useAfternoon =
+        clock &&
+        (!hasDate || base.isSame(now, "day")) &&
+        !hasMeridiem &&
+        hour < 12 &&
+        afternoon.isAfter(now);
+
+      if (recurringPattern) {
+        target = this.advanceRecurrence(target, recurringPattern);
+      } else if (useAfternoon) {
+        target = afternoon;
+      } else if (!hasDate) {
+        target = target.add(1, "day");
+      } else {
+        return {
+          ...this.buildResult(text, rest, target, timezone, {
+            kind: "date",
+            hasTime: !!clock
+          }),
+          isPast: true
+        };
+      }
+    }
+
+    return this.buildResult(text, rest, target, timezone, {
+      kind: recurringPattern ? "recurring" : "date",
+      recurringPattern,
+      hasTime: !!clock
+    });
+  }
+
+  /**
+   * 🌓 오전/오후 보정
+   * - 오전/오후 없이 1~6시는 오후로 간주 ("내일 3시" = 15시)
+   * - "밤 12시"는 그날 자정이므로 24 (다음날 0시로 넘어감)
+   */
+  static applyMeridiem(hour, meridiem) {
+    if (NIGHT_WORDS.includes(meridiem) && hour === 12) {
+      return 24;
+    }
+    if (PM_WORDS.includes(meridiem)) {
+      return hour < 12 ? hour + 12 : hour;
+    }
+    if (AM_WORDS.includes(meridiem)) {
+      return hour === 12 ? 0 : hour;
+    }
+    if (meridiem === "낮" || !meridiem) {
+      return hour >= 1 && hour <= 6 ? hour + 12 : hour;
+    }
+    return hour;
+  }
+
+  /**
+   * 📅 다음 X요일 (오늘 포함)
+   */
+  static nextWeekday(now, weekday) {
+    const diff = (weekday - now.day() + 7) % 7;
+    return now.clone().startOf("day").add(diff, "days");
+  }
+
+  /**
+   * 📅 월말을 넘지 않도록 날짜 설정 (예: 2월 31일 → 2월 28일)
+   */
+  static clampDate(date, month, day) {
+    const target = date.clone().startOf("day").date(1).month(month);
+    return target.date(Math.min(parseInt(day), target.daysInMonth()));
+  }
+
+  /**
+   * 🔄 반복 주기만큼 다음 회차로 이동
+   */
+  static advanceRecurrence(target, pattern) {
+    const units = {
+      daily: "day",
+      weekly: "week",
+      monthly: "month",
+      yearly: "year"
+    };
+    return target.clone().add(1, units[pattern]);
+  }
+
+  /**
+   * 📦 결과 객체 생성
+   */
+  static buildResult(originalText, rest, target, timezone, info) {
+    return {
+      text: this.extractMessage(rest),
+      reminderTime: target.toDate(),
+      timezone,
+      isRecurring: !!info.recurringPattern,
+      recurringPattern: info.recurringPattern || null,
+      isPast: false,
+      info: {
+        kind: info.kind,
+        // 시각을 직접 말했는지 여부 (아니면 기본 시각 사용)
+        hasTime: !!info.hasTime,
+        originalText,
+        localTime: target.format("YYYY-MM-DD HH:mm")
+      }
+    };
+  }
+
+  /**
+   * ✂️ 시간 표현과 요청 문구를 제외한 리마인더 내용 추출
+   */
+  static extractMessage(rest) {
+    const message = rest
+      .replace(REMINDER_TRIGGER, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .replace(/^(?:에|에는|쯤)\s+/, "")
+      .replace(/\s*(?:하라고|이라고|좀)$/, "")
+      .trim();
+
+    return message || "리마인더";
+  }
+
+  /**
+   * 🏷️ 리마인더 시각 표시 (예: "10월 20일 (화) 오후 3:00")
+   */
+  static formatReminderTime(date, timezone = DEFAULT_TIMEZONE) {
+    const time = moment.tz(
+      date,
+      moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE
+    );
+    const hour = time.hours();
+    const meridiem = hour < 12 ? "오전" : "오후";
+    const hour12 = hour % 12 === 0 ? 12 : hour % 12;
+
+    return `${time.month() + 1}월 ${time.date()}일 (${WEEKDAY_NAMES[time.day()]}) ${meridiem} ${hour12}:${time.format("mm")}`;
+  }
+
+  /**
+   * 🔄 반복 주기 표시
+   */
+  static formatRecurrence(reminderTime, pattern, timezone = DEFAULT_TIMEZONE) {
+    const time = moment.tz(
+      reminderTime,
+      moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE
+    );
+
+    switch (pattern) {
+      case "daily":
+        return "매일";
+      case "weekly":
+        return `매주 ${WEEKDAY_NAMES[time.day()]}요일`;
+      case "monthly":
+        return `매달 ${time.date()}일`;
+      case "yearly":
+        return `매년 ${time.month() + 1}월 ${time.date()}일`;
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = KoreanTimeParser;
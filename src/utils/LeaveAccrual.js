@@ -0,0 +1,200 @@
+// src/utils/LeaveAccrual.js - 근로기준법 연차 발생 계산
+const moment = require("moment-timezone");
+
+const DEFAULT_TIMEZONE = "Asia/Seoul";
+
+// 근로기준법 제60조
+const ACCRUAL_RULES = {
+  monthlyDays: 1, // 1년 미만: 1개월 개근 시 1일
+  maxMonthlyGrants: 11,
+  baseDays: 15, // 1년 이상: 15일
+  bonusEveryYears: 2, // 3년 이상: 최초 1년을 넘는 2년마다 1일 가산
+  maxDays: 25
+};
+
+const ACCRUAL_MODES = {
+  FISCAL: "fiscal", // 회계연도 (1월 1일 일괄 부여)
+  HIRE_DATE: "hire_date" // 입사일 (입사 기념일마다 부여)
+};
+
+/**
+ * 📐 LeaveAccrual - 입사일 기준 연차 발생 계산
+ *
+ * - 입사 1년 미만: 매월 입사일에 1일씩 (최대 11일, 입사 1년 후 소멸)
+ * - 입사일 기준: 입사 기념일마다 15일 + 2년마다 1일 (최대 25일)
+ * - 회계연도 기준: 입사 다음 해 1월 1일에 근무 일수 비례 부여,
+ *   이후 매년 1월 1일 부여 (입사 연도를 1년차로 보고 근속 계산)
+ * - 입사일이 없으면 매년 1월 1일 15일
+ */
+class LeaveAccrual {
+  /**
+   * 근속 연수(만)별 연차 일수 (1년 미만은 월 단위 발생이라 0)
+   */
+  static getAnnualDays(serviceYears) {
+    if (serviceYears < 1) return 0;
+
+    const bonus = Math.floor(
+      (serviceYears - 1) / ACCRUAL_RULES.bonusEveryYears
+    );
+    return Math.min(ACCRUAL_RULES.baseDays + bonus, ACCRUAL_RULES.maxDays);
+  }
+
+  /**
+   * 입사일부터 until까지의 발생 내역
+   * @returns {{date: moment.Moment, days: number, kind: string, expiresAt: moment.Moment}[]}
+   */
+  static getGrants(joinDate, mode, until, timezone = DEFAULT_TIMEZONE) {
+    const join = moment.tz(joinDate, timezone).startOf("day");
+    const end = moment.tz(until, timezone);
+    const grants = [];
+
+    // 1년 미만 월차 (두 방식 공통)
+    for (let month = 1; month <= ACCRUAL_RULES.maxMonthlyGrants; month++) {
+      grants.push({
+        date: join.clone().add(month, "months"),
+        days: ACCRUAL_RULES.monthlyDays,
+        kind: "monthly",
+        expiresAt: join.clone().add(1, "year")
+      });
+    }
+
+    if (mode === ACCRUAL_MODES.HIRE_DATE) {
+      for (
+        let year = 1;
+        !join.clone().add(year, "years").isAfter(end);
+        year++
+      ) {
+        const date = join.clone().add(year, "years");
+        grants.push({
+          date,
+          days: this.getAnnualDays(year),
+          kind: "annual",
+          expiresAt: date.clone().add(1, "year")
+        });
+      }
+    } else {
+      const firstJan = join.clone().startOf("year").add(1, "year");
+      const yearDays = firstJan.diff(join.clone().startOf("year"), "days");
+      const workedDays = firstJan.diff(join, "days");
+
+      // 입사 연도 근무 비율만큼 (0.25일 단위 올림)
+      grants.push({
+        date: firstJan,
+        days:
+          Math.ceil(((ACCRUAL_RULES.baseDays * workedDays) / yearDays) * 4) / 4,
+        kind: "prorated",
+        expiresAt: firstJan.clone().add(1, "year")
+      });
+
+      for (
+        let year = 1;
+        !firstJan.clone().add(year, "years").isAfter(end);
+        year++
+      ) {
+        const date = firstJan.clone().add(year, "years");
+        grants.push({
+          date,
+          days: this.getAnnualDays(year + 1),
+          kind: "annual",
+          expiresAt: date.clone().add(1, "year")
+        });
+      }
+    }
+
+    return grants
+      .filter((grant) => !grant.date.isAfter(end))
+      .sort((a, b) => a.date.valueOf() - b.date.valueOf());
+  }
+
+  /**
+   * 사용 기간 (연차를 쓰고 소멸되는 단위)
+   * - 회계연도: 1월 1일 ~ 12월 31일
+   * - 입사일: 입사 기념일 ~ 다음 기념일 전날
+   */
+  static getPeriod(joinDate, mode, asOf, timezone = DEFAULT_TIMEZONE) {
+    const now = moment.tz(asOf, timezone);
+
+    if (!joinDate || mode !== ACCRUAL_MODES.HIRE_DATE) {
+      return {
+        start: now.clone().startOf("year"),
+        end: now.clone().endOf("year")
+      };
+    }
+
+    const join = moment.tz(joinDate, timezone).startOf("day");
+    const years = Math.max(0, now.diff(join, "years"));
+    const start = join.clone().add(years, "years");
+
+    return {
+      start,
+      end: start.clone().add(1, "year").subtract(1, "day").endOf("day")
+    };
+  }
+
+  /**
+   * 📊 기준일 현황
+   * @returns {{mode, serviceYears, periodStart, periodEnd, accrued, planned, grants, nextAccrual}}
+   */
+  static calculate(joinDate, options = {}) {
+    const timezone = options.timezone || DEFAULT_TIMEZONE;
+    const mode =
+      options.mode === ACCRUAL_MODES.HIRE_DATE
+        ? ACCRUAL_MODES.HIRE_DATE
+        : ACCRUAL_MODES.FISCAL;
+    const now = moment.tz(options.asOf || new Date(), timezone);
+    const period = this.getPeriod(joinDate, mode, now, timezone);
+
+    // 다음 기간 첫 발생까지 구해야 다음 발생일을 알 수 있음
+    const allGrants = joinDate
+      ? this.getGrants(
+          joinDate,
+          mode,
+          period.end.clone().add(1, "year"),
+          timezone
+        )
+      : [period.start.clone(), period.start.clone().add(1, "year")].map(
+          (date) => ({
+            date,
+            days: ACCRUAL_RULES.baseDays,
+            kind: "base",
+            expiresAt: date.clone().add(1, "year")
+          })
+        );
+
+    const grants = allGrants.filter(
+      (grant) =>
+        !grant.date.isBefore(period.start) && !grant.date.isAfter(period.end)
+    );
+    const sumDays = (list) => list.reduce((sum, grant) => sum + grant.days, 0);
+    const granted = grants.filter((grant) => !grant.date.isAfter(now));
+    const next = allGrants.find((grant) => grant.date.isAfter(now));
+
+    return {
+      mode,
+      serviceYears: joinDate
+        ? Math.max(
+            0,
+            now.diff(moment.tz(joinDate, timezone).startOf("day"), "years")
+          )
+        : 0,
+      periodStart: period.start.format("YYYY-MM-DD"),
+      periodEnd: period.end.format("YYYY-MM-DD"),
+      accrued: sumDays(granted),
+      planned: sumDays(grants),
+      grants: grants.map((grant) => ({
+        date: grant.date.format("YYYY-MM-DD"),
+        days: grant.days,
+        kind: grant.kind,
+        expiresAt: grant.expiresAt.format("YYYY-MM-DD")
+      })),
+      nextAccrual: next
+        ? { date: next.date.format("YYYY-MM-DD"), days: next.days }
+        : null
+    };
+  }
+}
+
+LeaveAccrual.MODES = ACCRUAL_MODES;
+LeaveAccrual.RULES = ACCRUAL_RULES;
+
+module.exports = LeaveAccrual;
@@ -0,0 +1,169 @@
+const logger = require("../core/Logger");
+
+/**
+ * ⏱️ BaseScheduler - 주기 체크 스케줄러 공통 뼈대
+ *
+ * ✅ 하위 클래스 구현:
+ * - getService(): 스케줄러가 쓰는 서비스 (없으면 실행하지 않음)
+ * - getTargets(now): 이번 회차 처리 대상 목록
+ * - processUser(target, now): 대상별 처리, 발송했으면 true
+ *
+ * ✅ 공통 처리:
+ * - checkInterval마다 checkSchedule → run
+ * - 회차가 겹치지 않게 막고, 대상 하나가 실패해도 나머지는 계속 처리
+ */
+class BaseScheduler {
+  /**
+   * @param {Object} options - { bot, config }
+   * @param {Object} settings - { name, emoji, label, config, stats }
+   */
+  constructor(options = {}, settings = {}) {
+    this.name = settings.name;
+    this.emoji = settings.emoji;
+    this.label = settings.label;
+    this.bot = options.bot;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.intervalId = null;
+
+    this.config = {
+      checkInterval: 600000,
+      ...settings.config,
+      ...options.config
+    };
+
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      ...settings.stats,
+      lastRunAt: null
+    };
+
+    logger.info(`${this.emoji} ${this.name} 생성됨`);
+  }
+
+  /**
+   * 🕐 시각 환경변수 파싱 (0시도 유효한 값이므로 || 대신 정수 여부로 판단)
+   */
+  static parseHour(value, fallback) {
+    const hour = parseInt(value);
+    return Number.isInteger(hour) ? hour : fallback;
+  }
+
+  getService() {
+    return null;
+  }
+
+  canRun() {
+    return !!this.getService();
+  }
+
+  async getTargets() {
+    return [];
+  }
+
+  async processUser() {
+    return false;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn(`⚠️ ${this.name} 이미 실행 중`);
+      return;
+    }
+
+    try {
+      this.isRunning = true;
+
+      await this.checkSchedule();
+
+      this.intervalId = setInterval(() => {
+        this.checkSchedule().catch((error) => {
+          logger.error(`${this.name} 체크 실패:`, error);
+        });
+      }, this.config.checkInterval);
+
+      logger.success(`✅ ${this.name} 시작됨`);
+    } catch (error) {
+      logger.error(`❌ ${this.name} 시작 실패:`, error);
+      this.isRunning = false;
+      throw error;
+    }
+  }
+
+  /**
+   * ⏰ 이번 체크에서 실행할지 판단 (기본: 매번 실행)
+   */
+  async checkSchedule(now = new Date()) {
+    return this.run(now);
+  }
+
+  /**
+   * 📨 대상별 처리
+   * @returns {Promise<number>} 발송한 메시지 수
+   */
+  async run(now = new Date()) {
+    if (!this.canRun() || this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+    let sent = 0;
+
+    try {
+      this.stats.lastRunAt = now;
+
+      const targets = await this.getTargets(now);
+
+      for (const target of targets) {
+        try {
+          if (await this.processUser(target, now)) {
+            sent++;
+          }
+        } catch (error) {
+          logger.warn(
+            `⚠️ ${this.label} 처리 실패: ${target?.userId ?? target} - ${error.message}`
+          );
+        }
+      }
+
+      if (sent > 0) {
+        logger.info(`${this.emoji} ${this.label} ${sent}건 발송`);
+      }
+
+      return sent;
+    } catch (error) {
+      logger.error(`${this.label} 실패:`, error);
+      return sent;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.success(`✅ ${this.name} 정지됨`);
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      hasBot: !!this.bot,
+      hasService: !!this.getService(),
+      config: this.config,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = BaseScheduler;
@@ -0,0 +1,44 @@
+const moment = require("moment-timezone");
+const BaseScheduler = require("./BaseScheduler");
+
+/**
+ * 📆 DailyScheduler - 하루 한 번 실행하는 스케줄러 뼈대
+ *
+ * ✅ 기능:
+ * - config.runHour(timezone 기준)가 지난 뒤 첫 체크에서 하루 한 번 run
+ * - 재시작 등으로 늦어져도 그날 안이면 실행
+ */
+class DailyScheduler extends BaseScheduler {
+  constructor(options = {}, settings = {}) {
+    super(options, {
+      ...settings,
+      config: { timezone: "Asia/Seoul", runHour: 0, ...settings.config }
+    });
+
+    this.lastRunDate = null;
+  }
+
+  /**
+   * ⏰ 실행 시각이 지났고 오늘 아직 안 돌았으면 실행
+   */
+  async checkSchedule(now = new Date()) {
+    const local = moment.tz(now, this.config.timezone);
+    const today = local.format("YYYY-MM-DD");
+
+    if (local.hour() < this.config.runHour || this.lastRunDate === today) {
+      return 0;
+    }
+
+    this.lastRunDate = today;
+    return this.run(now);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      lastRunDate: this.lastRunDate
+    };
+  }
+}
+
+module.exports = DailyScheduler;
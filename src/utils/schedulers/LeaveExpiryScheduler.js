@@ -0,0 +1,115 @@
+const moment = require("moment-timezone");
+const DailyScheduler = require("./DailyScheduler");
+const logger = require("../core/Logger");
+
+/**
+ * ⏳ LeaveExpiryScheduler - 연차 소멸 알림 / 기간 마감 스케줄러
+ *
+ * ✅ 기능:
+ * - 매일 한 번(기본 10시), 기간이 끝난 사용자의 남은 연차 이월 처리
+ * - 소멸 N일 전(기본 90/30/14일)에 남은 연차 안내
+ * - 각 시점 알림은 기간마다 한 번만 (UserLeaveSetting에 기록)
+ */
+class LeaveExpiryScheduler extends DailyScheduler {
+  constructor(options = {}) {
+    super(options, {
+      name: "LeaveExpiryScheduler",
+      emoji: "⏳",
+      label: "연차 소멸 알림",
+      config: {
+        runHour: DailyScheduler.parseHour(
+          process.env.LEAVE_EXPIRY_REMINDER_HOUR,
+          10
+        ),
+        checkInterval:
+          parseInt(process.env.LEAVE_EXPIRY_CHECK_INTERVAL) || 600000
+      },
+      stats: { rolledOver: 0 }
+    });
+
+    this.leaveService = options.leaveService;
+  }
+
+  getService() {
+    return this.leaveService;
+  }
+
+  /**
+   * 👥 연차를 쓰고 있는 사용자
+   */
+  async getTargets() {
+    return this.leaveService.getActiveUserIds();
+  }
+
+  /**
+   * 🔄 기간 마감 + 📨 사용자별 소멸 알림 처리
+   * @returns {Promise<boolean>} 발송 여부
+   */
+  async processUser(userId, now) {
+    const rollover = await this.leaveService.rolloverEndedPeriod(userId, now);
+    if (rollover) this.stats.rolledOver++;
+
+    if (!this.bot) return false;
+
+    const reminder = await this.leaveService.getExpiryReminder(userId, now);
+    if (!reminder) return false;
+
+    const newDays = await this.leaveService.claimExpiryReminders(
+      userId,
+      reminder
+    );
+    if (newDays.length === 0) return false;
+
+    try {
+      await this.bot.telegram.sendMessage(
+        userId,
+        this.formatReminderMessage(reminder),
+        {
+          parse_mode: "Markdown",
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: "➕ 연차 쓰기", callback_data: "leave:use" },
+                { text: "🗓️ 달력", callback_data: "leave:calendar" }
+              ]
+            ]
+          }
+        }
+      );
+
+      this.stats.sent++;
+      return true;
+    } catch (error) {
+      // 발송 기록은 이미 남았으므로 재시도하지 않음 (같은 알림 반복 방지)
+      this.stats.failed++;
+      logger.warn(`⚠️ 연차 소멸 알림 발송 실패: ${userId} - ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 📝 알림 메시지 생성
+   */
+  formatReminderMessage(reminder) {
+    const { status, daysLeft } = reminder;
+    const { expiringLeave } = status;
+    const expiresAt = moment
+      .tz(expiringLeave.date, "YYYY-MM-DD", this.config.timezone)
+      .format("YYYY년 M월 D일");
+
+    const lines = [
+      `⏳ *연차 소멸 D-${daysLeft}*`,
+      "",
+      `남은 연차 *${status.remainingLeave}일* 중 *${expiringLeave.days}일*이 ${expiresAt}에 소멸됩니다.`
+    ];
+
+    if (expiringLeave.carryOver > 0) {
+      lines.push(`📦 ${expiringLeave.carryOver}일은 다음 기간으로 이월돼요.`);
+    }
+
+    lines.push("", "사라지기 전에 휴가 계획을 세워 보세요! 🌴");
+    return lines.join("\n");
+  }
+}
+
+module.exports = LeaveExpiryScheduler;
@@ -1,12 +1,44 @@
 const logger = require("../core/Logger");
 
+/**
+ * 📅 ReminderScheduler - 리마인더 발송 스케줄러
+ *
+ * ✅ 기능:
+ * - 주기적으로 발송 대상 리마인더 조회 후 텔레그램으로 전송
+ * - 발송 완료/실패 기록 (실패 시 간격을 늘려 재시도, 횟수 초과 시 비활성화)
+ * - 반복 리마인더의 다음 회차 생성
+ * - 재시작 시 다운타임 동안 놓친 리마인더 따라잡기
+ *   (missedCutoffMinutes보다 오래된 리마인더는 만료 처리)
+ */
 class ReminderScheduler {
   constructor(options = {}) {
     this.bot = options.bot;
     this.reminderService = options.reminderService;
     this.isRunning = false;
+    this.isChecking = false;
     this.intervalId = null;
 
+    this.config = {
+      checkInterval: parseInt(process.env.REMINDER_CHECK_INTERVAL) || 30000,
+      batchSize: parseInt(process.env.REMINDER_BATCH_SIZE) || 20,
+      // 이보다 오래 지난 리마인더는 보내지 않고 만료 처리 (분)
+      missedCutoffMinutes:
+        parseInt(process.env.REMINDER_MISSED_CUTOFF_MINUTES) || 1440,
+      maxRetries: parseInt(process.env.REMINDER_MAX_RETRIES) || 3,
+      // 첫 재시도까지 대기 (분, 실패할 때마다 두 배)
+      retryDelayMinutes:
+        parseInt(process.env.REMINDER_RETRY_DELAY_MINUTES) || 1,
+      ...options.config
+    };
+
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      expired: 0,
+      recurringScheduled: 0,
+      lastCheckAt: null
+    };
+
     logger.info("📅 ReminderScheduler 생성됨");
   }
 
@@ -19,12 +51,14 @@ class ReminderScheduler {
     try {
       this.isRunning = true;
 
-      // 30초마다 체크 (나중에 설정 가능하도록)
+      // 다운타임 동안 놓친 리마인더 먼저 처리
+      await this.catchUpMissedReminders();
+
       this.intervalId = setInterval(() => {
         this.checkReminders().catch((error) => {
           logger.error("ReminderScheduler 체크 실패:", error);
         });
-      }, 30000);
+      }, this.config.checkInterval);
 
       logger.success("✅ ReminderScheduler 시작됨");
     } catch (error) {
@@ -34,20 +68,188 @@ class ReminderScheduler {
     }
   }
 
-  async checkReminders() {
+  /**
+   * 🔁 재시작 직후 밀린 리마인더 일괄 처리
+   */
+  async catchUpMissedReminders() {
     if (!this.reminderService || !this.bot) {
       return;
     }
 
+    let total = 0;
+
+    // 한 번에 batchSize만큼 처리하므로, 밀린 것이 없을 때까지 반복
+    // (실패한 리마인더는 재시도 시각까지 조회되지 않으므로 다음 회차는 새 리마인더만,
+    //  무한 루프 방지를 위해 최대 50회)
+    for (let round = 0; round < 50; round++) {
+      const processed = await this.checkReminders();
+      total += processed;
+
+      if (processed < this.config.batchSize) {
+        break;
+      }
+    }
+
+    if (total > 0) {
+      logger.info(`🔁 놓친 리마인더 ${total}개 처리 완료`);
+    }
+  }
+
+  /**
+   * 🔍 발송 대상 리마인더 체크
+   * @returns {Promise<number>} 처리한 리마인더 수
+   */
+  async checkReminders() {
+    if (!this.reminderService || !this.bot) {
+      return 0;
+    }
+
+    // 이전 체크가 아직 진행 중이면 건너뜀 (중복 발송 방지)
+    if (this.isChecking) {
+      return 0;
+    }
+
+    this.isChecking = true;
+
     try {
-      // 기본적인 리마인더 체크 로직
-      // 실제 구현은 필요에 따라 추가
-      logger.debug("📋 리마인더 체크 중...");
+      const now = new Date();
+      this.stats.lastCheckAt = now;
+
+      const reminders = await this.reminderService.getPendingReminders(
+        now,
+        this.config.batchSize
+      );
+
+      if (reminders.length === 0) {
+        return 0;
+      }
+
+      logger.debug(`📋 발송 대상 리마인더 ${reminders.length}개`);
+
+      for (const reminder of reminders) {
+        await this.processReminder(reminder, now);
+      }
+
+      return reminders.length;
     } catch (error) {
       logger.error("리마인더 체크 실패:", error);
+      return 0;
+    } finally {
+      this.isChecking = false;
     }
   }
 
+  /**
+   * 🔔 개별 리마인더 처리
+   */
+  async processReminder(reminder, now) {
+    const delayMinutes =
+      (now.getTime() - new Date(reminder.reminderTime).getTime()) / 60000;
+
+    if (delayMinutes > this.config.missedCutoffMinutes) {
+      // 너무 오래된 리마인더는 보내지 않음
+      await this.reminderService.expireReminder(reminder._id);
+      this.stats.expired++;
+      logger.info(
+        `⌛ 리마인더 만료 처리: ${reminder._id} (${Math.round(delayMinutes)}분 지연)`
+      );
+    } else {
+      try {
+        await this.bot.telegram.sendMessage(
+          reminder.userId,
+          this.formatReminderMessage(reminder, delayMinutes),
+          {
+            parse_mode: "Markdown",
+            reply_markup: this.createReminderKeyboard(reminder)
+          }
+        );
+
+        await this.reminderService.markReminderSent(reminder._id, now);
+        this.stats.sent++;
+        logger.info(`🔔 리마인더 발송: ${reminder.userId} - ${reminder._id}`);
+      } catch (error) {
+        this.stats.failed++;
+        logger.warn(
+          `⚠️ 리마인더 발송 실패: ${reminder._id} - ${error.message}`
+        );
+
+        const result = await this.reminderService.markReminderFailed(
+          reminder._id,
+          error,
+          this.config.maxRetries,
+          this.config.retryDelayMinutes
+        );
+
+        // 재시도 대기 중이면 다음 회차 생성은 보류
+        if (!result?.data?.givenUp) {
+          return;
+        }
+      }
+    }
+
+    // 반복 리마인더는 다음 회차 예약
+    if (reminder.isRecurring) {
+      const next = await this.reminderService.scheduleNextOccurrence(
+        reminder._id,
+        now
+      );
+
+      if (next.success && next.data) {
+        this.stats.recurringScheduled++;
+        logger.debug(
+          `🔄 다음 반복 리마인더 예약: ${next.data._id} (${next.data.reminderTime.toISOString()})`
+        );
+      }
+    }
+  }
+
+  /**
+   * 📝 리마인더 메시지 생성
+   */
+  formatReminderMessage(reminder, delayMinutes = 0) {
+    const lines = ["🔔 *리마인더*", "", this.escapeMarkdown(reminder.text)];
+
+    if (reminder.description) {
+      lines.push("", `_${this.escapeMarkdown(reminder.description)}_`);
+    }
+
+    // 다운타임 등으로 늦게 발송된 경우 안내
+    if (delayMinutes >= 5) {
+      const time = new Date(reminder.reminderTime).toLocaleString("ko-KR", {
+        timeZone: reminder.timezone || "Asia/Seoul",
+        month: "long",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit"
+      });
+      lines.push("", `⏱️ 원래 알림 시간: ${time}`);
+    }
+
+    if (reminder.isRecurring) {
+      lines.push("", "🔄 반복 리마인더입니다.");
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * ⌨️ 리마인더 키보드 생성
+   */
+  createReminderKeyboard(reminder) {
+    if (!reminder.todoId) {
+      return undefined;
+    }
+
+    return {
+      inline_keyboard: [[{ text: "📋 할일 목록", callback_data: "todo:list" }]]
+    };
+  }
+
+  escapeMarkdown(text) {
+    if (!text) return "";
+    return String(text).replace(/[_*`[]/g, "\\$&");
+  }
+
   async stop() {
     if (!this.isRunning) {
       return;
@@ -72,7 +274,9 @@ class ReminderScheduler {
     return {
       isRunning: this.isRunning,
       hasBot: !!this.bot,
-      hasService: !!this.reminderService
+      hasService: !!this.reminderService,
+      config: this.config,
+      stats: this.stats
     };
   }
 }
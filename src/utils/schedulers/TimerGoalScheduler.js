@@ -0,0 +1,108 @@
+const DailyScheduler = require("./DailyScheduler");
+const logger = require("../core/Logger");
+
+/**
+ * 🎯 TimerGoalScheduler - 저녁 집중 목표 알림 스케줄러
+ *
+ * ✅ 기능:
+ * - 매일 저녁 한 번(기본 21시), 최근 타이머를 쓴 사용자에게 오늘 목표 결과 안내
+ * - 달성했으면 연속 달성 일수, 못 채웠으면 남은 횟수 안내
+ * - 사용자마다 하루 한 번만 (TimerStats에 기록)
+ */
+class TimerGoalScheduler extends DailyScheduler {
+  constructor(options = {}) {
+    super(options, {
+      name: "TimerGoalScheduler",
+      emoji: "🎯",
+      label: "집중 목표 알림",
+      config: {
+        runHour: DailyScheduler.parseHour(
+          process.env.TIMER_GOAL_NOTICE_HOUR,
+          21
+        ),
+        checkInterval: parseInt(process.env.TIMER_GOAL_CHECK_INTERVAL) || 600000
+      }
+    });
+
+    this.timerService = options.timerService;
+  }
+
+  getService() {
+    return this.timerService;
+  }
+
+  /**
+   * 👥 최근 타이머를 쓴 사용자
+   */
+  async getTargets(now) {
+    return this.timerService.getGoalNoticeUserIds(now);
+  }
+
+  /**
+   * 📨 사용자별 알림 처리
+   * @returns {Promise<boolean>} 발송 여부
+   */
+  async processUser(userId, now) {
+    if (!this.bot) return false;
+
+    const result = await this.timerService.getGoalStats(userId, now);
+    if (!result.success) return false;
+
+    if (!(await this.timerService.claimGoalNotice(userId, now))) {
+      return false;
+    }
+
+    try {
+      await this.bot.telegram.sendMessage(
+        userId,
+        this.formatGoalMessage(result.data),
+        {
+          parse_mode: "Markdown",
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: "🍅 타이머", callback_data: "timer:menu" },
+                { text: "📊 통계", callback_data: "timer:stats" }
+              ]
+            ]
+          }
+        }
+      );
+
+      this.stats.sent++;
+      return true;
+    } catch (error) {
+      // 발송 기록은 이미 남았으므로 재시도하지 않음 (같은 알림 반복 방지)
+      this.stats.failed++;
+      logger.warn(`⚠️ 목표 알림 발송 실패: ${userId} - ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 📝 알림 메시지 생성
+   */
+  formatGoalMessage(goalStats) {
+    const { today, week, streak } = goalStats;
+    const lines = today.reached
+      ? [
+          "🎯 *오늘 집중 목표 달성!*",
+          "",
+          `🍅 집중 ${today.focusCompleted}/${today.goal}회 (${today.focusMinutes}분)`,
+          `🔥 ${streak.current}일 연속 달성`
+        ]
+      : [
+          "🌙 *오늘의 집중 기록*",
+          "",
+          `🍅 집중 ${today.focusCompleted}/${today.goal}회 (${today.focusMinutes}분) · ${today.remaining}회 남았어요`,
+          streak.current > 0
+            ? `🔥 자정 전에 채우면 ${streak.current + 1}일 연속 달성이에요!`
+            : "내일 다시 도전해봐요! 💪"
+        ];
+
+    lines.push(`📅 이번 주 ${week.focusCompleted}/${week.goal}회`);
+    return lines.join("\n");
+  }
+}
+
+module.exports = TimerGoalScheduler;
@@ -0,0 +1,165 @@
+const moment = require("moment-timezone");
+const BaseScheduler = require("./BaseScheduler");
+const logger = require("../core/Logger");
+
+/**
+ * 📬 TodoDigestScheduler - 할일 아침 요약 스케줄러
+ *
+ * ✅ 기능:
+ * - 요약을 켠 사용자에게 매일 설정 시각(사용자 타임존)에 요약 발송
+ * - 기한 지난 할일 + 오늘 마감 할일 목록
+ * - 하루 1회만 발송 (todoDigestLastSentDate로 기록)
+ * - 재시작 등으로 늦어져도 lateWindowHours 이내면 발송
+ */
+class TodoDigestScheduler extends BaseScheduler {
+  constructor(options = {}) {
+    super(options, {
+      name: "TodoDigestScheduler",
+      emoji: "📬",
+      label: "할일 요약",
+      config: {
+        checkInterval:
+          parseInt(process.env.TODO_DIGEST_CHECK_INTERVAL) || 60000,
+        // 설정 시각이 이만큼 지나면 그날 요약은 건너뜀 (시간)
+        lateWindowHours:
+          parseInt(process.env.TODO_DIGEST_LATE_WINDOW_HOURS) || 3,
+        maxItemsPerSection: 10
+      },
+      stats: { skippedEmpty: 0 }
+    });
+
+    this.todoService = options.todoService;
+  }
+
+  getService() {
+    return this.todoService;
+  }
+
+  canRun() {
+    return !!this.todoService && !!this.bot;
+  }
+
+  /**
+   * 👥 요약을 켠 구독자 (발송 시각은 구독자별로 판단)
+   */
+  async getTargets() {
+    return this.todoService.getDigestSubscribers();
+  }
+
+  /**
+   * 📨 구독자별 요약 처리
+   * @returns {Promise<boolean>} 발송 여부
+   */
+  async processUser(subscriber, now) {
+    const timezone = subscriber.timezone || "Asia/Seoul";
+    const local = moment.tz(now, timezone);
+    const localDate = local.format("YYYY-MM-DD");
+    const hour = subscriber.todoDigestHour ?? 8;
+
+    if (subscriber.todoDigestLastSentDate === localDate) {
+      return false;
+    }
+
+    const hoursLate = local.hours() - hour;
+    if (hoursLate < 0 || hoursLate >= this.config.lateWindowHours) {
+      return false;
+    }
+
+    const { overdue, dueToday } = await this.todoService.getDigestItems(
+      subscriber.userId,
+      timezone
+    );
+
+    // 보낼 내용이 없어도 오늘은 처리한 것으로 기록
+    if (overdue.length === 0 && dueToday.length === 0) {
+      await this.todoService.markDigestSent(subscriber.userId, localDate);
+      this.stats.skippedEmpty++;
+      return false;
+    }
+
+    try {
+      await this.bot.telegram.sendMessage(
+        subscriber.userId,
+        this.formatDigestMessage(overdue, dueToday, timezone),
+        {
+          parse_mode: "Markdown",
+          reply_markup: this.createDigestKeyboard(overdue, dueToday)
+        }
+      );
+
+      await this.todoService.markDigestSent(subscriber.userId, localDate);
+      this.stats.sent++;
+      logger.info(`📬 할일 요약 발송: ${subscriber.userId}`);
+      return true;
+    } catch (error) {
+      // 기록하지 않으므로 다음 체크에서 재시도
+      this.stats.failed++;
+      logger.warn(
+        `⚠️ 할일 요약 발송 실패: ${subscriber.userId} - ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * 📝 요약 메시지 생성
+   */
+  formatDigestMessage(overdue, dueToday, timezone) {
+    const lines = ["☀️ *오늘의 할일 요약*"];
+
+    if (overdue.length > 0) {
+      lines.push("", `⚠️ *기한 지남* (${overdue.length}개)`);
+      overdue.slice(0, this.config.maxItemsPerSection).forEach((todo) => {
+        const due = moment.tz(todo.dueDate, timezone).format("M/D");
+        lines.push(`• ${this.escapeMarkdown(todo.text)} (${due})`);
+      });
+      if (overdue.length > this.config.maxItemsPerSection) {
+        lines.push(`… 외 ${overdue.length - this.config.maxItemsPerSection}개`);
+      }
+    }
+
+    if (dueToday.length > 0) {
+      lines.push("", `📅 *오늘 마감* (${dueToday.length}개)`);
+      dueToday.slice(0, this.config.maxItemsPerSection).forEach((todo) => {
+        lines.push(`• ${this.escapeMarkdown(todo.text)}`);
+      });
+      if (dueToday.length > this.config.maxItemsPerSection) {
+        lines.push(
+          `… 외 ${dueToday.length - this.config.maxItemsPerSection}개`
+        );
+      }
+    }
+
+    lines.push("", "오늘도 화이팅! 💪");
+
+    return lines.join("\n");
+  }
+
+  /**
+   * ⌨️ 요약 키보드 생성
+   */
+  createDigestKeyboard(overdue, dueToday) {
+    const row = [];
+
+    if (overdue.length > 0) {
+      row.push({ text: "⚠️ 기한 지남", callback_data: "todo:list:overdue:1" });
+    }
+    if (dueToday.length > 0) {
+      row.push({ text: "📅 오늘 할일", callback_data: "todo:list:today:1" });
+    }
+
+    return {
+      inline_keyboard: [
+        row,
+        [{ text: "📭 요약 끄기", callback_data: "todo:digest" }]
+      ]
+    };
+  }
+
+  escapeMarkdown(text) {
+    if (!text) return "";
+    return String(text).replace(/[_*`[]/g, "\\$&");
+  }
+}
+
+module.exports = TodoDigestScheduler;
@@ -0,0 +1,144 @@
+const moment = require("moment-timezone");
+const BaseScheduler = require("./BaseScheduler");
+const logger = require("../core/Logger");
+
+/**
+ * ⚖️ WorktimeComplianceScheduler - 주 52시간 경고 스케줄러
+ *
+ * ✅ 기능:
+ * - 근무 중인 사용자의 이번 주 누적 근무시간 체크
+ * - 설정한 단계(기본 40/48/52시간)를 넘으면 경고 발송
+ * - 오늘 예정 퇴근 시각까지 일하면 상한을 넘는 경우 미리 안내
+ * - 주마다 각 경고는 한 번만 (UserSetting에 기록)
+ */
+class WorktimeComplianceScheduler extends BaseScheduler {
+  constructor(options = {}) {
+    super(options, {
+      name: "WorktimeComplianceScheduler",
+      emoji: "⚖️",
+      label: "52시간 경고",
+      config: {
+        checkInterval:
+          parseInt(process.env.WORKTIME_COMPLIANCE_CHECK_INTERVAL) || 300000
+      }
+    });
+
+    this.worktimeService = options.worktimeService;
+  }
+
+  getService() {
+    return this.worktimeService;
+  }
+
+  canRun() {
+    return !!this.worktimeService && !!this.bot;
+  }
+
+  /**
+   * 👥 근무 중인 사용자
+   */
+  async getTargets() {
+    return this.worktimeService.getWorkingUserIds();
+  }
+
+  /**
+   * 📨 사용자별 경고 처리
+   * @returns {Promise<boolean>} 발송 여부
+   */
+  async processUser(userId, now) {
+    const compliance = await this.worktimeService.getWeeklyCompliance(
+      userId,
+      now
+    );
+    const alertKeys = await this.worktimeService.claimComplianceAlerts(
+      userId,
+      compliance
+    );
+
+    if (alertKeys.length === 0) {
+      return false;
+    }
+
+    try {
+      await this.bot.telegram.sendMessage(
+        userId,
+        this.formatAlertMessage(compliance, alertKeys),
+        {
+          parse_mode: "Markdown",
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: "🏠 퇴근하기", callback_data: "worktime:checkout" },
+                { text: "📈 주간 통계", callback_data: "worktime:week" }
+              ]
+            ]
+          }
+        }
+      );
+
+      this.stats.sent++;
+      logger.info(`⚖️ 52시간 경고 발송: ${userId} (${alertKeys.join(",")})`);
+      return true;
+    } catch (error) {
+      // 발송 기록은 이미 남았으므로 재시도하지 않음 (같은 경고 반복 방지)
+      this.stats.failed++;
+      logger.warn(`⚠️ 52시간 경고 발송 실패: ${userId} - ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 📝 경고 메시지 생성 (가장 높은 단계 기준)
+   */
+  formatAlertMessage(compliance, alertKeys) {
+    const { capHours, currentHours, timezone } = compliance;
+    const crossed = alertKeys
+      .filter((key) => key !== "projected")
+      .map((key) => parseFloat(key));
+    const highest = crossed.length > 0 ? Math.max(...crossed) : null;
+    const lines = [];
+
+    if (compliance.level === "over" || (highest && highest >= capHours)) {
+      lines.push(
+        `🚨 *주 ${capHours}시간 초과*`,
+        "",
+        `이번 주 근무가 *${currentHours}시간*으로 법정 상한을 넘었습니다.`,
+        "가능한 빨리 업무를 마무리해 주세요."
+      );
+    } else if (highest) {
+      lines.push(
+        `⚠️ *이번 주 ${highest}시간 돌파*`,
+        "",
+        `현재까지 *${currentHours}시간* 근무했습니다.`,
+        `주 ${capHours}시간까지 ${this.formatMinutes(compliance.remainingMinutes)} 남았습니다.`
+      );
+    }
+
+    if (alertKeys.includes("projected") && compliance.level === "risk") {
+      if (lines.length > 0) lines.push("");
+      lines.push(
+        `⏰ 오늘 예정 퇴근 시각까지 일하면 *${compliance.projectedHours}시간*이 됩니다.`
+      );
+
+      if (compliance.latestSafeCheckOut) {
+        const safeTime = moment
+          .tz(compliance.latestSafeCheckOut, timezone)
+          .format("HH:mm");
+        lines.push(
+          `👉 ${safeTime} 전에 퇴근하면 ${capHours}시간을 지킬 수 있어요.`
+        );
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}분`;
+    return rest === 0 ? `${hours}시간` : `${hours}시간 ${rest}분`;
+  }
+}
+
+module.exports = WorktimeComplianceScheduler;
@@ -0,0 +1,102 @@
+const moment = require("moment-timezone");
+const DailyScheduler = require("./DailyScheduler");
+const logger = require("../core/Logger");
+
+/**
+ * 🌙 WorktimeSweepScheduler - 퇴근 누락 야간 점검 스케줄러
+ *
+ * ✅ 기능:
+ * - 매일 새벽(기본 04시) 한 번, 오래된 "근무 중" 기록을 찾아 임시 마감
+ * - 임시 마감 시각은 그날 정규 퇴근 시각 (needsReview 표시)
+ * - 사용자에게 실제 퇴근 시각 입력 / 그대로 확정 버튼 발송
+ */
+class WorktimeSweepScheduler extends DailyScheduler {
+  constructor(options = {}) {
+    super(options, {
+      name: "WorktimeSweepScheduler",
+      emoji: "🌙",
+      label: "퇴근 누락 알림",
+      config: {
+        runHour: DailyScheduler.parseHour(process.env.WORKTIME_SWEEP_HOUR, 4),
+        checkInterval:
+          parseInt(process.env.WORKTIME_SWEEP_CHECK_INTERVAL) || 600000
+      },
+      stats: { closed: 0 }
+    });
+
+    this.worktimeService = options.worktimeService;
+  }
+
+  getService() {
+    return this.worktimeService;
+  }
+
+  /**
+   * 🧹 퇴근 누락 기록을 임시 마감하고 알림 대상으로 돌려줌
+   */
+  async getTargets(now) {
+    const closedRecords = await this.worktimeService.sweepStaleRecords(now);
+    this.stats.closed += closedRecords.length;
+
+    if (closedRecords.length > 0) {
+      logger.info(`🌙 퇴근 누락 ${closedRecords.length}건 임시 마감`);
+    }
+
+    return closedRecords;
+  }
+
+  /**
+   * 📨 실제 퇴근 시각 입력 요청 (사용자 타임존 기준 표시)
+   * @returns {Promise<boolean>} 발송 여부
+   */
+  async processUser(record) {
+    if (!this.bot) return false;
+
+    const { timezone } = await this.worktimeService.getUserSettings(
+      record.userId
+    );
+    const recordId = String(record._id);
+    const checkIn = moment.tz(record.checkInTime, timezone);
+    const checkOut = moment.tz(record.checkOutTime, timezone);
+
+    const text = [
+      "🌙 *퇴근 기록이 없어요*",
+      "",
+      `${record.date} ${checkIn.format("HH:mm")}에 출근한 뒤 퇴근이 기록되지 않았습니다.`,
+      `정규 퇴근 시각 *${checkOut.format("HH:mm")}*로 임시 마감했어요.`,
+      "",
+      "실제 퇴근 시각을 입력하거나 그대로 확정해 주세요."
+    ].join("\n");
+
+    try {
+      await this.bot.telegram.sendMessage(record.userId, text, {
+        parse_mode: "Markdown",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "✏️ 퇴근 시각 입력",
+                callback_data: `worktime:edit_out:${recordId}`
+              },
+              {
+                text: `✅ ${checkOut.format("HH:mm")} 확정`,
+                callback_data: `worktime:edit_confirm:${recordId}`
+              }
+            ]
+          ]
+        }
+      });
+
+      this.stats.sent++;
+      return true;
+    } catch (error) {
+      this.stats.failed++;
+      logger.warn(
+        `⚠️ 퇴근 누락 알림 발송 실패: ${record.userId} - ${error.message}`
+      );
+      return false;
+    }
+  }
+}
+
+module.exports = WorktimeSweepScheduler;